@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the offline specs in tests/ one after another and fails if any of them fails.
+ * Pass part of a file name to run only the matching specs, e.g. `npm run test:unit -- cluster`.
+ */
+
+import { spawnSync } from "node:child_process";
+import { readdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const testsDir = join(dirname(fileURLToPath(import.meta.url)), "..", "tests");
+
+// Specs that need more than the checkout: a running backend (sdkSmoke), an OpenAI key
+// (runFullPipeline, see test:integration), or the Helix CLI mode (helixInMemory)
+const EXCLUDED = new Set([
+  "sdkSmoke.spec.mjs",
+  "runFullPipeline.spec.mjs",
+  "helixInMemory.spec.mjs",
+]);
+
+const filters = process.argv.slice(2);
+const specs = readdirSync(testsDir)
+  .filter((file) => file.endsWith(".spec.mjs") && !EXCLUDED.has(file))
+  .filter((file) => !filters.length || filters.some((filter) => file.includes(filter)))
+  .sort();
+
+const failed = [];
+for (const spec of specs) {
+  console.log(`\n▶ ${spec}`);
+  const { status } = spawnSync("npx", ["tsx", join(testsDir, spec)], { stdio: "inherit" });
+  if (status !== 0) failed.push(spec);
+}
+
+console.log(`\n${specs.length - failed.length}/${specs.length} specs passed`);
+if (failed.length) {
+  console.error(`❌ Failed: ${failed.join(", ")}`);
+  process.exitCode = 1;
+}
@@ -172,7 +172,7 @@ const normalizeError = (result, defaultMessage) => {
  * @param {Object} [options={}] - Configuration options
  * @param {Function} [options.resolveUser] - Custom user resolution function from headers
  * @param {Object} [options.runtime] - Runtime dependencies override
- * @returns {Object} SDK instance with methods: syncCanvas, refreshClusters, callMcp, traverseCluster
+ * @returns {Object} SDK instance with methods: syncCanvas, listRevisions, getRevision, diffRevisions, importDocument, mutateCanvas, subscribeBoard, publishHighlight, refreshClusters, exportBoard, callMcp, traverseCluster
  *
  * @example
  * const sdk = createHelixRagSDK();
@@ -194,10 +194,19 @@ export const createHelixRagSDK = (options = {}) => {
     clusterCache,
     textVecCache,
     boardCache,
-    saveBoardToDisk,
+    helixIdCache,
+    clusterAssignmentCache,
+    tombstoneCache,
+    changeFeed,
+    storage,
+    embeddingCache,
+    embeddingProvider,
+    clusterSummarizer,
     saveBoardToDiskMulti,
+    schedulePersist,
     hydrateBoardCacheFromDiskMulti,
     normalizeElement,
+    toHelixElementParams,
     getAllBoardElements,
     cosineSim,
     bboxOf,
@@ -207,7 +216,7 @@ export const createHelixRagSDK = (options = {}) => {
     MAX_PAYLOAD_BYTES,
     MAX_ELEMENTS_PER_SYNC,
     HELIX_SAFE_MODE,
-    BOARDS_DIRS,
+    TOMBSTONE_RETENTION_MS,
     ensureDir,
     fsp,
     path: pathModule,
@@ -236,10 +245,19 @@ export const createHelixRagSDK = (options = {}) => {
     clusterCache,
     textVecCache,
     boardCache,
-    saveBoardToDisk,
+    helixIdCache,
+    clusterAssignmentCache,
+    tombstoneCache,
+    changeFeed,
+    storage,
+    embeddingCache,
+    embeddingProvider,
+    clusterSummarizer,
     saveBoardToDiskMulti,
+    schedulePersist,
     hydrateBoardCacheFromDiskMulti,
     normalizeElement,
+    toHelixElementParams,
     getAllBoardElements,
     bboxOf,
     cosineSim,
@@ -249,7 +267,7 @@ export const createHelixRagSDK = (options = {}) => {
     MAX_PAYLOAD_BYTES,
     MAX_ELEMENTS_PER_SYNC,
     HELIX_SAFE_MODE,
-    BOARDS_DIRS,
+    TOMBSTONE_RETENTION_MS,
     ensureDir,
     fsp,
     path: pathModule,
@@ -257,6 +275,34 @@ export const createHelixRagSDK = (options = {}) => {
   };
 
   const canvasRoute = collectHandlers(mountCanvasRoutes, "post", "/api/canvas/sync", baseDeps);
+  const revisionsRoute = collectHandlers(
+    mountCanvasRoutes,
+    "post",
+    "/api/canvas/revisions",
+    baseDeps
+  );
+  const revisionGetRoute = collectHandlers(
+    mountCanvasRoutes,
+    "post",
+    "/api/canvas/revisions/get",
+    baseDeps
+  );
+  const revisionDiffRoute = collectHandlers(
+    mountCanvasRoutes,
+    "post",
+    "/api/canvas/revisions/diff",
+    baseDeps
+  );
+  const importRoute = collectHandlers(mountCanvasRoutes, "post", "/api/canvas/import", baseDeps);
+  const mutateRoute = collectHandlers(mountCanvasRoutes, "post", "/api/canvas/mutate", baseDeps);
+  const deletedRoute = collectHandlers(mountCanvasRoutes, "post", "/api/canvas/deleted", baseDeps);
+  const restoreRoute = collectHandlers(mountCanvasRoutes, "post", "/api/canvas/restore", baseDeps);
+  const highlightRoute = collectHandlers(
+    mountCanvasRoutes,
+    "post",
+    "/api/canvas/highlight",
+    baseDeps
+  );
   const clusterRoute = collectHandlers(mountClustersRoutes, "post", "/api/clusters", baseDeps);
   const clusterTraverseRoute = collectHandlers(
     mountClustersRoutes,
@@ -264,6 +310,18 @@ export const createHelixRagSDK = (options = {}) => {
     "/api/clusters/traverse",
     baseDeps
   );
+  const clusterExportRoute = collectHandlers(
+    mountClustersRoutes,
+    "post",
+    "/api/clusters/export",
+    baseDeps
+  );
+  const clusterOptionsRoute = collectHandlers(
+    mountClustersRoutes,
+    "post",
+    "/api/clusters/options",
+    baseDeps
+  );
   const mcpRoutes = collectRouteMap(mountMcpRoutes, baseDeps);
 
   const invoke = async (route, payload, context = {}) => {
@@ -299,9 +357,44 @@ export const createHelixRagSDK = (options = {}) => {
     async syncCanvas(payload, context) {
       return await invoke(canvasRoute, payload, context);
     },
+    async listRevisions(payload, context) {
+      return await invoke(revisionsRoute, payload, context);
+    },
+    async getRevision(payload, context) {
+      return await invoke(revisionGetRoute, payload, context);
+    },
+    async diffRevisions(payload, context) {
+      return await invoke(revisionDiffRoute, payload, context);
+    },
+    async importDocument(payload, context) {
+      return await invoke(importRoute, payload, context);
+    },
+    async mutateCanvas(payload, context) {
+      return await invoke(mutateRoute, payload, context);
+    },
+    async listDeletedElements(payload, context) {
+      return await invoke(deletedRoute, payload, context);
+    },
+    async restoreElements(payload, context) {
+      return await invoke(restoreRoute, payload, context);
+    },
+    // In-process counterpart of GET /api/canvas/events; returns the unsubscribe function
+    subscribeBoard(boardId, listener, options) {
+      if (!changeFeed) throw new Error("Change feed unavailable");
+      return changeFeed.subscribe(boardId, listener, options);
+    },
+    async publishHighlight(payload, context) {
+      return await invoke(highlightRoute, payload, context);
+    },
     async refreshClusters(payload, context) {
       return await invoke(clusterRoute, payload, context);
     },
+    async exportBoard(payload, context) {
+      return await invoke(clusterExportRoute, payload, context);
+    },
+    async clusterOptions(payload, context) {
+      return await invoke(clusterOptionsRoute, payload, context);
+    },
     async callMcp(resource, payload, context) {
       return await invokeMcp(resource, payload, context);
     },
@@ -345,8 +438,18 @@ export const startHelixFacadeServer = async (options = {}) => {
   };
 
   app.post("/api/canvas/sync", wrap(sdk.syncCanvas));
+  app.post("/api/canvas/import", wrap(sdk.importDocument));
+  app.post("/api/canvas/mutate", wrap(sdk.mutateCanvas));
+  app.post("/api/canvas/deleted", wrap(sdk.listDeletedElements));
+  app.post("/api/canvas/restore", wrap(sdk.restoreElements));
+  app.post("/api/canvas/highlight", wrap(sdk.publishHighlight));
+  // Streaming route: mounted with its real handlers instead of the request/response shim
+  const eventsRoute = collectHandlers(mountCanvasRoutes, "get", "/api/canvas/events", deps);
+  app.get("/api/canvas/events", ...eventsRoute.handlers);
   app.post("/api/clusters", wrap(sdk.refreshClusters));
   app.post("/api/clusters/traverse", wrap(sdk.traverseCluster));
+  app.post("/api/clusters/export", wrap(sdk.exportBoard));
+  app.post("/api/clusters/options", wrap(sdk.clusterOptions));
 
   const normalizeTool = (tool) => {
     if (!tool) return "";
@@ -597,6 +700,9 @@ export const executeFullPipeline = async ({
       onText: (chunk) => {
         if (typeof chunk === "string") text += chunk;
       },
+      emitControl: (name, payload) => {
+        if (name === "highlight") runtime.changeFeed?.publish(boardId, "highlight", payload || {});
+      },
     });
 
     return {
@@ -27,7 +27,15 @@ QUERY upsertElement(
   endBindingId: String,
   semanticClusterId: String,
   distanceClusterId: String,
-  relationalClusterId: String
+  relationalClusterId: String,
+  frameId: String,
+  containerId: String,
+  groupIds: String,
+  boundElements: String,
+  points: String,
+  fileId: String,
+  fontSize: F64,
+  fontFamily: I64
 ) =>
   el <- AddN<Element>({
     externalId: externalId,
@@ -55,7 +63,15 @@ QUERY upsertElement(
     endBindingId: endBindingId,
     semanticClusterId: semanticClusterId,
     distanceClusterId: distanceClusterId,
-    relationalClusterId: relationalClusterId
+    relationalClusterId: relationalClusterId,
+    frameId: frameId,
+    containerId: containerId,
+    groupIds: groupIds,
+    boundElements: boundElements,
+    points: points,
+    fileId: fileId,
+    fontSize: fontSize,
+    fontFamily: fontFamily
   })
   RETURN el
 
@@ -86,7 +102,15 @@ QUERY updateElementById(
   endBindingId: String,
   semanticClusterId: String,
   distanceClusterId: String,
-  relationalClusterId: String
+  relationalClusterId: String,
+  frameId: String,
+  containerId: String,
+  groupIds: String,
+  boundElements: String,
+  points: String,
+  fileId: String,
+  fontSize: F64,
+  fontFamily: I64
 ) =>
   updated_node <- N<Element>(elementId)::UPDATE({
     kind: kind,
@@ -112,7 +136,15 @@ QUERY updateElementById(
     endBindingId: endBindingId,
     semanticClusterId: semanticClusterId,
     distanceClusterId: distanceClusterId,
-    relationalClusterId: relationalClusterId
+    relationalClusterId: relationalClusterId,
+    frameId: frameId,
+    containerId: containerId,
+    groupIds: groupIds,
+    boundElements: boundElements,
+    points: points,
+    fileId: fileId,
+    fontSize: fontSize,
+    fontFamily: fontFamily
   })
 
   RETURN updated_node
@@ -140,16 +172,35 @@ QUERY upsertTextEmbedding(
   boardExtId: String,
   elementExtId: String,
   model: String,
+  textHash: String,
   vector: [F64]
 ) =>
   embedding <- AddV<TextEmbedding>(vector, {
     externalId: elementExtId,
     boardId: boardExtId,
     model: model,
+    textHash: textHash,
     created: 0
   })
   RETURN embedding
 
+// All stored text embeddings for a board (reused while the text hash still matches)
+QUERY getBoardEmbeddings(
+  boardExtId: String
+) =>
+  vecs <- V<TextEmbedding>::WHERE(_::{boardId}::EQ(boardExtId))
+  RETURN vecs
+
+// Drop an element's text embeddings before re-embedding it
+QUERY deleteTextEmbedding(
+  boardExtId: String,
+  elementExtId: String
+) =>
+  DROP V<TextEmbedding>
+    ::WHERE(_::{boardId}::EQ(boardExtId))
+    ::WHERE(_::{externalId}::EQ(elementExtId))
+  RETURN "OK"
+
 // Get all elements on a board
 QUERY getBoardElements(
   boardExtId: String
@@ -157,6 +208,20 @@ QUERY getBoardElements(
   els <- N<Element>::WHERE(_::{boardId}::EQ(boardExtId))
   RETURN els
 
+// Get the stored relation edges of a board, grouped by type (outgoing side only, so each edge once)
+QUERY getBoardRelations(
+  boardExtId: String
+) =>
+  els <- N<Element>::WHERE(_::{boardId}::EQ(boardExtId))
+  relational <- els::OutE<RELATIONALLY_ALIGNED>
+  semantic <- els::OutE<SEMANTICALLY_RELATED>
+  spatial <- els::OutE<SPATIALLY_ALIGNED>
+  flows <- els::OutE<FLOWS_TO>
+  binds <- els::OutE<BINDS_TO>
+  contains <- els::OutE<CONTAINS>
+  groups <- els::OutE<BELONGS_TO_GROUP>
+  RETURN relational, semantic, spatial, flows, binds, contains, groups
+
 // Create FLOWS_TO edge between two elements
 QUERY createFlowEdge(
   sourceId: ID,
@@ -177,6 +242,27 @@ QUERY createBinds_TOEdge(
   edge <- AddE<BINDS_TO>()::From(source)::To(target)
   RETURN edge
 
+// Create CONTAINS edge from a frame (or container) to one of its children
+QUERY addContains(
+  sourceId: ID,
+  targetId: ID
+) =>
+  source <- N<Element>(sourceId)
+  target <- N<Element>(targetId)
+  edge <- AddE<CONTAINS>()::From(source)::To(target)
+  RETURN edge
+
+// Create BELONGS_TO_GROUP edge from a group member to the group's anchor (level 0 is outermost)
+QUERY addGroupMembership(
+  sourceId: ID,
+  targetId: ID,
+  level: I64
+) =>
+  source <- N<Element>(sourceId)
+  target <- N<Element>(targetId)
+  edge <- AddE<BELONGS_TO_GROUP>({ level: level })::From(source)::To(target)
+  RETURN edge
+
 // Create RELATIONALLY_ALIGNED edge between two elements (captures arrow used)
 QUERY addRelationalAlignment(
   sourceId: ID,
@@ -386,3 +472,17 @@ QUERY deleteSpatialAlignmentsForElement(
   DROP els::OutE<LAYOUT_PATTERN>
   DROP els::InE<LAYOUT_PATTERN>
   RETURN "OK"
+
+// Delete frame/container and group edges touching a specific element
+QUERY deleteStructureEdgesForElement(
+  boardExtId: String,
+  elementExtId: String
+) =>
+  els <- N<Element>
+    ::WHERE(_::{boardId}::EQ(boardExtId))
+    ::WHERE(_::{externalId}::EQ(elementExtId))
+  DROP els::OutE<CONTAINS>
+  DROP els::InE<CONTAINS>
+  DROP els::OutE<BELONGS_TO_GROUP>
+  DROP els::InE<BELONGS_TO_GROUP>
+  RETURN "OK"
@@ -39,7 +39,16 @@ N::Element {
     endBindingId: String,
     semanticClusterId: String,
     distanceClusterId: String,
-    relationalClusterId: String
+    relationalClusterId: String,
+    // Excalidraw structure. List values (groupIds, boundElements, points) are JSON-encoded.
+    frameId: String,
+    containerId: String,
+    groupIds: String,
+    boundElements: String,
+    points: String,
+    fileId: String,
+    fontSize: F64,
+    fontFamily: I64
 }
 
 // ---------------------------------------------------------------------------
@@ -73,6 +82,7 @@ V::TextEmbedding {
   externalId: String,
   boardId: String,
   model: String,
+  textHash: String,
   vector: [F64],
   created: I64
 }
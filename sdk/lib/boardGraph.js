@@ -0,0 +1,171 @@
+// Element graph shared by the MCP tools and board exports: normalized elements plus the
+// spatial (NEAR, DIRECTIONAL), connector (FLOWS_TO, BINDS_TO) and containment edges between them.
+
+import { SPATIAL_CONSTANTS } from "./helpers.js";
+import {
+  containmentEdges,
+  normalizeBoundElements,
+  normalizeGroupIds,
+  normalizePoints,
+  resolveConnectorEnds,
+} from "./structure.js";
+
+/**
+ * Normalizes a Helix or canvas element into the flat shape used by graph operations.
+ * @param {Object} el - Element
+ * @returns {Object|null} Normalized element, or null for non-objects
+ */
+export const toGraphElement = (el) => {
+  if (!el || typeof el !== "object") return null;
+  const kindLower = String(el.kind || el.type || "").toLowerCase();
+  const isConn = kindLower === "arrow" || kindLower === "line";
+  return {
+    externalId: String(el.externalId || el.id || ""),
+    boardId: String(el.boardId || ""),
+    kind: String(el.kind || el.type || ""),
+    x: Number(el.x || 0),
+    y: Number(el.y || 0),
+    w: Number(el.w ?? el.width ?? 0),
+    h: Number(el.h ?? el.height ?? 0),
+    angle: Number(el.angle || 0),
+    strokeColor: String(el.strokeColor || ""),
+    backgroundColor: String(el.backgroundColor || ""),
+    strokeWidth: Number(el.strokeWidth || 1),
+    fillStyle: String(el.fillStyle || "solid"),
+    roughness: Number(el.roughness || 0),
+    opacity: Number(el.opacity || 100),
+    text: String(el.text || ""),
+    link: String(el.link || ""),
+    locked: Boolean(el.locked),
+    version: Number(el.version || 1),
+    updated: Number(el.updated || 0),
+    index: Number(el.index ?? el.idx ?? 0),
+    startBindingId: isConn
+      ? String(el.startBindingId || (el.startBinding && el.startBinding.elementId) || "")
+      : String(el.startBindingId || ""),
+    endBindingId: isConn
+      ? String(el.endBindingId || (el.endBinding && el.endBinding.elementId) || "")
+      : String(el.endBindingId || ""),
+    frameId: el.frameId ? String(el.frameId) : "",
+    containerId: el.containerId ? String(el.containerId) : "",
+    groupIds: normalizeGroupIds(el.groupIds),
+    boundElements: normalizeBoundElements(el.boundElements),
+    points: normalizePoints(el.points),
+    fileId: String(el.fileId || ""),
+  };
+};
+
+export const isConnectorKind = (el) => {
+  const k = String(el?.kind || el?.type || "").toLowerCase();
+  return k === "arrow" || k === "line";
+};
+
+export const centerOf = (e) => ({
+  x: Number(e.x || 0) + Number(e.w || 0) / 2,
+  y: Number(e.y || 0) + Number(e.h || 0) / 2,
+});
+
+/**
+ * Derives every edge between the given (normalized) elements.
+ * @param {Array<Object>} elements - Elements from `toGraphElement`
+ * @returns {Array<{type: string, from: string, to: string}>} Edges with type-specific extras
+ */
+export const computeBoardEdges = (elements) => {
+  if (!elements.length) return [];
+  const edges = [];
+  const items = [...elements].sort((a, b) => a.index - b.index);
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i];
+      const b = items[j];
+      const ac = centerOf(a);
+      const bc = centerOf(b);
+      const dx = bc.x - ac.x;
+      const dy = bc.y - ac.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist < SPATIAL_CONSTANTS.NEAR_DISTANCE) {
+        edges.push({ type: "NEAR", from: a.externalId, to: b.externalId, distance: dist });
+      }
+      const overlapX = Math.max(0, Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x));
+      const overlapY = Math.max(0, Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y));
+      const isAlignedH = overlapY > 0;
+      const isAlignedV = overlapX > 0;
+      if (isAlignedH) {
+        const gap = b.x - (a.x + a.w);
+        if (gap > 0 && gap < SPATIAL_CONSTANTS.DIRECTIONAL_GAP)
+          edges.push({
+            type: "DIRECTIONAL",
+            from: a.externalId,
+            to: b.externalId,
+            dir: "E",
+            gap,
+            overlap: overlapY,
+          });
+        const gapL = a.x - (b.x + b.w);
+        if (gapL > 0 && gapL < SPATIAL_CONSTANTS.DIRECTIONAL_GAP)
+          edges.push({
+            type: "DIRECTIONAL",
+            from: b.externalId,
+            to: a.externalId,
+            dir: "E",
+            gap: gapL,
+            overlap: overlapY,
+          });
+      }
+      if (isAlignedV) {
+        const gap = b.y - (a.y + a.h);
+        if (gap > 0 && gap < SPATIAL_CONSTANTS.DIRECTIONAL_GAP)
+          edges.push({
+            type: "DIRECTIONAL",
+            from: a.externalId,
+            to: b.externalId,
+            dir: "S",
+            gap,
+            overlap: overlapX,
+          });
+        const gapT = a.y - (b.y + b.h);
+        if (gapT > 0 && gapT < SPATIAL_CONSTANTS.DIRECTIONAL_GAP)
+          edges.push({
+            type: "DIRECTIONAL",
+            from: b.externalId,
+            to: a.externalId,
+            dir: "S",
+            gap: gapT,
+            overlap: overlapX,
+          });
+      }
+    }
+  }
+  for (const el of elements) {
+    const ends = isConnectorKind(el) ? resolveConnectorEnds(el, elements) : null;
+    if (ends && ends.start && ends.end)
+      edges.push({
+        type: "FLOWS_TO",
+        from: ends.start,
+        to: ends.end,
+        via: el.externalId,
+      });
+    if (el.startBindingId)
+      edges.push({
+        type: "BINDS_TO",
+        from: el.externalId,
+        to: el.startBindingId,
+        kind: "arrow_start",
+      });
+    if (el.endBindingId)
+      edges.push({
+        type: "BINDS_TO",
+        from: el.externalId,
+        to: el.endBindingId,
+        kind: "arrow_end",
+      });
+    if (el.containerId) {
+      if (String(el.kind || "").toLowerCase() === "text")
+        edges.push({ type: "TEXT_OF", from: el.externalId, to: el.containerId });
+      else edges.push({ type: "CONTAINS", from: el.containerId, to: el.externalId });
+    }
+  }
+  // Frame children (CONTAINS) and Excalidraw group membership (BELONGS_TO_GROUP)
+  edges.push(...containmentEdges(elements));
+  return edges;
+};
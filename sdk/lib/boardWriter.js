@@ -0,0 +1,600 @@
+// Board write path shared by the canvas and MCP routes: delta application (cache → revision
+// log → Helix → snapshot) and server-side mutations built on top of it.
+
+import { findDeltaConflicts, normalizeDeletions } from "./deltaSync.js";
+import { buildExcalidrawScene, randomNonce, toExcalidrawElement } from "./excalidraw.js";
+import { markClustersStale } from "./incrementalClusters.js";
+import { debug } from "./logger.js";
+import { applyMutations } from "./mutations.js";
+import {
+  DEFAULT_TOMBSTONE_RETENTION_MS,
+  pruneTombstones,
+  serializeTombstones,
+  toTombstone,
+} from "./reconcile.js";
+import { appendRevisionEntry } from "./revisionLog.js";
+import { bumpBoardRevision, getBoardRevision } from "./revisions.js";
+import { containmentEdges, normalizeGroupIds } from "./structure.js";
+
+/**
+ * Creates the board writer for a set of runtime dependencies.
+ * @param {Object} deps - Runtime dependencies (same object the routes are mounted with)
+ * @returns {{recordRevision: Function, isConnectorItem: Function, tombstonesOf: Function, buryElements: Function, rewireStructure: Function, applyDelta: Function, mutate: Function, listDeleted: Function, restore: Function}}
+ */
+export const createBoardWriter = (deps) => {
+  const {
+    withBoardLock,
+    callHelix,
+    toElementsArray,
+    dedupeByExternalIdLatest,
+    MAX_ELEMENTS_PER_SYNC,
+    HELIX_SAFE_MODE,
+    storage,
+    clusterCache,
+    boardCache,
+    helixIdCache = new Map(),
+    saveBoardToDiskMulti,
+    saveBoardToDisk = async () => {},
+    schedulePersist,
+    hydrateBoardCacheFromDiskMulti,
+    normalizeElement,
+    toHelixElementParams,
+    changeFeed,
+    tombstoneCache = new Map(),
+    TOMBSTONE_RETENTION_MS = DEFAULT_TOMBSTONE_RETENTION_MS,
+  } = deps;
+
+  // Expired tombstones are dropped whenever a board's tombstones are read
+  const tombstonesOf = (boardId) => {
+    const id = String(boardId);
+    let tombstones = tombstoneCache.get(id);
+    if (!tombstones) {
+      tombstones = new Map();
+      tombstoneCache.set(id, tombstones);
+    }
+    pruneTombstones(tombstones, TOMBSTONE_RETENTION_MS);
+    return tombstones;
+  };
+
+  // Remembers removed elements so older copies from other clients cannot bring them back.
+  // `markers` are `{ id, version?, versionNonce? }`; missing versions fall back to `previous`.
+  // Re-deleting a buried element only raises its version; time, author and item are kept.
+  const buryElements = (boardId, markers, previous, revision, { userId } = {}) => {
+    const tombstones = tombstonesOf(boardId);
+    const now = Date.now();
+    for (const marker of markers) {
+      const item = previous.get(marker.id);
+      const buried = tombstones.get(marker.id);
+      tombstones.set(
+        marker.id,
+        toTombstone(
+          {
+            version: marker.version ?? item?.version,
+            versionNonce: marker.versionNonce ?? item?.versionNonce,
+          },
+          revision,
+          {
+            deletedAt: item || !buried ? now : buried.deletedAt,
+            deletedBy: item || !buried ? (userId ?? null) : buried.deletedBy,
+            item: item || buried?.item || null,
+          }
+        )
+      );
+    }
+  };
+
+  // Append-only revision history lives in the storage backend next to the board snapshots.
+  // Every accepted write passes through here, so this is also where the change feed is fed;
+  // `elements` are the Excalidraw elements as written (derived from the cache items otherwise).
+  const recordRevision = async (boardId, entry, { elements } = {}) => {
+    try {
+      await appendRevisionEntry(storage, boardId, entry);
+    } catch (e) {
+      console.warn(`[Sync] Failed to record revision for ${boardId}: ${e?.message || e}`);
+    }
+    changeFeed?.publish(boardId, "elements", {
+      revision: entry.revision,
+      full: entry.full === true,
+      changed:
+        elements || (entry.upserts || []).filter(Boolean).map((item) => toExcalidrawElement(item)),
+      deleted: (entry.deletedIds || []).map(String),
+      userId: entry.userId,
+    });
+  };
+
+  const isConnectorItem = (item) => {
+    const k = String(item?.kind || item?.type || "").toLowerCase();
+    return k === "arrow" || k === "line";
+  };
+
+  // Resolve Helix internal IDs for a board once; delta syncs keep the map current afterwards
+  const ensureHelixIds = async (boardId) => {
+    const id = String(boardId);
+    const known = helixIdCache.get(id);
+    if (known) return known;
+    const ids = new Map();
+    try {
+      const raw = await callHelix("getBoardElements", { boardExtId: id });
+      for (const el of dedupeByExternalIdLatest(toElementsArray(raw))) {
+        if (el?.externalId && el?.id) ids.set(String(el.externalId), String(el.id));
+      }
+    } catch {}
+    helixIdCache.set(id, ids);
+    return ids;
+  };
+
+  // Update in place when the internal ID is known so incident edges survive
+  const writeElementToHelix = async (boardId, ids, item) => {
+    const extId = String(item.externalId);
+    const params = toHelixElementParams(item);
+    const knownId = ids.get(extId);
+    let result;
+    if (knownId) {
+      try {
+        result = await callHelix("updateElementById", { elementId: knownId, ...params });
+      } catch {
+        ids.delete(extId);
+      }
+    }
+    if (!result) {
+      result = await callHelix("upsertElement", {
+        externalId: extId,
+        boardId: String(boardId),
+        ...params,
+      });
+    }
+    if (result?.el?.id) ids.set(extId, String(result.el.id));
+  };
+
+  const rewireConnector = async (ids, item) => {
+    const via = String(item.externalId);
+    await callHelix("deleteRelationalAlignmentsByVia", { viaExtId: via });
+    const sourceId = ids.get(String(item.startBindingId || ""));
+    const targetId = ids.get(String(item.endBindingId || ""));
+    if (sourceId && targetId) {
+      await callHelix("addRelationalAlignment", {
+        sourceId,
+        targetId,
+        via,
+        edgeLabel: String(item.text || ""),
+      });
+    }
+  };
+
+  // Frame/container children (CONTAINS) and group members (BELONGS_TO_GROUP) of cache items
+  const structureEdgesOf = (items) => [
+    ...items
+      .filter((item) => item.containerId && String(item.kind).toLowerCase() !== "text")
+      .map((item) => ({
+        type: "CONTAINS",
+        from: String(item.containerId),
+        to: String(item.externalId),
+      })),
+    ...containmentEdges(items),
+  ];
+
+  /**
+   * Rebuilds the stored CONTAINS and BELONGS_TO_GROUP edges of the given elements from the board
+   * items. Group edges point at the group's lowest ID, so every member of a group one of them is
+   * (or was, per `previous`) in is rebuilt too. Resolves internal IDs itself when `ids` is omitted.
+   * @param {string} boardId
+   * @param {Iterable<string>} extIds - Written or removed elements
+   * @param {Array<Object>} items - Board cache items after the write
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.previous] - Cache items of the elements before the write
+   * @param {Map<string, string>} [options.ids] - External ID -> Helix internal ID
+   */
+  const rewireStructure = async (boardId, extIds, items, { previous = [], ids } = {}) => {
+    const boardExtId = String(boardId);
+    const internal = ids || (await ensureHelixIds(boardExtId));
+    const touched = new Set(Array.from(extIds, String));
+    const groups = new Set(
+      [...items, ...previous]
+        .filter((item) => touched.has(String(item?.externalId)))
+        .flatMap((item) => normalizeGroupIds(item.groupIds))
+    );
+    for (const item of items) {
+      if (normalizeGroupIds(item.groupIds).some((groupId) => groups.has(groupId))) {
+        touched.add(String(item.externalId));
+      }
+    }
+    for (const extId of touched) {
+      if (!internal.has(extId)) continue;
+      await callHelix("deleteStructureEdgesForElement", { boardExtId, elementExtId: extId });
+    }
+    for (const edge of structureEdgesOf(items)) {
+      if (!touched.has(edge.from) && !touched.has(edge.to)) continue;
+      const sourceId = internal.get(edge.from);
+      const targetId = internal.get(edge.to);
+      if (!sourceId || !targetId) continue;
+      if (edge.type === "CONTAINS") await callHelix("addContains", { sourceId, targetId });
+      else await callHelix("addGroupMembership", { sourceId, targetId, level: edge.level });
+    }
+  };
+
+  const dropElementFromHelix = async (boardId, ids, extId) => {
+    const boardExtId = String(boardId);
+    const steps = [
+      ["deleteRelationalAlignmentsByVia", { viaExtId: extId }],
+      ["deleteRelationalAlignmentsForElement", { boardExtId, elementExtId: extId }],
+      ["deleteSemanticRelationsForElement", { boardExtId, elementExtId: extId }],
+      ["deleteSpatialAlignmentsForElement", { boardExtId, elementExtId: extId }],
+      ["deleteStructureEdgesForElement", { boardExtId, elementExtId: extId }],
+      ["deleteElement", { boardExtId, elementExtId: extId }],
+    ];
+    for (const [query, params] of steps) {
+      try {
+        await callHelix(query, params);
+      } catch {}
+    }
+    ids.delete(extId);
+  };
+
+  const persistBoard = async (boardId) => {
+    if (typeof schedulePersist === "function") {
+      schedulePersist(boardId);
+    } else if (typeof saveBoardToDiskMulti === "function") {
+      await saveBoardToDiskMulti(boardId);
+    } else {
+      await saveBoardToDisk(boardId);
+    }
+  };
+
+  // Delta protocol: { baseRevision, changed: [...elements], deleted: [...ids | {id, version, versionNonce}] }
+  // Only the touched elements are written to Helix; stale writes are rejected as a whole with 409.
+  // Resolves to `{ status, body }`; `extra` is merged into a successful body.
+  const applyDelta = async (boardId, delta, { userId, extra = {} } = {}) => {
+    const id = String(boardId);
+    const baseRevision = Number(delta.baseRevision);
+    if (!Number.isFinite(baseRevision) || baseRevision < 0) {
+      return { status: 400, body: { error: "Missing or invalid delta.baseRevision" } };
+    }
+    const changed = Array.isArray(delta.changed) ? delta.changed.filter((el) => el?.id) : [];
+    const deleted = normalizeDeletions(delta.deleted);
+    if (changed.length + deleted.length > MAX_ELEMENTS_PER_SYNC) {
+      return { status: 422, body: { error: `Too many elements. Max ${MAX_ELEMENTS_PER_SYNC}` } };
+    }
+
+    return await withBoardLock(id, async () => {
+      if (!boardCache.has(id) && typeof hydrateBoardCacheFromDiskMulti === "function") {
+        await hydrateBoardCacheFromDiskMulti(id);
+      }
+      const boardMap = boardCache.get(id) || new Map();
+      const revision = getBoardRevision(id);
+      if (baseRevision > revision) {
+        // Client is ahead of the server (e.g. state lost on restart) → realign with a full snapshot
+        return {
+          status: 409,
+          body: {
+            error: "Unknown base revision",
+            details: { revision, conflicts: [], requestFullSnapshot: true },
+          },
+        };
+      }
+
+      // Elements flagged isDeleted travel as deletions
+      const upserts = [];
+      const deletions = [...deleted];
+      for (const el of changed) {
+        if (el.isDeleted === true) {
+          deletions.push({ id: String(el.id), version: el.version, versionNonce: el.versionNonce });
+        } else {
+          upserts.push(el);
+        }
+      }
+
+      const tombstones = tombstonesOf(id);
+      const conflicts = findDeltaConflicts({
+        boardMap,
+        tombstones,
+        baseRevision,
+        changed: upserts,
+        deleted: deletions,
+      });
+      if (conflicts.length > 0) {
+        return {
+          status: 409,
+          body: {
+            error: "Stale write rejected",
+            details: { revision, conflicts, requestFullSnapshot: false },
+          },
+        };
+      }
+      if (upserts.length === 0 && deletions.length === 0) {
+        return {
+          status: 200,
+          body: { success: true, revision, upserts: 0, deleted: 0, conflicts: [], ...extra },
+        };
+      }
+
+      // Pre-write items of every touched element, for rebuilding the groups they leave
+      const previous = [...upserts.map((el) => String(el.id)), ...deletions.map((m) => m.id)]
+        .map((extId) => boardMap.get(extId))
+        .filter(Boolean);
+      const touched = [];
+      for (const el of upserts) {
+        const normalized = normalizeElement({
+          ...el,
+          externalId: el.id,
+          boardId: id,
+          kind: el.type,
+        });
+        if (!normalized) continue;
+        boardMap.set(normalized.externalId, normalized);
+        tombstones.delete(normalized.externalId);
+        touched.push(normalized.externalId);
+      }
+      const removedIds = [];
+      const removed = new Map();
+      for (const marker of deletions) {
+        const item = boardMap.get(marker.id);
+        if (boardMap.delete(marker.id)) {
+          removedIds.push(marker.id);
+          removed.set(marker.id, item);
+        }
+      }
+      boardCache.set(id, boardMap);
+      markClustersStale(clusterCache, id);
+      const nextRevision = bumpBoardRevision(id, touched);
+      buryElements(
+        id,
+        deletions.filter((marker) => removed.has(marker.id)),
+        removed,
+        nextRevision,
+        { userId }
+      );
+      const written = new Set(touched);
+      await recordRevision(
+        id,
+        {
+          revision: nextRevision,
+          upserts: touched.map((extId) => boardMap.get(extId)),
+          deletedIds: removedIds,
+          userId,
+        },
+        { elements: upserts.filter((el) => written.has(String(el.id))) }
+      );
+
+      if (!HELIX_SAFE_MODE) {
+        const ids = await ensureHelixIds(id);
+        for (const marker of deletions) {
+          await dropElementFromHelix(id, ids, marker.id);
+        }
+        // Write nodes before connectors so arrow endpoints resolve to internal IDs
+        const connectors = [];
+        for (const extId of touched) {
+          const item = boardMap.get(extId);
+          try {
+            await writeElementToHelix(id, ids, item);
+          } catch (e) {
+            console.warn(`[Sync] Delta write failed for ${extId}: ${e?.message || e}`);
+            continue;
+          }
+          if (isConnectorItem(item)) connectors.push(item);
+        }
+        for (const item of connectors) {
+          try {
+            await rewireConnector(ids, item);
+          } catch (e) {
+            console.warn(
+              `[Sync] Relational edge for ${item.externalId} failed: ${e?.message || e}`
+            );
+          }
+        }
+        try {
+          await rewireStructure(id, [...touched, ...removedIds], Array.from(boardMap.values()), {
+            previous,
+            ids,
+          });
+        } catch (e) {
+          console.warn(`[Sync] Structure edges for ${id} failed: ${e?.message || e}`);
+        }
+      }
+
+      await persistBoard(id);
+
+      debug(`[Sync] Delta applied to ${id}: rev ${revision} → ${nextRevision}`);
+      return {
+        status: 200,
+        body: {
+          success: true,
+          revision: nextRevision,
+          upserts: touched.length,
+          deleted: removedIds.length,
+          conflicts: [],
+          ...extra,
+        },
+      };
+    });
+  };
+
+  const readScene = async (boardId) => {
+    try {
+      return (await storage.getBoard(boardId))?.excalidrawData || null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Keeps the persisted `excalidrawData` identical to what mutation responses hand to clients
+  const persistScene = async (boardId, elements) => {
+    try {
+      const board = (await storage.getBoard(boardId)) || { id: boardId };
+      const items = Array.from((boardCache.get(boardId) || new Map()).values());
+      const written = new Map(elements.map((el) => [el.id, el]));
+      const previous = board.excalidrawData || null;
+      const merged = {
+        ...(previous || {}),
+        elements: [
+          ...(previous?.elements || []).filter((el) => !written.has(el.id)),
+          ...elements.filter((el) => !el.isDeleted),
+        ],
+      };
+      await storage.putBoard(boardId, {
+        ...board,
+        items,
+        revision: getBoardRevision(boardId),
+        savedAt: Date.now(),
+        excalidrawData: buildExcalidrawScene(items, merged),
+        tombstones: serializeTombstones(tombstonesOf(boardId)),
+      });
+    } catch (e) {
+      console.warn(`[Mutate] Failed to persist scene for ${boardId}: ${e?.message || e}`);
+    }
+  };
+
+  /**
+   * Applies mutation operations (see lib/mutations.js) and writes the result as a delta.
+   * Resolves to `{ status, body }`; a successful body carries the Excalidraw `elements`
+   * that changed plus a `patch` in the delta sync format.
+   */
+  const mutate = async (boardId, operations, { baseRevision, userId, newId } = {}) => {
+    const id = String(boardId);
+    if (!boardCache.has(id) && typeof hydrateBoardCacheFromDiskMulti === "function") {
+      await hydrateBoardCacheFromDiskMulti(id);
+    }
+    const items = Array.from((boardCache.get(id) || new Map()).values());
+    const scene = buildExcalidrawScene(items, await readScene(id));
+    const current = new Map(scene.elements.map((el) => [el.id, el]));
+    const revision = getBoardRevision(id);
+
+    let outcome;
+    try {
+      outcome = applyMutations(current, operations, { newId });
+    } catch (e) {
+      if (e?.status === 400) {
+        return {
+          status: 400,
+          body: { error: "Invalid mutation", details: { message: e.message, ...e.details } },
+        };
+      }
+      throw e;
+    }
+
+    const pinned = baseRevision !== undefined && baseRevision !== null;
+    const base = pinned ? Number(baseRevision) : revision;
+    if (pinned && base <= revision) {
+      // Operations are computed from the server copy, so versions alone cannot flag an edit
+      // made on an older view; any touched element written after `baseRevision` conflicts
+      const conflicts = findDeltaConflicts({
+        boardMap: boardCache.get(id) || new Map(),
+        baseRevision: base,
+        changed: outcome.changed.filter((el) => current.has(el.id)).map((el) => ({ id: el.id })),
+        deleted: [],
+      });
+      if (conflicts.length > 0) {
+        return {
+          status: 409,
+          body: {
+            error: "Stale write rejected",
+            details: { revision, conflicts, requestFullSnapshot: false },
+          },
+        };
+      }
+    }
+    const result = await applyDelta(
+      id,
+      { baseRevision: base, changed: outcome.changed },
+      {
+        userId,
+        extra: {
+          created: outcome.created,
+          removed: outcome.deleted,
+          results: outcome.results,
+          elements: outcome.changed,
+        },
+      }
+    );
+    if (result.status !== 200) return result;
+    await persistScene(id, outcome.changed);
+    result.body.patch = {
+      baseRevision: revision,
+      revision: result.body.revision,
+      changed: outcome.changed.filter((el) => !el.isDeleted),
+      deleted: outcome.deleted,
+    };
+    return result;
+  };
+
+  /**
+   * Lists a board's deleted elements that are still within the retention window, newest first.
+   * @returns {Promise<Array<Object>>} `{ id, type, text, version, revision, deletedAt, deletedBy, expiresAt, restorable }`
+   */
+  const listDeleted = async (boardId) => {
+    const id = String(boardId);
+    if (!boardCache.has(id) && typeof hydrateBoardCacheFromDiskMulti === "function") {
+      await hydrateBoardCacheFromDiskMulti(id);
+    }
+    return Array.from(tombstonesOf(id), ([extId, tombstone]) => ({
+      id: extId,
+      type: tombstone.item?.kind || null,
+      text: tombstone.item?.text || "",
+      version: tombstone.version,
+      revision: tombstone.revision,
+      deletedAt: tombstone.deletedAt,
+      deletedBy: tombstone.deletedBy,
+      expiresAt: tombstone.deletedAt + TOMBSTONE_RETENTION_MS,
+      restorable: Boolean(tombstone.item),
+    })).sort((a, b) => b.deletedAt - a.deletedAt);
+  };
+
+  /**
+   * Brings deleted elements back from their tombstones. Each element is re-created one
+   * version above its tombstone, so clients drop their deleted copy, and is written as a delta.
+   * Resolves to `{ status, body }`; IDs without a restorable tombstone are listed in `missing`.
+   */
+  const restore = async (boardId, elementIds, { userId } = {}) => {
+    const id = String(boardId);
+    if (!boardCache.has(id) && typeof hydrateBoardCacheFromDiskMulti === "function") {
+      await hydrateBoardCacheFromDiskMulti(id);
+    }
+    const boardMap = boardCache.get(id) || new Map();
+    const tombstones = tombstonesOf(id);
+    const requested = new Set(elementIds.map(String));
+    // A container's label is a separate text element; bring it back with the container
+    for (const [extId, tombstone] of tombstones) {
+      const containerId = String(tombstone.item?.containerId || "");
+      if (containerId && requested.has(containerId)) requested.add(extId);
+    }
+    const elements = [];
+    const missing = [];
+    for (const extId of requested) {
+      const tombstone = tombstones.get(extId);
+      if (boardMap.has(extId) || !tombstone?.item) {
+        missing.push(extId);
+        continue;
+      }
+      elements.push({
+        ...toExcalidrawElement(tombstone.item),
+        version: tombstone.version + 1,
+        versionNonce: randomNonce(),
+        isDeleted: false,
+        updated: Date.now(),
+      });
+    }
+    if (elements.length === 0) {
+      return { status: 404, body: { error: "Nothing to restore", details: { missing } } };
+    }
+    const result = await applyDelta(
+      id,
+      { baseRevision: getBoardRevision(id), changed: elements },
+      { userId, extra: { restored: elements.map((el) => el.id), missing, elements } }
+    );
+    if (result.status === 200) await persistScene(id, elements);
+    return result;
+  };
+
+  return {
+    recordRevision,
+    isConnectorItem,
+    tombstonesOf,
+    buryElements,
+    rewireStructure,
+    applyDelta,
+    mutate,
+    listDeleted,
+    restore,
+  };
+};
+
+export default createBoardWriter;
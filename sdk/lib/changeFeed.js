@@ -0,0 +1,136 @@
+// Per-board change feed: fans board events out to live subscribers (see GET /api/canvas/events).
+//
+// Events are numbered per board and the most recent ones are kept in memory, so a client that
+// reconnects with `Last-Event-ID` receives what it missed. When the gap is older than the
+// backlog it gets a `resync` event and should fall back to a full sync. The feed is process
+// local; multi-process deployments need sticky sessions for the event stream.
+
+export const CHANGE_EVENT_TYPES = ["elements", "clusters", "highlight"];
+
+const CLUSTER_FAMILIES = ["semantic", "distance", "relational", "group"];
+
+/**
+ * Creates an in-process change feed.
+ * @param {Object} [options]
+ * @param {number} [options.backlog=200] - Events kept per board for replay
+ * @returns {{publish: Function, subscribe: Function, subscriberCount: Function, lastEventId: Function}}
+ */
+export const createChangeFeed = ({ backlog = 200 } = {}) => {
+  const boards = new Map(); // boardId -> { seq, recent, listeners }
+
+  const boardOf = (boardId) => {
+    const id = String(boardId);
+    let board = boards.get(id);
+    if (!board) {
+      board = { seq: 0, recent: [], listeners: new Set() };
+      boards.set(id, board);
+    }
+    return board;
+  };
+
+  /**
+   * Publishes an event to every subscriber of the board.
+   * @param {string} boardId - Board identifier
+   * @param {string} type - Event type (see CHANGE_EVENT_TYPES)
+   * @param {Object} data - Event payload
+   * @returns {Object} The event `{ id, boardId, type, at, data }`
+   */
+  const publish = (boardId, type, data = {}) => {
+    const board = boardOf(boardId);
+    const event = { id: ++board.seq, boardId: String(boardId), type, at: Date.now(), data };
+    board.recent.push(event);
+    if (board.recent.length > backlog) board.recent.shift();
+    for (const listener of board.listeners) {
+      try {
+        listener(event);
+      } catch (e) {
+        console.warn(`[Feed] Subscriber failed for ${boardId}: ${e?.message || e}`);
+      }
+    }
+    return event;
+  };
+
+  /**
+   * Subscribes to a board's events.
+   * @param {string} boardId - Board identifier
+   * @param {Function} listener - Called with each event
+   * @param {Object} [options]
+   * @param {number} [options.since] - Last event ID the caller saw; missed events are replayed
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (boardId, listener, { since } = {}) => {
+    const board = boardOf(boardId);
+    const last = Number(since);
+    if (Number.isFinite(last) && last >= 0 && last < board.seq) {
+      const oldest = board.recent[0]?.id ?? board.seq + 1;
+      if (last + 1 < oldest) {
+        listener({
+          id: board.seq,
+          boardId: String(boardId),
+          type: "resync",
+          at: Date.now(),
+          data: { reason: "backlog_exceeded" },
+        });
+      } else {
+        for (const event of board.recent) if (event.id > last) listener(event);
+      }
+    }
+    board.listeners.add(listener);
+    return () => board.listeners.delete(listener);
+  };
+
+  const subscriberCount = (boardId) => boards.get(String(boardId))?.listeners.size || 0;
+
+  const lastEventId = (boardId) => boards.get(String(boardId))?.seq || 0;
+
+  return { publish, subscribe, subscriberCount, lastEventId };
+};
+
+/**
+ * Maps each element to the cluster it belongs to in every family of an `/api/clusters` result.
+ * @param {Object} result - Cluster analysis result
+ * @returns {Map<string, Object>} Element ID -> `{ semantic, distance, relational, group }`
+ */
+export const clusterAssignmentsOf = (result) => {
+  const assignments = new Map();
+  for (const family of CLUSTER_FAMILIES) {
+    for (const cluster of result?.[`${family}_clusters`] || []) {
+      for (const memberId of cluster.member_ids || []) {
+        const id = String(memberId);
+        const entry = assignments.get(id) || {
+          semantic: null,
+          distance: null,
+          relational: null,
+          group: null,
+        };
+        // Nested frames list an element more than once; the first (outermost) cluster wins
+        if (entry[family] === null) entry[family] = String(cluster.id);
+        assignments.set(id, entry);
+      }
+    }
+  }
+  return assignments;
+};
+
+/**
+ * Lists the elements whose cluster assignment differs between two analyses.
+ * @param {Map<string, Object>} previous - Output of `clusterAssignmentsOf`
+ * @param {Map<string, Object>} next - Output of `clusterAssignmentsOf`
+ * @returns {{changed: Array<Object>, removed: Array<string>}}
+ */
+export const diffClusterAssignments = (previous, next) => {
+  const changed = [];
+  for (const [id, entry] of next) {
+    const before = previous.get(id);
+    if (!before || CLUSTER_FAMILIES.some((family) => before[family] !== entry[family])) {
+      changed.push({ id, ...entry });
+    }
+  }
+  const removed = Array.from(previous.keys()).filter((id) => !next.has(id));
+  return { changed, removed };
+};
+
+// Shared by the server routes and the SDK façade
+export const changeFeed = createChangeFeed();
+
+export default changeFeed;
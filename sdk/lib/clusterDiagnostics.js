@@ -0,0 +1,189 @@
+// Cluster quality diagnostics.
+//
+// An analysis records a trace as it runs: how long each phase took, where the vectors came from,
+// and which elements were left out and why. `/api/clusters` with `diagnostics: true` turns the
+// trace and the result into a report with per-cluster cohesion and silhouette scores, which is
+// what tuning thresholds (lib/clusterOptions.js) and debugging a bad grouping need.
+
+import { CLUSTER_CONSTANTS } from "./helpers.js";
+import { cosineSimilarity } from "./utils.js";
+
+const FAMILIES = ["semantic", "distance", "relational", "group"];
+
+const round = (value, digits = 3) =>
+  value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+
+const centerOf = (el) => {
+  const w = Number(el?.w || el?.width || 0);
+  const h = Number(el?.h || el?.height || 0);
+  return { x: Number(el?.x || 0) + w / 2, y: Number(el?.y || 0) + h / 2 };
+};
+
+/**
+ * Measures how long each phase of an analysis takes. A phase lasts from the previous lap.
+ * @param {() => number} [now] - Clock in milliseconds (default performance.now)
+ * @returns {{lap: (phase: string) => void, timings: () => Object}} `timings()` gives the time per
+ *   phase and the `total`, in milliseconds
+ */
+export const createPhaseTimer = (now = () => performance.now()) => {
+  const start = now();
+  let last = start;
+  const phases = {};
+  return {
+    lap(phase) {
+      const t = now();
+      phases[phase] = round((phases[phase] || 0) + (t - last), 1);
+      last = t;
+    },
+    timings: () => ({ ...phases, total: round(last - start, 1) }),
+  };
+};
+
+/**
+ * Cohesion of one cluster.
+ * @param {Array<string>} memberIds - Cluster members
+ * @param {Object} context
+ * @param {Map<string, Array<number>>} context.vectors - Text vectors by element id
+ * @param {Map<string, Object>} context.elements - Elements (x/y and w/h) by id
+ * @returns {{mean_similarity: number|null, spatial_spread: number|null}} Mean pairwise cosine of
+ *   the members that have text (null below two), and the mean distance of member centres from
+ *   their centroid in px
+ */
+export const clusterCohesion = (memberIds, { vectors, elements }) => {
+  const withVectors = memberIds.map((id) => vectors.get(id)).filter(Boolean);
+  let sum = 0;
+  let pairs = 0;
+  for (let i = 0; i < withVectors.length; i++) {
+    for (let j = i + 1; j < withVectors.length; j++) {
+      sum += cosineSimilarity(withVectors[i], withVectors[j]);
+      pairs++;
+    }
+  }
+  const centers = memberIds
+    .map((id) => elements.get(id))
+    .filter(Boolean)
+    .map(centerOf);
+  const cx = centers.reduce((acc, c) => acc + c.x, 0) / centers.length;
+  const cy = centers.reduce((acc, c) => acc + c.y, 0) / centers.length;
+  const spread = centers.length
+    ? centers.reduce((acc, c) => acc + Math.hypot(c.x - cx, c.y - cy), 0) / centers.length
+    : null;
+  return {
+    mean_similarity: pairs ? round(sum / pairs) : null,
+    spatial_spread: round(spread, 1),
+  };
+};
+
+/**
+ * Silhouette scores of a partition: for each member, how much closer it is to its own cluster
+ * than to the nearest other one, from -1 (misplaced) to 1 (well separated).
+ * @param {Array<Array<string>>} clusters - Disjoint member id lists
+ * @param {(a: string, b: string) => number} distance - Distance between two members
+ * @param {Object} [options]
+ * @param {number} [options.maxMembers] - Larger partitions are not scored, since the cost is
+ *   quadratic (default CLUSTER_CONSTANTS.DIAGNOSTICS_MAX_MEMBERS)
+ * @returns {{score: number|null, clusters: Array<number|null>}} Mean over all members and per
+ *   cluster; null with fewer than two clusters or too many members
+ */
+export const silhouetteScores = (
+  clusters,
+  distance,
+  { maxMembers = CLUSTER_CONSTANTS.DIAGNOSTICS_MAX_MEMBERS } = {}
+) => {
+  const members = clusters.reduce((acc, c) => acc + c.length, 0);
+  if (clusters.length < 2 || members > maxMembers) {
+    return { score: null, clusters: clusters.map(() => null) };
+  }
+  const meanDistance = (id, others) => {
+    let sum = 0;
+    let count = 0;
+    for (const other of others) {
+      if (other === id) continue;
+      sum += distance(id, other);
+      count++;
+    }
+    return count ? sum / count : 0;
+  };
+  let total = 0;
+  const perCluster = clusters.map((own, c) => {
+    let sum = 0;
+    for (const id of own) {
+      const a = meanDistance(id, own);
+      const b = Math.min(
+        ...clusters.filter((_, o) => o !== c).map((other) => meanDistance(id, other))
+      );
+      const s = Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+      sum += s;
+    }
+    total += sum;
+    return round(sum / own.length);
+  });
+  return { score: round(total / members), clusters: perCluster };
+};
+
+/**
+ * Builds the diagnostics report of an analysis.
+ * @param {Object} result - `/api/clusters` result
+ * @param {Object} [trace] - Recorded by the analysis: { timings, embedding, summaries, excluded,
+ *   elements, vectors, elementTypeCounts }; an empty board has none
+ * @param {Object} [options]
+ * @param {boolean} [options.cached=false] - The result was served from the cache
+ * @returns {Object} { cached, timings_ms, embedding, summaries, element_type_counts, excluded,
+ *   excluded_counts, clusters, silhouette }
+ */
+export const buildClusterDiagnostics = (result, trace, { cached = false } = {}) => {
+  const vectors = trace?.vectors || new Map();
+  const elements = trace?.elements || new Map();
+
+  // Texts that reached no semantic cluster, when semantic clusters were computed
+  const excluded = [...(trace?.excluded || [])];
+  if (result.options?.clusterTypes?.includes("semantic")) {
+    const clustered = new Set(result.semantic_clusters.flatMap((c) => c.member_ids));
+    for (const id of vectors.keys()) {
+      if (clustered.has(id) || !elements.has(id)) continue;
+      excluded.push({ id, kind: String(elements.get(id).kind || ""), reason: "unclustered" });
+    }
+  }
+  const excludedCounts = {};
+  for (const { reason } of excluded) excludedCounts[reason] = (excludedCounts[reason] || 0) + 1;
+
+  const centers = new Map();
+  const centerFor = (id) => {
+    if (!centers.has(id)) centers.set(id, centerOf(elements.get(id)));
+    return centers.get(id);
+  };
+  const silhouette = {
+    semantic: silhouetteScores(
+      result.semantic_clusters.map((c) => c.member_ids.filter((id) => vectors.has(id))),
+      (a, b) => 1 - cosineSimilarity(vectors.get(a), vectors.get(b))
+    ),
+    distance: silhouetteScores(
+      result.distance_clusters.map((c) => c.member_ids),
+      (a, b) => Math.hypot(centerFor(a).x - centerFor(b).x, centerFor(a).y - centerFor(b).y)
+    ),
+  };
+
+  const clusters = {};
+  for (const family of FAMILIES) {
+    clusters[family] = result[`${family}_clusters`].map((c, i) => ({
+      id: c.id,
+      member_count: c.member_count,
+      ...clusterCohesion(c.member_ids, { vectors, elements }),
+      silhouette: silhouette[family]?.clusters[i] ?? null,
+    }));
+  }
+
+  return {
+    cached,
+    timings_ms: trace?.timings || {},
+    embedding: trace?.embedding || null,
+    summaries: trace?.summaries || null,
+    element_type_counts: trace?.elementTypeCounts || {},
+    excluded,
+    excluded_counts: excludedCounts,
+    clusters,
+    silhouette: { semantic: silhouette.semantic.score, distance: silhouette.distance.score },
+  };
+};
+
+export default buildClusterDiagnostics;
@@ -0,0 +1,279 @@
+// Multi-resolution view of a cluster analysis: the flat semantic/distance/relational/group lists
+// arranged into one tree under a board summary node.
+//
+// A cluster nests under the smallest other cluster holding HIERARCHY_CONTAINMENT of its members
+// (distance clusters inside frames, frames inside relational components, ...). Relational
+// components larger than HIERARCHY_SPLIT_SIZE are additionally split into sub-clusters by
+// modularity (Louvain), with ids like "r_3.1".
+
+import { CLUSTER_CONSTANTS } from "./helpers.js";
+
+export const HIERARCHY_ROOT_ID = "board";
+
+// Broader cluster types rank first; breaks ties between clusters with identical members
+const TYPE_RANK = { group: 0, relational: 1, subcluster: 2, distance: 3, semantic: 4 };
+
+const byId = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Louvain community detection over an undirected, unweighted graph. Nodes are visited in sorted
+ * order and ties go to the lowest community, so the same graph always yields the same split.
+ * @param {Array<string>} nodeIds - Nodes to partition
+ * @param {Map<string, Set<string>>} adjacency - Neighbour sets; edges leaving `nodeIds` are ignored
+ * @returns {Array<Array<string>>} Communities (sorted ids), largest first
+ */
+export const splitCommunities = (nodeIds, adjacency) => {
+  const nodes = [...new Set(nodeIds.map(String))].sort(byId);
+  const inside = new Set(nodes);
+  // weights: node -> Map<node, weight>; self-loops hold the weight of collapsed internal edges
+  let weights = new Map(nodes.map((id) => [id, new Map()]));
+  for (const id of nodes) {
+    for (const other of adjacency.get(id) || []) {
+      const n = String(other);
+      if (n !== id && inside.has(n)) weights.get(id).set(n, 1);
+    }
+  }
+  // Original node -> node of the current (aggregated) graph
+  const membership = new Map(nodes.map((id) => [id, id]));
+
+  for (;;) {
+    const ids = [...weights.keys()].sort(byId);
+    const degree = new Map(
+      ids.map((id) => [id, [...weights.get(id).values()].reduce((s, w) => s + w, 0)])
+    );
+    const total = [...degree.values()].reduce((s, d) => s + d, 0);
+    if (total === 0) break;
+    const community = new Map(ids.map((id) => [id, id]));
+    const tot = new Map(degree);
+
+    let moved = false;
+    for (let improved = true; improved; ) {
+      improved = false;
+      for (const id of ids) {
+        const current = community.get(id);
+        const k = degree.get(id);
+        const links = new Map();
+        for (const [n, w] of weights.get(id)) {
+          if (n === id) continue;
+          const c = community.get(n);
+          links.set(c, (links.get(c) || 0) + w);
+        }
+        tot.set(current, tot.get(current) - k);
+        let best = current;
+        let bestGain = (links.get(current) || 0) - (tot.get(current) * k) / total;
+        for (const c of [...links.keys()].sort(byId)) {
+          const gain = links.get(c) - (tot.get(c) * k) / total;
+          if (gain > bestGain + 1e-12) {
+            best = c;
+            bestGain = gain;
+          }
+        }
+        tot.set(best, tot.get(best) + k);
+        if (best !== current) {
+          community.set(id, best);
+          improved = true;
+          moved = true;
+        }
+      }
+    }
+    if (!moved) break;
+
+    // Collapse each community into one node and repeat on the smaller graph
+    const aggregated = new Map();
+    for (const id of ids) {
+      const c = community.get(id);
+      if (!aggregated.has(c)) aggregated.set(c, new Map());
+      const row = aggregated.get(c);
+      for (const [n, w] of weights.get(id)) {
+        const nc = community.get(n);
+        row.set(nc, (row.get(nc) || 0) + w);
+      }
+    }
+    weights = aggregated;
+    for (const [id, node] of membership) membership.set(id, community.get(node));
+  }
+
+  const groups = new Map();
+  for (const id of nodes) {
+    const c = membership.get(id);
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(id);
+  }
+  return [...groups.values()].sort((a, b) => b.length - a.length || byId(a[0], b[0]));
+};
+
+const labelOf = (cluster) =>
+  cluster.name ||
+  cluster.title ||
+  cluster.sample_texts?.[0] ||
+  `${cluster.member_count} ${cluster.container_kind || cluster.type} elements`;
+
+/**
+ * Splits large relational clusters into sub-clusters. A cluster is only split when at least two
+ * communities of two or more members come out; the rest stay directly under the cluster.
+ * @param {Array<Object>} relational - Formatted relational clusters
+ * @param {Map<string, Set<string>>} adjacency - Connector adjacency by external id
+ * @param {number} splitSize - Minimum member count to attempt a split
+ * @returns {Array<Object>} Sub-cluster nodes ({ id, parent, member_ids, sample_texts, ... })
+ */
+const splitRelational = (relational, adjacency, splitSize) => {
+  const out = [];
+  for (const cluster of relational) {
+    if (cluster.member_count <= splitSize) continue;
+    const communities = splitCommunities(cluster.member_ids, adjacency).filter((c) => c.length > 1);
+    if (communities.length < 2) continue;
+    const textById = new Map((cluster.members || []).map((m) => [m.id, m.label || m.text || ""]));
+    communities.forEach((memberIds, i) => {
+      out.push({
+        id: `${cluster.id}.${i + 1}`,
+        type: "subcluster",
+        parent: cluster.id,
+        member_count: memberIds.length,
+        member_ids: memberIds,
+        sample_texts: memberIds
+          .map((id) => String(textById.get(id) || "").trim())
+          .filter(Boolean)
+          .slice(0, 5),
+      });
+    });
+  }
+  return out;
+};
+
+/**
+ * Arranges formatted clusters into a tree rooted at a board summary node.
+ * @param {Object} options
+ * @param {Object} options.clusters - { group, relational, distance, semantic } formatted cluster lists
+ * @param {Map<string, Set<string>>} [options.adjacency] - Connector adjacency used to split relational clusters
+ * @param {number} [options.totalElements=0]
+ * @param {Object} [options.elementTypeCounts={}] - Element counts by kind for the board summary
+ * @param {number} [options.containment] - Share of members a parent must hold (default HIERARCHY_CONTAINMENT)
+ * @param {number} [options.splitSize] - Relational size that triggers sub-clustering (default HIERARCHY_SPLIT_SIZE)
+ * @returns {{root: string, depth: number, nodes: Array<Object>}} Nodes ordered root first, then by level
+ */
+export const buildClusterHierarchy = ({
+  clusters = {},
+  adjacency = new Map(),
+  totalElements = 0,
+  elementTypeCounts = {},
+  containment = CLUSTER_CONSTANTS.HIERARCHY_CONTAINMENT,
+  splitSize = CLUSTER_CONSTANTS.HIERARCHY_SPLIT_SIZE,
+}) => {
+  const group = clusters.group || [];
+  const relational = clusters.relational || [];
+  const distance = clusters.distance || [];
+  const semantic = clusters.semantic || [];
+  const subclusters = splitRelational(relational, adjacency, splitSize);
+
+  const candidates = [...group, ...relational, ...subclusters, ...distance, ...semantic].map(
+    (c) => ({
+      cluster: c,
+      id: c.id,
+      type: c.type,
+      rank: TYPE_RANK[c.type] ?? TYPE_RANK.semantic,
+      size: c.member_ids.length,
+      // A frame's own element belongs with its contents
+      members: new Set(
+        c.container_kind === "frame" ? [...c.member_ids, c.container_id] : c.member_ids
+      ),
+    })
+  );
+  // Parents must come strictly before their children in this order, which rules out cycles
+  const broader = (a, b) => a.size > b.size || (a.size === b.size && a.rank < b.rank);
+
+  const parentOf = new Map();
+  for (const node of candidates) {
+    if (node.cluster.parent) {
+      parentOf.set(node.id, node.cluster.parent);
+      continue;
+    }
+    let best = null;
+    for (const other of candidates) {
+      if (other === node || !broader(other, node) || node.size === 0) continue;
+      let shared = 0;
+      for (const id of node.members) if (other.members.has(id)) shared++;
+      if (shared / node.size < containment) continue;
+      if (!best || broader(best, other) || (!broader(other, best) && other.id < best.id)) {
+        best = other;
+      }
+    }
+    parentOf.set(node.id, best ? best.id : HIERARCHY_ROOT_ID);
+  }
+
+  const children = new Map([[HIERARCHY_ROOT_ID, []]]);
+  for (const node of candidates) children.set(node.id, []);
+  for (const node of candidates) children.get(parentOf.get(node.id)).push(node.id);
+
+  const root = {
+    id: HIERARCHY_ROOT_ID,
+    type: "board",
+    level: 0,
+    parent_id: null,
+    child_ids: children.get(HIERARCHY_ROOT_ID),
+    member_count: totalElements,
+    summary: {
+      clusters: {
+        semantic: semantic.length,
+        distance: distance.length,
+        relational: relational.length,
+        group: group.length,
+        subcluster: subclusters.length,
+      },
+      element_type_counts: elementTypeCounts,
+    },
+  };
+
+  const byNodeId = new Map(candidates.map((node) => [node.id, node]));
+  const nodes = [root];
+  let depth = 0;
+  // Breadth-first from the root so levels are final when a node is emitted
+  for (let i = 0; i < nodes.length; i++) {
+    const parent = nodes[i];
+    for (const childId of parent.child_ids) {
+      const node = byNodeId.get(childId);
+      const level = parent.level + 1;
+      depth = Math.max(depth, level);
+      nodes.push({
+        id: node.id,
+        type: node.type,
+        level,
+        parent_id: parent.id,
+        child_ids: children.get(node.id),
+        member_count: node.size,
+        label: labelOf(node.cluster),
+        ...(node.type === "subcluster"
+          ? { member_ids: node.cluster.member_ids, sample_texts: node.cluster.sample_texts }
+          : {}),
+      });
+    }
+  }
+
+  return { root: HIERARCHY_ROOT_ID, depth, nodes };
+};
+
+/**
+ * Recomputes the labels of a hierarchy's nodes from clusters that changed after it was built
+ * (e.g. once summaries gave them titles). Nodes of other clusters keep their label.
+ * @param {Object} hierarchy - Result of buildClusterHierarchy, updated in place
+ * @param {Array<Object>} clusters - Formatted clusters
+ * @returns {Object} The hierarchy
+ */
+export const relabelHierarchy = (hierarchy, clusters) => {
+  const byId = new Map(clusters.map((cluster) => [cluster.id, cluster]));
+  for (const node of hierarchy?.nodes || []) {
+    const cluster = byId.get(node.id);
+    if (cluster) node.label = labelOf(cluster);
+  }
+  return hierarchy;
+};
+
+/**
+ * Finds a node of a hierarchy by id.
+ * @param {Object} hierarchy - Result of buildClusterHierarchy
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export const findHierarchyNode = (hierarchy, id) =>
+  (hierarchy?.nodes || []).find((node) => node.id === String(id)) || null;
+
+export default buildClusterHierarchy;
@@ -0,0 +1,196 @@
+// Stable cluster ids across analyses.
+//
+// Each run's clusters are matched to the previous run's by member overlap (Jaccard), so a cluster
+// keeps its id while it is recognisably the same group. Ids come from a per-family counter that
+// only grows, so a retired id is never handed to a different group. Clusters with a natural key
+// (the frame or group behind a group cluster) keep their id while the key exists. Alongside the
+// ids, each run reports how clusters were created, retired, merged and split.
+
+import { CLUSTER_CONSTANTS } from "./helpers.js";
+
+export const CLUSTER_ID_PREFIXES = { semantic: "s", distance: "d", relational: "r", group: "g" };
+
+const numberOf = (id) => Number(String(id).split("_")[1]) || 0;
+
+const jaccard = (a, b) => {
+  let shared = 0;
+  for (const id of a) if (b.has(id)) shared++;
+  const union = a.size + b.size - shared;
+  return union ? shared / union : 0;
+};
+
+const overlap = (a, b) => {
+  let shared = 0;
+  for (const id of a) if (b.has(id)) shared++;
+  return shared;
+};
+
+/**
+ * Assigns ids to one family of clusters.
+ * @param {Object} options
+ * @param {string} options.prefix - Id prefix ("s", "d", "r" or "g")
+ * @param {Array<{id: string, member_ids: Array<string>, key?: string}>} [options.previous=[]] - Last run's clusters
+ * @param {Array<Array<string>>} options.next - Member ids of this run's clusters
+ * @param {Array<string>} [options.keys=[]] - Natural keys aligned with `next`; a matching key beats any overlap
+ * @param {number} [options.counter=0] - Highest id number issued so far
+ * @param {number} [options.minJaccard] - Overlap needed to keep an id (default IDENTITY_MIN_JACCARD)
+ * @returns {{ids: Array<string>, counter: number, lineage: Object}} `ids` aligned with `next`;
+ *   `lineage` is { created, retired, merged: [{ id, from }], split: [{ id, into }] }
+ */
+export const matchClusterIds = ({
+  prefix,
+  previous = [],
+  next,
+  keys = [],
+  counter = 0,
+  minJaccard = CLUSTER_CONSTANTS.IDENTITY_MIN_JACCARD,
+}) => {
+  const before = previous.map((c) => ({
+    id: String(c.id),
+    key: c.key ? String(c.key) : "",
+    members: new Set(c.member_ids),
+  }));
+  const after = next.map((memberIds) => new Set(memberIds.map(String)));
+  let issued = Math.max(counter, ...before.map((c) => numberOf(c.id)));
+
+  // Best overlaps first; ties go to the older id, then to the earlier new cluster
+  const pairs = [];
+  before.forEach((prev, p) => {
+    after.forEach((members, n) => {
+      const score = jaccard(prev.members, members);
+      if (score >= minJaccard) pairs.push({ p, n, score });
+    });
+  });
+  pairs.sort(
+    (a, b) => b.score - a.score || numberOf(before[a.p].id) - numberOf(before[b.p].id) || a.n - b.n
+  );
+  const ids = new Array(after.length).fill(null);
+  const kept = new Set();
+  before.forEach((prev, p) => {
+    const n = prev.key ? keys.indexOf(prev.key) : -1;
+    if (n >= 0 && ids[n] === null) {
+      ids[n] = prev.id;
+      kept.add(p);
+    }
+  });
+  for (const { p, n } of pairs) {
+    if (ids[n] !== null || kept.has(p)) continue;
+    ids[n] = before[p].id;
+    kept.add(p);
+  }
+  const created = [];
+  for (let n = 0; n < ids.length; n++) {
+    if (ids[n] === null) {
+      ids[n] = `${prefix}_${++issued}`;
+      created.push(ids[n]);
+    }
+  }
+
+  // Most of each source went into the merged cluster / most of each part came from the split one
+  const merged = [];
+  after.forEach((members, n) => {
+    const from = before
+      .filter((prev) => overlap(prev.members, members) * 2 >= prev.members.size)
+      .map((prev) => prev.id);
+    if (from.length > 1) merged.push({ id: ids[n], from });
+  });
+  const split = [];
+  for (const prev of before) {
+    const into = after
+      .map((members, n) => (overlap(prev.members, members) * 2 >= members.size ? ids[n] : null))
+      .filter(Boolean);
+    if (into.length > 1) split.push({ id: prev.id, into });
+  }
+
+  return {
+    ids,
+    counter: issued,
+    lineage: {
+      created,
+      retired: before.filter((_, p) => !kept.has(p)).map((prev) => prev.id),
+      merged,
+      split,
+    },
+  };
+};
+
+/**
+ * Assigns ids to every cluster family of an analysis.
+ * @param {Object} options
+ * @param {Object} [options.state] - Saved state from the last run ({ counters, clusters }), if any
+ * @param {Object} options.next - Member id lists by family: { semantic, distance, relational, group };
+ *   a family left out was not computed and keeps its saved clusters
+ * @param {Object} [options.keys={}] - Natural keys by family, aligned with `next`
+ * @returns {{ids: Object, lineage: Object, state: Object}} Ids and lineage by family, plus the
+ *   state to save for the next run
+ */
+export const assignClusterIds = ({ state, next, keys = {} }) => {
+  const ids = {};
+  const lineage = {};
+  const counters = {};
+  const clusters = {};
+  for (const [family, prefix] of Object.entries(CLUSTER_ID_PREFIXES)) {
+    if (!next[family]) {
+      ids[family] = [];
+      lineage[family] = { created: [], retired: [], merged: [], split: [] };
+      counters[family] = Number(state?.counters?.[family] || 0);
+      clusters[family] = state?.clusters?.[family] || [];
+      continue;
+    }
+    const memberLists = next[family];
+    const matched = matchClusterIds({
+      prefix,
+      previous: state?.clusters?.[family] || [],
+      next: memberLists,
+      keys: keys[family] || [],
+      counter: Number(state?.counters?.[family] || 0),
+    });
+    ids[family] = matched.ids;
+    lineage[family] = matched.lineage;
+    counters[family] = matched.counter;
+    clusters[family] = memberLists.map((memberIds, i) => ({
+      id: matched.ids[i],
+      member_ids: memberIds.map(String),
+      ...(keys[family]?.[i] ? { key: String(keys[family][i]) } : {}),
+    }));
+  }
+  return { ids, lineage, state: { counters, clusters } };
+};
+
+/**
+ * Rebuilds the previous run's clusters from the cluster ids stored on elements, for boards
+ * analysed before identity state was saved. Group clusters are not stored on elements.
+ * @param {Array<Object>} elements - Board elements with semantic/distance/relationalClusterId
+ * @returns {Object} State in the shape returned by assignClusterIds
+ */
+export const clusterStateFromElements = (elements) => {
+  const props = {
+    semantic: "semanticClusterId",
+    distance: "distanceClusterId",
+    relational: "relationalClusterId",
+  };
+  const clusters = {};
+  for (const [family, prop] of Object.entries(props)) {
+    const byId = new Map();
+    for (const el of elements || []) {
+      const id = String(el?.[prop] || "");
+      if (!id) continue;
+      if (!byId.has(id)) byId.set(id, []);
+      byId.get(id).push(String(el.externalId));
+    }
+    clusters[family] = [...byId].map(([id, memberIds]) => ({ id, member_ids: memberIds }));
+  }
+  return { counters: {}, clusters };
+};
+
+/**
+ * True when a lineage report has anything in it.
+ * @param {Object} lineage - Lineage by family
+ * @returns {boolean}
+ */
+export const hasLineageChanges = (lineage) =>
+  Object.values(lineage || {}).some(
+    (l) => l.created.length || l.retired.length || l.merged.length || l.split.length
+  );
+
+export default assignClusterIds;
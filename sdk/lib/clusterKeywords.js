@@ -0,0 +1,117 @@
+// Offline cluster keywords.
+//
+// Labels clusters with the words and phrases that set them apart from the rest of the board,
+// without an LLM: each cluster's member texts form one document, and candidate terms are scored
+// by TF-IDF across the board's clusters. Candidates are words and n-grams of up to three words
+// that do not cross a stop word or a member boundary, so "reset password link" can be a keyword
+// but "password for the" cannot. This keeps labels meaningful when no LLM is configured
+// (see lib/clusterSummaries.js).
+
+import { CLUSTER_CONSTANTS } from "./helpers.js";
+
+// Function words, plus filler common on whiteboards
+export const STOP_WORDS = new Set(
+  [
+    "a about above after again against all also am an and any are as at be because been before",
+    "being below between both but by can could did do does doing down during each either etc",
+    "few for from further had has have having he her here hers herself him himself his how i if",
+    "in into is it its itself just let may me might more most must my myself no nor not now of",
+    "off on once only or other our ours ourselves out over own per same she should so some such",
+    "than that the their theirs them themselves then there these they this those through to too",
+    "under until up upon us very via vs was we were what when where which while who whom why will",
+    "with within without would yet you your yours yourself yourselves",
+    // Whiteboard filler
+    "e.g eg i.e ie new note notes misc tbd tbc todo untitled",
+  ]
+    .join(" ")
+    .split(" ")
+);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Splits a text into runs of content words. Stop words, single characters, bare numbers and
+ * punctuation end a run, so phrases never span them.
+ * @param {string} text
+ * @param {Set<string>} [stopWords=STOP_WORDS]
+ * @returns {Array<Array<string>>} Lower-cased word runs
+ */
+export const tokenizeRuns = (text, stopWords = STOP_WORDS) => {
+  const source = String(text || "");
+  const runs = [];
+  let run = [];
+  let end = 0;
+  const close = () => {
+    if (run.length) runs.push(run);
+    run = [];
+  };
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    if (/\S/.test(source.slice(end, match.index))) close();
+    end = match.index + match[0].length;
+    const word = match[0].toLowerCase().replace(/’/g, "'");
+    if (word.length < 2 || stopWords.has(word) || /^[\d.'-]+$/.test(word)) close();
+    else run.push(word);
+  }
+  close();
+  return runs;
+};
+
+// Term counts of one document (a cluster's texts), with every n-gram of each run
+const countTerms = (texts, { maxNgram, stopWords }) => {
+  const counts = new Map();
+  for (const text of texts) {
+    for (const run of tokenizeRuns(text, stopWords)) {
+      for (let n = 1; n <= maxNgram; n++) {
+        for (let i = 0; i + n <= run.length; i++) {
+          const term = run.slice(i, i + n).join(" ");
+          counts.set(term, (counts.get(term) || 0) + 1);
+        }
+      }
+    }
+  }
+  return counts;
+};
+
+// True when one term is a whole-word part of the other ("password" and "reset password")
+const overlaps = (a, b) => ` ${a} `.includes(` ${b} `) || ` ${b} `.includes(` ${a} `);
+
+/**
+ * Builds a keyword index over a board's clusters.
+ * @param {Array<Array<string>>} documents - Member texts of each cluster in the corpus
+ * @param {Object} [options]
+ * @param {number} [options.maxNgram=3] - Longest phrase, in words
+ * @param {Set<string>} [options.stopWords=STOP_WORDS]
+ * @returns {{keywordsFor: (texts: Array<string>, limit?: number) => Array<string>}} `keywordsFor`
+ *   ranks the terms of one cluster's texts (default CLUSTER_CONSTANTS.KEYWORDS_PER_CLUSTER)
+ */
+export const createKeywordIndex = (documents, { maxNgram = 3, stopWords = STOP_WORDS } = {}) => {
+  const documentFrequency = new Map();
+  for (const texts of documents) {
+    for (const term of countTerms(texts, { maxNgram, stopWords }).keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const total = documents.length;
+
+  const keywordsFor = (texts, limit = CLUSTER_CONSTANTS.KEYWORDS_PER_CLUSTER) => {
+    // Smoothed IDF, so a term in every cluster still counts a little; longer phrases are more
+    // specific and weigh more
+    const scored = [...countTerms(texts, { maxNgram, stopWords })].map(([term, count]) => {
+      const idf = Math.log((1 + total) / (1 + (documentFrequency.get(term) || 0))) + 1;
+      const words = term.split(" ").length;
+      return { term, score: (1 + Math.log(count)) * idf * Math.sqrt(words) };
+    });
+    scored.sort((a, b) => b.score - a.score || a.term.localeCompare(b.term));
+    // Highest first, skipping terms that repeat part of one already picked
+    const picked = [];
+    for (const { term } of scored) {
+      if (picked.length >= limit) break;
+      if (!picked.some((other) => overlaps(term, other))) picked.push(term);
+    }
+    return picked;
+  };
+
+  return { keywordsFor };
+};
+
+export default createKeywordIndex;
@@ -0,0 +1,89 @@
+// Tunable clustering parameters.
+//
+// The CLUSTER_CONSTANTS defaults suit a typical board, but a dense UI mockup and a sparse mind
+// map need very different thresholds. `/api/clusters` therefore takes an `options` object, and
+// each board can save its own defaults. A request's options override the board's defaults, which
+// override the constants; the resolved set is reported with the result, and a cached analysis is
+// only reused for the options it was computed with.
+
+import { z } from "zod";
+import { CLUSTER_CONSTANTS } from "./helpers.js";
+
+export const CLUSTER_TYPES = ["semantic", "distance", "relational", "group"];
+
+const optionsSchema = z
+  .object({
+    // Cosine similarity two texts need to be linked and clustered
+    similarityThreshold: z.number().min(0).max(1),
+    // Centre distance, relative to element size, below which two elements are neighbours
+    spatialTolerance: z.number().positive().max(10),
+    // Smallest semantic, distance or relational cluster reported; groups are kept at any size
+    minClusterSize: z.number().int().min(2).max(1000),
+    // Cluster families to compute; the others come back empty
+    clusterTypes: z.array(z.enum(CLUSTER_TYPES)).min(1),
+    // Element kinds that can be cluster members (null for all)
+    elementKinds: z.array(z.string().trim().min(1)).min(1).nullable(),
+  })
+  .partial()
+  .strict();
+
+export const DEFAULT_CLUSTER_OPTIONS = Object.freeze({
+  similarityThreshold: CLUSTER_CONSTANTS.SEMANTIC_SIMILARITY_THRESHOLD,
+  spatialTolerance: CLUSTER_CONSTANTS.DISTANCE_THRESHOLD,
+  minClusterSize: 2,
+  clusterTypes: CLUSTER_TYPES,
+  elementKinds: null,
+});
+
+/**
+ * Validates caller-supplied clustering options.
+ * @param {Object} [input] - Any subset of the options; unknown keys are rejected
+ * @returns {Object} The options that were given
+ * @throws {Error} With `status` 400, `code` "INVALID_CLUSTER_OPTIONS" and `details` listing
+ *   each problem as "<option>: <message>"
+ */
+export const parseClusterOptions = (input) => {
+  const parsed = optionsSchema.safeParse(input ?? {});
+  if (parsed.success) return parsed.data;
+  const err = new Error("Invalid clustering options");
+  err.status = 400;
+  err.code = "INVALID_CLUSTER_OPTIONS";
+  err.details = parsed.error.issues.map(
+    (issue) => `${issue.path.join(".") || "options"}: ${issue.message}`
+  );
+  throw err;
+};
+
+/**
+ * Resolves the options an analysis runs with. Later layers win; every layer must already be
+ * validated with parseClusterOptions.
+ * @param {...Object} layers - Partial options, e.g. the board's defaults then the request's
+ * @returns {Object} Every option, with cluster types in canonical order and element kinds
+ *   lower-cased and sorted, so equal settings compare equal
+ */
+export const resolveClusterOptions = (...layers) => {
+  const options = { ...DEFAULT_CLUSTER_OPTIONS };
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value !== undefined) options[key] = value;
+    }
+  }
+  return {
+    ...options,
+    clusterTypes: CLUSTER_TYPES.filter((type) => options.clusterTypes.includes(type)),
+    elementKinds: options.elementKinds
+      ? Array.from(new Set(options.elementKinds.map((k) => k.toLowerCase()))).sort()
+      : null,
+  };
+};
+
+/**
+ * True when two resolved option sets produce the same analysis.
+ * @param {Object} [a] - Output of resolveClusterOptions
+ * @param {Object} [b] - Output of resolveClusterOptions
+ * @returns {boolean}
+ */
+export const sameClusterOptions = (a, b) =>
+  JSON.stringify(resolveClusterOptions(a)) === JSON.stringify(resolveClusterOptions(b));
+
+export default resolveClusterOptions;
@@ -0,0 +1,111 @@
+// Conflict detection for incremental (delta) canvas syncs.
+//
+// A delta carries the board revision the client last saw (`baseRevision`) plus
+// changed elements and deleted IDs. A write is stale when the server copy has
+// moved past what the client based its edit on, using Excalidraw's
+// `version`/`versionNonce` pair to decide.
+
+import { compareElementVersions } from "./reconcile.js";
+import { elementRevisionOf } from "./revisions.js";
+
+const toVersion = (el) => {
+  const n = Number(el?.version ?? 0);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const toNonce = (el) => {
+  const n = Number(el?.versionNonce ?? 0);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Decides whether an incoming element write should be rejected.
+ * @param {Object|undefined} server - Current cached element
+ * @param {Object} incoming - Element (or deletion marker) sent by the client
+ * @param {number} baseRevision - Board revision the client based its edit on
+ * @returns {string} Reason string when stale, otherwise ""
+ */
+export const staleWriteReason = (server, incoming, baseRevision) => {
+  if (!server) return "";
+  const serverVersion = toVersion(server);
+  const incomingVersion = toVersion(incoming);
+  const changedSinceBase = elementRevisionOf(server) > baseRevision;
+  if (incoming?.version !== undefined && incomingVersion < serverVersion) {
+    return "older_version";
+  }
+  if (!changedSinceBase) return "";
+  if (incoming?.version === undefined) return "changed_since_base";
+  if (incomingVersion === serverVersion && toNonce(incoming) !== toNonce(server)) {
+    return "concurrent_edit";
+  }
+  return "";
+};
+
+/**
+ * Normalizes the `deleted` list of a delta into `{ id, version?, versionNonce? }` records.
+ * @param {Array<string|Object>} deleted - Deleted IDs or deletion markers
+ * @returns {Array<Object>}
+ */
+export const normalizeDeletions = (deleted) => {
+  if (!Array.isArray(deleted)) return [];
+  const out = [];
+  for (const entry of deleted) {
+    if (typeof entry === "string" || typeof entry === "number") {
+      out.push({ id: String(entry) });
+    } else if (entry && typeof entry === "object" && entry.id) {
+      out.push({ ...entry, id: String(entry.id) });
+    }
+  }
+  return out;
+};
+
+/**
+ * Collects all stale writes in a delta against the cached board.
+ * @param {Object} params
+ * @param {Map<string, Object>} params.boardMap - Cached board elements by external ID
+ * @param {Map<string, Object>} [params.tombstones] - Tombstones of deleted elements
+ * @param {number} params.baseRevision - Client base revision
+ * @param {Array<Object>} params.changed - Changed Excalidraw elements
+ * @param {Array<Object>} params.deleted - Normalized deletion markers
+ * @returns {Array<Object>} Conflicts as `{ id, op, reason, server }`
+ */
+export const findDeltaConflicts = ({
+  boardMap,
+  tombstones = new Map(),
+  baseRevision,
+  changed,
+  deleted,
+}) => {
+  const conflicts = [];
+  const describe = (server) => ({
+    version: toVersion(server),
+    versionNonce: toNonce(server),
+    revision: elementRevisionOf(server),
+  });
+  for (const el of changed) {
+    const id = String(el?.id || "");
+    if (!id) continue;
+    const server = boardMap.get(id);
+    const tombstone = server ? null : tombstones.get(id);
+    if (tombstone && compareElementVersions(el, tombstone) <= 0) {
+      // Re-sending a copy that predates the deletion must not resurrect the element
+      conflicts.push({
+        id,
+        op: "change",
+        reason: "deleted_on_server",
+        server: describe(tombstone),
+      });
+      continue;
+    }
+    const reason = staleWriteReason(server, el, baseRevision);
+    if (reason) conflicts.push({ id, op: "change", reason, server: describe(server) });
+  }
+  for (const marker of deleted) {
+    const server = boardMap.get(marker.id);
+    const reason = staleWriteReason(server, marker, baseRevision);
+    if (reason) conflicts.push({ id: marker.id, op: "delete", reason, server: describe(server) });
+  }
+  return conflicts;
+};
+
+export default { staleWriteReason, normalizeDeletions, findDeltaConflicts };
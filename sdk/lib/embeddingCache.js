@@ -0,0 +1,129 @@
+// Content-addressed embedding cache: (model, sha256 of the text) -> vector.
+//
+// Vectors live in an LRU map and, given a storage adapter (lib/storage), are written through to
+// its "embeddings" namespace so they survive restarts. The LRU order is saved as one index entry;
+// keys evicted from it are deleted from storage as well, so the cache stays bounded on disk too.
+
+import { sha256Text } from "./embeddings.js";
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const INDEX_KEY = "_index";
+
+const isVector = (value) => Array.isArray(value) && value.length > 0;
+
+/**
+ * Creates an embedding cache.
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Storage adapter to persist entries with; memory only without one
+ * @param {number} [options.maxEntries] - LRU capacity; falls back to EMBEDDING_CACHE_SIZE (default 5000)
+ * @param {string} [options.namespace="embeddings"] - Storage namespace for entries and the index
+ * @returns {{getMany: Function, setMany: Function, keyFor: Function, stats: Function}}
+ */
+export const createEmbeddingCache = ({
+  storage = null,
+  maxEntries = Number(process.env.EMBEDDING_CACHE_SIZE || DEFAULT_MAX_ENTRIES),
+  namespace = "embeddings",
+} = {}) => {
+  const limit = Math.max(1, Math.trunc(Number(maxEntries)) || DEFAULT_MAX_ENTRIES);
+  // key -> vector, or null while only the stored copy is known; least recently used first
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+  let loading = null;
+  let saving = Promise.resolve();
+
+  const keyFor = (model, text) => `${model}:${sha256Text(text)}`;
+
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        if (!storage) return;
+        const index = await storage.getEntry(namespace, INDEX_KEY).catch(() => null);
+        for (const key of Array.isArray(index?.keys) ? index.keys : []) {
+          if (!entries.has(key)) entries.set(key, null);
+        }
+      })();
+    }
+    return loading;
+  };
+
+  const touch = (key, vector) => {
+    entries.delete(key);
+    entries.set(key, vector);
+  };
+
+  const evict = async () => {
+    const evicted = [];
+    while (entries.size > limit) {
+      const key = entries.keys().next().value;
+      entries.delete(key);
+      evicted.push(key);
+    }
+    counters.evictions += evicted.length;
+    if (!storage) return;
+    for (const key of evicted) {
+      await storage.deleteEntry(namespace, key).catch(() => {});
+    }
+  };
+
+  // Index writes are chained so concurrent batches never interleave
+  const saveIndex = () => {
+    if (!storage) return Promise.resolve();
+    saving = saving
+      .then(() => storage.putEntry(namespace, INDEX_KEY, { keys: Array.from(entries.keys()) }))
+      .catch(() => {});
+    return saving;
+  };
+
+  /**
+   * Looks up several texts at once.
+   * @param {string} model - Embedding model identifier (see embeddingModelId)
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>|null>>} Vectors aligned with `texts`; null on a miss
+   */
+  const getMany = async (model, texts) => {
+    await load();
+    return Promise.all(
+      texts.map(async (text) => {
+        const key = keyFor(model, text);
+        let vector = entries.get(key);
+        if (!vector && entries.has(key) && storage) {
+          vector = (await storage.getEntry(namespace, key).catch(() => null))?.vector;
+        }
+        if (!isVector(vector)) {
+          entries.delete(key);
+          counters.misses += 1;
+          return null;
+        }
+        touch(key, vector);
+        counters.hits += 1;
+        return vector;
+      })
+    );
+  };
+
+  /**
+   * Stores several vectors at once, evicting the least recently used entries beyond capacity.
+   * @param {string} model - Embedding model identifier
+   * @param {Array<{text: string, vector: Array<number>}>} items
+   * @returns {Promise<void>}
+   */
+  const setMany = async (model, items) => {
+    await load();
+    for (const { text, vector } of items) {
+      if (!isVector(vector)) continue;
+      const key = keyFor(model, text);
+      touch(key, vector);
+      if (storage) {
+        await storage.putEntry(namespace, key, { model, vector }).catch(() => {});
+      }
+    }
+    await evict();
+    await saveIndex();
+  };
+
+  const stats = () => ({ ...counters, size: entries.size, maxEntries: limit });
+
+  return { getMany, setMany, keyFor, stats };
+};
+
+export default createEmbeddingCache;
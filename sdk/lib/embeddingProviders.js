@@ -0,0 +1,256 @@
+// Embedding providers. Each one turns a batch of texts into vectors:
+//
+//   { name, model, id, maxBatch, embed(texts) -> Promise<Array<Array<number>>> }
+//
+// `id` names the vector space (provider + model); vectors with different ids are never compared,
+// cached or stored under each other's key. Failures reject with an error carrying
+// `.code = "EMBEDDING_FAILED"` and `.status = 503` instead of degrading to another provider.
+
+import crypto from "crypto";
+
+export const EMBEDDING_PROVIDERS = ["openai", "local", "http", "test"];
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_OPENAI_MODEL = "text-embedding-3-small";
+const DEFAULT_LOCAL_MODEL = "Xenova/all-mpnet-base-v2";
+const TEST_DIMENSIONS = 32;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Builds the error every provider rejects with.
+ * @param {string} provider - Provider id
+ * @param {string} message
+ * @param {number} [upstreamStatus] - HTTP status returned by the embedding service
+ * @returns {Error}
+ */
+export const embeddingError = (provider, message, upstreamStatus) => {
+  const err = new Error(`[Embedding] ${provider}: ${message}`);
+  err.code = "EMBEDDING_FAILED";
+  err.status = 503;
+  err.details = { provider, upstreamStatus: upstreamStatus ?? null };
+  return err;
+};
+
+/**
+ * Provider for any OpenAI-compatible `/embeddings` endpoint (OpenAI, Ollama's `/v1`, vLLM, ...).
+ * Rate limits and server errors are retried with exponential backoff (or `Retry-After`).
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root, e.g. "https://api.openai.com/v1"
+ * @param {string} options.model - Embedding model name
+ * @param {string} [options.apiKey] - Sent as a bearer token when set
+ * @param {string} [options.name="http"] - Provider name, used as the id prefix
+ * @param {number} [options.maxBatch=256] - Texts per request
+ * @param {number} [options.maxRetries=3]
+ * @param {number} [options.retryDelayMs=500] - First backoff delay
+ * @param {Function} [options.fetchImpl=fetch]
+ * @param {Function} [options.wait] - Backoff timer (tests pass a no-op)
+ * @returns {Object} Embedding provider
+ */
+export const createHttpEmbeddingProvider = ({
+  baseUrl,
+  model,
+  apiKey = "",
+  name = "http",
+  maxBatch = 256,
+  maxRetries = 3,
+  retryDelayMs = 500,
+  fetchImpl = fetch,
+  wait = sleep,
+}) => {
+  if (!baseUrl) throw new Error(`Embedding provider "${name}" needs a base URL`);
+  if (!model) throw new Error(`Embedding provider "${name}" needs a model`);
+  const url = `${String(baseUrl).replace(/\/$/, "")}/embeddings`;
+  const id = name === "http" ? `http:${new URL(url).host}:${model}` : `${name}:${model}`;
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const request = async (texts) => {
+    for (let attempt = 0; ; attempt++) {
+      let resp;
+      try {
+        resp = await fetchImpl(url, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ model, input: texts }),
+        });
+      } catch (e) {
+        if (attempt >= maxRetries) throw embeddingError(id, e?.message || String(e));
+        await wait(retryDelayMs * 2 ** attempt);
+        continue;
+      }
+      if (resp.ok) return resp.json();
+      const retryable = resp.status === 429 || resp.status >= 500;
+      if (!retryable || attempt >= maxRetries) {
+        throw embeddingError(id, `request failed with status ${resp.status}`, resp.status);
+      }
+      const retryAfter = Number(resp.headers?.get?.("retry-after"));
+      await wait(retryAfter > 0 ? retryAfter * 1000 : retryDelayMs * 2 ** attempt);
+    }
+  };
+
+  const embed = async (texts) => {
+    const json = await request(texts.map((text) => String(text || "")));
+    const rows = Array.isArray(json?.data) ? json.data : [];
+    if (rows.length !== texts.length) {
+      throw embeddingError(id, `expected ${texts.length} embeddings, got ${rows.length}`);
+    }
+    return rows
+      .slice()
+      .sort((a, b) => Number(a.index ?? 0) - Number(b.index ?? 0))
+      .map((row) => (Array.isArray(row?.embedding) ? row.embedding.map(Number) : []));
+  };
+
+  return { name, model, id, maxBatch, embed };
+};
+
+/**
+ * OpenAI embeddings API.
+ * @param {Object} options - See createHttpEmbeddingProvider; `apiKey` is required
+ * @returns {Object} Embedding provider
+ */
+export const createOpenAIEmbeddingProvider = ({
+  apiKey,
+  model = DEFAULT_OPENAI_MODEL,
+  baseUrl = OPENAI_BASE_URL,
+  ...rest
+}) => {
+  if (!apiKey) throw new Error('Embedding provider "openai" needs OPENAI_API_KEY');
+  return createHttpEmbeddingProvider({ ...rest, name: "openai", baseUrl, model, apiKey });
+};
+
+/**
+ * Local transformers.js feature extraction (needs the optional `@xenova/transformers` package).
+ * @param {Object} [options]
+ * @param {string} [options.model="Xenova/all-mpnet-base-v2"]
+ * @param {number} [options.maxBatch=4] - Texts embedded concurrently; keeps memory bounded
+ * @returns {Object} Embedding provider
+ */
+export const createLocalEmbeddingProvider = ({
+  model = DEFAULT_LOCAL_MODEL,
+  maxBatch = 4,
+} = {}) => {
+  const id = `local:${model}`;
+  let extractor = null;
+
+  const loadExtractor = async () => {
+    if (!extractor) {
+      extractor = import("@xenova/transformers")
+        .then(({ pipeline }) => pipeline("feature-extraction", model, { quantized: true }))
+        .catch((e) => {
+          extractor = null;
+          throw embeddingError(id, `local model unavailable (${e?.message || e})`);
+        });
+    }
+    return extractor;
+  };
+
+  const embed = async (texts) => {
+    const extract = await loadExtractor();
+    return Promise.all(
+      texts.map(async (text) => {
+        const output = await extract(String(text || ""), { pooling: "mean", normalize: true });
+        return Array.from(output?.data || output || [], Number);
+      })
+    );
+  };
+
+  return { name: "local", model, id, maxBatch, embed };
+};
+
+/**
+ * Deterministic vectors derived from SHA-256 of the text: identical texts get identical vectors,
+ * nothing else is meaningful. For tests and for running without any embedding service.
+ * @param {Object} [options]
+ * @param {number} [options.dimensions=32] - At most 32 (one dimension per hash byte)
+ * @returns {Object} Embedding provider
+ */
+export const createTestEmbeddingProvider = ({ dimensions = TEST_DIMENSIONS } = {}) => {
+  const dims = Math.max(1, Math.min(TEST_DIMENSIONS, Math.trunc(dimensions) || TEST_DIMENSIONS));
+  const embed = async (texts) =>
+    texts.map((text) => {
+      const hash = crypto
+        .createHash("sha256")
+        .update(String(text || ""))
+        .digest();
+      return Array.from({ length: dims }, (_, i) => (hash[i] / 255) * 2 - 1);
+    });
+  return { name: "test", model: `sha256-${dims}`, id: `test:sha256-${dims}`, maxBatch: 512, embed };
+};
+
+/**
+ * Stand-in used when no provider is configured: every embed call rejects, so features that need
+ * vectors fail with 503 rather than run on made-up ones.
+ * @returns {Object} Embedding provider named "none"
+ */
+const createUnconfiguredEmbeddingProvider = () => ({
+  name: "none",
+  model: "none",
+  id: "none",
+  maxBatch: 1,
+  embed: async () => {
+    throw embeddingError(
+      "none",
+      "no embedding provider configured; set EMBEDDING_PROVIDER or OPENAI_API_KEY"
+    );
+  },
+});
+
+/**
+ * Creates the provider selected by `options.provider` or EMBEDDING_PROVIDER. Without either,
+ * LOCAL_EMBEDDINGS=1 selects "local" and an OpenAI key selects "openai"; otherwise the result is
+ * the unconfigured provider (name "none"), whose embed calls reject. "test" is only used when
+ * asked for by name.
+ * @param {Object} [options]
+ * @param {string} [options.provider] - One of EMBEDDING_PROVIDERS
+ * @param {Object} [options.env=process.env]
+ * @returns {Object} Embedding provider
+ * @throws {Error} With `.code = "UNSUPPORTED_PROVIDER"` for unknown names
+ */
+export const createEmbeddingProvider = ({ provider, env = process.env, ...rest } = {}) => {
+  const openaiKey = env.OPENAI_API_KEY || env.VITE_OPENAI_API_KEY || "";
+  const fallback =
+    String(env.LOCAL_EMBEDDINGS || "").trim() === "1" ? "local" : openaiKey ? "openai" : "";
+  const name = String(provider || env.EMBEDDING_PROVIDER || fallback)
+    .trim()
+    .toLowerCase();
+  if (!name) return createUnconfiguredEmbeddingProvider();
+  const retry = {
+    maxRetries: Number(env.EMBEDDING_MAX_RETRIES || 3),
+    maxBatch: Number(env.EMBEDDING_BATCH_SIZE || 256),
+  };
+  switch (name) {
+    case "openai":
+      return createOpenAIEmbeddingProvider({
+        ...retry,
+        apiKey: openaiKey,
+        model: env.EMBEDDING_MODEL || DEFAULT_OPENAI_MODEL,
+        ...rest,
+      });
+    case "http":
+      return createHttpEmbeddingProvider({
+        ...retry,
+        baseUrl: env.EMBEDDING_ENDPOINT,
+        apiKey: env.EMBEDDING_API_KEY || "",
+        model: env.EMBEDDING_MODEL,
+        ...rest,
+      });
+    case "local":
+      return createLocalEmbeddingProvider({
+        model: env.LOCAL_EMBEDDING_MODEL || DEFAULT_LOCAL_MODEL,
+        maxBatch: Math.max(1, Number(env.LOCAL_EMBED_CONCURRENCY || 4)),
+        ...rest,
+      });
+    case "test":
+      return createTestEmbeddingProvider(rest);
+    default: {
+      const err = new Error(
+        `Unknown EMBEDDING_PROVIDER "${name}". Expected one of: ${EMBEDDING_PROVIDERS.join(", ")}`
+      );
+      err.code = "UNSUPPORTED_PROVIDER";
+      throw err;
+    }
+  }
+};
+
+export default createEmbeddingProvider;
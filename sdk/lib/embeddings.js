@@ -1,62 +1,84 @@
 import crypto from "crypto";
+import { createEmbeddingProvider, embeddingError } from "./embeddingProviders.js";
+import { debug } from "./logger.js";
 
-let localEmbeddingExtractor = null; // lazy-initialized
-const LOCAL_EMBEDDINGS_ENABLED = String(process.env.LOCAL_EMBEDDINGS || "").trim() === "1";
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || process.env.VITE_OPENAI_API_KEY || "";
-const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || "text-embedding-3-small";
+let defaultProvider = null; // lazy-initialized from the environment
+const providerDimensions = new Map(); // provider id -> vector length seen first
 
-const sha256Text = (s) =>
+export const sha256Text = (s) =>
   crypto
     .createHash("sha256")
     .update(String(s || ""), "utf8")
     .digest("hex");
 
-async function getLocalEmbeddingExtractor() {
-  if (localEmbeddingExtractor) return localEmbeddingExtractor;
-  try {
-    const { pipeline } = await import("@xenova/transformers");
-    const modelName = process.env.LOCAL_EMBEDDING_MODEL || "Xenova/all-mpnet-base-v2";
-    localEmbeddingExtractor = await pipeline("feature-extraction", modelName, { quantized: true });
-    return localEmbeddingExtractor;
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.warn("[Embedding] Local embeddings unavailable, will use OpenAI/toy.", e?.message || e);
-    localEmbeddingExtractor = null;
-    return null;
+/**
+ * The provider configured through EMBEDDING_PROVIDER (see embeddingProviders.js). Warns when
+ * nothing is configured, which happens when the routes are mounted at startup.
+ * @returns {Object} Embedding provider
+ */
+export function getEmbeddingProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createEmbeddingProvider();
+    if (defaultProvider.name === "none") {
+      console.warn(
+        "[Embedding] No embedding provider configured (EMBEDDING_PROVIDER, LOCAL_EMBEDDINGS or OPENAI_API_KEY); clustering and vector search will fail with 503"
+      );
+    } else {
+      debug(`[Embedding] Using provider ${defaultProvider.id}`);
+    }
   }
+  return defaultProvider;
+}
+
+/**
+ * Names the vector space of a provider. Stored and cached vectors are only reused while this
+ * matches the one they were generated with.
+ * @param {Object} [provider] - Defaults to the configured provider
+ * @returns {string}
+ */
+export function embeddingModelId(provider = getEmbeddingProvider()) {
+  return provider.id;
 }
 
-export async function generateTextEmbedding(text) {
-  try {
-    if (LOCAL_EMBEDDINGS_ENABLED) {
-      const extractor = await getLocalEmbeddingExtractor();
-      if (extractor) {
-        const output = await extractor(String(text || ""), { pooling: "mean", normalize: true });
-        const vec = Array.from(output?.data || output || []);
-        if (Array.isArray(vec) && vec.length > 0) return vec;
-      }
+/**
+ * Embeds texts in batches of `provider.maxBatch`. Every vector is checked against the dimension
+ * the provider returned first, so vectors of different sizes never reach a comparison.
+ * @param {Array<string>} texts
+ * @param {Object} [provider] - Defaults to the configured provider
+ * @returns {Promise<Array<Array<number>>>} Vectors aligned with `texts`
+ * @throws {Error} With `.code = "EMBEDDING_FAILED"` when the provider fails or returns bad vectors
+ */
+export async function embedTexts(texts, provider = getEmbeddingProvider()) {
+  const vectors = [];
+  const batchSize = Math.max(1, Math.trunc(Number(provider.maxBatch)) || 1);
+  for (let i = 0; i < texts.length; i += batchSize) {
+    vectors.push(...(await provider.embed(texts.slice(i, i + batchSize))));
+  }
+  for (const vector of vectors) {
+    if (!vector.length || !vector.every(Number.isFinite)) {
+      throw embeddingError(provider.id, "returned an empty or non-numeric vector");
     }
-    if (OPENAI_API_KEY && typeof fetch === "function") {
-      const resp = await fetch("https://api.openai.com/v1/embeddings", {
-        method: "POST",
-        headers: { "Content-Type": "application/json", Authorization: `Bearer ${OPENAI_API_KEY}` },
-        body: JSON.stringify({ model: EMBEDDING_MODEL, input: text }),
-      });
-      if (!resp.ok) throw new Error(`OpenAI embeddings error ${resp.status}`);
-      const json = await resp.json();
-      const vec = (json?.data?.[0]?.embedding || []).map((v) => Number(v));
-      if (Array.isArray(vec) && vec.length > 0) return vec;
+    const expected = providerDimensions.get(provider.id) ?? vector.length;
+    if (vector.length !== expected) {
+      throw embeddingError(
+        provider.id,
+        `returned ${vector.length} dimensions, expected ${expected}`
+      );
     }
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.warn("[Embedding] Falling back to toy vector:", e?.message || e);
+    providerDimensions.set(provider.id, expected);
   }
-  const hash = crypto
-    .createHash("sha256")
-    .update(String(text || ""))
-    .digest();
-  const dims = 32;
-  return new Array(dims).fill(0).map((_, i) => (hash[i] / 255) * 2 - 1);
+  return vectors;
+}
+
+/**
+ * Embeds a single text.
+ * @param {string} text
+ * @param {Object} [provider] - Defaults to the configured provider
+ * @returns {Promise<Array<number>>}
+ */
+export async function generateTextEmbedding(text, provider = getEmbeddingProvider()) {
+  const [vector] = await embedTexts([text], provider);
+  return vector;
 }
 
-export default { generateTextEmbedding };
+export default { generateTextEmbedding, embedTexts, embeddingModelId, getEmbeddingProvider };
@@ -0,0 +1,225 @@
+// Excalidraw element JSON for cached (normalized) board items.
+//
+// The board cache keeps the flattened shape produced by `normalizeElement`; clients and the
+// persisted `excalidrawData` need full Excalidraw elements. Fields the cache does not track
+// (seed, roundness, arrowheads, …) are taken from the last known Excalidraw copy of the
+// element when there is one, otherwise filled with Excalidraw's defaults.
+
+import { normalizeBoundElements, normalizeGroupIds, normalizePoints } from "./structure.js";
+
+export const DEFAULT_FONT_SIZE = 20;
+export const LINE_HEIGHT = 1.25;
+
+const LINEAR_KINDS = new Set(["arrow", "line"]);
+
+const kindOf = (el) => String(el?.type || el?.kind || "").toLowerCase();
+
+// Stable per-ID seed so regenerated elements keep their hand-drawn look
+const seedOf = (id) => {
+  let hash = 2166136261;
+  for (const ch of String(id)) hash = Math.imul(hash ^ ch.charCodeAt(0), 16777619);
+  return (hash >>> 0) % 2147483647 || 1;
+};
+
+/**
+ * Random `versionNonce`, as Excalidraw assigns on every edit.
+ * @returns {number}
+ */
+export const randomNonce = () => Math.floor(Math.random() * 2147483647);
+
+/**
+ * Estimated text box size (Excalidraw measures on the client; this only needs to be close).
+ * @param {string} text
+ * @param {number} [fontSize=DEFAULT_FONT_SIZE]
+ * @returns {{width: number, height: number}}
+ */
+export const measureText = (text, fontSize = DEFAULT_FONT_SIZE) => {
+  const lines = String(text ?? "").split("\n");
+  const longest = Math.max(...lines.map((line) => line.length));
+  return {
+    width: Math.ceil(longest * fontSize * 0.6),
+    height: Math.ceil(lines.length * fontSize * LINE_HEIGHT),
+  };
+};
+
+/**
+ * Excalidraw defaults for a new element of the given type.
+ * @param {string} type - Excalidraw element type
+ * @param {string} id - Element ID
+ * @returns {Object}
+ */
+export const excalidrawDefaults = (type, id) => {
+  const base = {
+    id: String(id),
+    type,
+    x: 0,
+    y: 0,
+    width: 0,
+    height: 0,
+    angle: 0,
+    strokeColor: "#1e1e1e",
+    backgroundColor: "transparent",
+    fillStyle: "solid",
+    strokeWidth: 2,
+    strokeStyle: "solid",
+    roughness: 1,
+    opacity: 100,
+    groupIds: [],
+    frameId: null,
+    roundness: type === "rectangle" || type === "diamond" ? { type: 3 } : null,
+    seed: seedOf(id),
+    version: 1,
+    versionNonce: 0,
+    isDeleted: false,
+    boundElements: null,
+    updated: Date.now(),
+    link: null,
+    locked: false,
+  };
+  switch (type) {
+    case "text":
+      return {
+        ...base,
+        text: "",
+        originalText: "",
+        fontSize: DEFAULT_FONT_SIZE,
+        fontFamily: 1,
+        textAlign: "left",
+        verticalAlign: "top",
+        containerId: null,
+        lineHeight: LINE_HEIGHT,
+        autoResize: true,
+      };
+    case "arrow":
+    case "line":
+      return {
+        ...base,
+        roundness: { type: 2 },
+        points: [
+          [0, 0],
+          [0, 0],
+        ],
+        lastCommittedPoint: null,
+        startBinding: null,
+        endBinding: null,
+        startArrowhead: null,
+        endArrowhead: type === "arrow" ? "arrow" : null,
+        elbowed: false,
+      };
+    case "freedraw":
+      return {
+        ...base,
+        points: [],
+        pressures: [],
+        simulatePressure: true,
+        lastCommittedPoint: null,
+      };
+    case "image":
+      return { ...base, fileId: null, status: "saved", scale: [1, 1], crop: null };
+    case "frame":
+    case "magicframe":
+      return { ...base, name: null };
+    default:
+      return base;
+  }
+};
+
+const binding = (elementId, previous) =>
+  elementId ? { focus: 0, gap: 8, ...(previous || {}), elementId: String(elementId) } : null;
+
+/**
+ * Converts a cached item into an Excalidraw element.
+ * @param {Object} item - Normalized cache item (see `normalizeElement`)
+ * @param {Object} [previous] - Last known Excalidraw copy of the element
+ * @returns {Object} Excalidraw element
+ */
+export const toExcalidrawElement = (item, previous = null) => {
+  const id = String(item.externalId || item.id || "");
+  const type = kindOf(item) || "rectangle";
+  if (previous && previous.type === type && Number(previous.version) === Number(item.version)) {
+    return previous;
+  }
+  const el = { ...excalidrawDefaults(type, id), ...(previous || {}) };
+  const nonEmpty = (value, fallback) => (value === undefined || value === "" ? fallback : value);
+  Object.assign(el, {
+    id,
+    type,
+    x: Number(item.x || 0),
+    y: Number(item.y || 0),
+    width: Number(item.w ?? item.width ?? 0),
+    height: Number(item.h ?? item.height ?? 0),
+    angle: Number(item.angle || 0),
+    strokeColor: nonEmpty(item.strokeColor, el.strokeColor),
+    backgroundColor: nonEmpty(item.backgroundColor, el.backgroundColor),
+    fillStyle: nonEmpty(item.fillStyle, el.fillStyle),
+    strokeWidth: Number(item.strokeWidth) || el.strokeWidth,
+    roughness: Number.isFinite(Number(item.roughness)) ? Number(item.roughness) : el.roughness,
+    opacity: Number(item.opacity) || el.opacity,
+    groupIds: normalizeGroupIds(item.groupIds),
+    frameId: item.frameId ? String(item.frameId) : null,
+    version: Number(item.version || 1),
+    versionNonce: Number(item.versionNonce || el.versionNonce || 0),
+    isDeleted: false,
+    updated: Number(item.updated || el.updated),
+    link: item.link ? String(item.link) : null,
+    locked: Boolean(item.locked),
+  });
+  const bound = normalizeBoundElements(item.boundElements);
+  el.boundElements = bound.length ? bound : null;
+
+  if (type === "text") {
+    el.text = String(item.text || "");
+    el.originalText = el.text;
+    el.fontSize = Number(item.fontSize) || el.fontSize;
+    el.fontFamily = Number(item.fontFamily) || el.fontFamily;
+    el.containerId = item.containerId ? String(item.containerId) : null;
+    if (el.containerId && !previous) {
+      el.textAlign = "center";
+      el.verticalAlign = "middle";
+    }
+  } else if (LINEAR_KINDS.has(type)) {
+    const points = normalizePoints(item.points);
+    if (points.length >= 2) el.points = points;
+    else
+      el.points = [
+        [0, 0],
+        [el.width, el.height],
+      ];
+    el.startBinding = binding(item.startBindingId, previous?.startBinding);
+    el.endBinding = binding(item.endBindingId, previous?.endBinding);
+  } else if (type === "freedraw") {
+    el.points = normalizePoints(item.points);
+  } else if (type === "image") {
+    el.fileId = item.fileId ? String(item.fileId) : el.fileId;
+  } else if (type === "frame" || type === "magicframe") {
+    el.name = item.text ? String(item.text) : el.name;
+  }
+  return el;
+};
+
+/**
+ * Builds the board's Excalidraw scene from its cached items. Elements keep the order of the
+ * previous scene; new elements are appended in cache order.
+ * @param {Array<Object>} items - Cached board items
+ * @param {Object} [previousScene] - Previously persisted `excalidrawData`
+ * @returns {Object} Excalidraw scene (`{ type, version, source, elements, appState?, files? }`)
+ */
+export const buildExcalidrawScene = (items, previousScene = null) => {
+  const previous = new Map(
+    (Array.isArray(previousScene?.elements) ? previousScene.elements : [])
+      .filter((el) => el?.id && el.isDeleted !== true)
+      .map((el) => [String(el.id), el])
+  );
+  const byId = new Map(items.map((item) => [String(item.externalId), item]));
+  const order = [
+    ...Array.from(previous.keys()).filter((id) => byId.has(id)),
+    ...Array.from(byId.keys()).filter((id) => !previous.has(id)),
+  ];
+  return {
+    type: "excalidraw",
+    version: 2,
+    source: "treyspace-sdk",
+    ...(previousScene || {}),
+    elements: order.map((id) => toExcalidrawElement(byId.get(id), previous.get(id))),
+  };
+};
@@ -0,0 +1,67 @@
+// Graphviz DOT exporter. Clusters become `subgraph cluster_*` blocks so `dot` draws
+// them as boxes; derived (non-arrow) edges are dashed and labelled with their type.
+
+import { primaryClusterOf } from "./shared.js";
+
+const RANKDIRS = { TB: "TB", TD: "TB", BT: "BT", LR: "LR", RL: "RL" };
+
+const SHAPES = {
+  ellipse: "ellipse",
+  diamond: "diamond",
+  text: "plaintext",
+  frame: "tab",
+  magicframe: "tab",
+  image: "box3d",
+};
+
+const quote = (value) =>
+  `"${String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, "\\n")}"`;
+
+/**
+ * Serializes an export graph as a Graphviz digraph.
+ * @param {{nodes: Array, edges: Array, clusters: Array}} graph - From `buildExportGraph`
+ * @param {Object} [options]
+ * @param {string} [options.name="board"] - Graph name
+ * @param {string} [options.direction="LR"] - Rank direction
+ * @returns {string}
+ */
+export const toDot = (graph, { name = "board", direction = "LR" } = {}) => {
+  const lines = [
+    `digraph ${quote(name)} {`,
+    `  rankdir=${RANKDIRS[String(direction || "").toUpperCase()] || "LR"};`,
+    "  node [shape=box];",
+  ];
+  const owner = primaryClusterOf(graph);
+  const declare = (node, indent) =>
+    `${indent}${quote(node.id)} [label=${quote(node.label)}${
+      SHAPES[node.kind] ? `, shape=${SHAPES[node.kind]}` : ""
+    }];`;
+
+  for (const cluster of graph.clusters) {
+    const members = graph.nodes.filter((node) => owner.get(node.id) === cluster.id);
+    if (members.length === 0) continue;
+    lines.push(`  subgraph ${quote(`cluster_${cluster.id}`)} {`);
+    lines.push(`    label=${quote(cluster.label)};`);
+    for (const node of members) lines.push(declare(node, "    "));
+    lines.push("  }");
+  }
+  for (const node of graph.nodes) {
+    if (!owner.has(node.id)) lines.push(declare(node, "  "));
+  }
+  for (const edge of graph.edges) {
+    const attrs =
+      edge.type === "FLOWS_TO"
+        ? edge.label
+          ? ` [label=${quote(edge.label)}]`
+          : ""
+        : ` [label=${quote(edge.type)}, style=dashed]`;
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attrs};`);
+  }
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+};
+
+export default toDot;
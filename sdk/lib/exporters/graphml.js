@@ -0,0 +1,82 @@
+// GraphML exporter. The graph is kept flat (networkx and Gephi ignore nested graphs);
+// cluster membership is written as a node attribute instead.
+
+const NODE_KEYS = [
+  ["label", "string"],
+  ["kind", "string"],
+  ["x", "double"],
+  ["y", "double"],
+  ["width", "double"],
+  ["height", "double"],
+  ["frame_id", "string"],
+  ["cluster", "string"],
+];
+
+const EDGE_KEYS = [
+  ["type", "string"],
+  ["label", "string"],
+];
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const data = (key, value) => `<data key="${key}">${escapeXml(value)}</data>`;
+
+/**
+ * Serializes an export graph as GraphML.
+ * @param {{nodes: Array, edges: Array, clusters: Array}} graph - From `buildExportGraph`
+ * @param {Object} [options]
+ * @param {string} [options.name="board"] - Graph ID
+ * @returns {string}
+ */
+export const toGraphML = (graph, { name = "board" } = {}) => {
+  const membership = new Map();
+  for (const cluster of graph.clusters) {
+    for (const id of cluster.memberIds) {
+      membership.set(id, [...(membership.get(id) || []), cluster.id]);
+    }
+  }
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...NODE_KEYS.map(
+      ([key, type]) => `  <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`
+    ),
+    ...EDGE_KEYS.map(
+      ([key, type]) => `  <key id="e_${key}" for="edge" attr.name="${key}" attr.type="${type}"/>`
+    ),
+    `  <graph id="${escapeXml(name)}" edgedefault="directed">`,
+  ];
+  for (const node of graph.nodes) {
+    const values = [
+      data("label", node.label),
+      data("kind", node.kind),
+      data("x", node.x),
+      data("y", node.y),
+      data("width", node.width),
+      data("height", node.height),
+      ...(node.frameId ? [data("frame_id", node.frameId)] : []),
+      ...(membership.has(node.id) ? [data("cluster", membership.get(node.id).join(","))] : []),
+    ];
+    lines.push(`    <node id="${escapeXml(node.id)}">${values.join("")}</node>`);
+  }
+  graph.edges.forEach((edge, i) => {
+    const values = [
+      data("e_type", edge.type),
+      ...(edge.label ? [data("e_label", edge.label)] : []),
+    ];
+    lines.push(
+      `    <edge id="e${i + 1}" source="${escapeXml(edge.from)}" target="${escapeXml(
+        edge.to
+      )}">${values.join("")}</edge>`
+    );
+  });
+  lines.push("  </graph>", "</graphml>");
+  return `${lines.join("\n")}\n`;
+};
+
+export default toGraphML;
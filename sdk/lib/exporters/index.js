@@ -0,0 +1,80 @@
+// Board export: serializes the derived element graph (and optionally one cluster family)
+// as Mermaid, GraphML or Graphviz DOT.
+
+import { toDot } from "./dot.js";
+import { toGraphML } from "./graphml.js";
+import { toMermaid } from "./mermaid.js";
+import { DEFAULT_EDGE_TYPES, EXPORT_CLUSTER_TYPES, buildExportGraph } from "./shared.js";
+
+export const EXPORT_FORMATS = ["mermaid", "graphml", "dot"];
+
+const EXPORTERS = {
+  mermaid: { serialize: toMermaid, contentType: "text/vnd.mermaid" },
+  graphml: { serialize: toGraphML, contentType: "application/graphml+xml" },
+  dot: { serialize: toDot, contentType: "text/vnd.graphviz" },
+};
+
+const FORMAT_ALIASES = { mmd: "mermaid", graphviz: "dot", gv: "dot", xml: "graphml" };
+
+/**
+ * Resolves an export format name or alias.
+ * @param {string} [format="mermaid"]
+ * @returns {string} One of EXPORT_FORMATS, or "" when unknown
+ */
+export const resolveExportFormat = (format) => {
+  const name = String(format || "mermaid")
+    .trim()
+    .toLowerCase();
+  const resolved = FORMAT_ALIASES[name] || name;
+  return EXPORT_FORMATS.includes(resolved) ? resolved : "";
+};
+
+/**
+ * Serializes a board graph.
+ * @param {Object} options
+ * @param {string} [options.format="mermaid"] - "mermaid", "graphml" or "dot" (or an alias)
+ * @param {Array<Object>} options.elements - Board elements with labels merged into their shapes
+ * @param {Array<Object>} options.edges - Edges from `computeBoardEdges`
+ * @param {Object} [options.clusters] - `/api/clusters` result
+ * @param {string} [options.clusterType] - Cluster family rendered as subgraphs / node attributes
+ * @param {Array<string>|string} [options.edgeTypes] - Edge types to include, or "all"
+ * @param {string} [options.direction] - Layout direction for Mermaid/DOT
+ * @param {string} [options.name] - Graph name
+ * @returns {{format: string, contentType: string, content: string, stats: Object}}
+ * @throws {Error} With `.code = "UNSUPPORTED_FORMAT"` for unknown formats
+ */
+export const exportGraph = ({
+  format,
+  elements,
+  edges,
+  clusters,
+  clusterType,
+  edgeTypes,
+  direction,
+  name,
+}) => {
+  const resolved = resolveExportFormat(format);
+  if (!resolved) {
+    const err = new Error(
+      `Unsupported export format "${format}". Expected one of: ${EXPORT_FORMATS.join(", ")}`
+    );
+    err.code = "UNSUPPORTED_FORMAT";
+    throw err;
+  }
+  const graph = buildExportGraph({ elements, edges, clusters, clusterType, edgeTypes });
+  const { serialize, contentType } = EXPORTERS[resolved];
+  return {
+    format: resolved,
+    contentType,
+    content: serialize(graph, { direction, name }),
+    stats: {
+      nodes: graph.nodes.length,
+      edges: graph.edges.length,
+      clusters: graph.clusters.length,
+    },
+  };
+};
+
+export { DEFAULT_EDGE_TYPES, EXPORT_CLUSTER_TYPES, buildExportGraph, toDot, toGraphML, toMermaid };
+
+export default exportGraph;
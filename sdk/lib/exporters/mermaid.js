@@ -0,0 +1,66 @@
+// Mermaid flowchart exporter. Node IDs are renumbered (n1, n2, …) because element IDs
+// may contain characters or keywords Mermaid cannot parse; clusters become subgraphs.
+
+import { primaryClusterOf } from "./shared.js";
+
+const DIRECTIONS = new Set(["TB", "TD", "BT", "LR", "RL"]);
+
+const escapeLabel = (value) =>
+  String(value ?? "")
+    .replace(/"/g, "#quot;")
+    .replace(/\r?\n/g, "<br/>");
+
+const shapeOf = (node) => {
+  const label = `"${escapeLabel(node.label)}"`;
+  switch (node.kind) {
+    case "ellipse":
+      return `([${label}])`;
+    case "diamond":
+      return `{${label}}`;
+    case "frame":
+    case "magicframe":
+      return `[[${label}]]`;
+    default:
+      return `[${label}]`;
+  }
+};
+
+/**
+ * Serializes an export graph as a Mermaid flowchart.
+ * @param {{nodes: Array, edges: Array, clusters: Array}} graph - From `buildExportGraph`
+ * @param {Object} [options]
+ * @param {string} [options.direction="LR"] - Flowchart direction
+ * @returns {string}
+ */
+export const toMermaid = (graph, { direction = "LR" } = {}) => {
+  const dir = String(direction || "").toUpperCase();
+  const lines = [`flowchart ${DIRECTIONS.has(dir) ? dir : "LR"}`];
+  const alias = new Map(graph.nodes.map((node, i) => [node.id, `n${i + 1}`]));
+  const owner = primaryClusterOf(graph);
+  const declare = (node, indent) => `${indent}${alias.get(node.id)}${shapeOf(node)}`;
+
+  for (const cluster of graph.clusters) {
+    const members = graph.nodes.filter((node) => owner.get(node.id) === cluster.id);
+    if (members.length === 0) continue;
+    lines.push(`  subgraph ${cluster.id} ["${escapeLabel(cluster.label)}"]`);
+    for (const node of members) lines.push(declare(node, "    "));
+    lines.push("  end");
+  }
+  for (const node of graph.nodes) {
+    if (!owner.has(node.id)) lines.push(declare(node, "  "));
+  }
+  for (const edge of graph.edges) {
+    const from = alias.get(edge.from);
+    const to = alias.get(edge.to);
+    if (edge.type === "FLOWS_TO") {
+      lines.push(
+        edge.label ? `  ${from} -->|"${escapeLabel(edge.label)}"| ${to}` : `  ${from} --> ${to}`
+      );
+    } else {
+      lines.push(`  ${from} -.->|"${edge.type}"| ${to}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+export default toMermaid;
@@ -0,0 +1,95 @@
+// Graph model shared by the board exporters: shapes become nodes, derived edges are
+// kept when both ends are nodes, and one cluster family can be attached as groups.
+
+import { isConnectorKind } from "../boardGraph.js";
+import { elementLabel } from "../structure.js";
+
+// Edge types exported when the caller does not choose: explicit arrows and frame membership
+export const DEFAULT_EDGE_TYPES = ["FLOWS_TO", "CONTAINS"];
+
+export const EXPORT_CLUSTER_TYPES = ["semantic", "distance", "relational", "group"];
+
+const idOf = (el) => String(el?.externalId || el?.id || "");
+
+const kindOf = (el) => String(el?.kind || el?.type || "").toLowerCase();
+
+/**
+ * Builds the exportable graph for a board.
+ * @param {Object} input
+ * @param {Array<Object>} input.elements - Board elements with labels merged into their shapes
+ * @param {Array<Object>} input.edges - Edges from `computeBoardEdges`
+ * @param {Object} [input.clusters] - `/api/clusters` result used for grouping
+ * @param {string} [input.clusterType] - One of EXPORT_CLUSTER_TYPES
+ * @param {Array<string>|string} [input.edgeTypes] - Edge types to keep, or "all"
+ * @returns {{nodes: Array<Object>, edges: Array<Object>, clusters: Array<Object>}}
+ */
+export const buildExportGraph = ({ elements, edges, clusters, clusterType, edgeTypes }) => {
+  const labels = new Map();
+  const nodes = [];
+  for (const el of elements || []) {
+    const id = idOf(el);
+    if (!id) continue;
+    labels.set(id, String(el.text || "").trim());
+    if (isConnectorKind(el)) continue;
+    nodes.push({
+      id,
+      kind: kindOf(el),
+      label: elementLabel(el) || kindOf(el),
+      x: Number(el.x || 0),
+      y: Number(el.y || 0),
+      width: Number(el.w ?? el.width ?? 0),
+      height: Number(el.h ?? el.height ?? 0),
+      frameId: String(el.frameId || ""),
+    });
+  }
+  const nodeIds = new Set(nodes.map((n) => n.id));
+
+  const keep =
+    edgeTypes === "all"
+      ? null
+      : new Set(
+          (Array.isArray(edgeTypes) && edgeTypes.length ? edgeTypes : DEFAULT_EDGE_TYPES).map((t) =>
+            String(t).toUpperCase()
+          )
+        );
+  const seen = new Set();
+  const graphEdges = [];
+  for (const edge of edges || []) {
+    if (keep && !keep.has(edge.type)) continue;
+    if (!nodeIds.has(edge.from) || !nodeIds.has(edge.to)) continue;
+    const label = edge.type === "FLOWS_TO" ? labels.get(String(edge.via || "")) || "" : "";
+    const key = `${edge.type}|${edge.from}|${edge.to}|${label}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    graphEdges.push({ type: edge.type, from: edge.from, to: edge.to, label });
+  }
+
+  const graphClusters = [];
+  if (clusterType && clusters) {
+    for (const cluster of clusters[`${clusterType}_clusters`] || []) {
+      const memberIds = (cluster.member_ids || []).map(String).filter((id) => nodeIds.has(id));
+      if (memberIds.length === 0) continue;
+      graphClusters.push({
+        id: String(cluster.id),
+        type: clusterType,
+        label: String(cluster.name || cluster.id),
+        memberIds,
+      });
+    }
+  }
+
+  return { nodes, edges: graphEdges, clusters: graphClusters };
+};
+
+/**
+ * Assigns each node to the first cluster listing it (subgraph formats cannot share nodes).
+ * @param {{nodes: Array<Object>, clusters: Array<Object>}} graph
+ * @returns {Map<string, string>} Node ID -> cluster ID
+ */
+export const primaryClusterOf = (graph) => {
+  const owner = new Map();
+  for (const cluster of graph.clusters) {
+    for (const id of cluster.memberIds) if (!owner.has(id)) owner.set(id, cluster.id);
+  }
+  return owner;
+};
@@ -0,0 +1,381 @@
+// Graph analytics over a board's edges.
+//
+// The MCP traversal routes walk the graph one step at a time; these functions answer whole-graph
+// questions directly: which elements everything flows through (centrality), which single element
+// or arrow disconnects the diagram when removed (articulation points and bridges), whether there
+// are circular dependencies (strongly connected components and cycles), and in what order a
+// pipeline runs (topological order and longest path).
+//
+// Results are deterministic: nodes and neighbours are visited in id order and ties are broken by
+// id. Traversals are iterative, so large boards cannot overflow the stack. Self-loops count as
+// cycles but are otherwise ignored, and parallel edges count once.
+
+const round = (value) => Number(value.toFixed(4));
+const byId = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Builds a directed graph from edges.
+ * @param {Array<{from: string, to: string}>} edges - e.g. `FLOWS_TO` edges from computeBoardEdges
+ * @returns {{nodes: Array<string>, out: Map<string, Array<string>>, in: Map<string, Array<string>>,
+ *   undirected: Map<string, Array<string>>, selfLoops: Set<string>, edgeCount: number}} Node ids
+ *   and neighbour lists in id order; `edgeCount` counts distinct edges between two nodes
+ */
+export const createDirectedGraph = (edges) => {
+  const out = new Map();
+  const inbound = new Map();
+  const selfLoops = new Set();
+  const add = (map, key, value) => {
+    if (!map.has(key)) map.set(key, new Set());
+    if (value !== undefined) map.get(key).add(value);
+  };
+  for (const edge of edges) {
+    const from = String(edge?.from ?? "");
+    const to = String(edge?.to ?? "");
+    if (!from || !to) continue;
+    add(out, from);
+    add(out, to);
+    add(inbound, from);
+    add(inbound, to);
+    if (from === to) selfLoops.add(from);
+    else {
+      add(out, from, to);
+      add(inbound, to, from);
+    }
+  }
+  const nodes = [...out.keys()].sort(byId);
+  const sorted = (map) => new Map(nodes.map((id) => [id, [...map.get(id)].sort(byId)]));
+  const graph = { nodes, out: sorted(out), in: sorted(inbound), selfLoops };
+  graph.undirected = new Map(
+    nodes.map((id) => [id, [...new Set([...graph.out.get(id), ...graph.in.get(id)])].sort(byId)])
+  );
+  graph.edgeCount = nodes.reduce((acc, id) => acc + graph.out.get(id).length, 0);
+  return graph;
+};
+
+/**
+ * Degree centrality.
+ * @param {Object} graph - From createDirectedGraph
+ * @returns {Map<string, {in_degree: number, out_degree: number, degree: number}>} `degree` is
+ *   in + out, divided by n - 1
+ */
+export const degreeCentrality = (graph) => {
+  const scale = graph.nodes.length > 1 ? 1 / (graph.nodes.length - 1) : 0;
+  return new Map(
+    graph.nodes.map((id) => {
+      const inDegree = graph.in.get(id).length;
+      const outDegree = graph.out.get(id).length;
+      return [
+        id,
+        {
+          in_degree: inDegree,
+          out_degree: outDegree,
+          degree: round((inDegree + outDegree) * scale),
+        },
+      ];
+    })
+  );
+};
+
+/**
+ * Betweenness centrality along edge direction (Brandes), normalized by (n - 1)(n - 2): the share
+ * of shortest paths between other nodes that pass through each node.
+ * @param {Object} graph - From createDirectedGraph
+ * @returns {Map<string, number>}
+ */
+export const betweennessCentrality = (graph) => {
+  const score = new Map(graph.nodes.map((id) => [id, 0]));
+  for (const source of graph.nodes) {
+    const order = [];
+    const preds = new Map();
+    const paths = new Map([[source, 1]]);
+    const dist = new Map([[source, 0]]);
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      order.push(v);
+      for (const w of graph.out.get(v)) {
+        if (!dist.has(w)) {
+          dist.set(w, dist.get(v) + 1);
+          queue.push(w);
+        }
+        if (dist.get(w) === dist.get(v) + 1) {
+          paths.set(w, (paths.get(w) || 0) + paths.get(v));
+          if (!preds.has(w)) preds.set(w, []);
+          preds.get(w).push(v);
+        }
+      }
+    }
+    const delta = new Map();
+    for (let i = order.length - 1; i >= 0; i--) {
+      const w = order[i];
+      for (const v of preds.get(w) || []) {
+        const share = (paths.get(v) / paths.get(w)) * (1 + (delta.get(w) || 0));
+        delta.set(v, (delta.get(v) || 0) + share);
+      }
+      if (w !== source) score.set(w, score.get(w) + (delta.get(w) || 0));
+    }
+  }
+  const n = graph.nodes.length;
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+  return new Map([...score].map(([id, value]) => [id, round(value * scale)]));
+};
+
+/**
+ * PageRank along edge direction. Nodes without outgoing edges spread their rank evenly.
+ * @param {Object} graph - From createDirectedGraph
+ * @param {Object} [options]
+ * @param {number} [options.damping=0.85]
+ * @param {number} [options.maxIterations=100]
+ * @param {number} [options.tolerance=1e-8] - Stops once ranks change less than this in total
+ * @returns {Map<string, number>} Ranks summing to 1
+ */
+export const pageRank = (graph, { damping = 0.85, maxIterations = 100, tolerance = 1e-8 } = {}) => {
+  const n = graph.nodes.length;
+  let rank = new Map(graph.nodes.map((id) => [id, 1 / n]));
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let dangling = 0;
+    for (const id of graph.nodes) if (!graph.out.get(id).length) dangling += rank.get(id);
+    const next = new Map();
+    for (const id of graph.nodes) {
+      let incoming = 0;
+      for (const from of graph.in.get(id)) incoming += rank.get(from) / graph.out.get(from).length;
+      next.set(id, (1 - damping) / n + damping * (incoming + dangling / n));
+    }
+    const change = graph.nodes.reduce((acc, id) => acc + Math.abs(next.get(id) - rank.get(id)), 0);
+    rank = next;
+    if (change < tolerance) break;
+  }
+  return new Map([...rank].map(([id, value]) => [id, round(value)]));
+};
+
+/**
+ * Articulation points and bridges of the undirected graph (Tarjan): nodes and edges whose removal
+ * splits their connected component.
+ * @param {Object} graph - From createDirectedGraph
+ * @returns {{articulation_points: Array<{id: string, components: number}>,
+ *   bridges: Array<{from: string, to: string, sides: Array<number>, bidirectional: boolean}>}}
+ *   `components` is how many parts a node's removal leaves; `sides` the node counts on either side
+ *   of a bridge, in edge direction. A `bidirectional` bridge has edges both ways, and only removing
+ *   both disconnects the sides
+ */
+export const articulationPointsAndBridges = (graph) => {
+  const disc = new Map();
+  const low = new Map();
+  const size = new Map();
+  const parts = new Map();
+  const bridges = [];
+  let time = 0;
+  for (const root of graph.nodes) {
+    if (disc.has(root)) continue;
+    disc.set(root, time);
+    low.set(root, time++);
+    size.set(root, 1);
+    let rootChildren = 0;
+    const found = [];
+    const stack = [{ node: root, parent: null, i: 0 }];
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const neighbours = graph.undirected.get(frame.node);
+      if (frame.i < neighbours.length) {
+        const next = neighbours[frame.i++];
+        if (next === frame.parent) continue;
+        if (disc.has(next)) {
+          low.set(frame.node, Math.min(low.get(frame.node), disc.get(next)));
+        } else {
+          disc.set(next, time);
+          low.set(next, time++);
+          size.set(next, 1);
+          if (frame.node === root) rootChildren++;
+          stack.push({ node: next, parent: frame.node, i: 0 });
+        }
+        continue;
+      }
+      stack.pop();
+      const { node, parent } = frame;
+      if (parent === null) continue;
+      low.set(parent, Math.min(low.get(parent), low.get(node)));
+      size.set(parent, size.get(parent) + size.get(node));
+      if (low.get(node) > disc.get(parent)) found.push([parent, node]);
+      if (parent !== root && low.get(node) >= disc.get(parent)) {
+        parts.set(parent, (parts.get(parent) || 1) + 1);
+      }
+    }
+    if (rootChildren > 1) parts.set(root, rootChildren);
+    // The root's subtree is the whole component, so both sides of a bridge are known now
+    for (const [parent, node] of found) {
+      const inside = size.get(node);
+      const outside = size.get(root) - inside;
+      const forward = graph.out.get(parent).includes(node);
+      const bidirectional = forward && graph.out.get(node).includes(parent);
+      bridges.push(
+        forward
+          ? { from: parent, to: node, sides: [outside, inside], bidirectional }
+          : { from: node, to: parent, sides: [inside, outside], bidirectional }
+      );
+    }
+  }
+  return {
+    articulation_points: [...parts]
+      .map(([id, components]) => ({ id, components }))
+      .sort((a, b) => b.components - a.components || byId(a.id, b.id)),
+    bridges: bridges.sort((a, b) => byId(a.from, b.from) || byId(a.to, b.to)),
+  };
+};
+
+/**
+ * Strongly connected components (Tarjan).
+ * @param {Object} graph - From createDirectedGraph
+ * @returns {Array<Array<string>>} Components with their members in id order, largest first
+ */
+export const stronglyConnectedComponents = (graph) => {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+  const visit = (id) => {
+    index.set(id, counter);
+    low.set(id, counter++);
+    stack.push(id);
+    onStack.add(id);
+  };
+  for (const root of graph.nodes) {
+    if (index.has(root)) continue;
+    visit(root);
+    const work = [{ node: root, i: 0 }];
+    while (work.length) {
+      const frame = work[work.length - 1];
+      const successors = graph.out.get(frame.node);
+      if (frame.i < successors.length) {
+        const next = successors[frame.i++];
+        if (!index.has(next)) {
+          visit(next);
+          work.push({ node: next, i: 0 });
+        } else if (onStack.has(next)) {
+          low.set(frame.node, Math.min(low.get(frame.node), index.get(next)));
+        }
+        continue;
+      }
+      work.pop();
+      if (low.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component.sort(byId));
+      }
+      if (work.length) {
+        const parent = work[work.length - 1].node;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.node)));
+      }
+    }
+  }
+  return components.sort((a, b) => b.length - a.length || byId(a[0], b[0]));
+};
+
+/**
+ * Weakly connected components: the parts of the graph when edge direction is ignored.
+ * @param {Object} graph - From createDirectedGraph
+ * @returns {Array<Array<string>>} Components with their members in id order, largest first
+ */
+export const weaklyConnectedComponents = (graph) => {
+  const seen = new Set();
+  const components = [];
+  for (const root of graph.nodes) {
+    if (seen.has(root)) continue;
+    seen.add(root);
+    const component = [root];
+    for (let head = 0; head < component.length; head++) {
+      for (const next of graph.undirected.get(component[head])) {
+        if (seen.has(next)) continue;
+        seen.add(next);
+        component.push(next);
+      }
+    }
+    components.push(component.sort(byId));
+  }
+  return components.sort((a, b) => b.length - a.length || byId(a[0], b[0]));
+};
+
+/**
+ * Cycles in the graph: one shortest cycle through the first node of each strongly connected
+ * component that has one, so circular dependencies are reported without enumerating every cycle.
+ * @param {Object} graph - From createDirectedGraph
+ * @returns {{has_cycle: boolean, cyclic_components: Array<Array<string>>,
+ *   cycles: Array<Array<string>>}} Each cycle starts and ends with the same node
+ */
+export const detectCycles = (graph) => {
+  const cyclic = stronglyConnectedComponents(graph).filter(
+    (component) => component.length > 1 || graph.selfLoops.has(component[0])
+  );
+  const cycles = cyclic.map((component) => {
+    const start = component[0];
+    if (component.length === 1) return [start, start];
+    const members = new Set(component);
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      for (const w of graph.out.get(v)) {
+        if (w === start) {
+          const path = [start];
+          for (let at = v; at !== start; at = previous.get(at)) path.splice(1, 0, at);
+          return [...path, start];
+        }
+        if (!members.has(w) || previous.has(w)) continue;
+        previous.set(w, v);
+        queue.push(w);
+      }
+    }
+    return [start, start];
+  });
+  return { has_cycle: cyclic.length > 0, cyclic_components: cyclic, cycles };
+};
+
+/**
+ * Topological order (Kahn, smallest id first among ready nodes) and the longest path by edge
+ * count. Neither exists when the graph has a cycle.
+ * @param {Object} graph - From createDirectedGraph
+ * @returns {{acyclic: boolean, order: Array<string>|null, longest_path: Array<string>|null}}
+ */
+export const topologicalOrder = (graph) => {
+  if (graph.selfLoops.size) return { acyclic: false, order: null, longest_path: null };
+  const remaining = new Map(graph.nodes.map((id) => [id, graph.in.get(id).length]));
+  const ready = graph.nodes.filter((id) => remaining.get(id) === 0);
+  const order = [];
+  while (ready.length) {
+    const id = ready.shift();
+    order.push(id);
+    for (const next of graph.out.get(id)) {
+      remaining.set(next, remaining.get(next) - 1);
+      if (remaining.get(next) > 0) continue;
+      let at = ready.findIndex((other) => byId(next, other) < 0);
+      if (at < 0) at = ready.length;
+      ready.splice(at, 0, next);
+    }
+  }
+  if (order.length < graph.nodes.length) return { acyclic: false, order: null, longest_path: null };
+
+  const length = new Map();
+  const previous = new Map();
+  let end = null;
+  for (const id of order) {
+    if (!length.has(id)) length.set(id, 0);
+    for (const next of graph.out.get(id)) {
+      if (length.get(id) + 1 > (length.get(next) ?? -1)) {
+        length.set(next, length.get(id) + 1);
+        previous.set(next, id);
+      }
+    }
+    if (end === null || length.get(id) > length.get(end)) end = id;
+  }
+  const path = [];
+  for (let at = end; at !== undefined && at !== null; at = previous.get(at)) path.unshift(at);
+  return { acyclic: true, order, longest_path: path };
+};
+
+export default createDirectedGraph;
@@ -1,3 +1,8 @@
+import { DERIVED_QUERIES, isWriteQuery } from "./helixQueries.js";
+import { createHelixWal } from "./helixWal.js";
+import { debug } from "./logger.js";
+import { createHnswIndex } from "./vectorIndex.js";
+
 const parseTagTokens = (value) => {
   if (value === undefined || value === null) return [];
   const text = Array.isArray(value) ? value.join(",") : String(value);
@@ -72,6 +77,11 @@ const memoryState = {
   boards: new Map(),
 };
 
+// Each logged write runs against one clock value that is stored with it; WAL replay re-applies
+// the write with the same value, so generated IDs and timestamps come back identical
+let writeClock = null;
+const now = () => writeClock ?? Date.now();
+
 const toStringSafe = (value, fallback = "") =>
   value === undefined || value === null ? fallback : String(value);
 
@@ -81,6 +91,12 @@ const toFiniteNumber = (value, fallback = 0) => {
   return Number.isFinite(num) ? num : fallback;
 };
 
+// List-valued element fields are JSON strings in HelixDB; mirror that here
+const toListString = (value, fallback = "[]") => {
+  if (value === undefined || value === null) return fallback;
+  return Array.isArray(value) ? JSON.stringify(value) : String(value);
+};
+
 const cloneElement = (element) =>
   element ? JSON.parse(JSON.stringify(element)) : element;
 
@@ -105,13 +121,19 @@ const ensureBoardRecord = (boardId) => {
   if (!memoryState.boards.has(id)) {
     memoryState.boards.set(id, {
       id,
-      createdAt: Date.now(),
+      createdAt: now(),
       elementsByExternal: new Map(),
       elementsById: new Map(),
       nextInternalId: 1,
       relationalAlignments: [],
       semanticRelations: [],
       spatialAlignments: [],
+      flowEdges: [],
+      bindEdges: [],
+      containsEdges: [],
+      groupEdges: [],
+      textEmbeddings: [],
+      vectorIndexes: new Map(),
     });
   }
   return memoryState.boards.get(id);
@@ -132,44 +154,61 @@ const findBoardByInternalId = (elementId) => {
   return null;
 };
 
+// Edge lists of a board record, keyed as in getBoardRelations
+const EDGE_LISTS = {
+  relational: "relationalAlignments",
+  semantic: "semanticRelations",
+  spatial: "spatialAlignments",
+  flows: "flowEdges",
+  binds: "bindEdges",
+  contains: "containsEdges",
+  groups: "groupEdges",
+};
+
+const clearEdges = (board) => {
+  for (const list of Object.values(EDGE_LISTS)) board[list] = [];
+};
+
+// Relational alignments also match on the connector (`via`) that produced them
+const edgeTouches = (edge, targets) =>
+  [edge.sourceId, edge.targetId, edge.via, edge.sourceExternalId, edge.targetExternalId].some(
+    (value) => value !== undefined && value !== "" && targets.has(toStringSafe(value))
+  );
+
+// One HNSW index per embedding model, built on first search and kept in step by every write
+const vectorIndexFor = (board, model) => {
+  if (!board.vectorIndexes.has(model)) {
+    const index = createHnswIndex();
+    for (const vec of board.textEmbeddings) {
+      if (vec.model === model) index.add(vec.externalId, vec.vector);
+    }
+    board.vectorIndexes.set(model, index);
+  }
+  return board.vectorIndexes.get(model);
+};
+
+const dropEmbeddings = (board, predicate) => {
+  board.textEmbeddings = board.textEmbeddings.filter((vec) => {
+    if (!predicate(vec)) return true;
+    board.vectorIndexes.get(vec.model)?.remove(vec.externalId);
+    return false;
+  });
+};
+
 const pruneRelations = (board, element) => {
   if (!board || !element) return;
   const targets = new Set([
     toStringSafe(element.id),
     toStringSafe(element.externalId),
   ]);
-  board.relationalAlignments = board.relationalAlignments.filter((edge) => {
-    const values = [
-      toStringSafe(edge.sourceId),
-      toStringSafe(edge.targetId),
-      toStringSafe(edge.via),
-      toStringSafe(edge.sourceExternalId),
-      toStringSafe(edge.targetExternalId),
-    ];
-    return !values.some((value) => targets.has(value));
-  });
-  board.semanticRelations = board.semanticRelations.filter((edge) => {
-    const values = [
-      toStringSafe(edge.sourceId),
-      toStringSafe(edge.targetId),
-      toStringSafe(edge.sourceExternalId),
-      toStringSafe(edge.targetExternalId),
-    ];
-    return !values.some((value) => targets.has(value));
-  });
-  board.spatialAlignments = board.spatialAlignments.filter((edge) => {
-    const values = [
-      toStringSafe(edge.sourceId),
-      toStringSafe(edge.targetId),
-      toStringSafe(edge.sourceExternalId),
-      toStringSafe(edge.targetExternalId),
-    ];
-    return !values.some((value) => targets.has(value));
-  });
+  for (const list of Object.values(EDGE_LISTS)) {
+    board[list] = board[list].filter((edge) => !edgeTouches(edge, targets));
+  }
+  dropEmbeddings(board, (vec) => vec.externalId === toStringSafe(element.externalId));
 };
 
 const createSkeletonElement = (board, externalId) => {
-  const id = toStringSafe(board.nextInternalId++, Date.now());
+  const id = toStringSafe(board.nextInternalId++, now());
   const shortId = externalId ? externalId.slice(0, 8) : id.slice(0, 8);
   return {
     id,
@@ -194,13 +233,21 @@ const createSkeletonElement = (board, externalId) => {
     link: "",
     locked: false,
     version: 1,
-    updated: Date.now(),
+    updated: now(),
     index: 0,
     startBindingId: "",
     endBindingId: "",
     semanticClusterId: "",
     distanceClusterId: "",
     relationalClusterId: "",
+    frameId: "",
+    containerId: "",
+    groupIds: "[]",
+    boundElements: "[]",
+    points: "[]",
+    fileId: "",
+    fontSize: 0,
+    fontFamily: 0,
   };
 };
 
@@ -228,7 +275,7 @@ const applyElementPayload = (element, payload, boardId) => {
   next.link = toStringSafe(payload.link, next.link);
   if (payload.locked !== undefined) next.locked = Boolean(payload.locked);
   next.version = toFiniteNumber(payload.version, next.version);
-  next.updated = toFiniteNumber(payload.updated, Date.now());
+  next.updated = toFiniteNumber(payload.updated, now());
   next.index = toFiniteNumber(payload.index, next.index);
   next.startBindingId = toStringSafe(
     payload.startBindingId ?? payload.startBinding?.elementId,
@@ -244,6 +291,14 @@ const applyElementPayload = (element, payload, boardId) => {
     payload.relationalClusterId,
     next.relationalClusterId
   );
+  next.frameId = toStringSafe(payload.frameId, next.frameId);
+  next.containerId = toStringSafe(payload.containerId, next.containerId);
+  next.groupIds = toListString(payload.groupIds, next.groupIds);
+  next.boundElements = toListString(payload.boundElements, next.boundElements);
+  next.points = toListString(payload.points, next.points);
+  next.fileId = toStringSafe(payload.fileId, next.fileId);
+  next.fontSize = toFiniteNumber(payload.fontSize, next.fontSize);
+  next.fontFamily = toFiniteNumber(payload.fontFamily, next.fontFamily);
   return next;
 };
 
@@ -273,18 +328,133 @@ const removeElementFromBoard = (board, externalId) => {
   pruneRelations(board, existing);
 };
 
-const createInMemoryHelix = () => {
+// Boards as stored in the WAL snapshot; `elementsById` is rebuilt on load
+const serializeBoard = (board) => ({
+  id: board.id,
+  createdAt: board.createdAt,
+  nextInternalId: board.nextInternalId,
+  elements: Array.from(board.elementsByExternal.values()),
+  ...Object.fromEntries(Object.values(EDGE_LISTS).map((list) => [list, board[list]])),
+  textEmbeddings: board.textEmbeddings,
+});
+
+const deserializeBoard = (data) => {
+  const board = {
+    id: toStringSafe(data.id),
+    createdAt: toFiniteNumber(data.createdAt, Date.now()),
+    elementsByExternal: new Map(),
+    elementsById: new Map(),
+    nextInternalId: toFiniteNumber(data.nextInternalId, 1),
+    textEmbeddings: Array.isArray(data.textEmbeddings) ? data.textEmbeddings : [],
+    vectorIndexes: new Map(),
+  };
+  for (const list of Object.values(EDGE_LISTS)) {
+    board[list] = Array.isArray(data[list]) ? data[list] : [];
+  }
+  for (const el of Array.isArray(data.elements) ? data.elements : []) {
+    board.elementsByExternal.set(toStringSafe(el.externalId), el);
+    board.elementsById.set(toStringSafe(el.id), el);
+  }
+  return board;
+};
+
+// Targets of a per-element delete: the external ID plus the element's internal ID
+const elementTargets = (board, params) => {
+  const extId = toStringSafe(params.elementExtId, "");
+  const targets = new Set([extId, toStringSafe(params.elementId, "")]);
+  if (extId && board.elementsByExternal.has(extId)) {
+    targets.add(toStringSafe(board.elementsByExternal.get(extId)?.id));
+  }
+  targets.delete("");
+  return targets;
+};
+
+const dropEdgesForElement =
+  (...lists) =>
+  async (params = {}) => {
+    const board = getBoardRecord(params);
+    if (!board) return { ok: true };
+    const targets = elementTargets(board, params);
+    for (const list of lists) {
+      board[list] = board[list].filter((edge) => !edgeTouches(edge, targets));
+    }
+    return { ok: true };
+  };
+
+// Edge between two elements addressed by internal ID; both must exist, as in HelixDB
+const addEdge = (list, fromId, toId, props) => {
+  const sourceId = toStringSafe(fromId, "");
+  const targetId = toStringSafe(toId, "");
+  // Internal IDs are numbered per board, so look for the board holding both ends
+  const board =
+    Array.from(memoryState.boards.values()).find(
+      (candidate) => candidate.elementsById.has(sourceId) && candidate.elementsById.has(targetId)
+    ) || findBoardByInternalId(sourceId);
+  const sourceEl = board?.elementsById.get(sourceId);
+  const targetEl = board?.elementsById.get(targetId);
+  if (!sourceEl) throw new Error(`Element ${sourceId} not found`);
+  if (!targetEl) throw new Error(`Element ${targetId} not found`);
+  const edge = {
+    ...props,
+    sourceId,
+    targetId,
+    sourceExternalId: sourceEl.externalId,
+    targetExternalId: targetEl.externalId,
+    createdAt: now(),
+  };
+  board[list].push(edge);
+  return { ...edge };
+};
+
+// Elements on either end of an element's edges of one type
+const neighborsVia =
+  (list) =>
+  async (params = {}) => {
+    const id = toStringSafe(params.elementId ?? params.id, "");
+    const board = findBoardByInternalId(id);
+    if (!board) throw new Error(`Element ${id} not found`);
+    const outs = [];
+    const ins = [];
+    for (const edge of board[list]) {
+      if (edge.sourceId === id && board.elementsById.has(edge.targetId)) {
+        outs.push(cloneElement(board.elementsById.get(edge.targetId)));
+      }
+      if (edge.targetId === id && board.elementsById.has(edge.sourceId)) {
+        ins.push(cloneElement(board.elementsById.get(edge.sourceId)));
+      }
+    }
+    return { outs, ins };
+  };
+
+const toVector = (value) =>
+  (Array.isArray(value) ? value : []).map((entry) => toFiniteNumber(entry, 0));
+
+/**
+ * In-memory stand-in for HelixDB. State is process-wide; with `persistDir` every write is
+ * logged to a write-ahead log (see helixWal.js) and the store is rebuilt from it on creation.
+ * @param {Object} [options]
+ * @param {string} [options.persistDir] - WAL directory; omit to keep state in memory only
+ * @param {number} [options.compactEvery=1000] - Compact once this many records are pending
+ * @param {number} [options.compactIntervalMs=600000] - Periodic compaction (0 disables)
+ */
+const createInMemoryHelix = ({
+  persistDir,
+  compactEvery = 1000,
+  compactIntervalMs = 10 * 60 * 1000,
+} = {}) => {
   const operations = {
     ensureBoard: async (params = {}) => {
       const board = getBoardRecord(params, { create: true });
-      return { ok: true, boardId: board?.id };
+      return {
+        ok: true,
+        boardId: board?.id,
+        board: { externalId: board?.id, created: board?.createdAt },
+      };
     },
     deleteAllBoardRelations: async (params = {}) => {
       const board = getBoardRecord(params);
       if (!board) return { ok: true };
-      board.relationalAlignments = [];
-      board.semanticRelations = [];
-      board.spatialAlignments = [];
+      clearEdges(board);
       return { ok: true };
     },
     deleteBoardElements: async (params = {}) => {
@@ -292,9 +462,9 @@ const createInMemoryHelix = () => {
       if (!board) return { ok: true };
       board.elementsByExternal.clear();
       board.elementsById.clear();
-      board.relationalAlignments = [];
-      board.semanticRelations = [];
-      board.spatialAlignments = [];
+      clearEdges(board);
+      board.textEmbeddings = [];
+      board.vectorIndexes.clear();
       return { ok: true };
     },
     deleteElement: async (params = {}) => {
@@ -320,25 +490,16 @@ const createInMemoryHelix = () => {
       }
       return { ok: true };
     },
-    deleteRelationalAlignmentsForElement: async (params = {}) => {
-      const board = getBoardRecord(params);
-      if (!board) return { ok: true };
-      const extId = toStringSafe(params.elementExtId, "");
-      const explicitId = toStringSafe(params.elementId, "");
-      const targetIds = new Set([extId, explicitId]);
-      if (extId && board.elementsByExternal.has(extId)) {
-        targetIds.add(toStringSafe(board.elementsByExternal.get(extId)?.id));
+    deleteRelationalAlignmentsForElement: dropEdgesForElement("relationalAlignments"),
+    deleteRelationalAlignmentsByVia: async (params = {}) => {
+      const via = toStringSafe(params.viaExtId ?? params.via, "");
+      if (!via) return { ok: true };
+      // Connector IDs are not board-scoped in the query signature, so scan every board
+      for (const board of memoryState.boards.values()) {
+        board.relationalAlignments = board.relationalAlignments.filter(
+          (edge) => toStringSafe(edge.via) !== via
+        );
       }
-      board.relationalAlignments = board.relationalAlignments.filter((edge) => {
-        const values = [
-          toStringSafe(edge.sourceId),
-          toStringSafe(edge.targetId),
-          toStringSafe(edge.via),
-          toStringSafe(edge.sourceExternalId),
-          toStringSafe(edge.targetExternalId),
-        ];
-        return !values.some((value) => value && targetIds.has(value));
-      });
       return { ok: true };
     },
     deleteSemanticRelationsForBoard: async (params = {}) => {
@@ -347,65 +508,30 @@ const createInMemoryHelix = () => {
       board.semanticRelations = [];
       return { ok: true };
     },
-    deleteSemanticRelationsForElement: async (params = {}) => {
-      const board = getBoardRecord(params);
-      if (!board) return { ok: true };
-      const extId = toStringSafe(params.elementExtId, "");
-      const explicitId = toStringSafe(params.elementId, "");
-      const targetIds = new Set([extId, explicitId]);
-      if (extId && board.elementsByExternal.has(extId)) {
-        targetIds.add(toStringSafe(board.elementsByExternal.get(extId)?.id));
-      }
-      board.semanticRelations = board.semanticRelations.filter((edge) => {
-        const values = [
-          toStringSafe(edge.sourceId),
-          toStringSafe(edge.targetId),
-          toStringSafe(edge.sourceExternalId),
-          toStringSafe(edge.targetExternalId),
-        ];
-        return !values.some((value) => value && targetIds.has(value));
-      });
-      return { ok: true };
-    },
+    deleteSemanticRelationsForElement: dropEdgesForElement("semanticRelations"),
     deleteSpatialAlignmentsForBoard: async (params = {}) => {
       const board = getBoardRecord(params);
       if (!board) return { ok: true };
       board.spatialAlignments = [];
       return { ok: true };
     },
-    deleteSpatialAlignmentsForElement: async (params = {}) => {
-      const board = getBoardRecord(params);
-      if (!board) return { ok: true };
-      const extId = toStringSafe(params.elementExtId, "");
-      const explicitId = toStringSafe(params.elementId, "");
-      const targetIds = new Set([extId, explicitId]);
-      if (extId && board.elementsByExternal.has(extId)) {
-        targetIds.add(toStringSafe(board.elementsByExternal.get(extId)?.id));
-      }
-      board.spatialAlignments = board.spatialAlignments.filter((edge) => {
-        const values = [
-          toStringSafe(edge.sourceId),
-          toStringSafe(edge.targetId),
-          toStringSafe(edge.sourceExternalId),
-          toStringSafe(edge.targetExternalId),
-        ];
-        return !values.some((value) => value && targetIds.has(value));
-      });
-      return { ok: true };
-    },
+    deleteSpatialAlignmentsForElement: dropEdgesForElement("spatialAlignments"),
+    deleteStructureEdgesForElement: dropEdgesForElement("containsEdges", "groupEdges"),
+    // `els` is the HelixDB result key; `elements` is kept for callers of the in-memory store
     getBoardElements: async (params = {}) => {
       const board = getBoardRecord(params);
-      if (!board) return { elements: [] };
-      return {
-        elements: Array.from(board.elementsByExternal.values(), (el) => cloneElement(el)),
-      };
+      const elements = board
+        ? Array.from(board.elementsByExternal.values(), (el) => cloneElement(el))
+        : [];
+      return { els: elements, elements };
     },
-    getAllElementsForBoard: async (params = {}) => {
+    getBoardRelations: async (params = {}) => {
       const board = getBoardRecord(params);
-      if (!board) return { elements: [] };
-      return {
-        elements: Array.from(board.elementsByExternal.values(), (el) => cloneElement(el)),
-      };
+      const relations = {};
+      for (const [key, list] of Object.entries(EDGE_LISTS)) {
+        relations[key] = board ? board[list].map((edge) => ({ ...edge })) : [];
+      }
+      return relations;
     },
     upsertElement: async (params = {}) => {
       const element = upsertInMemoryElement(params);
@@ -423,7 +549,7 @@ const createInMemoryHelix = () => {
       const updated = applyElementPayload(existing, params, board.id);
       board.elementsById.set(id, updated);
       board.elementsByExternal.set(updated.externalId, updated);
-      return { el: cloneElement(updated) };
+      return { el: cloneElement(updated), updated_node: cloneElement(updated) };
     },
     addRelationalAlignment: async (params = {}) => {
       const sourceId = toStringSafe(params.sourceId, "");
@@ -444,110 +570,173 @@ const createInMemoryHelix = () => {
         edgeLabel,
         sourceExternalId: toStringSafe(sourceEl?.externalId, ""),
         targetExternalId: toStringSafe(targetEl?.externalId, ""),
-        createdAt: Date.now(),
+        createdAt: now(),
       };
       board.relationalAlignments.push(edge);
       return { edge };
     },
-    createElement: async (params = {}) => {
-      const boardId = resolveBoardId(params);
-      const externalId = toStringSafe(
-        params.externalId ?? params.elementExtId ?? params.elementId ?? `el_${Date.now()}`,
-        ""
-      );
-      const elementType = toStringSafe(params.elementType ?? params.kind ?? "rectangle", "rectangle");
-      const payload = {
-        ...params,
-        boardId,
+    createFlowEdge: async (params = {}) => ({
+      edge: addEdge("flowEdges", params.sourceId, params.targetId, { via: "" }),
+    }),
+    createBinds_TOEdge: async (params = {}) => ({
+      edge: addEdge("bindEdges", params.sourceId, params.targetId, { kind: "" }),
+    }),
+    addContains: async (params = {}) => ({
+      edge: addEdge("containsEdges", params.sourceId, params.targetId, {}),
+    }),
+    addGroupMembership: async (params = {}) => ({
+      edge: addEdge("groupEdges", params.sourceId, params.targetId, {
+        level: toFiniteNumber(params.level, 0),
+      }),
+    }),
+    addSemanticRelation: async (params = {}) => ({
+      rel: addEdge("semanticRelations", params.fromElementId, params.toElementId, {
+        relationship: toStringSafe(params.relationship, ""),
+        confidence: toFiniteNumber(params.confidence, 0),
+      }),
+    }),
+    addSpatialAlignment: async (params = {}) => ({
+      rel: addEdge("spatialAlignments", params.fromElementId, params.toElementId, {
+        distance: toFiniteNumber(params.distance, 0),
+        proximity: toFiniteNumber(params.proximity, 0),
+        clustered: Boolean(params.clustered),
+      }),
+    }),
+    getRelationallyAlignedNeighbors: neighborsVia("relationalAlignments"),
+    getSemanticallyRelatedNeighbors: neighborsVia("semanticRelations"),
+    getSpatiallyAlignedNeighbors: neighborsVia("spatialAlignments"),
+    // One vector per element and model; HelixDB appends instead, so callers delete first
+    upsertTextEmbedding: async (params = {}) => {
+      const board = getBoardRecord(params, { create: true });
+      const externalId = toStringSafe(params.elementExtId, "");
+      if (!externalId) throw new Error("Helix CLI mode requires elementExtId");
+      const embedding = {
+        id: `vec_${board.id}_${externalId}`,
         externalId,
-        kind: elementType,
-        type: elementType,
-        short_id: externalId.slice(0, 8),
+        boardId: board.id,
+        model: toStringSafe(params.model, ""),
+        textHash: toStringSafe(params.textHash, ""),
+        vector: toVector(params.vector),
+        created: now(),
       };
-      const element = upsertInMemoryElement(payload);
-      return { element: cloneElement(element) };
-    },
-    createArrow: async (params = {}) => {
-      const boardId = resolveBoardId(params);
-      const board = ensureBoardRecord(boardId);
-      const externalId = toStringSafe(
-        params.arrowExternalId ?? params.externalId ?? `ar_${Date.now()}`,
-        ""
+      dropEmbeddings(
+        board,
+        (vec) => vec.externalId === externalId && vec.model === embedding.model
       );
-
-      const startInternalId = toStringSafe(params.startElementId ?? "", "");
-      const endInternalId = toStringSafe(params.endElementId ?? "", "");
-      const startElement = startInternalId ? board.elementsById.get(startInternalId) : null;
-      const endElement = endInternalId ? board.elementsById.get(endInternalId) : null;
-
-      const startBindingId =
-        toStringSafe(
-          params.startBindingId ??
-            (startElement ? startElement.externalId : undefined) ??
-            startInternalId,
-          ""
-        ) || "";
-      const endBindingId =
-        toStringSafe(
-          params.endBindingId ??
-            (endElement ? endElement.externalId : undefined) ??
-            endInternalId,
-          ""
-        ) || "";
-
-      const payload = {
-        ...params,
-        boardId,
-        externalId,
-        kind: "arrow",
-        type: "arrow",
-        short_id: externalId.slice(0, 8),
-        startBindingId,
-        endBindingId,
-      };
-      const element = upsertInMemoryElement(payload);
-      return { arrow: cloneElement(element) };
+      board.textEmbeddings.push(embedding);
+      board.vectorIndexes.get(embedding.model)?.add(externalId, embedding.vector);
+      return { embedding: { ...embedding } };
+    },
+    getBoardEmbeddings: async (params = {}) => {
+      const board = getBoardRecord(params);
+      return { vecs: board ? board.textEmbeddings.map((vec) => ({ ...vec })) : [] };
     },
-    analyzeCanvasStructure: async (params = {}) => {
+    deleteTextEmbedding: async (params = {}) => {
       const board = getBoardRecord(params);
-      if (!board) return { boardId: resolveBoardId(params), nodes: 0, edges: 0, byKind: {} };
-      const elements = Array.from(board.elementsByExternal.values());
-      const byKind = {};
-      for (const el of elements) {
-        const kind = toStringSafe(el.kind || el.type || "unknown");
-        byKind[kind] = (byKind[kind] || 0) + 1;
+      const externalId = toStringSafe(params.elementExtId, "");
+      if (board) dropEmbeddings(board, (vec) => vec.externalId === externalId);
+      return { ok: true };
+    },
+    // Approximate search over every model whose vectors match the query's dimension
+    vectorSearchText: async (params = {}) => {
+      const board = getBoardRecord(params);
+      const query = toVector(params.embedding);
+      const k = Math.max(0, Math.trunc(toFiniteNumber(params.k, 10)));
+      if (!board || !query.length || !k) return { vecs: [] };
+      const byKey = new Map(
+        board.textEmbeddings.map((vec) => [`${vec.model}\0${vec.externalId}`, vec])
+      );
+      const models = new Set(
+        board.textEmbeddings
+          .filter((vec) => vec.vector.length === query.length)
+          .map((vec) => vec.model)
+      );
+      const vecs = [];
+      for (const model of models) {
+        for (const { id, score } of vectorIndexFor(board, model).search(query, k)) {
+          const vec = byKey.get(`${model}\0${id}`);
+          if (vec) vecs.push({ ...vec, score });
+        }
       }
-      return {
-        boardId: board.id,
-        nodes: elements.length,
-        edges:
-          board.relationalAlignments.length +
-          board.semanticRelations.length +
-          board.spatialAlignments.length,
-        byKind,
-        relations: {
-          relational: board.relationalAlignments.length,
-          semantic: board.semanticRelations.length,
-          spatial: board.spatialAlignments.length,
-        },
-      };
+      vecs.sort((a, b) => b.score - a.score || a.externalId.localeCompare(b.externalId));
+      return { vecs: vecs.slice(0, k) };
     },
   };
 
+  const wal = persistDir ? createHelixWal({ dir: persistDir }) : null;
+
+  const compact = () => {
+    if (!wal) return false;
+    wal.writeSnapshot(Array.from(memoryState.boards.values(), serializeBoard));
+    return true;
+  };
+
+  if (wal) {
+    const { snapshot, records } = wal.load();
+    memoryState.boards.clear();
+    for (const data of snapshot?.boards || []) {
+      const board = deserializeBoard(data);
+      if (board.id) memoryState.boards.set(board.id, board);
+    }
+    for (const record of records) {
+      const op = operations[record.op];
+      if (!op) continue;
+      writeClock = toFiniteNumber(record.at, Date.now());
+      try {
+        // Operations only await at the surface, so replay can finish synchronously
+        op(record.params || {}).catch(() => {});
+      } catch {}
+    }
+    writeClock = null;
+    debug(
+      `[HelixWAL] Restored ${memoryState.boards.size} board(s) from ${wal.dir} (${records.length} log records)`
+    );
+  }
+
+  let compactTimer = null;
+  if (wal && compactIntervalMs > 0) {
+    compactTimer = setInterval(() => {
+      try {
+        if (wal.pending() > 0) compact();
+      } catch (e) {
+        console.warn(`[HelixWAL] Compaction failed: ${e?.message || e}`);
+      }
+    }, compactIntervalMs);
+    compactTimer.unref?.();
+  }
+
   const callOp = async (name, params = {}) => {
     const op = operations[name];
     if (!op) {
       throw new Error(`Helix CLI mode: unsupported query "${name}"`);
     }
-    return await op(params || {});
+    if (!wal || !isWriteQuery(name)) return await op(params || {});
+    const at = now();
+    writeClock = at;
+    let result;
+    try {
+      result = op(params || {});
+    } finally {
+      writeClock = null;
+    }
+    result = await result;
+    wal.append(name, params || {}, at);
+    if (compactEvery > 0 && wal.pending() >= compactEvery) compact();
+    return result;
   };
 
   return {
     endpoint: "in-memory",
     mode: "in-memory",
+    persistDir: wal?.dir || null,
     async query(name, params) {
       return await callOp(name, params);
     },
+    compact,
+    close() {
+      if (compactTimer) clearInterval(compactTimer);
+      compactTimer = null;
+    },
   };
 };
 
@@ -630,29 +819,24 @@ export function createHelix(endpoint, options = {}) {
   mergeTagValueInto(activeTags, options.tags);
 
   const isHelixEnabled = activeTags.has("helix_enabled");
-  const helix = isHelixEnabled ? new HelixDB(endpoint) : createInMemoryHelix();
+  const helix = isHelixEnabled
+    ? new HelixDB(endpoint)
+    : createInMemoryHelix({
+        persistDir: options.persistDir ?? process.env.HELIX_MEMORY_DIR,
+        compactEvery: Number(options.compactEvery ?? process.env.HELIX_WAL_COMPACT_EVERY ?? 1000),
+        compactIntervalMs: Number(
+          options.compactIntervalMs ?? process.env.HELIX_WAL_COMPACT_INTERVAL_MS ?? 10 * 60 * 1000
+        ),
+      });
   const TIMEOUT_MS = Number(process.env.HELIX_TIMEOUT_MS || 10000);
 
   const callHelix = async (queryName, params) => {
+    // Derived queries run in JavaScript; the primitives they call are queued individually
+    const derived = DERIVED_QUERIES[queryName];
+    if (derived) return await derived(params || {}, callHelix);
+
     // Serialize all writes through queue to prevent HelixDB crashes
-    const WRITE_OPERATIONS = new Set([
-      "upsertElement",
-      "updateElementById",
-      "deleteElement",
-      "deleteElementById",
-      "addRelationalAlignment",
-      "deleteRelationalAlignmentsForElement",
-      "deleteSemanticRelationsForElement",
-      "deleteSpatialAlignmentsForElement",
-      "deleteAllBoardRelations",
-      "deleteBoardElements",
-      "deleteSemanticRelationsForBoard",
-      "deleteSpatialAlignmentsForBoard",
-      "createElement",
-      "createArrow",
-    ]);
-
-    const isWrite = WRITE_OPERATIONS.has(queryName);
+    const isWrite = isWriteQuery(queryName);
 
     const executeQuery = async () => {
       try {
@@ -661,7 +845,7 @@ export function createHelix(endpoint, options = {}) {
       } catch (error) {
         // Handle connection errors gracefully
         if (
-          !isCliMode &&
+          isHelixEnabled &&
           (error?.cause?.code === "UND_ERR_SOCKET" || error?.message?.includes("socket"))
         ) {
           console.warn(`[HelixDB] Socket error on ${queryName}, will retry: ${error.message}`);
@@ -0,0 +1,338 @@
+// Catalogue of the Helix queries the SDK depends on, shared by both backends.
+//
+// Primitive queries are defined in sdk/helix/db/queries.hx and implemented again by the in-memory
+// store in helixClient.js; their parameter lists mirror the .hx signatures. Derived queries have no
+// HelixQL counterpart: createHelix runs them in JavaScript on top of the primitives, so they behave
+// the same against HelixDB and the in-memory store.
+
+import { computeBoardEdges, isConnectorKind, toGraphElement } from "./boardGraph.js";
+
+// Element properties shared by upsertElement and updateElementById
+const ELEMENT_FIELDS = {
+  kind: "String",
+  short_id: "String",
+  x: "F64",
+  y: "F64",
+  w: "F64",
+  h: "F64",
+  angle: "F64",
+  strokeColor: "String",
+  backgroundColor: "String",
+  strokeWidth: "I64",
+  fillStyle: "String",
+  roughness: "I64",
+  opacity: "I64",
+  text: "String",
+  link: "String",
+  locked: "Boolean",
+  version: "I64",
+  updated: "I64",
+  index: "I64",
+  startBindingId: "String",
+  endBindingId: "String",
+  semanticClusterId: "String",
+  distanceClusterId: "String",
+  relationalClusterId: "String",
+  frameId: "String",
+  containerId: "String",
+  groupIds: "String",
+  boundElements: "String",
+  points: "String",
+  fileId: "String",
+  fontSize: "F64",
+  fontFamily: "I64",
+};
+
+const BOARD = { boardExtId: "String" };
+const BOARD_ELEMENT = { boardExtId: "String", elementExtId: "String" };
+const ELEMENT = { elementId: "ID" };
+const EDGE = { sourceId: "ID", targetId: "ID" };
+
+/**
+ * Query name -> `{ params, returns, write, derived? }`. `params` maps parameter names to HelixQL
+ * types, `returns` lists the keys of the result object (`null` for a bare array) and `write`
+ * marks queries that go through the write queue (and the in-memory write-ahead log).
+ */
+export const HELIX_QUERIES = {
+  ensureBoard: { params: BOARD, returns: ["board"], write: true },
+  upsertElement: {
+    params: { externalId: "String", boardId: "String", ...ELEMENT_FIELDS },
+    returns: ["el"],
+    write: true,
+  },
+  updateElementById: {
+    params: { elementId: "ID", ...ELEMENT_FIELDS },
+    returns: ["updated_node"],
+    write: true,
+  },
+  getBoardElements: { params: BOARD, returns: ["els"], write: false },
+  getBoardRelations: {
+    params: BOARD,
+    returns: ["relational", "semantic", "spatial", "flows", "binds", "contains", "groups"],
+    write: false,
+  },
+  upsertTextEmbedding: {
+    params: {
+      boardExtId: "String",
+      elementExtId: "String",
+      model: "String",
+      textHash: "String",
+      vector: "[F64]",
+    },
+    returns: ["embedding"],
+    write: true,
+  },
+  getBoardEmbeddings: { params: BOARD, returns: ["vecs"], write: false },
+  vectorSearchText: {
+    params: { boardExtId: "String", embedding: "[F64]", k: "I64" },
+    returns: ["vecs"],
+    write: false,
+  },
+  createFlowEdge: { params: EDGE, returns: ["edge"], write: true },
+  createBinds_TOEdge: { params: EDGE, returns: ["edge"], write: true },
+  addContains: { params: EDGE, returns: ["edge"], write: true },
+  addGroupMembership: { params: { ...EDGE, level: "I64" }, returns: ["edge"], write: true },
+  addRelationalAlignment: {
+    params: { ...EDGE, via: "String", edgeLabel: "String" },
+    returns: ["edge"],
+    write: true,
+  },
+  addSemanticRelation: {
+    params: {
+      fromElementId: "ID",
+      toElementId: "ID",
+      relationship: "String",
+      confidence: "F64",
+    },
+    returns: ["rel"],
+    write: true,
+  },
+  addSpatialAlignment: {
+    params: {
+      fromElementId: "ID",
+      toElementId: "ID",
+      distance: "F64",
+      proximity: "F64",
+      clustered: "Boolean",
+    },
+    returns: ["rel"],
+    write: true,
+  },
+  getRelationallyAlignedNeighbors: { params: ELEMENT, returns: ["outs", "ins"], write: false },
+  getSemanticallyRelatedNeighbors: { params: ELEMENT, returns: ["outs", "ins"], write: false },
+  getSpatiallyAlignedNeighbors: { params: ELEMENT, returns: ["outs", "ins"], write: false },
+  deleteElement: { params: BOARD_ELEMENT, write: true },
+  deleteTextEmbedding: { params: BOARD_ELEMENT, write: true },
+  deleteElementById: { params: ELEMENT, write: true },
+  deleteBoardElements: { params: BOARD, write: true },
+  deleteAllBoardRelations: { params: BOARD, write: true },
+  deleteRelationalAlignmentsByVia: { params: { viaExtId: "String" }, write: true },
+  deleteRelationalAlignmentsForElement: { params: BOARD_ELEMENT, write: true },
+  deleteSemanticRelationsForElement: { params: BOARD_ELEMENT, write: true },
+  deleteSpatialAlignmentsForElement: { params: BOARD_ELEMENT, write: true },
+  deleteStructureEdgesForElement: { params: BOARD_ELEMENT, write: true },
+  deleteSemanticRelationsForBoard: { params: BOARD, write: true },
+  deleteSpatialAlignmentsForBoard: { params: BOARD, write: true },
+
+  getAllElementsForBoard: { params: BOARD, returns: null, write: false, derived: true },
+  analyzeCanvasStructure: {
+    params: BOARD,
+    returns: ["boardId", "nodes", "edges", "byKind", "relations", "patterns"],
+    write: false,
+    derived: true,
+  },
+  createElement: {
+    params: { boardExtId: "String", externalId: "String", elementType: "String" },
+    returns: ["element"],
+    write: true,
+    derived: true,
+  },
+  createArrow: {
+    params: {
+      boardExtId: "String",
+      arrowExternalId: "String",
+      startElementId: "ID",
+      endElementId: "ID",
+    },
+    returns: ["arrow"],
+    write: true,
+    derived: true,
+  },
+};
+
+export const isWriteQuery = (name) => Boolean(HELIX_QUERIES[name]?.write);
+
+const boardIdOf = (params = {}) =>
+  String(params.boardExtId ?? params.boardId ?? params.board_id ?? params.board ?? "").trim();
+
+// Element arrays come back as `els` from HelixDB; older in-memory callers read `elements`
+const elementsOf = (result) => {
+  if (Array.isArray(result)) return result;
+  const list = result?.els ?? result?.elements;
+  return Array.isArray(list) ? list : [];
+};
+
+const DEFAULTS_BY_TYPE = { String: "", F64: 0, I64: 0, Boolean: false };
+// Same defaults as a fresh in-memory element
+const ELEMENT_DEFAULTS = {
+  strokeColor: "#000000",
+  backgroundColor: "transparent",
+  strokeWidth: 1,
+  fillStyle: "solid",
+  opacity: 100,
+  version: 1,
+  groupIds: "[]",
+  boundElements: "[]",
+  points: "[]",
+};
+
+// HelixDB needs every property on upsertElement, so fill the ones the caller left out
+const toUpsertParams = (boardId, externalId, params) => {
+  const full = { externalId, boardId };
+  for (const [field, type] of Object.entries(ELEMENT_FIELDS)) {
+    const value = params[field] ?? ELEMENT_DEFAULTS[field] ?? DEFAULTS_BY_TYPE[type];
+    full[field] = Array.isArray(value) ? JSON.stringify(value) : value;
+  }
+  full.w = Number(params.w ?? params.width ?? 0);
+  full.h = Number(params.h ?? params.height ?? 0);
+  full.short_id = full.short_id || externalId.slice(0, 8);
+  full.updated = full.updated || Date.now();
+  return full;
+};
+
+// Chains shorter than this are not reported as rows or columns
+const MIN_LINE_LENGTH = 2;
+// FLOWS_TO degree from which an element counts as a hub
+const HUB_DEGREE = 3;
+
+// Connected runs of elements linked by DIRECTIONAL edges in one direction
+const lineComponents = (edges, dir, positionOf) => {
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  for (const edge of edges) {
+    if (edge.type !== "DIRECTIONAL" || edge.dir !== dir) continue;
+    for (const id of [edge.from, edge.to]) if (!parent.has(id)) parent.set(id, id);
+    parent.set(find(edge.from), find(edge.to));
+  }
+  const groups = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  }
+  return Array.from(groups.values())
+    .filter((ids) => ids.length >= MIN_LINE_LENGTH)
+    .map((ids) => ids.sort((a, b) => positionOf(a) - positionOf(b) || a.localeCompare(b)))
+    .sort((a, b) => positionOf(a[0]) - positionOf(b[0]));
+};
+
+/**
+ * Layout patterns of a board: rows and columns of shapes placed side by side, and connector hubs.
+ * Connectors and bound labels are left out of rows and columns.
+ * @param {Array<Object>} elements - Helix or canvas elements
+ * @returns {{row_like: boolean, column_like: boolean, grid_like: boolean, rows: Array<Array<string>>, columns: Array<Array<string>>, hubs: Array<{id: string, degree: number}>}}
+ */
+export const detectLayoutPatterns = (elements) => {
+  const graph = (Array.isArray(elements) ? elements : []).map(toGraphElement).filter(Boolean);
+  const shapes = graph.filter((el) => !isConnectorKind(el) && !el.containerId);
+  const byId = new Map(shapes.map((el) => [el.externalId, el]));
+  const layoutEdges = computeBoardEdges(shapes);
+  const rows = lineComponents(layoutEdges, "E", (id) => byId.get(id)?.x ?? 0);
+  const columns = lineComponents(layoutEdges, "S", (id) => byId.get(id)?.y ?? 0);
+
+  const degree = new Map();
+  for (const edge of computeBoardEdges(graph)) {
+    if (edge.type !== "FLOWS_TO") continue;
+    for (const id of [edge.from, edge.to]) degree.set(id, (degree.get(id) || 0) + 1);
+  }
+  const hubs = Array.from(degree, ([id, count]) => ({ id, degree: count }))
+    .filter((hub) => hub.degree >= HUB_DEGREE)
+    .sort((a, b) => b.degree - a.degree || a.id.localeCompare(b.id));
+
+  return {
+    row_like: rows.length > 0,
+    column_like: columns.length > 0,
+    grid_like: rows.length > 1 && columns.length > 1,
+    rows,
+    columns,
+    hubs,
+  };
+};
+
+/**
+ * JavaScript implementations of the derived queries. Each receives the query parameters and the
+ * `callHelix` function to run primitives with.
+ */
+export const DERIVED_QUERIES = {
+  getAllElementsForBoard: async (params, callHelix) =>
+    elementsOf(await callHelix("getBoardElements", { boardExtId: boardIdOf(params) })),
+
+  analyzeCanvasStructure: async (params, callHelix) => {
+    const boardId = boardIdOf(params);
+    const elements = elementsOf(await callHelix("getBoardElements", { boardExtId: boardId }));
+    const relationsRaw = await callHelix("getBoardRelations", { boardExtId: boardId });
+    const byKind = {};
+    for (const el of elements) {
+      const kind = String(el.kind || el.type || "unknown");
+      byKind[kind] = (byKind[kind] || 0) + 1;
+    }
+    const relations = {};
+    for (const key of HELIX_QUERIES.getBoardRelations.returns) {
+      relations[key] = Array.isArray(relationsRaw?.[key]) ? relationsRaw[key].length : 0;
+    }
+    return {
+      boardId,
+      nodes: elements.length,
+      edges: Object.values(relations).reduce((sum, count) => sum + count, 0),
+      byKind,
+      relations,
+      patterns: detectLayoutPatterns(elements),
+    };
+  },
+
+  createElement: async (params, callHelix) => {
+    const boardId = boardIdOf(params);
+    if (!boardId) throw new Error("createElement requires a boardId");
+    const externalId = String(
+      params.externalId ?? params.elementExtId ?? params.elementId ?? `el_${Date.now()}`
+    );
+    const kind = String(params.elementType ?? params.kind ?? params.type ?? "rectangle");
+    const result = await callHelix(
+      "upsertElement",
+      toUpsertParams(boardId, externalId, { ...params, kind })
+    );
+    return { element: result?.el ?? null };
+  },
+
+  createArrow: async (params, callHelix) => {
+    const boardId = boardIdOf(params);
+    if (!boardId) throw new Error("createArrow requires a boardId");
+    const externalId = String(params.arrowExternalId ?? params.externalId ?? `ar_${Date.now()}`);
+    // Bindings reference external IDs; callers pass the internal IDs of the bound elements
+    const startId = String(params.startElementId ?? "");
+    const endId = String(params.endElementId ?? "");
+    const externalOf = new Map();
+    if ((startId && params.startBindingId == null) || (endId && params.endBindingId == null)) {
+      const elements = elementsOf(await callHelix("getBoardElements", { boardExtId: boardId }));
+      for (const el of elements) externalOf.set(String(el.id), String(el.externalId));
+    }
+    const result = await callHelix(
+      "upsertElement",
+      toUpsertParams(boardId, externalId, {
+        ...params,
+        kind: "arrow",
+        startBindingId: params.startBindingId ?? externalOf.get(startId) ?? startId,
+        endBindingId: params.endBindingId ?? externalOf.get(endId) ?? endId,
+      })
+    );
+    return { arrow: result?.el ?? null };
+  },
+};
+
+export default { HELIX_QUERIES, DERIVED_QUERIES, isWriteQuery, detectLayoutPatterns };
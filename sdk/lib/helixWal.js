@@ -0,0 +1,103 @@
+// Write-ahead log for the in-memory Helix store (see createInMemoryHelix in helixClient.js).
+//
+// Layout:
+//   <dir>/helix-snapshot.json    compacted state `{ seq, savedAt, boards }`
+//   <dir>/helix-wal.jsonl        one `{ seq, at, op, params }` record per accepted write
+//
+// Records are appended synchronously so a write is on disk before the caller sees it succeed;
+// the store is loaded while the Helix client is constructed, which is synchronous as well.
+// Compaction writes the snapshot atomically and then truncates the log. Records whose `seq` is
+// already covered by the snapshot are skipped on replay, so a crash between the two steps is safe.
+
+import fs from "fs";
+import path from "path";
+
+const SNAPSHOT_FILE = "helix-snapshot.json";
+const WAL_FILE = "helix-wal.jsonl";
+
+/**
+ * Opens (or creates) a write-ahead log directory.
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the snapshot and the log
+ * @returns {{dir: string, load: Function, append: Function, writeSnapshot: Function, pending: Function}}
+ */
+export const createHelixWal = ({ dir }) => {
+  if (!dir) throw new Error("Helix write-ahead log requires a directory");
+  const root = path.resolve(dir);
+  const snapshotFile = path.join(root, SNAPSHOT_FILE);
+  const walFile = path.join(root, WAL_FILE);
+  fs.mkdirSync(root, { recursive: true });
+
+  let seq = 0;
+  let pendingRecords = 0;
+
+  /**
+   * Reads the snapshot and the log records written after it.
+   * @returns {{snapshot: Object|null, records: Array<Object>}}
+   */
+  const load = () => {
+    let snapshot = null;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(snapshotFile, "utf8"));
+    } catch {}
+    const covered = Number(snapshot?.seq || 0);
+    const records = [];
+    let text = "";
+    try {
+      text = fs.readFileSync(walFile, "utf8");
+    } catch {}
+    const lines = text.split("\n").filter((line) => line.trim());
+    let unreadable = 0;
+    lines.forEach((line, index) => {
+      try {
+        const record = JSON.parse(line);
+        if (Number(record?.seq) > covered && record.op) records.push(record);
+      } catch {
+        // A torn final line is an append cut short by a crash; anything else is corruption
+        const where = index === lines.length - 1 ? "truncated tail" : `line ${index + 1}`;
+        console.warn(`[HelixWAL] Skipping unreadable record (${where}) in ${walFile}`);
+        unreadable += 1;
+      }
+    });
+    if (unreadable > 0) {
+      // Rewrite without the bad lines so new appends do not land on a torn one
+      const kept = records.map((record) => `${JSON.stringify(record)}\n`).join("");
+      fs.writeFileSync(walFile, kept, "utf8");
+    }
+    seq = Math.max(covered, ...records.map((record) => Number(record.seq)));
+    pendingRecords = records.length;
+    return { snapshot, records };
+  };
+
+  /**
+   * Appends one write to the log.
+   * @param {string} op - Query name
+   * @param {Object} params - Query parameters
+   * @param {number} at - Clock value the write was applied with
+   */
+  const append = (op, params, at) => {
+    const record = { seq: seq + 1, at, op, params };
+    fs.appendFileSync(walFile, `${JSON.stringify(record)}\n`, "utf8");
+    seq = record.seq;
+    pendingRecords += 1;
+  };
+
+  /**
+   * Replaces the snapshot with `boards` and truncates the log.
+   * @param {Array<Object>} boards - Serialized board records
+   */
+  const writeSnapshot = (boards) => {
+    const tmp = path.join(root, `.${SNAPSHOT_FILE}.${process.pid}.${Date.now()}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify({ seq, savedAt: Date.now(), boards }), "utf8");
+    fs.renameSync(tmp, snapshotFile);
+    fs.writeFileSync(walFile, "", "utf8");
+    pendingRecords = 0;
+  };
+
+  // Log records written since the last snapshot
+  const pending = () => pendingRecords;
+
+  return { dir: root, load, append, writeSnapshot, pending };
+};
+
+export default createHelixWal;
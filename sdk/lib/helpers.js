@@ -66,6 +66,15 @@ export const CLUSTER_CONSTANTS = {
   DISTANCE_THRESHOLD: 1.0,
   SEMANTIC_SIMILARITY_THRESHOLD: 0.75,
   MAX_EMBED_CONCURRENCY: 4,
+  EDGE_NEIGHBORS: 5, // Max persisted semantic/spatial edges per element
+  HIERARCHY_CONTAINMENT: 0.8, // Share of a cluster's members its parent cluster must hold
+  HIERARCHY_SPLIT_SIZE: 12, // Relational clusters larger than this are split into sub-clusters
+  IDENTITY_MIN_JACCARD: 0.5, // Member overlap a cluster needs with its predecessor to keep its id
+  INCREMENTAL_MAX_SHARE: 0.3, // Share of changed elements above which clusters are recomputed in full
+  DIAGNOSTICS_MAX_MEMBERS: 1_000, // Clustered elements above which silhouette scores are skipped
+  SUMMARY_BATCH_SIZE: 8, // Clusters summarized per LLM request
+  SUMMARY_CONCURRENCY: 3, // LLM summary requests in flight per analysis
+  KEYWORDS_PER_CLUSTER: 5, // Offline keywords per semantic, distance and relational cluster
 };
 
 /**
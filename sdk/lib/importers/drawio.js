@@ -0,0 +1,256 @@
+// draw.io / diagrams.net importer (`.drawio` files and bare mxGraphModel XML).
+//
+// Pages may be stored as plain XML or compressed (base64 + raw deflate + URI encoding).
+// Vertices become shapes, edges become bound arrows, swimlanes/containers become frames
+// and `group` cells become Excalidraw groups.
+
+import zlib from "zlib";
+import {
+  connectorElement,
+  findXmlNodes,
+  htmlToText,
+  parseXml,
+  shapeElement,
+  stackPages,
+} from "./shared.js";
+
+const parseStyle = (style) => {
+  const out = {};
+  for (const part of String(style || "").split(";")) {
+    if (!part) continue;
+    const eq = part.indexOf("=");
+    if (eq === -1) out[part.trim()] = true;
+    else out[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+  }
+  return out;
+};
+
+const inflatePage = (text) => {
+  const raw = Buffer.from(String(text).trim(), "base64");
+  const inflated = zlib.inflateRawSync(raw).toString("utf8");
+  return parseXml(decodeURIComponent(inflated));
+};
+
+const shapeKindOf = (style) => {
+  if (style.ellipse || style.shape === "ellipse" || style.shape === "doubleEllipse")
+    return "ellipse";
+  if (style.rhombus || style.shape === "rhombus") return "diamond";
+  if (style.text) return "text";
+  if (style.shape === "image" || style.image) return "image";
+  return "rectangle";
+};
+
+const isContainerStyle = (style) =>
+  Boolean(
+    style.swimlane ||
+      style.shape === "swimlane" ||
+      style.container === "1" ||
+      style.shape === "table"
+  );
+
+// Flattens <object>/<UserObject> wrappers: their attributes (incl. label) belong to the inner mxCell
+const readCells = (model) => {
+  const cells = [];
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (child.name === "mxCell") {
+        cells.push({ attrs: { ...child.attrs }, node: child });
+      } else if (child.name === "object" || child.name === "UserObject") {
+        const inner = child.children.find((c) => c.name === "mxCell");
+        if (inner) {
+          const { label, ...rest } = child.attrs;
+          cells.push({
+            attrs: { ...rest, ...inner.attrs, value: label ?? inner.attrs.value },
+            node: inner,
+          });
+        }
+      } else {
+        visit(child);
+      }
+    }
+  };
+  visit(model);
+  return cells;
+};
+
+const geometryOf = (cellNode) => {
+  const geo = cellNode.children.find((c) => c.name === "mxGeometry");
+  if (!geo) return null;
+  const num = (v) => (v === undefined ? 0 : Number(v) || 0);
+  const pointNamed = (as) => {
+    const p = geo.children.find((c) => c.name === "mxPoint" && c.attrs.as === as);
+    return p ? { x: num(p.attrs.x), y: num(p.attrs.y) } : null;
+  };
+  const waypointArray = geo.children.find((c) => c.name === "Array" && c.attrs.as === "points");
+  return {
+    x: num(geo.attrs.x),
+    y: num(geo.attrs.y),
+    width: num(geo.attrs.width),
+    height: num(geo.attrs.height),
+    sourcePoint: pointNamed("sourcePoint"),
+    targetPoint: pointNamed("targetPoint"),
+    waypoints: waypointArray
+      ? waypointArray.children
+          .filter((c) => c.name === "mxPoint")
+          .map((p) => ({ x: num(p.attrs.x), y: num(p.attrs.y) }))
+      : [],
+  };
+};
+
+const importModel = (model, warnings) => {
+  const cells = readCells(model);
+  const byId = new Map(cells.map((cell) => [cell.attrs.id, cell]));
+  // Layers are the root cell ("0") and its direct children; they carry no geometry
+  const rootIds = new Set(cells.filter((c) => !c.attrs.parent).map((c) => c.attrs.id));
+  const isLayer = (cell) => !cell.attrs.parent || rootIds.has(cell.attrs.parent);
+  const absolute = new Map();
+  const originOf = (id) => {
+    const cell = byId.get(id);
+    if (!cell || (isLayer(cell) && !cell.attrs.vertex)) return { x: 0, y: 0 };
+    if (absolute.has(id)) return absolute.get(id);
+    const geo = geometryOf(cell.node) || { x: 0, y: 0 };
+    const parent = originOf(cell.attrs.parent);
+    const pos = { x: parent.x + geo.x, y: parent.y + geo.y };
+    absolute.set(id, pos);
+    return pos;
+  };
+
+  const shapes = new Map();
+  const frames = new Set();
+  const groups = new Set();
+  for (const cell of cells) {
+    const { id, vertex } = cell.attrs;
+    if (vertex !== "1" || !id) continue;
+    const style = parseStyle(cell.attrs.style);
+    const geo = geometryOf(cell.node);
+    if (!geo) continue;
+    if (style.edgeLabel) continue;
+    const origin = originOf(id);
+    const text = htmlToText(cell.attrs.value);
+    if (style.group) {
+      groups.add(id);
+      continue;
+    }
+    const container = isContainerStyle(style);
+    if (container) frames.add(id);
+    shapes.set(
+      id,
+      shapeElement({
+        id,
+        kind: container ? "frame" : shapeKindOf(style),
+        text: container ? "" : text,
+        ...(container ? { name: text } : {}),
+        x: origin.x,
+        y: origin.y,
+        width: geo.width,
+        height: geo.height,
+        angle: (Number(style.rotation) || 0) * (Math.PI / 180),
+      })
+    );
+  }
+
+  // Resolve containment now that every vertex is known
+  const ancestors = (id) => {
+    const out = [];
+    let current = byId.get(id)?.attrs.parent;
+    while (current && byId.has(current)) {
+      out.push(current);
+      current = byId.get(current).attrs.parent;
+    }
+    return out;
+  };
+  for (const shape of shapes.values()) {
+    const chain = ancestors(shape.id);
+    if (shape.type !== "frame") {
+      const frameId = chain.find((id) => frames.has(id));
+      if (frameId) shape.frameId = frameId;
+    }
+    // Excalidraw orders groupIds innermost first
+    shape.groupIds = chain.filter((id) => groups.has(id));
+  }
+
+  const connectors = [];
+  const edgeLabels = new Map();
+  for (const cell of cells) {
+    const style = parseStyle(cell.attrs.style);
+    if (cell.attrs.vertex === "1" && style.edgeLabel && cell.attrs.parent) {
+      const text = htmlToText(cell.attrs.value);
+      if (text)
+        edgeLabels.set(cell.attrs.parent, [...(edgeLabels.get(cell.attrs.parent) || []), text]);
+    }
+  }
+  for (const cell of cells) {
+    const { id, edge, source, target, parent } = cell.attrs;
+    if (edge !== "1" || !id) continue;
+    const style = parseStyle(cell.attrs.style);
+    const geo = geometryOf(cell.node) || { waypoints: [] };
+    const origin = originOf(parent);
+    const shift = (p) => (p ? { x: p.x + origin.x, y: p.y + origin.y } : undefined);
+    const text = [htmlToText(cell.attrs.value), ...(edgeLabels.get(id) || [])]
+      .filter(Boolean)
+      .join(" ");
+    const connector = connectorElement({
+      id,
+      from: shapes.get(source),
+      to: shapes.get(target),
+      start: shift(geo.sourcePoint),
+      end: shift(geo.targetPoint),
+      waypoints: geo.waypoints.map(shift),
+      text,
+      directed:
+        style.endArrow !== "none" || Boolean(style.startArrow && style.startArrow !== "none"),
+    });
+    if (!connector) {
+      warnings.push(`Edge ${id} has no resolvable endpoints and was skipped`);
+      continue;
+    }
+    const chain = ancestors(id);
+    const frameId = chain.find((a) => frames.has(a));
+    if (frameId) connector.frameId = frameId;
+    connector.groupIds = chain.filter((a) => groups.has(a));
+    connectors.push(connector);
+  }
+
+  return [...shapes.values(), ...connectors];
+};
+
+/**
+ * Converts a draw.io document into Excalidraw-shaped elements.
+ * @param {string} source - `.drawio` / mxGraphModel XML
+ * @returns {{elements: Array<Object>, warnings: Array<string>}}
+ */
+export const importDrawio = (source) => {
+  const doc = parseXml(source);
+  const warnings = [];
+  const diagrams = findXmlNodes(doc, "diagram");
+  const pages = [];
+  if (diagrams.length > 0) {
+    diagrams.forEach((diagram, index) => {
+      let model = diagram.children.find((c) => c.name === "mxGraphModel");
+      if (!model && diagram.text.trim()) {
+        try {
+          model = findXmlNodes(inflatePage(diagram.text), "mxGraphModel")[0];
+        } catch (e) {
+          warnings.push(
+            `Page ${diagram.attrs.name || index + 1} could not be decompressed: ${e?.message || e}`
+          );
+        }
+      }
+      if (!model) return;
+      pages.push({
+        id: `page-${diagram.attrs.id || index + 1}`,
+        name: diagram.attrs.name || `Page ${index + 1}`,
+        elements: importModel(model, warnings),
+      });
+    });
+  } else {
+    const model = findXmlNodes(doc, "mxGraphModel")[0];
+    if (model) pages.push({ id: "page-1", name: "Page 1", elements: importModel(model, warnings) });
+  }
+  if (pages.length === 0) throw new Error("No draw.io diagram (mxGraphModel) found in document");
+  const elements = stackPages(pages);
+  if (elements.length === 0) throw new Error("draw.io document has no shapes");
+  return { elements, warnings };
+};
+
+export default importDrawio;
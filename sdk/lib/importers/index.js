@@ -0,0 +1,91 @@
+// Document import: converts Mermaid, draw.io and tldraw documents into the
+// Excalidraw-shaped elements accepted by `normalizeElement` and `/api/canvas/sync`.
+
+import { importDrawio } from "./drawio.js";
+import { importMermaid } from "./mermaid.js";
+import { importTldraw } from "./tldraw.js";
+
+export const IMPORT_FORMATS = ["mermaid", "drawio", "tldraw"];
+
+const IMPORTERS = { mermaid: importMermaid, drawio: importDrawio, tldraw: importTldraw };
+
+const FORMAT_ALIASES = {
+  mmd: "mermaid",
+  flowchart: "mermaid",
+  "draw.io": "drawio",
+  diagramsnet: "drawio",
+  mxgraph: "drawio",
+  xml: "drawio",
+  tldr: "tldraw",
+};
+
+/**
+ * Resolves a format name (or alias); "auto"/empty sniffs the content.
+ * @param {string} [format]
+ * @param {string|Object} content
+ * @returns {string} One of IMPORT_FORMATS, or "" when unknown
+ */
+export const resolveImportFormat = (format, content) => {
+  const name = String(format || "")
+    .trim()
+    .toLowerCase();
+  if (name && name !== "auto") {
+    const resolved = FORMAT_ALIASES[name] || name;
+    return IMPORT_FORMATS.includes(resolved) ? resolved : "";
+  }
+  if (content && typeof content === "object") return "tldraw";
+  const text = String(content || "").trimStart();
+  if (text.startsWith("<")) return "drawio";
+  if (text.startsWith("{")) return "tldraw";
+  return "mermaid";
+};
+
+// Rewrites every ID and ID reference so imported elements live in their own namespace on the board
+const prefixElementIds = (elements, prefix) => {
+  if (!prefix) return elements;
+  const ids = new Set(elements.map((el) => String(el.id)));
+  const map = (id) => (id && ids.has(String(id)) ? `${prefix}${id}` : id);
+  return elements.map((el) => ({
+    ...el,
+    id: map(el.id),
+    frameId: el.frameId ? map(el.frameId) : el.frameId,
+    containerId: el.containerId ? map(el.containerId) : el.containerId,
+    groupIds: (el.groupIds || []).map((id) => `${prefix}${id}`),
+    boundElements: (el.boundElements || []).map((b) => ({ ...b, id: map(b.id) })),
+    startBinding: el.startBinding
+      ? { ...el.startBinding, elementId: map(el.startBinding.elementId) }
+      : el.startBinding,
+    endBinding: el.endBinding
+      ? { ...el.endBinding, elementId: map(el.endBinding.elementId) }
+      : el.endBinding,
+  }));
+};
+
+/**
+ * Converts a document into Excalidraw-shaped elements.
+ * @param {Object} options
+ * @param {string} [options.format] - "mermaid", "drawio", "tldraw" (or an alias); sniffed when omitted
+ * @param {string|Object} options.content - Document source (tldraw may be pre-parsed JSON)
+ * @param {string} [options.idPrefix=""] - Prefix applied to every element/group ID
+ * @returns {{format: string, elements: Array<Object>, warnings: Array<string>}}
+ * @throws {Error} With `.code = "UNSUPPORTED_FORMAT"` for unknown formats, or a parse error
+ */
+export const importDocument = ({ format, content, idPrefix = "" } = {}) => {
+  if (content === undefined || content === null || content === "") {
+    throw new Error("Document content is empty");
+  }
+  const resolved = resolveImportFormat(format, content);
+  if (!resolved) {
+    const err = new Error(
+      `Unsupported import format "${format}". Expected one of: ${IMPORT_FORMATS.join(", ")}`
+    );
+    err.code = "UNSUPPORTED_FORMAT";
+    throw err;
+  }
+  const { elements, warnings } = IMPORTERS[resolved](content);
+  return { format: resolved, elements: prefixElementIds(elements, idPrefix), warnings };
+};
+
+export { importDrawio, importMermaid, importTldraw };
+
+export default importDocument;
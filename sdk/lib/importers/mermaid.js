@@ -0,0 +1,294 @@
+// Mermaid flowchart importer (`flowchart` / `graph` diagrams).
+//
+// Mermaid carries no coordinates, so nodes are placed with a layered layout that
+// follows the declared direction (TB/TD, BT, LR, RL). Subgraphs become frames.
+
+import { NODE_HEIGHT, NODE_WIDTH, connectorElement, frameAround, shapeElement } from "./shared.js";
+
+const GAP_X = 80;
+const GAP_Y = 100;
+
+// Longest openers first so "((" wins over "("
+const SHAPES = [
+  ["(((", ")))", "ellipse"],
+  ["([", "])", "rectangle"],
+  ["[[", "]]", "rectangle"],
+  ["[(", ")]", "rectangle"],
+  ["((", "))", "ellipse"],
+  ["{{", "}}", "diamond"],
+  ["[/", "/]", "rectangle"],
+  ["[\\", "\\]", "rectangle"],
+  ["[/", "\\]", "rectangle"],
+  ["[\\", "/]", "rectangle"],
+  ["(", ")", "rectangle"],
+  ["[", "]", "rectangle"],
+  ["{", "}", "diamond"],
+  [">", "]", "rectangle"],
+];
+
+const NODE_ID_RE = /^[A-Za-z0-9_$][\w$]*(?:-(?![-.>])[\w$]+)*/;
+// `-- label -->`, `== label ==>`, `-. label .->`
+const TEXT_EDGE_RE = /^\s*(<)?(--|==|-\.)\s+(.+?)\s+(-{2,}|={2,}|\.-+)(>|o|x)?\s*/;
+// `-->`, `---`, `==>`, `-.->`, `<-->`, `--o`, optionally followed by `|label|`
+const EDGE_RE = /^\s*(<)?(-{2,}|={2,}|-\.+-)(>|o|x)?\s*(?:\|([^|]*)\|)?\s*/;
+const IGNORED_STATEMENT_RE =
+  /^(classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/;
+const HEADER_RE = /^(flowchart|graph)\b\s*(TB|TD|BT|LR|RL)?/i;
+
+const cleanLabel = (value) =>
+  String(value ?? "")
+    .trim()
+    .replace(/^"(.*)"$/s, "$1")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/\\n/g, "\n")
+    .trim();
+
+const parseNodeAt = (src, pos) => {
+  const rest = src.slice(pos).replace(/^\s+/, "");
+  const skipped = src.length - pos - rest.length;
+  const idMatch = NODE_ID_RE.exec(rest);
+  if (!idMatch) return null;
+  const id = idMatch[0];
+  let cursor = id.length;
+  let label = "";
+  let kind = "rectangle";
+  for (const [open, close, shape] of SHAPES) {
+    if (!rest.startsWith(open, cursor)) continue;
+    const end = rest.indexOf(close, cursor + open.length);
+    if (end === -1) continue;
+    label = cleanLabel(rest.slice(cursor + open.length, end));
+    kind = shape;
+    cursor = end + close.length;
+    break;
+  }
+  // Inline class assignment: A:::highlight
+  const classMatch = /^:::[\w-]+/.exec(rest.slice(cursor));
+  if (classMatch) cursor += classMatch[0].length;
+  return { id, label, kind, next: pos + skipped + cursor };
+};
+
+const parseGroupAt = (src, pos) => {
+  const nodes = [];
+  let cursor = pos;
+  for (;;) {
+    const node = parseNodeAt(src, cursor);
+    if (!node) return nodes.length ? { nodes, next: cursor } : null;
+    nodes.push(node);
+    cursor = node.next;
+    const amp = /^\s*&\s*/.exec(src.slice(cursor));
+    if (!amp) return { nodes, next: cursor };
+    cursor += amp[0].length;
+  }
+};
+
+const parseEdgeAt = (src, pos) => {
+  const rest = src.slice(pos);
+  const text = TEXT_EDGE_RE.exec(rest);
+  if (text) {
+    return {
+      label: cleanLabel(text[3]),
+      directed: Boolean(text[1] || text[5]),
+      next: pos + text[0].length,
+    };
+  }
+  const plain = EDGE_RE.exec(rest);
+  if (plain) {
+    return {
+      label: cleanLabel(plain[4]),
+      directed: Boolean(plain[1] || plain[3]),
+      next: pos + plain[0].length,
+    };
+  }
+  return null;
+};
+
+/**
+ * Parses Mermaid flowchart source into nodes, edges and subgraphs.
+ * @param {string} source - Mermaid text
+ * @returns {{direction: string, nodes: Map, edges: Array, subgraphs: Array, warnings: Array<string>}}
+ */
+export const parseMermaid = (source) => {
+  const lines = String(source ?? "")
+    .replace(/%%.*$/gm, "")
+    .split(/\r?\n|;/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const header = lines.length ? HEADER_RE.exec(lines[0]) : null;
+  if (!header) {
+    throw new Error(
+      "Only Mermaid flowcharts are supported (expected `flowchart` or `graph` header)"
+    );
+  }
+  const direction = String(header[2] || "TB").toUpperCase();
+  const nodes = new Map();
+  const edges = [];
+  const subgraphs = [];
+  const openSubgraphs = [];
+  const warnings = [];
+
+  const touchNode = (node) => {
+    const existing = nodes.get(node.id);
+    if (!existing) {
+      nodes.set(node.id, {
+        id: node.id,
+        label: node.label || node.id,
+        kind: node.kind,
+        subgraph: openSubgraphs.at(-1) || null,
+      });
+    } else if (node.label) {
+      existing.label = node.label;
+      existing.kind = node.kind;
+    }
+    const current = openSubgraphs.at(-1);
+    if (current && !current.members.includes(node.id)) current.members.push(node.id);
+  };
+
+  for (const line of lines.slice(1)) {
+    if (IGNORED_STATEMENT_RE.test(line)) continue;
+    const sub = /^subgraph\s+(.+)$/.exec(line);
+    if (sub) {
+      const spec = sub[1].trim();
+      const withTitle = /^([\w$-]+)\s*\[(.*)\]$/.exec(spec);
+      const id = withTitle ? withTitle[1] : spec.replace(/\s+/g, "_");
+      const title = cleanLabel(withTitle ? withTitle[2] : spec);
+      const entry = { id, title, members: [], parent: openSubgraphs.at(-1) || null };
+      subgraphs.push(entry);
+      openSubgraphs.push(entry);
+      continue;
+    }
+    if (line === "end") {
+      if (!openSubgraphs.pop()) warnings.push("Unmatched `end` ignored");
+      continue;
+    }
+
+    let cursor = 0;
+    let group = parseGroupAt(line, cursor);
+    if (!group) {
+      warnings.push(`Skipped unrecognised statement: ${line.slice(0, 80)}`);
+      continue;
+    }
+    group.nodes.forEach(touchNode);
+    cursor = group.next;
+    while (cursor < line.length) {
+      const edge = parseEdgeAt(line, cursor);
+      if (!edge) {
+        warnings.push(`Stopped parsing at: ${line.slice(cursor, cursor + 40)}`);
+        break;
+      }
+      const target = parseGroupAt(line, edge.next);
+      if (!target) {
+        warnings.push(`Edge without target: ${line.slice(0, 80)}`);
+        break;
+      }
+      target.nodes.forEach(touchNode);
+      for (const from of group.nodes) {
+        for (const to of target.nodes) {
+          edges.push({ from: from.id, to: to.id, label: edge.label, directed: edge.directed });
+        }
+      }
+      group = target;
+      cursor = target.next;
+    }
+  }
+  if (openSubgraphs.length) warnings.push("Unclosed subgraph closed at end of document");
+  // A subgraph ID used as an edge endpoint is not a node of its own
+  for (const subgraph of subgraphs) {
+    const node = nodes.get(subgraph.id);
+    if (node) node.isSubgraph = true;
+  }
+  return { direction, nodes, edges, subgraphs, warnings };
+};
+
+// Longest-path layering; cycles are cut by capping the layer at the node count
+const assignLayers = (nodeIds, edges) => {
+  const layer = new Map(nodeIds.map((id) => [id, 0]));
+  const cap = nodeIds.length;
+  for (let pass = 0; pass < cap; pass++) {
+    let moved = false;
+    for (const edge of edges) {
+      if (!layer.has(edge.from) || !layer.has(edge.to) || edge.from === edge.to) continue;
+      const next = Math.min(cap, layer.get(edge.from) + 1);
+      if (next > layer.get(edge.to)) {
+        layer.set(edge.to, next);
+        moved = true;
+      }
+    }
+    if (!moved) break;
+  }
+  return layer;
+};
+
+/**
+ * Converts a Mermaid flowchart into Excalidraw-shaped elements.
+ * @param {string} source - Mermaid text
+ * @returns {{elements: Array<Object>, warnings: Array<string>}}
+ */
+export const importMermaid = (source) => {
+  const { direction, nodes, edges, subgraphs, warnings } = parseMermaid(source);
+  const nodeIds = Array.from(nodes.values())
+    .filter((n) => !n.isSubgraph)
+    .map((n) => n.id);
+  if (nodeIds.length === 0) throw new Error("Mermaid document has no nodes");
+
+  const layer = assignLayers(nodeIds, edges);
+  const slots = new Map();
+  const shapes = new Map();
+  const horizontal = direction === "LR" || direction === "RL";
+  const reversed = direction === "BT" || direction === "RL";
+  const depth = Math.max(...layer.values());
+  for (const id of nodeIds) {
+    const node = nodes.get(id);
+    const rank = reversed ? depth - layer.get(id) : layer.get(id);
+    const slot = slots.get(rank) || 0;
+    slots.set(rank, slot + 1);
+    const along = rank * ((horizontal ? NODE_WIDTH : NODE_HEIGHT) + (horizontal ? GAP_X : GAP_Y));
+    const across = slot * ((horizontal ? NODE_HEIGHT : NODE_WIDTH) + (horizontal ? GAP_Y : GAP_X));
+    shapes.set(
+      id,
+      shapeElement({
+        id,
+        kind: node.kind,
+        text: node.label,
+        x: horizontal ? along : across,
+        y: horizontal ? across : along,
+      })
+    );
+  }
+
+  const connectors = [];
+  const seen = new Map();
+  for (const edge of edges) {
+    const from = shapes.get(edge.from);
+    const to = shapes.get(edge.to);
+    if (!from || !to) {
+      warnings.push(`Edge ${edge.from} -> ${edge.to} touches a subgraph and was skipped`);
+      continue;
+    }
+    const base = `${edge.from}->${edge.to}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    connectors.push(
+      connectorElement({
+        id: count > 1 ? `${base}#${count}` : base,
+        from,
+        to,
+        text: edge.label,
+        directed: edge.directed,
+      })
+    );
+  }
+
+  // Innermost subgraphs first so nested members keep their closest frame
+  const frames = [];
+  const depthOf = (sg) => (sg.parent ? 1 + depthOf(sg.parent) : 0);
+  for (const subgraph of [...subgraphs].sort((a, b) => depthOf(b) - depthOf(a))) {
+    const members = subgraph.members.map((id) => shapes.get(id)).filter(Boolean);
+    const nested = frames.filter((f) => subgraphs.find((s) => s.id === f.id)?.parent === subgraph);
+    const frame = frameAround(subgraph.id, subgraph.title, [...members, ...nested]);
+    if (frame) frames.push(frame);
+  }
+
+  return { elements: [...frames, ...shapes.values(), ...connectors], warnings };
+};
+
+export default importMermaid;
@@ -0,0 +1,250 @@
+// Helpers shared by the document importers: element builders, a minimal XML reader
+// and page stacking. Importers emit Excalidraw-shaped elements so they flow through
+// `normalizeElement` exactly like canvas syncs.
+
+export const NODE_WIDTH = 180;
+export const NODE_HEIGHT = 80;
+const PAGE_GAP = 200;
+const FRAME_PADDING = 40;
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Decodes XML/HTML character entities.
+ * @param {string} value
+ * @returns {string}
+ */
+export const decodeEntities = (value) =>
+  String(value ?? "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n =
+        code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+
+/**
+ * Converts an HTML label (as used by draw.io) to plain text.
+ * @param {string} value
+ * @returns {string}
+ */
+export const htmlToText = (value) =>
+  decodeEntities(
+    String(value ?? "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(div|p|li)>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{2,}/g, "\n")
+    .trim();
+
+/**
+ * Parses XML into `{ name, attrs, children, text }` nodes. Handles the subset used by
+ * diagram files (no DTDs); comments, processing instructions and CDATA are skipped.
+ * @param {string} xml
+ * @returns {{name: string, attrs: Object, children: Array<Object>, text: string}} Synthetic root node
+ */
+export const parseXml = (xml) => {
+  const root = { name: "#root", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  const source = String(xml ?? "").replace(
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>/gi,
+    ""
+  );
+  const tagRe =
+    /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g;
+  const attrRe = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let last = 0;
+  let match;
+  while ((match = tagRe.exec(source))) {
+    const text = source.slice(last, match.index);
+    if (text.trim()) stack[stack.length - 1].text += decodeEntities(text);
+    last = tagRe.lastIndex;
+    const [, closing, name, rawAttrs, selfClosing] = match;
+    if (closing) {
+      // Tolerate mismatched closers by unwinding to the nearest matching open tag
+      const idx = stack.map((n) => n.name).lastIndexOf(name);
+      if (idx > 0) stack.length = idx;
+      continue;
+    }
+    const attrs = {};
+    let attr;
+    while ((attr = attrRe.exec(rawAttrs)))
+      attrs[attr[1]] = decodeEntities(attr[2] ?? attr[3] ?? "");
+    const node = { name, attrs, children: [], text: "" };
+    stack[stack.length - 1].children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+  return root;
+};
+
+/**
+ * Depth-first search for XML nodes by tag name.
+ * @param {Object} node
+ * @param {string} name
+ * @returns {Array<Object>}
+ */
+export const findXmlNodes = (node, name) => {
+  const out = [];
+  const visit = (n) => {
+    for (const child of n.children) {
+      if (child.name === name) out.push(child);
+      visit(child);
+    }
+  };
+  visit(node);
+  return out;
+};
+
+/**
+ * Builds a shape element.
+ * @param {Object} spec - `{ id, kind, x, y, width, height, text, frameId?, groupIds?, ... }`
+ * @returns {Object} Excalidraw-shaped element
+ */
+export const shapeElement = ({ id, kind = "rectangle", text = "", ...rest }) => ({
+  id: String(id),
+  type: kind,
+  width: NODE_WIDTH,
+  height: NODE_HEIGHT,
+  angle: 0,
+  version: 1,
+  boundElements: [],
+  groupIds: [],
+  ...rest,
+  x: Number(rest.x) || 0,
+  y: Number(rest.y) || 0,
+  text: String(text || ""),
+});
+
+const centerOf = (el) => ({
+  x: Number(el.x || 0) + Number(el.width || 0) / 2,
+  y: Number(el.y || 0) + Number(el.height || 0) / 2,
+});
+
+/**
+ * Builds a connector between two shapes (or free points) and registers it in the
+ * shapes' `boundElements`, the way Excalidraw stores bound arrows.
+ * @param {Object} spec
+ * @param {string} spec.id - Connector ID
+ * @param {Object} [spec.from] - Start shape element
+ * @param {Object} [spec.to] - End shape element
+ * @param {{x: number, y: number}} [spec.start] - Start point when there is no start shape
+ * @param {{x: number, y: number}} [spec.end] - End point when there is no end shape
+ * @param {Array<{x: number, y: number}>} [spec.waypoints] - Absolute intermediate points
+ * @param {string} [spec.text] - Connector label
+ * @param {boolean} [spec.directed=true] - "arrow" when true, "line" otherwise
+ * @returns {Object|null} Connector element, or null when an end cannot be placed
+ */
+export const connectorElement = ({
+  id,
+  from,
+  to,
+  start,
+  end,
+  waypoints = [],
+  text = "",
+  directed = true,
+  ...rest
+}) => {
+  const a = from ? centerOf(from) : start;
+  const b = to ? centerOf(to) : end;
+  if (!a || !b) return null;
+  const route = [a, ...waypoints, b];
+  const xs = route.map((p) => p.x);
+  const ys = route.map((p) => p.y);
+  const connector = {
+    id: String(id),
+    type: directed ? "arrow" : "line",
+    x: a.x,
+    y: a.y,
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys),
+    angle: 0,
+    version: 1,
+    points: route.map((p) => [p.x - a.x, p.y - a.y]),
+    startBinding: from ? { elementId: String(from.id) } : null,
+    endBinding: to ? { elementId: String(to.id) } : null,
+    groupIds: [],
+    ...rest,
+    text: String(text || ""),
+  };
+  for (const shape of [from, to]) {
+    if (shape && !shape.boundElements.some((b) => b.id === connector.id)) {
+      shape.boundElements.push({ id: connector.id, type: "arrow" });
+    }
+  }
+  return connector;
+};
+
+/**
+ * Bounding box of a set of elements.
+ * @param {Array<Object>} elements
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+export const boundsOf = (elements) => {
+  if (!elements.length) return null;
+  const minX = Math.min(...elements.map((el) => Number(el.x || 0)));
+  const minY = Math.min(...elements.map((el) => Number(el.y || 0)));
+  const maxX = Math.max(...elements.map((el) => Number(el.x || 0) + Number(el.width || 0)));
+  const maxY = Math.max(...elements.map((el) => Number(el.y || 0) + Number(el.height || 0)));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * Builds a frame enclosing the given elements and points their `frameId` at it.
+ * @param {string} id - Frame ID
+ * @param {string} name - Frame title
+ * @param {Array<Object>} members - Elements placed inside the frame
+ * @returns {Object|null} Frame element, or null when there are no members
+ */
+export const frameAround = (id, name, members) => {
+  const box = boundsOf(members);
+  if (!box) return null;
+  // Frames do not nest in Excalidraw; an enclosing frame only adopts loose elements
+  for (const el of members) if (!el.frameId && el.type !== "frame") el.frameId = String(id);
+  return shapeElement({
+    id,
+    kind: "frame",
+    name: String(name || ""),
+    x: box.x - FRAME_PADDING,
+    y: box.y - FRAME_PADDING,
+    width: box.width + FRAME_PADDING * 2,
+    height: box.height + FRAME_PADDING * 2,
+  });
+};
+
+/**
+ * Lays out multi-page documents top to bottom and wraps each page in a frame.
+ * Single-page documents are returned unchanged.
+ * @param {Array<{id: string, name: string, elements: Array<Object>}>} pages
+ * @returns {Array<Object>} Elements of all pages
+ */
+export const stackPages = (pages) => {
+  const nonEmpty = pages.filter((p) => p.elements.length > 0);
+  if (nonEmpty.length <= 1) return nonEmpty[0]?.elements || [];
+  const out = [];
+  let cursorY = 0;
+  for (const page of nonEmpty) {
+    const box = boundsOf(page.elements);
+    const dy = cursorY - box.y + FRAME_PADDING;
+    for (const el of page.elements) el.y = Number(el.y || 0) + dy;
+    // Excalidraw frames do not nest: page-level frames only adopt loose elements
+    const frame = shapeElement({
+      id: page.id,
+      kind: "frame",
+      name: String(page.name || ""),
+      x: box.x - FRAME_PADDING,
+      y: cursorY,
+      width: box.width + FRAME_PADDING * 2,
+      height: box.height + FRAME_PADDING * 2,
+    });
+    for (const el of page.elements) {
+      if (!el.frameId && el.type !== "frame") el.frameId = frame.id;
+    }
+    out.push(frame, ...page.elements);
+    cursorY += box.height + FRAME_PADDING * 2 + PAGE_GAP;
+  }
+  return out;
+};
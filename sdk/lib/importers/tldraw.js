@@ -0,0 +1,268 @@
+// tldraw importer: `.tldr` files (`{ records: [...] }`) and store snapshots
+// (`{ store: { "shape:…": {...} } }`, optionally nested under `document`).
+//
+// Child shapes are positioned relative to their parent frame/group, so coordinates
+// are accumulated up the parent chain. Arrow endpoints come either from legacy
+// `props.start/end` bindings or from separate `binding` records (tldraw ≥ 2.2).
+
+import { connectorElement, shapeElement, stackPages } from "./shared.js";
+
+const GEO_KINDS = {
+  rectangle: "rectangle",
+  ellipse: "ellipse",
+  oval: "ellipse",
+  diamond: "diamond",
+};
+
+const readRecords = (doc) => {
+  if (Array.isArray(doc?.records)) return doc.records;
+  const store = doc?.store || doc?.document?.store;
+  if (store && typeof store === "object") return Object.values(store);
+  throw new Error("Unrecognised tldraw document (expected `records` or `store`)");
+};
+
+// tldraw ≥ 3 stores labels as TipTap rich text
+const richTextToString = (node) => {
+  if (!node || typeof node !== "object") return "";
+  if (typeof node.text === "string") return node.text;
+  const parts = (Array.isArray(node.content) ? node.content : []).map(richTextToString);
+  return node.type === "doc" ? parts.join("\n") : parts.join("");
+};
+
+const labelOf = (props = {}) => {
+  if (typeof props.text === "string" && props.text.trim()) return props.text.trim();
+  if (props.richText) return richTextToString(props.richText).trim();
+  if (typeof props.name === "string") return props.name.trim();
+  return "";
+};
+
+const pointsOf = (props = {}) => {
+  if (Array.isArray(props.segments)) {
+    return props.segments.flatMap((segment) => (segment.points || []).map((p) => [p.x, p.y]));
+  }
+  if (props.points && typeof props.points === "object") {
+    const list = Array.isArray(props.points)
+      ? props.points
+      : Object.values(props.points).sort((a, b) => String(a.index).localeCompare(String(b.index)));
+    return list.map((p) => [p.x, p.y]);
+  }
+  return [];
+};
+
+/**
+ * Converts a tldraw document into Excalidraw-shaped elements.
+ * @param {string|Object} source - tldraw JSON (string or parsed)
+ * @returns {{elements: Array<Object>, warnings: Array<string>}}
+ */
+export const importTldraw = (source) => {
+  let doc = source;
+  if (typeof source === "string") {
+    try {
+      doc = JSON.parse(source);
+    } catch (e) {
+      throw new Error(`Invalid tldraw JSON: ${e?.message || e}`);
+    }
+  }
+  const records = readRecords(doc);
+  const warnings = [];
+  const shapesById = new Map(
+    records.filter((r) => r?.typeName === "shape" && r.id).map((r) => [String(r.id), r])
+  );
+  const pageRecords = records
+    .filter((r) => r?.typeName === "page")
+    .sort((a, b) => String(a.index || "").localeCompare(String(b.index || "")));
+
+  const pageOf = (shape) => {
+    let current = shape;
+    for (let guard = 0; current && guard < 100; guard++) {
+      const parentId = String(current.parentId || "");
+      if (!shapesById.has(parentId)) return parentId;
+      current = shapesById.get(parentId);
+    }
+    return "";
+  };
+  const ancestorsOf = (shape) => {
+    const out = [];
+    let parent = shapesById.get(String(shape.parentId || ""));
+    for (let guard = 0; parent && guard < 100; guard++) {
+      out.push(parent);
+      parent = shapesById.get(String(parent.parentId || ""));
+    }
+    return out;
+  };
+  const originOf = (shape) =>
+    ancestorsOf(shape).reduce(
+      (acc, parent) => ({ x: acc.x + Number(parent.x || 0), y: acc.y + Number(parent.y || 0) }),
+      { x: Number(shape.x || 0), y: Number(shape.y || 0) }
+    );
+
+  // Binding records (newer format): arrow id -> { start, end } target shape ids
+  const arrowTargets = new Map();
+  for (const record of records) {
+    if (record?.typeName !== "binding" || record.type !== "arrow") continue;
+    const entry = arrowTargets.get(String(record.fromId)) || {};
+    entry[record.props?.terminal === "start" ? "start" : "end"] = String(record.toId);
+    arrowTargets.set(String(record.fromId), entry);
+  }
+
+  const elementsByPage = new Map();
+  const push = (pageId, el) => {
+    if (!elementsByPage.has(pageId)) elementsByPage.set(pageId, []);
+    elementsByPage.get(pageId).push(el);
+  };
+  const built = new Map();
+  const arrows = [];
+  for (const shape of shapesById.values()) {
+    const props = shape.props || {};
+    const origin = originOf(shape);
+    const ancestors = ancestorsOf(shape);
+    const frameId = ancestors.find((a) => a.type === "frame")?.id;
+    const groupIds = ancestors.filter((a) => a.type === "group").map((a) => String(a.id));
+    const common = {
+      x: origin.x,
+      y: origin.y,
+      angle: Number(shape.rotation || 0),
+      groupIds,
+      ...(frameId ? { frameId: String(frameId) } : {}),
+    };
+    let el = null;
+    switch (shape.type) {
+      case "group":
+        continue;
+      case "arrow":
+        arrows.push(shape);
+        continue;
+      case "frame":
+        el = shapeElement({
+          id: shape.id,
+          kind: "frame",
+          name: labelOf(props),
+          ...common,
+          width: props.w,
+          height: props.h,
+        });
+        delete el.frameId;
+        break;
+      case "geo":
+        el = shapeElement({
+          id: shape.id,
+          kind: GEO_KINDS[props.geo] || "rectangle",
+          text: labelOf(props),
+          ...common,
+          width: props.w,
+          height: props.h,
+        });
+        break;
+      case "note":
+        el = shapeElement({
+          id: shape.id,
+          kind: "rectangle",
+          text: labelOf(props),
+          ...common,
+          width: 200,
+          height: 200,
+        });
+        break;
+      case "text":
+        el = shapeElement({
+          id: shape.id,
+          kind: "text",
+          text: labelOf(props),
+          ...common,
+          width: props.w || 200,
+          height: 40,
+        });
+        break;
+      case "image":
+      case "video":
+        el = shapeElement({
+          id: shape.id,
+          kind: "image",
+          fileId: String(props.assetId || ""),
+          ...common,
+          width: props.w,
+          height: props.h,
+        });
+        break;
+      case "draw":
+      case "highlight":
+      case "line": {
+        const points = pointsOf(props);
+        const xs = points.map((p) => p[0]);
+        const ys = points.map((p) => p[1]);
+        el = shapeElement({
+          id: shape.id,
+          kind: shape.type === "line" ? "line" : "freedraw",
+          ...common,
+          points,
+          width: points.length ? Math.max(...xs) - Math.min(...xs) : 0,
+          height: points.length ? Math.max(...ys) - Math.min(...ys) : 0,
+        });
+        break;
+      }
+      default:
+        if (props.w && props.h) {
+          el = shapeElement({
+            id: shape.id,
+            kind: "rectangle",
+            text: labelOf(props),
+            ...common,
+            width: props.w,
+            height: props.h,
+          });
+        } else {
+          warnings.push(`Skipped unsupported tldraw shape type "${shape.type}"`);
+          continue;
+        }
+    }
+    built.set(String(shape.id), el);
+    push(pageOf(shape), el);
+  }
+
+  for (const shape of arrows) {
+    const props = shape.props || {};
+    const origin = originOf(shape);
+    const ancestors = ancestorsOf(shape);
+    const frameId = ancestors.find((a) => a.type === "frame")?.id;
+    const legacy = (end) => (end?.type === "binding" ? String(end.boundShapeId || "") : "");
+    const bound = arrowTargets.get(String(shape.id)) || {};
+    const startId = bound.start || legacy(props.start);
+    const endId = bound.end || legacy(props.end);
+    const point = (end) =>
+      end && Number.isFinite(Number(end.x))
+        ? { x: origin.x + Number(end.x), y: origin.y + Number(end.y) }
+        : undefined;
+    const connector = connectorElement({
+      id: shape.id,
+      from: built.get(startId),
+      to: built.get(endId),
+      start: point(props.start),
+      end: point(props.end),
+      text: labelOf(props),
+      directed:
+        props.arrowheadEnd !== "none" ||
+        Boolean(props.arrowheadStart && props.arrowheadStart !== "none"),
+      groupIds: ancestors.filter((a) => a.type === "group").map((a) => String(a.id)),
+      ...(frameId ? { frameId: String(frameId) } : {}),
+    });
+    if (!connector) {
+      warnings.push(`Arrow ${shape.id} has no resolvable endpoints and was skipped`);
+      continue;
+    }
+    push(pageOf(shape), connector);
+  }
+
+  const pageIds = pageRecords.length
+    ? pageRecords.map((p) => String(p.id))
+    : Array.from(elementsByPage.keys());
+  const pages = pageIds.map((id) => ({
+    id,
+    name: pageRecords.find((p) => String(p.id) === id)?.name || id,
+    elements: elementsByPage.get(id) || [],
+  }));
+  const elements = stackPages(pages);
+  if (elements.length === 0) throw new Error("tldraw document has no shapes");
+  return { elements, warnings };
+};
+
+export default importTldraw;
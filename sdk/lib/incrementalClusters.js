@@ -0,0 +1,282 @@
+// Incremental cluster maintenance.
+//
+// A cluster analysis keeps a snapshot of the board it clustered: one signature per element
+// (geometry, text, kind, containers and, for connectors, the shapes they join). The next analysis
+// diffs the board against that snapshot and re-derives only what the changes can reach: distance
+// and relational clusters are rebuilt outwards from the changed elements, semantic clusters are
+// re-run over the changed texts and the clusters similar to them. Every other cluster is carried
+// over unchanged, so an edit on a large board costs about as much as the neighbourhood it touches.
+
+import { CLUSTER_CONSTANTS } from "./helpers.js";
+import { clusterEmbeddings, similarityMatrix } from "./semanticClustering.js";
+import { normalizeGroupIds } from "./structure.js";
+import { cosineSimilarity } from "./utils.js";
+
+const sizeOf = (el, long, short) => Number(el?.[long] || el?.[short] || 0);
+
+/**
+ * Distance between two elements' centres relative to their average size; elements closer than
+ * the spatial tolerance (CLUSTER_CONSTANTS.DISTANCE_THRESHOLD by default) belong to the same
+ * distance cluster.
+ * @param {Object} a - Element with x/y and width/height (or w/h)
+ * @param {Object} b - Element with x/y and width/height (or w/h)
+ * @returns {number}
+ */
+export const proportionalDistance = (a, b) => {
+  const aw = sizeOf(a, "width", "w");
+  const ah = sizeOf(a, "height", "h");
+  const bw = sizeOf(b, "width", "w");
+  const bh = sizeOf(b, "height", "h");
+  const centerDist = Math.hypot(
+    Number(a.x || 0) + aw / 2 - (Number(b.x || 0) + bw / 2),
+    Number(a.y || 0) + ah / 2 - (Number(b.y || 0) + bh / 2)
+  );
+  const avgSize = (aw + ah + (bw + bh)) / 4;
+  return centerDist / Math.max(50, avgSize * 2);
+};
+
+/**
+ * Uniform grid over element positions, so neighbour lookups avoid O(n^2) scans.
+ * @param {Array<Object>} elements - Board elements
+ * @param {number} [cellSize] - Cell size in px (default CLUSTER_CONSTANTS.CELL_SIZE)
+ * @returns {(el: Object) => Array<Object>} Elements in the cell of `el` and the eight around it
+ */
+export const spatialGrid = (elements, cellSize = CLUSTER_CONSTANTS.CELL_SIZE) => {
+  const cellOf = (el) => [
+    Math.floor(Number(el.x || 0) / cellSize),
+    Math.floor(Number(el.y || 0) / cellSize),
+  ];
+  const grid = new Map();
+  for (const el of elements) {
+    const key = cellOf(el).join(",");
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(el);
+  }
+  return (el) => {
+    const [cx, cy] = cellOf(el);
+    const out = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const cand of grid.get(`${cx + dx},${cy + dy}`) || []) out.push(cand);
+      }
+    }
+    return out;
+  };
+};
+
+/**
+ * What an analysis needs to know about an element to tell later whether it changed.
+ * @param {Object} el - Merged board element
+ * @param {{a: string, b: string}} [link] - Shapes a connector joins, if it joins any
+ * @returns {{geometry: string, content: string, ends: Array<string>}}
+ */
+export const clusterSignature = (el, link) => ({
+  geometry: [el.x, el.y, sizeOf(el, "width", "w"), sizeOf(el, "height", "h")]
+    .map((v) => Number(v || 0))
+    .join(","),
+  content: JSON.stringify([
+    String(el.kind || ""),
+    typeof el.text === "string" ? el.text.trim() : "",
+    String(el.frameId || ""),
+    normalizeGroupIds(el.groupIds),
+  ]),
+  ends: link ? [link.a, link.b] : [],
+});
+
+/**
+ * Compares the board with the snapshot of the last analysis.
+ * @param {Map<string, Object>} previous - Signatures by externalId from the last analysis
+ * @param {Map<string, Object>} next - Current signatures by externalId
+ * @returns {{added: Array<string>, deleted: Array<string>, moved: Array<string>, edited: Array<string>, size: number}}
+ *   `edited` covers text, kind, containers and the shapes a connector joins; an element can be
+ *   both moved and edited, and `size` counts each changed element once
+ */
+export const diffClusterSnapshot = (previous, next) => {
+  const added = [];
+  const moved = [];
+  const edited = [];
+  for (const [id, sig] of next) {
+    const before = previous.get(id);
+    if (!before) {
+      added.push(id);
+      continue;
+    }
+    if (before.geometry !== sig.geometry) moved.push(id);
+    if (before.content !== sig.content || before.ends.join() !== sig.ends.join()) edited.push(id);
+  }
+  const deleted = Array.from(previous.keys()).filter((id) => !next.has(id));
+  const size = new Set([...added, ...deleted, ...moved, ...edited]).size;
+  return { added, deleted, moved, edited, size };
+};
+
+/**
+ * Elements each kind of clustering has to revisit after a change. Relational clustering also
+ * revisits the shapes a changed connector joined before and joins now.
+ * @param {Object} delta - Result of diffClusterSnapshot
+ * @param {Map<string, Object>} previous - Signatures from the last analysis
+ * @param {Map<string, Object>} next - Current signatures
+ * @returns {{semantic: Set<string>, distance: Set<string>, relational: Set<string>}}
+ */
+export const dirtyElements = (delta, previous, next) => {
+  const changed = [...delta.added, ...delta.edited, ...delta.deleted];
+  const relational = new Set(changed);
+  for (const id of changed) {
+    for (const sig of [previous.get(id), next.get(id)]) {
+      for (const end of sig?.ends || []) relational.add(end);
+    }
+  }
+  return {
+    semantic: new Set(changed),
+    distance: new Set([...delta.added, ...delta.moved, ...delta.deleted]),
+    relational,
+  };
+};
+
+/**
+ * Re-derives the connected components a set of changed nodes can reach and keeps the rest.
+ * With no previous components and every node dirty this is a plain component search.
+ * @param {Object} options
+ * @param {Array<Array<string>>} [options.previous=[]] - Components of the last analysis
+ * @param {Iterable<string>} options.dirty - Nodes whose neighbours may have changed, including
+ *   deleted ones; rebuilt components are seeded in this order
+ * @param {(id: string) => boolean} options.has - Whether a node is on the board and can be a member
+ * @param {(id: string) => Iterable<string>} options.neighborsOf - Current neighbours of a node
+ * @param {number} [options.maxIterations] - Nodes one search may visit (default CLUSTER_CONSTANTS.MAX_ITERS)
+ * @returns {{components: Array<Array<string>>, rebuilt: Array<Array<string>>}} Kept components in
+ *   their previous order followed by the rebuilt ones; only components of two or more are returned
+ */
+export const updateComponents = ({
+  previous = [],
+  dirty,
+  has,
+  neighborsOf,
+  maxIterations = CLUSTER_CONSTANTS.MAX_ITERS,
+}) => {
+  const dirtySet = new Set(dirty);
+  const seeds = new Set([...dirtySet].filter(has));
+  for (const component of previous) {
+    if (!component.some((id) => dirtySet.has(id))) continue;
+    for (const id of component) if (has(id)) seeds.add(id);
+  }
+
+  const visited = new Set();
+  const rebuilt = [];
+  for (const seed of seeds) {
+    if (visited.has(seed)) continue;
+    const component = [seed];
+    const queue = [seed];
+    visited.add(seed);
+    let iterations = 0;
+    while (queue.length > 0) {
+      if (++iterations > maxIterations) {
+        console.warn("[Clusters] Component search early stop due to MAX_ITERS");
+        break;
+      }
+      for (const neighbor of neighborsOf(queue.shift())) {
+        if (visited.has(neighbor) || !has(neighbor)) continue;
+        visited.add(neighbor);
+        component.push(neighbor);
+        queue.push(neighbor);
+      }
+    }
+    if (component.length > 1) rebuilt.push(component);
+  }
+
+  // A search that reached an unchanged component absorbed it, so only untouched ones are kept
+  const kept = previous.filter((c) => !c.some((id) => dirtySet.has(id) || visited.has(id)));
+  return { components: [...kept, ...rebuilt], rebuilt };
+};
+
+/**
+ * Re-runs semantic clustering over the neighbourhood of changed texts and keeps the rest. The
+ * neighbourhood is the changed texts, every text similar to one of them, and all members of the
+ * clusters those texts were in.
+ * @param {Object} options
+ * @param {Array<Array<string>>} options.previous - Semantic clusters of the last analysis
+ * @param {Iterable<string>} options.dirty - Added, edited and deleted element ids
+ * @param {Map<string, Array<number>>} options.vectors - Current vectors of every text element
+ * @param {string} options.algorithm - Algorithm the previous clusters came from
+ * @param {number} [options.threshold] - Similarity threshold (default SEMANTIC_SIMILARITY_THRESHOLD)
+ * @param {number} [options.minClusterSize=2] - Smallest cluster kept
+ * @returns {{clusters: Array<Array<string>>, edges: Array<{from: string, to: string, weight: number}>}}
+ *   Kept clusters then the re-run ones, and the similarity edges of the changed texts
+ */
+export const updateSemanticClusters = ({
+  previous,
+  dirty,
+  vectors,
+  algorithm,
+  threshold = CLUSTER_CONSTANTS.SEMANTIC_SIMILARITY_THRESHOLD,
+  minClusterSize = 2,
+}) => {
+  const dirtySet = new Set(dirty);
+  const clusterOf = new Map();
+  previous.forEach((members, i) => members.forEach((id) => clusterOf.set(id, i)));
+  const touched = new Set();
+  for (const id of dirtySet) if (clusterOf.has(id)) touched.add(clusterOf.get(id));
+
+  const region = new Set();
+  const edges = [];
+  const seen = new Set();
+  for (const id of dirtySet) {
+    const vector = vectors.get(id);
+    if (!vector) continue;
+    region.add(id);
+    for (const [other, otherVector] of vectors) {
+      if (other === id) continue;
+      const weight = cosineSimilarity(vector, otherVector);
+      if (weight < threshold) continue;
+      region.add(other);
+      if (clusterOf.has(other)) touched.add(clusterOf.get(other));
+      const [from, to] = [id, other].sort();
+      if (seen.has(`${from}\u0000${to}`)) continue;
+      seen.add(`${from}\u0000${to}`);
+      edges.push({ from, to, weight });
+    }
+  }
+  for (const i of touched) for (const id of previous[i]) if (vectors.has(id)) region.add(id);
+
+  // Sorted like a full analysis so the same neighbourhood always yields the same clusters
+  const ids = Array.from(region).sort();
+  const rebuilt =
+    ids.length > 1
+      ? clusterEmbeddings(similarityMatrix(ids.map((id) => vectors.get(id))), {
+          algorithm,
+          threshold,
+          minClusterSize,
+        }).map((indices) => indices.map((i) => ids[i]))
+      : [];
+  return { clusters: [...previous.filter((_, i) => !touched.has(i)), ...rebuilt], edges };
+};
+
+/**
+ * Ids of clusters that are new or whose members changed between two identity states.
+ * @param {Object} previous - Identity state before the analysis ({ clusters } by family)
+ * @param {Object} next - Identity state after it
+ * @returns {Object} Cluster ids by family; retired clusters are reported by the lineage instead
+ */
+export const changedClusterIds = (previous, next) => {
+  const changed = {};
+  for (const [family, clusters] of Object.entries(next?.clusters || {})) {
+    const before = new Map(
+      (previous?.clusters?.[family] || []).map((c) => [c.id, [...c.member_ids].sort().join()])
+    );
+    changed[family] = clusters
+      .filter((c) => before.get(c.id) !== [...c.member_ids].sort().join())
+      .map((c) => c.id);
+  }
+  return changed;
+};
+
+/**
+ * Marks a board's cached analysis as behind the board. The next analysis brings it up to date
+ * incrementally instead of starting over, which dropping the cache entry would force.
+ * @param {Map} clusterCache - Board id -> { result, lastComputed, snapshot }
+ * @param {string} boardId
+ */
+export const markClustersStale = (clusterCache, boardId) => {
+  const entry = clusterCache.get(String(boardId));
+  if (entry) entry.stale = true;
+};
+
+export default updateComponents;
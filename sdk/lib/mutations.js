@@ -0,0 +1,505 @@
+// Server-side canvas edits expressed as operations over Excalidraw elements.
+//
+// Operations work on a copy of the board's Excalidraw scene and return the elements they
+// touched with bumped `version`/`versionNonce`, so the result can be written through the
+// delta sync path and handed to clients unchanged (`excalidrawAPI.updateScene`).
+//
+//   { op: "create",  element: { type, x, y, width?, height?, text?, ...style } }
+//   { op: "update",  id, props: { text?, x?, y?, width?, height?, name?, ...style } }
+//   { op: "move",    ids | id, dx, dy }  or  { op: "move", id, x, y }
+//   { op: "delete",  ids | id }
+//   { op: "group",   ids, groupId? }     { op: "ungroup", groupId }
+//   { op: "connect", from, to, label?, type?: "arrow" | "line", props? }
+//   { op: "bind",    id, start?, end? }  (arrow ID; null unbinds an end)
+
+import { DEFAULT_FONT_SIZE, excalidrawDefaults, measureText, randomNonce } from "./excalidraw.js";
+
+export const MUTATION_OPS = [
+  "create",
+  "update",
+  "move",
+  "delete",
+  "group",
+  "ungroup",
+  "connect",
+  "bind",
+];
+
+const CREATABLE_TYPES = new Set([
+  "rectangle",
+  "ellipse",
+  "diamond",
+  "text",
+  "arrow",
+  "line",
+  "frame",
+]);
+const CONTAINER_TYPES = new Set(["rectangle", "ellipse", "diamond", "arrow"]);
+const LINEAR_TYPES = new Set(["arrow", "line"]);
+const FRAME_TYPES = new Set(["frame", "magicframe"]);
+
+// Style and metadata props callers may set directly
+const STYLE_PROPS = [
+  "angle",
+  "strokeColor",
+  "backgroundColor",
+  "fillStyle",
+  "strokeWidth",
+  "strokeStyle",
+  "roughness",
+  "opacity",
+  "roundness",
+  "link",
+  "locked",
+  "startArrowhead",
+  "endArrowhead",
+  "fontSize",
+  "fontFamily",
+  "textAlign",
+  "verticalAlign",
+];
+const GEOMETRY_PROPS = ["x", "y", "width", "height"];
+const DEFAULT_SIZE = {
+  rectangle: [160, 80],
+  ellipse: [160, 80],
+  diamond: [160, 100],
+  frame: [400, 300],
+};
+
+const invalid = (message, details = {}) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.details = details;
+  return err;
+};
+
+const pickProps = (source, keys) => {
+  const out = {};
+  for (const key of keys) if (source?.[key] !== undefined) out[key] = source[key];
+  return out;
+};
+
+const centerOf = (el) => ({ x: el.x + el.width / 2, y: el.y + el.height / 2 });
+
+// Point where the ray from the element's center towards `toward` leaves its bounding box
+const edgePoint = (el, toward) => {
+  const c = centerOf(el);
+  const dx = toward.x - c.x;
+  const dy = toward.y - c.y;
+  if (!dx && !dy) return c;
+  const tx = dx ? el.width / 2 / Math.abs(dx) : Infinity;
+  const ty = dy ? el.height / 2 / Math.abs(dy) : Infinity;
+  const t = Math.min(tx, ty, 1);
+  return { x: c.x + dx * t, y: c.y + dy * t };
+};
+
+const toIdList = (value) =>
+  (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]).map(String);
+
+/**
+ * Applies mutation operations to a board's Excalidraw elements.
+ * @param {Map<string, Object>} elements - Current Excalidraw elements by ID (left untouched)
+ * @param {Array<Object>} operations - Operations, applied in order
+ * @param {Object} [options]
+ * @param {Function} [options.newId] - ID generator for created elements and groups
+ * @param {Function} [options.now=Date.now] - Clock used for `updated`
+ * @returns {{changed: Array<Object>, created: Array<string>, deleted: Array<string>, results: Array<Object>}}
+ * @throws {Error} With `.status = 400` and `.details = { index, op }` for invalid operations
+ */
+export const applyMutations = (elements, operations, { newId, now = Date.now } = {}) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw invalid("operations must be a non-empty array");
+  }
+  const nextId =
+    newId || (() => `el_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`);
+  const scene = new Map(elements);
+  const touched = new Set();
+  const created = new Set();
+  let index = 0;
+
+  const fail = (message) => {
+    throw invalid(message, { index, op: operations[index]?.op });
+  };
+  const get = (id) => {
+    const el = scene.get(String(id));
+    if (!el || el.isDeleted) fail(`Unknown element "${id}"`);
+    return el;
+  };
+  const put = (el) => {
+    scene.set(el.id, el);
+    touched.add(el.id);
+    return el;
+  };
+  const edit = (id, fn) => {
+    const next = { ...get(id) };
+    fn(next);
+    return put(next);
+  };
+  const live = () => Array.from(scene.values()).filter((el) => !el.isDeleted);
+  const boundTextOf = (container) =>
+    live().find((el) => el.type === "text" && el.containerId === container.id) || null;
+  const addBound = (targetId, entry) =>
+    edit(targetId, (el) => {
+      const list = (el.boundElements || []).filter((b) => b.id !== entry.id);
+      el.boundElements = [...list, entry];
+    });
+  const removeBound = (targetId, boundId) => {
+    const target = scene.get(String(targetId));
+    if (!target || target.isDeleted) return;
+    if (!(target.boundElements || []).some((b) => b.id === boundId)) return;
+    edit(targetId, (el) => {
+      const list = el.boundElements.filter((b) => b.id !== boundId);
+      el.boundElements = list.length ? list : null;
+    });
+  };
+
+  // Keeps a bound label centered in its container (arrows: on the route's midpoint)
+  const placeLabel = (container, text) => {
+    const { width, height } = measureText(text.text, text.fontSize);
+    let cx;
+    let cy;
+    if (LINEAR_TYPES.has(container.type)) {
+      const pts = container.points;
+      const mid = Math.floor((pts.length - 1) / 2);
+      const a = pts[mid];
+      const b = pts[Math.min(mid + 1, pts.length - 1)];
+      cx = container.x + (a[0] + b[0]) / 2;
+      cy = container.y + (a[1] + b[1]) / 2;
+    } else {
+      ({ x: cx, y: cy } = centerOf(container));
+    }
+    return { ...text, width, height, x: cx - width / 2, y: cy - height / 2 };
+  };
+
+  const setLabel = (containerId, value) => {
+    const container = get(containerId);
+    const existing = boundTextOf(container);
+    const content = String(value ?? "");
+    if (!content) {
+      if (existing) removeElement(existing.id);
+      return;
+    }
+    if (existing) {
+      put(placeLabel(container, { ...existing, text: content, originalText: content }));
+      return;
+    }
+    const textId = nextId();
+    created.add(textId);
+    put(
+      placeLabel(container, {
+        ...excalidrawDefaults("text", textId),
+        text: content,
+        originalText: content,
+        containerId: container.id,
+        textAlign: "center",
+        verticalAlign: "middle",
+        groupIds: [...(container.groupIds || [])],
+        frameId: container.frameId || null,
+      })
+    );
+    addBound(container.id, { id: textId, type: "text" });
+  };
+
+  // Re-routes a connector between its bound shapes, keeping intermediate waypoints
+  const route = (arrowId) => {
+    const arrow = get(arrowId);
+    const pts =
+      arrow.points?.length >= 2
+        ? arrow.points
+        : [
+            [0, 0],
+            [arrow.width, arrow.height],
+          ];
+    const abs = pts.map(([px, py]) => ({ x: arrow.x + px, y: arrow.y + py }));
+    const startEl = arrow.startBinding ? scene.get(arrow.startBinding.elementId) : null;
+    const endEl = arrow.endBinding ? scene.get(arrow.endBinding.elementId) : null;
+    const alive = (el) => (el && !el.isDeleted ? el : null);
+    const s = alive(startEl);
+    const e = alive(endEl);
+    const first = s ? edgePoint(s, e ? centerOf(e) : abs[1]) : abs[0];
+    const last = e ? edgePoint(e, s ? centerOf(s) : abs[abs.length - 2]) : abs[abs.length - 1];
+    const full = [first, ...abs.slice(1, -1), last];
+    const xs = full.map((p) => p.x);
+    const ys = full.map((p) => p.y);
+    const next = put({
+      ...arrow,
+      x: first.x,
+      y: first.y,
+      points: full.map((p) => [p.x - first.x, p.y - first.y]),
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys),
+    });
+    const label = boundTextOf(next);
+    if (label) put(placeLabel(next, label));
+  };
+
+  const connectorsBoundTo = (ids) =>
+    live().filter(
+      (el) =>
+        LINEAR_TYPES.has(el.type) &&
+        (ids.has(el.startBinding?.elementId) || ids.has(el.endBinding?.elementId))
+    );
+
+  const removeElement = (id) => {
+    const el = scene.get(String(id));
+    if (!el || el.isDeleted) return;
+    put({ ...el, isDeleted: true, boundElements: null });
+    if (el.containerId) removeBound(el.containerId, el.id);
+    if (LINEAR_TYPES.has(el.type)) {
+      if (el.startBinding) removeBound(el.startBinding.elementId, el.id);
+      if (el.endBinding) removeBound(el.endBinding.elementId, el.id);
+    }
+    const label = boundTextOf(el);
+    if (label) removeElement(label.id);
+    if (FRAME_TYPES.has(el.type)) {
+      for (const child of live().filter((c) => c.frameId === el.id)) removeElement(child.id);
+    }
+    // Connectors stay on the board, unbound from the removed element (as in the editor)
+    for (const conn of connectorsBoundTo(new Set([el.id]))) {
+      edit(conn.id, (c) => {
+        if (c.startBinding?.elementId === el.id) c.startBinding = null;
+        if (c.endBinding?.elementId === el.id) c.endBinding = null;
+      });
+    }
+  };
+
+  const bindEnd = (arrowId, end, targetId) => {
+    const key = end === "start" ? "startBinding" : "endBinding";
+    const arrow = get(arrowId);
+    const previous = arrow[key]?.elementId;
+    if (previous && previous !== targetId) {
+      const other = end === "start" ? arrow.endBinding?.elementId : arrow.startBinding?.elementId;
+      if (other !== previous) removeBound(previous, arrow.id);
+    }
+    if (!targetId) {
+      edit(arrowId, (el) => {
+        el[key] = null;
+      });
+      return;
+    }
+    const target = get(targetId);
+    if (LINEAR_TYPES.has(target.type) || target.type === "text") {
+      fail(`Cannot bind to ${target.type} element "${targetId}"`);
+    }
+    edit(arrowId, (el) => {
+      el[key] = { elementId: target.id, focus: 0, gap: 8 };
+    });
+    addBound(target.id, { id: arrow.id, type: "arrow" });
+  };
+
+  const ops = {
+    create(op) {
+      const spec = op.element || {};
+      const type = String(spec.type || "rectangle").toLowerCase();
+      if (!CREATABLE_TYPES.has(type)) fail(`Unsupported element type "${spec.type}"`);
+      const id = String(spec.id || nextId());
+      if (scene.has(id) && !scene.get(id).isDeleted) fail(`Element "${id}" already exists`);
+      if (spec.frameId && !FRAME_TYPES.has(get(spec.frameId).type)) {
+        fail(`"${spec.frameId}" is not a frame`);
+      }
+      const [defaultWidth, defaultHeight] = DEFAULT_SIZE[type] || [0, 0];
+      const el = {
+        ...excalidrawDefaults(type, id),
+        ...pickProps(spec, STYLE_PROPS),
+        x: Number(spec.x || 0),
+        y: Number(spec.y || 0),
+        width: Number(spec.width ?? defaultWidth),
+        height: Number(spec.height ?? defaultHeight),
+        groupIds: toIdList(spec.groupIds),
+        frameId: spec.frameId ? String(spec.frameId) : null,
+      };
+      if (type === "text") {
+        const text = String(spec.text ?? "");
+        const size = measureText(text, Number(spec.fontSize) || DEFAULT_FONT_SIZE);
+        Object.assign(el, { text, originalText: text, ...size });
+      } else if (FRAME_TYPES.has(type)) {
+        el.name = spec.name ?? spec.text ?? null;
+      } else if (LINEAR_TYPES.has(type)) {
+        const points = Array.isArray(spec.points) && spec.points.length >= 2 ? spec.points : null;
+        el.points = points
+          ? points.map(([px, py]) => [Number(px) || 0, Number(py) || 0])
+          : [
+              [0, 0],
+              [el.width, el.height],
+            ];
+      }
+      put(el);
+      created.add(id);
+      if (CONTAINER_TYPES.has(type) && spec.text) setLabel(id, spec.text);
+      return { op: "create", id };
+    },
+
+    update(op) {
+      const id = String(op.id || "");
+      const current = get(id);
+      const props = op.props || {};
+      edit(id, (el) => {
+        Object.assign(el, pickProps(props, STYLE_PROPS));
+        for (const key of GEOMETRY_PROPS) {
+          if (props[key] !== undefined) el[key] = Number(props[key]) || 0;
+        }
+        if (FRAME_TYPES.has(el.type) && (props.name !== undefined || props.text !== undefined)) {
+          el.name = props.name ?? props.text;
+        }
+        if (el.type === "text" && props.text !== undefined) {
+          el.text = String(props.text);
+          el.originalText = el.text;
+          if (!el.containerId) Object.assign(el, measureText(el.text, el.fontSize));
+        }
+      });
+      if (current.type === "text" && current.containerId && props.text !== undefined) {
+        put(placeLabel(get(current.containerId), get(id)));
+      } else if (CONTAINER_TYPES.has(current.type) && props.text !== undefined) {
+        setLabel(id, props.text);
+      }
+      const geometryChanged = GEOMETRY_PROPS.some((key) => props[key] !== undefined);
+      if (geometryChanged) {
+        if (LINEAR_TYPES.has(current.type)) route(id);
+        const label = boundTextOf(get(id));
+        if (label && !LINEAR_TYPES.has(current.type)) put(placeLabel(get(id), label));
+        for (const conn of connectorsBoundTo(new Set([id]))) route(conn.id);
+      }
+      return { op: "update", id };
+    },
+
+    move(op) {
+      const ids = toIdList(op.ids ?? op.id);
+      if (ids.length === 0) fail("move needs `id` or `ids`");
+      let dx = Number(op.dx || 0);
+      let dy = Number(op.dy || 0);
+      if (op.x !== undefined || op.y !== undefined) {
+        if (ids.length !== 1) fail("Absolute moves take a single `id`");
+        const el = get(ids[0]);
+        dx = op.x !== undefined ? Number(op.x) - el.x : 0;
+        dy = op.y !== undefined ? Number(op.y) - el.y : 0;
+      }
+      // Bound labels and frame children travel with their container
+      const moving = new Set();
+      const collect = (id) => {
+        if (moving.has(id)) return;
+        const el = get(id);
+        moving.add(id);
+        const label = boundTextOf(el);
+        if (label) moving.add(label.id);
+        if (FRAME_TYPES.has(el.type)) {
+          for (const child of live().filter((c) => c.frameId === id)) collect(child.id);
+        }
+      };
+      ids.forEach(collect);
+      for (const id of moving) {
+        edit(id, (el) => {
+          el.x += dx;
+          el.y += dy;
+        });
+      }
+      for (const conn of connectorsBoundTo(moving)) {
+        if (!moving.has(conn.id)) route(conn.id);
+      }
+      return { op: "move", ids: Array.from(moving) };
+    },
+
+    delete(op) {
+      const ids = toIdList(op.ids ?? op.id);
+      if (ids.length === 0) fail("delete needs `id` or `ids`");
+      for (const id of ids) get(id);
+      ids.forEach(removeElement);
+      return { op: "delete", ids };
+    },
+
+    group(op) {
+      const ids = toIdList(op.ids);
+      if (ids.length < 2) fail("group needs at least two `ids`");
+      const groupId = String(op.groupId || nextId());
+      const members = new Set();
+      for (const id of ids) {
+        members.add(id);
+        const label = boundTextOf(get(id));
+        if (label) members.add(label.id);
+      }
+      // The new group is the outermost, so it goes last (Excalidraw orders innermost first)
+      for (const id of members) {
+        edit(id, (el) => {
+          el.groupIds = [...(el.groupIds || []).filter((g) => g !== groupId), groupId];
+        });
+      }
+      return { op: "group", groupId, ids: Array.from(members) };
+    },
+
+    ungroup(op) {
+      const groupId = String(op.groupId || "");
+      const members = live().filter((el) => (el.groupIds || []).includes(groupId));
+      if (members.length === 0) fail(`Unknown group "${groupId}"`);
+      for (const el of members) {
+        edit(el.id, (next) => {
+          next.groupIds = next.groupIds.filter((g) => g !== groupId);
+        });
+      }
+      return { op: "ungroup", groupId, ids: members.map((el) => el.id) };
+    },
+
+    connect(op) {
+      const from = get(op.from);
+      const to = get(op.to);
+      const type = String(op.type || "arrow").toLowerCase();
+      if (!LINEAR_TYPES.has(type)) fail(`Unsupported connector type "${op.type}"`);
+      const id = String(op.id || nextId());
+      if (scene.has(id) && !scene.get(id).isDeleted) fail(`Element "${id}" already exists`);
+      const a = centerOf(from);
+      put({
+        ...excalidrawDefaults(type, id),
+        ...pickProps(op.props, STYLE_PROPS),
+        x: a.x,
+        y: a.y,
+      });
+      created.add(id);
+      bindEnd(id, "start", from.id);
+      bindEnd(id, "end", to.id);
+      route(id);
+      if (op.label) setLabel(id, op.label);
+      return { op: "connect", id };
+    },
+
+    bind(op) {
+      const id = String(op.id || "");
+      if (!LINEAR_TYPES.has(get(id).type)) fail(`"${id}" is not an arrow or line`);
+      if (op.start !== undefined) bindEnd(id, "start", op.start ? String(op.start) : null);
+      if (op.end !== undefined) bindEnd(id, "end", op.end ? String(op.end) : null);
+      route(id);
+      return { op: "bind", id };
+    },
+  };
+
+  const results = [];
+  for (; index < operations.length; index++) {
+    const op = operations[index];
+    const handler = ops[String(op?.op || "")];
+    if (!handler)
+      fail(`Unknown operation "${op?.op}". Expected one of: ${MUTATION_OPS.join(", ")}`);
+    results.push(handler(op));
+  }
+
+  const stamp = now();
+  const changed = [];
+  const deleted = [];
+  for (const id of touched) {
+    const el = scene.get(id);
+    const original = elements.get(id);
+    // Created-and-deleted within one batch never existed for the client
+    if (el.isDeleted && !original) continue;
+    changed.push({
+      ...el,
+      version: created.has(id) && !original ? 1 : Number(original?.version || 0) + 1,
+      versionNonce: randomNonce(),
+      updated: stamp,
+    });
+    if (el.isDeleted) deleted.push(id);
+  }
+  return {
+    changed,
+    created: Array.from(created).filter((id) => !scene.get(id).isDeleted),
+    deleted,
+    results,
+  };
+};
+
+export default applyMutations;
@@ -0,0 +1,154 @@
+// Excalidraw-style reconciliation for boards edited by several clients at once.
+//
+// Two copies of the same element are ordered by `version`; on a tie the lower `versionNonce`
+// wins, which is the rule Excalidraw collaboration uses, so every replica picks the same
+// winner. Deleted elements are kept as tombstones and compete like any other copy: a client
+// holding an older version cannot bring them back. Tombstones also keep the deleted cache item,
+// who deleted it and when, so the element can be restored until the retention window expires.
+
+import { elementRevisionOf } from "./revisions.js";
+
+export const DEFAULT_TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const toNumber = (value) => {
+  const n = Number(value ?? 0);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Orders two copies of the same element.
+ * @param {Object} a - Element or tombstone
+ * @param {Object} b - Element or tombstone
+ * @returns {number} > 0 when `a` wins, < 0 when `b` wins, 0 when both are the same edit
+ */
+export const compareElementVersions = (a, b) => {
+  const byVersion = toNumber(a?.version) - toNumber(b?.version);
+  if (byVersion !== 0) return byVersion;
+  return toNumber(b?.versionNonce) - toNumber(a?.versionNonce);
+};
+
+/**
+ * Tombstone record for a deleted element.
+ * @param {Object} el - Deleted element (or deletion marker) carrying `version`/`versionNonce`
+ * @param {number} revision - Board revision that deleted it
+ * @param {Object} [meta]
+ * @param {number} [meta.deletedAt] - Deletion time (ms since epoch)
+ * @param {string|null} [meta.deletedBy] - User who deleted it
+ * @param {Object|null} [meta.item] - Cache item as it was before deletion (used for restores)
+ * @returns {{version: number, versionNonce: number, revision: number, deletedAt: number, deletedBy: string|null, item: Object|null}}
+ */
+export const toTombstone = (
+  el,
+  revision,
+  { deletedAt = Date.now(), deletedBy = null, item = null } = {}
+) => ({
+  version: toNumber(el?.version),
+  versionNonce: toNumber(el?.versionNonce),
+  revision: toNumber(revision),
+  deletedAt: toNumber(deletedAt),
+  deletedBy: deletedBy == null ? null : String(deletedBy),
+  item: item || null,
+});
+
+/**
+ * Drops tombstones older than the retention window. After that a stale client can bring the
+ * element back, so the window should outlast how long a tab may stay offline.
+ * @param {Map<string, Object>} tombstones - Tombstones by external ID (modified in place)
+ * @param {number} retentionMs - Retention window
+ * @param {number} [now=Date.now()]
+ * @returns {number} Number of tombstones removed
+ */
+export const pruneTombstones = (tombstones, retentionMs, now = Date.now()) => {
+  if (!Number.isFinite(retentionMs)) return 0;
+  let pruned = 0;
+  for (const [id, tombstone] of tombstones) {
+    if (toNumber(tombstone?.deletedAt) + retentionMs < now) {
+      tombstones.delete(id);
+      pruned += 1;
+    }
+  }
+  return pruned;
+};
+
+// Board snapshots store tombstones as `[{ id, ...tombstone }]`
+export const serializeTombstones = (tombstones) =>
+  Array.from(tombstones || [], ([id, tombstone]) => ({ id, ...tombstone }));
+
+export const deserializeTombstones = (list) => {
+  const tombstones = new Map();
+  for (const entry of Array.isArray(list) ? list : []) {
+    if (!entry?.id) continue;
+    const { id, ...rest } = entry;
+    tombstones.set(String(id), toTombstone(rest, rest.revision, rest));
+  }
+  return tombstones;
+};
+
+/**
+ * Reconciles a client's full scene with the server copy of the board.
+ *
+ * Incoming elements (deleted ones included) are merged one by one against the cached element
+ * or its tombstone. Server elements missing from the scene are removed only when the client
+ * has seen them, i.e. they were last written at or before `baseRevision`; anything written
+ * later came from another client and is preserved.
+ *
+ * @param {Object} params
+ * @param {Map<string, Object>} params.boardMap - Cached board elements by external ID
+ * @param {Map<string, Object>} [params.tombstones] - Tombstones by external ID
+ * @param {Array<Object>} params.incoming - Excalidraw elements sent by the client
+ * @param {number} params.baseRevision - Board revision the client's scene is based on
+ * @returns {{upserts: Array<Object>, deletions: Array<Object>, conflicts: Array<Object>, preserved: Array<string>}}
+ */
+export const reconcileSnapshot = ({ boardMap, tombstones = new Map(), incoming, baseRevision }) => {
+  const upserts = [];
+  const deletions = [];
+  const conflicts = [];
+  const seen = new Set();
+  for (const el of Array.isArray(incoming) ? incoming : []) {
+    const id = String(el?.id || "");
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    const server = boardMap.get(id) || null;
+    const tombstone = server ? null : tombstones.get(id) || null;
+    const current = server || tombstone;
+    const order = current ? compareElementVersions(el, current) : 1;
+    // A live copy of the deleted version itself is as stale as an older one
+    if (order < 0 || (order === 0 && tombstone && el.isDeleted !== true)) {
+      conflicts.push({
+        id,
+        reason: server ? "server_newer" : "deleted_on_server",
+        server: {
+          version: toNumber(current.version),
+          versionNonce: toNumber(current.versionNonce),
+        },
+      });
+      continue;
+    }
+    if (order === 0) continue;
+    if (el.isDeleted === true) {
+      deletions.push({ id, version: el.version, versionNonce: el.versionNonce });
+    } else {
+      upserts.push(el);
+    }
+  }
+
+  const preserved = [];
+  for (const [id, item] of boardMap) {
+    if (seen.has(id)) continue;
+    if (elementRevisionOf(item) <= baseRevision) {
+      deletions.push({ id, version: item.version, versionNonce: item.versionNonce });
+    } else {
+      preserved.push(id);
+    }
+  }
+  return { upserts, deletions, conflicts, preserved };
+};
+
+export default {
+  compareElementVersions,
+  toTombstone,
+  pruneTombstones,
+  serializeTombstones,
+  deserializeTombstones,
+  reconcileSnapshot,
+};
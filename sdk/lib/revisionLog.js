@@ -0,0 +1,134 @@
+// Append-only revision history for boards.
+//
+// Each accepted canvas write appends one record to the board's revision log in
+// the storage backend: full snapshots record every element, incremental writes
+// record only the upserted elements and deleted IDs. A board at any logged
+// revision is rebuilt by replaying from the closest full snapshot at or before it.
+
+const HISTORY_IGNORED_FIELDS = new Set(["revision", "updated"]);
+
+/**
+ * Appends a revision entry to the board log.
+ * @param {Object} storage - Storage adapter (see lib/storage)
+ * @param {string} boardId - Board identifier
+ * @param {Object} entry
+ * @param {number} entry.revision - Board revision produced by the write
+ * @param {boolean} [entry.full=false] - Whether `upserts` is the complete board
+ * @param {Array<Object>} [entry.upserts] - Normalized elements written
+ * @param {Array<string>} [entry.deletedIds] - External IDs removed
+ * @param {string} [entry.userId] - Author of the write
+ * @returns {Promise<Object>} The stored entry
+ */
+export const appendRevisionEntry = async (storage, boardId, entry) => {
+  const record = {
+    revision: Number(entry.revision) || 0,
+    savedAt: Date.now(),
+    full: entry.full === true,
+    userId: entry.userId ? String(entry.userId) : undefined,
+    upserts: Array.isArray(entry.upserts) ? entry.upserts.filter(Boolean) : [],
+    deletedIds: Array.isArray(entry.deletedIds) ? entry.deletedIds.map(String) : [],
+  };
+  await storage.appendRevision(boardId, record);
+  return record;
+};
+
+/**
+ * Reads all revision entries for a board, oldest first.
+ * @param {Object} storage - Storage adapter (see lib/storage)
+ * @param {string} boardId - Board identifier
+ * @returns {Promise<Array<Object>>}
+ */
+export const readRevisionEntries = async (storage, boardId) => {
+  const entries = await storage.readRevisions(boardId);
+  return entries
+    .filter((e) => e && Number.isFinite(e.revision))
+    .sort((a, b) => a.revision - b.revision);
+};
+
+/**
+ * Summarizes entries for listing (no element payloads).
+ * @param {Object} entry - Stored revision entry
+ * @returns {Object}
+ */
+export const describeRevision = (entry) => ({
+  revision: entry.revision,
+  savedAt: entry.savedAt,
+  full: entry.full === true,
+  userId: entry.userId || null,
+  upserts: (entry.upserts || []).length,
+  deleted: (entry.deletedIds || []).length,
+});
+
+/**
+ * Rebuilds the board state at a revision.
+ * @param {Array<Object>} entries - Entries as returned by readRevisionEntries
+ * @param {number} revision - Target revision
+ * @returns {Map<string, Object>|null} Elements by external ID, or null if the revision is not reconstructible
+ */
+export const replayRevisions = (entries, revision) => {
+  const target = Number(revision);
+  if (!Number.isFinite(target)) return null;
+  const upTo = entries.filter((e) => e.revision <= target);
+  if (!upTo.some((e) => e.revision === target)) return null;
+  let start = -1;
+  for (let i = upTo.length - 1; i >= 0; i--) {
+    if (upTo[i].full) {
+      start = i;
+      break;
+    }
+  }
+  // Without a full snapshot the history only reaches back to the first logged write
+  if (start === -1 && upTo[0]?.revision !== 1) return null;
+  const state = new Map();
+  for (const entry of upTo.slice(Math.max(start, 0))) {
+    if (entry.full) state.clear();
+    for (const id of entry.deletedIds || []) state.delete(String(id));
+    for (const el of entry.upserts || []) {
+      if (el?.externalId) state.set(String(el.externalId), el);
+    }
+  }
+  return state;
+};
+
+const changedFields = (before, after) => {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const fields = [];
+  for (const key of keys) {
+    if (HISTORY_IGNORED_FIELDS.has(key)) continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) fields.push(key);
+  }
+  return fields.sort();
+};
+
+/**
+ * Diffs two board states.
+ * @param {Map<string, Object>} from - Earlier state
+ * @param {Map<string, Object>} to - Later state
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}}
+ */
+export const diffBoardStates = (from, to) => {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [id, after] of to) {
+    const before = from.get(id);
+    if (!before) {
+      added.push(after);
+      continue;
+    }
+    const fields = changedFields(before, after);
+    if (fields.length > 0) changed.push({ id, fields, before, after });
+  }
+  for (const [id, before] of from) {
+    if (!to.has(id)) removed.push(before);
+  }
+  return { added, removed, changed };
+};
+
+export default {
+  appendRevisionEntry,
+  readRevisionEntries,
+  describeRevision,
+  replayRevisions,
+  diffBoardStates,
+};
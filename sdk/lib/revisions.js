@@ -0,0 +1,46 @@
+// Board revision bookkeeping for the delta sync protocol.
+//
+// Every accepted write bumps the board revision by one and stamps the touched
+// cache items with that revision, so a later delta can tell whether an element
+// changed after the client's base revision.
+
+import { boardCache, boardRevisions } from "./cache.js";
+
+export const getBoardRevision = (boardId) => boardRevisions.get(String(boardId)) || 0;
+
+export const setBoardRevision = (boardId, revision) => {
+  const n = Number(revision);
+  boardRevisions.set(String(boardId), Number.isFinite(n) && n > 0 ? Math.floor(n) : 0);
+};
+
+/**
+ * Advances the board revision and stamps the given cache items with it.
+ * @param {string} boardId - Board identifier
+ * @param {Iterable<string>} [changedIds] - External IDs written in this revision
+ * @returns {number} The new board revision
+ */
+export const bumpBoardRevision = (boardId, changedIds = []) => {
+  const id = String(boardId);
+  const next = getBoardRevision(id) + 1;
+  boardRevisions.set(id, next);
+  const map = boardCache.get(id) || boardCache.get(boardId);
+  if (map) {
+    for (const extId of changedIds) {
+      const item = map.get(String(extId));
+      if (item) item.revision = next;
+    }
+  }
+  return next;
+};
+
+/**
+ * Returns the revision at which a cached element was last written (0 if unknown).
+ * @param {Object} item - Cached element
+ * @returns {number}
+ */
+export const elementRevisionOf = (item) => {
+  const n = Number(item?.revision || 0);
+  return Number.isFinite(n) ? n : 0;
+};
+
+export default { getBoardRevision, setBoardRevision, bumpBoardRevision, elementRevisionOf };
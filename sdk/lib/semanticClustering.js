@@ -0,0 +1,396 @@
+// Semantic clustering of element embeddings. All algorithms work on cosine similarity between
+// unit vectors and are deterministic: ties always go to the lowest index, and no random seeding
+// is involved, so the same vectors in the same order always give the same clusters.
+//
+//   agglomerative - average-linkage hierarchy (nearest-neighbour chain), cut at the threshold
+//   density       - HDBSCAN-style: mutual-reachability MST and stability-based cluster selection,
+//                   within components that stay inside the threshold; outliers are left out
+//   kmeans        - spherical k-means with k picked by silhouette; members below the threshold
+//                   to their centroid are left out
+
+export const SEMANTIC_ALGORITHMS = ["agglomerative", "density", "kmeans"];
+export const DEFAULT_SEMANTIC_ALGORITHM = "agglomerative";
+
+const KMEANS_MAX_K = 20;
+const KMEANS_MAX_ITERS = 50;
+// Caps 1/distance for identical texts so stabilities stay finite
+const MIN_DISTANCE = 1e-6;
+
+const normalize = (vector) => {
+  const values = Array.from(vector || [], (v) => Number(v) || 0);
+  const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+  return norm ? values.map((v) => v / norm) : values;
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * (b[i] || 0);
+  return sum;
+};
+
+/**
+ * Pairwise cosine similarities, computed once and shared by edge building and clustering.
+ * @param {Array<Array<number>>} vectors
+ * @returns {{size: number, at: Function, vectors: Array<Array<number>>}} `at(i, j)` reads a similarity;
+ *   `vectors` are the unit-length inputs
+ */
+export const similarityMatrix = (vectors) => {
+  const unit = vectors.map(normalize);
+  const n = unit.length;
+  const values = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    values[i * n + i] = 1;
+    for (let j = i + 1; j < n; j++) {
+      const s = dot(unit[i], unit[j]);
+      values[i * n + j] = s;
+      values[j * n + i] = s;
+    }
+  }
+  return { size: n, at: (i, j) => values[i * n + j], values, vectors: unit };
+};
+
+const createUnionFind = (n) => {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (x) => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+  return { find, union };
+};
+
+const groupBy = (n, labelOf) => {
+  const groups = new Map();
+  for (let i = 0; i < n; i++) {
+    const label = labelOf(i);
+    if (label === null) continue;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(i);
+  }
+  return [...groups.values()];
+};
+
+// Average linkage with the nearest-neighbour chain algorithm: O(n²) time on the dense matrix.
+// Average linkage is reducible, so merges at or above the threshold are exactly the clusters of
+// the dendrogram cut at that similarity.
+const agglomerative = (matrix, threshold) => {
+  const n = matrix.size;
+  const sim = Float64Array.from(matrix.values);
+  const size = new Array(n).fill(1);
+  const active = new Array(n).fill(true);
+  const uf = createUnionFind(n);
+  const chain = [];
+  let remaining = n;
+
+  while (remaining > 1) {
+    if (chain.length === 0) chain.push(active.indexOf(true));
+    const a = chain[chain.length - 1];
+    const prev = chain.length > 1 ? chain[chain.length - 2] : -1;
+    // The previous chain element wins ties, which keeps the chain from cycling
+    let best = prev;
+    let bestSim = prev >= 0 ? sim[a * n + prev] : -Infinity;
+    for (let c = 0; c < n; c++) {
+      if (active[c] && c !== a && sim[a * n + c] > bestSim) {
+        best = c;
+        bestSim = sim[a * n + c];
+      }
+    }
+    if (best !== prev) {
+      chain.push(best);
+      continue;
+    }
+    chain.length -= 2;
+    const keep = Math.min(a, best);
+    const drop = Math.max(a, best);
+    for (let c = 0; c < n; c++) {
+      if (!active[c] || c === keep || c === drop) continue;
+      const s =
+        (size[keep] * sim[keep * n + c] + size[drop] * sim[drop * n + c]) /
+        (size[keep] + size[drop]);
+      sim[keep * n + c] = s;
+      sim[c * n + keep] = s;
+    }
+    size[keep] += size[drop];
+    active[drop] = false;
+    remaining -= 1;
+    if (bestSim >= threshold) uf.union(keep, drop);
+  }
+  return groupBy(n, uf.find);
+};
+
+// Condensed-tree cluster selection (Campello et al., 2013) over one single-linkage component.
+// `tree` nodes are { left, right, dist, size }; leaves are the point indices below `n`.
+const selectStableClusters = (tree, n, rootNode, birth, minClusterSize, labels) => {
+  const clusters = [{ parent: -1, birth, stability: 0, children: [] }];
+  const fellFrom = []; // [point, cluster]
+  const lambdaOf = (dist) => 1 / Math.max(dist, MIN_DISTANCE);
+  const sizeOf = (node) => (node < n ? 1 : tree[node - n].size);
+  const pointsUnder = (node) => {
+    const out = [];
+    for (const stack = [node]; stack.length; ) {
+      const x = stack.pop();
+      if (x < n) out.push(x);
+      else stack.push(tree[x - n].right, tree[x - n].left);
+    }
+    return out;
+  };
+  const fall = (node, c, lambda) => {
+    const points = pointsUnder(node);
+    clusters[c].stability += points.length * (lambda - clusters[c].birth);
+    for (const p of points) fellFrom.push([p, c]);
+  };
+
+  for (const stack = [[rootNode, 0]]; stack.length; ) {
+    const [node, c] = stack.pop();
+    if (node < n) {
+      fall(node, c, clusters[c].birth);
+      continue;
+    }
+    const { left, right, dist } = tree[node - n];
+    const lambda = lambdaOf(dist);
+    const bigLeft = sizeOf(left) >= minClusterSize;
+    const bigRight = sizeOf(right) >= minClusterSize;
+    if (bigLeft && bigRight) {
+      clusters[c].stability += (sizeOf(left) + sizeOf(right)) * (lambda - clusters[c].birth);
+      for (const child of [right, left]) {
+        clusters.push({ parent: c, birth: lambda, stability: 0, children: [] });
+        clusters[c].children.push(clusters.length - 1);
+        stack.push([child, clusters.length - 1]);
+      }
+    } else if (bigLeft || bigRight) {
+      fall(bigLeft ? right : left, c, lambda);
+      stack.push([bigLeft ? left : right, c]);
+    } else {
+      fall(left, c, lambda);
+      fall(right, c, lambda);
+    }
+  }
+
+  // Children are created after their parents, so walking backwards visits every subtree first
+  const best = new Array(clusters.length).fill(0);
+  const selected = new Array(clusters.length).fill(false);
+  for (let c = clusters.length - 1; c >= 0; c--) {
+    const childSum = clusters[c].children.reduce((sum, child) => sum + best[child], 0);
+    if (clusters[c].children.length > 0 && childSum > clusters[c].stability) {
+      best[c] = childSum;
+    } else {
+      best[c] = clusters[c].stability;
+      selected[c] = true;
+    }
+  }
+  // Keep only the topmost selected cluster on each path
+  const chosen = (c) => {
+    let pick = -1;
+    for (let x = c; x >= 0; x = clusters[x].parent) if (selected[x]) pick = x;
+    return pick;
+  };
+  for (const [point, c] of fellFrom) {
+    const pick = chosen(c);
+    if (pick >= 0) labels[point] = `${rootNode}:${pick}`;
+  }
+};
+
+const density = (matrix, threshold, minClusterSize) => {
+  const n = matrix.size;
+  const distance = (i, j) => Math.max(0, 1 - matrix.at(i, j));
+  const maxDistance = Math.max(MIN_DISTANCE, 1 - threshold);
+  // Core distance: distance to the (minClusterSize - 1)-th nearest other point
+  const coreRank = Math.max(0, Math.min(minClusterSize - 2, n - 2));
+  const core = Array.from({ length: n }, (_, i) => {
+    const others = [];
+    for (let j = 0; j < n; j++) if (j !== i) others.push(distance(i, j));
+    return others.sort((a, b) => a - b)[coreRank] ?? 0;
+  });
+  const reach = (i, j) => Math.max(core[i], core[j], distance(i, j));
+
+  // Prim's MST over mutual reachability distances
+  const edges = [];
+  const inTree = new Array(n).fill(false);
+  const bestDist = new Array(n).fill(Infinity);
+  const bestFrom = new Array(n).fill(-1);
+  let current = 0;
+  inTree[0] = true;
+  for (let step = 1; step < n; step++) {
+    let next = -1;
+    for (let j = 0; j < n; j++) {
+      if (inTree[j]) continue;
+      const d = reach(current, j);
+      if (d < bestDist[j]) {
+        bestDist[j] = d;
+        bestFrom[j] = current;
+      }
+      if (next < 0 || bestDist[j] < bestDist[next]) next = j;
+    }
+    inTree[next] = true;
+    edges.push({ a: bestFrom[next], b: next, dist: bestDist[next] });
+    current = next;
+  }
+
+  // Single-linkage tree from the MST edges inside the threshold
+  edges.sort((x, y) => x.dist - y.dist || x.a - y.a || x.b - y.b);
+  const uf = createUnionFind(n);
+  const nodeOf = Array.from({ length: n }, (_, i) => i); // union-find root -> tree node
+  const tree = [];
+  for (const { a, b, dist } of edges) {
+    if (dist > maxDistance) break;
+    const ra = uf.find(a);
+    const rb = uf.find(b);
+    const left = nodeOf[ra];
+    const right = nodeOf[rb];
+    tree.push({
+      left,
+      right,
+      dist,
+      size: (left < n ? 1 : tree[left - n].size) + (right < n ? 1 : tree[right - n].size),
+    });
+    uf.union(ra, rb);
+    nodeOf[uf.find(a)] = n + tree.length - 1;
+  }
+
+  const labels = new Array(n).fill(null);
+  const roots = new Set(Array.from({ length: n }, (_, i) => nodeOf[uf.find(i)]));
+  for (const root of [...roots].sort((a, b) => a - b)) {
+    if (root < n || tree[root - n].size < minClusterSize) continue;
+    selectStableClusters(tree, n, root, 1 / maxDistance, minClusterSize, labels);
+  }
+  return groupBy(n, (i) => labels[i]);
+};
+
+// Farthest-first seeding: the most central point, then repeatedly the point least similar to
+// every seed so far
+const seedCentroids = (matrix, k) => {
+  const n = matrix.size;
+  const totals = Array.from({ length: n }, (_, i) => {
+    let sum = 0;
+    for (let j = 0; j < n; j++) sum += matrix.at(i, j);
+    return sum;
+  });
+  const seeds = [totals.indexOf(Math.max(...totals))];
+  const closest = Array.from({ length: n }, (_, i) => matrix.at(i, seeds[0]));
+  while (seeds.length < k) {
+    let next = -1;
+    for (let i = 0; i < n; i++) {
+      if (!seeds.includes(i) && (next < 0 || closest[i] < closest[next])) next = i;
+    }
+    seeds.push(next);
+    for (let i = 0; i < n; i++) closest[i] = Math.max(closest[i], matrix.at(i, next));
+  }
+  return seeds.map((i) => matrix.vectors[i]);
+};
+
+const lloyd = (matrix, k) => {
+  const { vectors } = matrix;
+  let centroids = seedCentroids(matrix, k);
+  let assignment = [];
+  for (let iter = 0; iter < KMEANS_MAX_ITERS; iter++) {
+    const next = vectors.map((v) => {
+      let best = 0;
+      let bestSim = -Infinity;
+      centroids.forEach((c, j) => {
+        const s = dot(v, c);
+        if (s > bestSim) {
+          best = j;
+          bestSim = s;
+        }
+      });
+      return best;
+    });
+    const stable = next.every((c, i) => c === assignment[i]);
+    assignment = next;
+    if (stable) break;
+    centroids = centroids.map((old, j) => {
+      const sum = new Array(old.length).fill(0);
+      let count = 0;
+      vectors.forEach((v, i) => {
+        if (assignment[i] !== j) return;
+        count++;
+        for (let d = 0; d < sum.length; d++) sum[d] += v[d] || 0;
+      });
+      return count ? normalize(sum) : old;
+    });
+  }
+  return { assignment, centroids };
+};
+
+const silhouette = (matrix, assignment, k) => {
+  const n = matrix.size;
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    const sums = new Array(k).fill(0);
+    const counts = new Array(k).fill(0);
+    for (let j = 0; j < n; j++) {
+      if (j === i) continue;
+      sums[assignment[j]] += 1 - matrix.at(i, j);
+      counts[assignment[j]] += 1;
+    }
+    const own = assignment[i];
+    if (counts[own] === 0) continue; // singletons score 0
+    const a = sums[own] / counts[own];
+    let b = Infinity;
+    for (let c = 0; c < k; c++) if (c !== own && counts[c]) b = Math.min(b, sums[c] / counts[c]);
+    if (Number.isFinite(b) && Math.max(a, b) > 0) total += (b - a) / Math.max(a, b);
+  }
+  return total / n;
+};
+
+const kmeans = (matrix, threshold) => {
+  const n = matrix.size;
+  let best = lloyd(matrix, 1);
+  let bestScore = -Infinity;
+  for (let k = 2; k <= Math.min(KMEANS_MAX_K, n - 1); k++) {
+    const run = lloyd(matrix, k);
+    const score = silhouette(matrix, run.assignment, k);
+    if (score > bestScore + 1e-12) {
+      best = run;
+      bestScore = score;
+    }
+  }
+  return groupBy(n, (i) => {
+    const c = best.assignment[i];
+    return dot(matrix.vectors[i], best.centroids[c]) >= threshold ? c : null;
+  });
+};
+
+/**
+ * Clusters embeddings by cosine similarity.
+ * @param {Object} matrix - Result of similarityMatrix
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="agglomerative"] - One of SEMANTIC_ALGORITHMS
+ * @param {number} [options.threshold=0.75] - Similarity that counts as "the same idea"
+ * @param {number} [options.minClusterSize=2]
+ * @returns {Array<Array<number>>} Clusters as ascending indices into the input, largest first
+ * @throws {Error} With `.code = "UNSUPPORTED_ALGORITHM"` for unknown algorithms
+ */
+export const clusterEmbeddings = (
+  matrix,
+  { algorithm = DEFAULT_SEMANTIC_ALGORITHM, threshold = 0.75, minClusterSize = 2 } = {}
+) => {
+  if (!SEMANTIC_ALGORITHMS.includes(algorithm)) {
+    const err = new Error(
+      `Unknown semantic clustering algorithm "${algorithm}". Expected one of: ${SEMANTIC_ALGORITHMS.join(", ")}`
+    );
+    err.code = "UNSUPPORTED_ALGORITHM";
+    throw err;
+  }
+  const minSize = Math.max(2, Math.trunc(minClusterSize) || 2);
+  if (matrix.size < minSize) return [];
+  const groups =
+    algorithm === "density"
+      ? density(matrix, threshold, minSize)
+      : algorithm === "kmeans"
+        ? kmeans(matrix, threshold)
+        : agglomerative(matrix, threshold);
+  return groups
+    .filter((group) => group.length >= minSize)
+    .map((group) => group.sort((a, b) => a - b))
+    .sort((a, b) => b.length - a.length || a[0] - b[0]);
+};
+
+export default clusterEmbeddings;
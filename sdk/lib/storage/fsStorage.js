@@ -0,0 +1,138 @@
+// Filesystem storage backend: one JSON file per board under a single data directory.
+//
+// Layout:
+//   <dir>/<boardId>.json                 board snapshots
+//   <dir>/<namespace>/<key>.json         cache entries (e.g. traversals)
+//   <dir>/revisions/<boardId>.jsonl      append-only revision log
+
+import path from "path";
+import { promises as fsp } from "fs";
+
+const REVISIONS_NAMESPACE = "revisions";
+
+const fileSafe = (value) => encodeURIComponent(String(value));
+
+// Atomic JSON writer to prevent partial/corrupt files during concurrent saves
+const writeJsonAtomic = async (filePath, obj) => {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+  await fsp.writeFile(tmp, JSON.stringify(obj, null, 2), "utf8");
+  await fsp.rename(tmp, filePath);
+};
+
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fsp.readFile(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Creates a filesystem-backed storage adapter.
+ * @param {Object} options
+ * @param {string} options.dir - Directory all writes go to
+ * @param {Array<string>} [options.readDirs] - Extra directories consulted when a board is missing from `dir` (legacy layouts)
+ * @returns {Object} Storage adapter
+ */
+export const createFsStorage = ({ dir, readDirs = [] }) => {
+  if (!dir) throw new Error("Filesystem storage requires a directory");
+  const root = path.resolve(dir);
+  const fallbackDirs = readDirs.map((d) => path.resolve(d)).filter((d) => d !== root);
+  const boardFile = (base, boardId) => path.join(base, `${fileSafe(boardId)}.json`);
+  const legacyBoardFile = (base, boardId) => path.join(base, `${String(boardId)}.json`);
+  const entryFile = (namespace, key) =>
+    path.join(root, fileSafe(namespace), `${fileSafe(key)}.json`);
+  const revisionFile = (boardId) =>
+    path.join(root, REVISIONS_NAMESPACE, `${fileSafe(boardId)}.jsonl`);
+
+  return {
+    kind: "fs",
+    dir: root,
+
+    async getBoard(boardId) {
+      for (const base of [root, ...fallbackDirs]) {
+        const json =
+          (await readJson(boardFile(base, boardId))) ??
+          (await readJson(legacyBoardFile(base, boardId)));
+        if (json) return json;
+      }
+      return null;
+    },
+
+    async putBoard(boardId, data) {
+      await writeJsonAtomic(boardFile(root, boardId), data);
+    },
+
+    async listBoards() {
+      const ids = new Set();
+      for (const base of [root, ...fallbackDirs]) {
+        let names = [];
+        try {
+          names = await fsp.readdir(base);
+        } catch {
+          continue;
+        }
+        for (const name of names) {
+          if (!name.endsWith(".json") || name.startsWith(".")) continue;
+          try {
+            ids.add(decodeURIComponent(name.slice(0, -".json".length)));
+          } catch {}
+        }
+      }
+      return Array.from(ids).sort();
+    },
+
+    async deleteBoard(boardId) {
+      const targets = [boardFile(root, boardId), revisionFile(boardId)];
+      for (const file of targets) {
+        try {
+          await fsp.unlink(file);
+        } catch {}
+      }
+    },
+
+    async getEntry(namespace, key) {
+      return await readJson(entryFile(namespace, key));
+    },
+
+    async putEntry(namespace, key, value) {
+      await writeJsonAtomic(entryFile(namespace, key), value);
+    },
+
+    async deleteEntry(namespace, key) {
+      try {
+        await fsp.unlink(entryFile(namespace, key));
+      } catch {}
+    },
+
+    async appendRevision(boardId, record) {
+      const file = revisionFile(boardId);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.appendFile(file, `${JSON.stringify(record)}\n`, "utf8");
+    },
+
+    async readRevisions(boardId) {
+      let text = "";
+      try {
+        text = await fsp.readFile(revisionFile(boardId), "utf8");
+      } catch {
+        return [];
+      }
+      const records = [];
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        // Torn trailing lines from a crash mid-append are skipped
+        try {
+          records.push(JSON.parse(line));
+        } catch {}
+      }
+      return records;
+    },
+  };
+};
+
+export default createFsStorage;
@@ -0,0 +1,51 @@
+// Storage adapter selection.
+//
+// Every backend exposes the same async interface:
+//   getBoard(boardId) / putBoard(boardId, data) / listBoards() / deleteBoard(boardId)
+//   getEntry(namespace, key) / putEntry(namespace, key, value) / deleteEntry(namespace, key)
+//   appendRevision(boardId, record) / readRevisions(boardId)
+// Board snapshots are `{ id, items, revision, savedAt, excalidrawData? }`; cache entries are
+// arbitrary JSON grouped by namespace (e.g. "traversals").
+
+import path from "path";
+import { createFsStorage } from "./fsStorage.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+import { createSqliteStorage } from "./sqliteStorage.js";
+
+export const STORAGE_BACKENDS = ["fs", "sqlite", "memory"];
+
+/**
+ * Creates the configured storage adapter.
+ * @param {Object} [options={}]
+ * @param {string} [options.backend] - "fs" (default), "sqlite" or "memory"; falls back to STORAGE_BACKEND
+ * @param {string} [options.dir] - Data directory for the fs backend and default SQLite location
+ * @param {Array<string>} [options.readDirs] - Legacy directories the fs backend still reads boards from
+ * @param {string} [options.sqlitePath] - SQLite database file; falls back to STORAGE_SQLITE_PATH or `<dir>/treyspace.db`
+ * @returns {Object} Storage adapter
+ */
+export const createStorage = (options = {}) => {
+  const backend = String(options.backend || process.env.STORAGE_BACKEND || "fs")
+    .trim()
+    .toLowerCase();
+  const dir = options.dir || path.resolve(process.cwd(), "sdk/helix/data");
+  switch (backend) {
+    case "fs":
+      return createFsStorage({ dir, readDirs: options.readDirs || [] });
+    case "sqlite":
+      return createSqliteStorage({
+        file:
+          options.sqlitePath || process.env.STORAGE_SQLITE_PATH || path.join(dir, "treyspace.db"),
+        driver: options.driver,
+      });
+    case "memory":
+      return createMemoryStorage();
+    default:
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${backend}". Expected one of: ${STORAGE_BACKENDS.join(", ")}`
+      );
+  }
+};
+
+export { createFsStorage, createMemoryStorage, createSqliteStorage };
+
+export default createStorage;
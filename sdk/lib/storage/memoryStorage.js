@@ -0,0 +1,60 @@
+// In-memory storage backend for read-only images and tests; nothing survives a restart.
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Creates a process-local storage adapter.
+ * @returns {Object} Storage adapter
+ */
+export const createMemoryStorage = () => {
+  const boards = new Map();
+  const entries = new Map(); // namespace -> Map<key, value>
+  const revisions = new Map(); // boardId -> Array<record>
+
+  return {
+    kind: "memory",
+
+    async getBoard(boardId) {
+      return clone(boards.get(String(boardId))) ?? null;
+    },
+
+    async putBoard(boardId, data) {
+      boards.set(String(boardId), clone(data));
+    },
+
+    async listBoards() {
+      return Array.from(boards.keys()).sort();
+    },
+
+    async deleteBoard(boardId) {
+      boards.delete(String(boardId));
+      revisions.delete(String(boardId));
+    },
+
+    async getEntry(namespace, key) {
+      return clone(entries.get(String(namespace))?.get(String(key))) ?? null;
+    },
+
+    async putEntry(namespace, key, value) {
+      const ns = String(namespace);
+      if (!entries.has(ns)) entries.set(ns, new Map());
+      entries.get(ns).set(String(key), clone(value));
+    },
+
+    async deleteEntry(namespace, key) {
+      entries.get(String(namespace))?.delete(String(key));
+    },
+
+    async appendRevision(boardId, record) {
+      const id = String(boardId);
+      if (!revisions.has(id)) revisions.set(id, []);
+      revisions.get(id).push(clone(record));
+    },
+
+    async readRevisions(boardId) {
+      return clone(revisions.get(String(boardId)) || []);
+    },
+  };
+};
+
+export default createMemoryStorage;
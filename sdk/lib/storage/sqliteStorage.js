@@ -0,0 +1,137 @@
+// SQLite storage backend (single database file). Requires the optional
+// `better-sqlite3` package, which is imported lazily on first use.
+
+import path from "path";
+import { promises as fsp } from "fs";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS boards (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    saved_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS entries (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (namespace, key)
+  );
+  CREATE TABLE IF NOT EXISTS revisions (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    board_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS revisions_board ON revisions (board_id, seq);
+`;
+
+const loadDriver = async () => {
+  try {
+    const mod = await import("better-sqlite3");
+    return mod.default || mod;
+  } catch (e) {
+    throw new Error(
+      `STORAGE_BACKEND=sqlite requires the optional "better-sqlite3" package: ${e?.message || e}`
+    );
+  }
+};
+
+/**
+ * Creates a SQLite-backed storage adapter.
+ * @param {Object} options
+ * @param {string} options.file - Database file path
+ * @param {Function} [options.driver] - better-sqlite3 compatible constructor (defaults to a lazy import)
+ * @returns {Object} Storage adapter
+ */
+export const createSqliteStorage = ({ file, driver }) => {
+  if (!file) throw new Error("SQLite storage requires a database file path");
+  let ready = null;
+
+  const open = () => {
+    if (!ready) {
+      ready = (async () => {
+        const Database = driver || (await loadDriver());
+        await fsp.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        const db = new Database(file);
+        db.pragma("journal_mode = WAL");
+        db.exec(SCHEMA);
+        return {
+          getBoard: db.prepare("SELECT data FROM boards WHERE id = ?"),
+          putBoard: db.prepare(
+            "INSERT INTO boards (id, data, saved_at) VALUES (?, ?, ?) " +
+              "ON CONFLICT(id) DO UPDATE SET data = excluded.data, saved_at = excluded.saved_at"
+          ),
+          listBoards: db.prepare("SELECT id FROM boards ORDER BY id"),
+          deleteBoard: db.prepare("DELETE FROM boards WHERE id = ?"),
+          deleteBoardRevisions: db.prepare("DELETE FROM revisions WHERE board_id = ?"),
+          getEntry: db.prepare("SELECT value FROM entries WHERE namespace = ? AND key = ?"),
+          putEntry: db.prepare(
+            "INSERT INTO entries (namespace, key, value) VALUES (?, ?, ?) " +
+              "ON CONFLICT(namespace, key) DO UPDATE SET value = excluded.value"
+          ),
+          deleteEntry: db.prepare("DELETE FROM entries WHERE namespace = ? AND key = ?"),
+          appendRevision: db.prepare(
+            "INSERT INTO revisions (board_id, revision, record) VALUES (?, ?, ?)"
+          ),
+          readRevisions: db.prepare("SELECT record FROM revisions WHERE board_id = ? ORDER BY seq"),
+        };
+      })();
+      // Allow a retry after a failed open (e.g. driver installed later)
+      ready.catch(() => {
+        ready = null;
+      });
+    }
+    return ready;
+  };
+
+  return {
+    kind: "sqlite",
+    file,
+
+    async getBoard(boardId) {
+      const row = (await open()).getBoard.get(String(boardId));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async putBoard(boardId, data) {
+      (await open()).putBoard.run(String(boardId), JSON.stringify(data), Date.now());
+    },
+
+    async listBoards() {
+      return (await open()).listBoards.all().map((row) => row.id);
+    },
+
+    async deleteBoard(boardId) {
+      const stmts = await open();
+      stmts.deleteBoard.run(String(boardId));
+      stmts.deleteBoardRevisions.run(String(boardId));
+    },
+
+    async getEntry(namespace, key) {
+      const row = (await open()).getEntry.get(String(namespace), String(key));
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async putEntry(namespace, key, value) {
+      (await open()).putEntry.run(String(namespace), String(key), JSON.stringify(value));
+    },
+
+    async deleteEntry(namespace, key) {
+      (await open()).deleteEntry.run(String(namespace), String(key));
+    },
+
+    async appendRevision(boardId, record) {
+      (await open()).appendRevision.run(
+        String(boardId),
+        Number(record?.revision) || 0,
+        JSON.stringify(record)
+      );
+    },
+
+    async readRevisions(boardId) {
+      return (await open()).readRevisions.all(String(boardId)).map((row) => JSON.parse(row.record));
+    },
+  };
+};
+
+export default createSqliteStorage;
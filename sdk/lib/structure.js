@@ -0,0 +1,249 @@
+// Excalidraw structure helpers: frames, groups, bound text and connector routing.
+//
+// HelixDB stores list-valued element fields (`groupIds`, `boundElements`, `points`)
+// as JSON strings, while the canvas sends real arrays, so every reader goes through
+// `parseListField` and accepts either form.
+
+// Kinds that can never be the endpoint of an unbound connector
+const NON_ENDPOINT_KINDS = new Set(["arrow", "line", "text", "frame", "magicframe"]);
+// How far (px) an unbound connector tip may stop short of a shape and still attach to it
+const ENDPOINT_SNAP_PX = 12;
+
+const kindOf = (el) => String(el?.kind || el?.type || "").toLowerCase();
+
+const idOf = (el) => String(el?.externalId || el?.id || "");
+
+/**
+ * Reads a list-valued element field stored either as an array or a JSON string.
+ * @param {Array|string|undefined} value - Raw field value
+ * @returns {Array}
+ */
+export const parseListField = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string" || !value.trim()) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Normalizes `groupIds` (innermost group first, as Excalidraw orders them).
+ * @param {Array|string|undefined} value
+ * @returns {Array<string>}
+ */
+export const normalizeGroupIds = (value) =>
+  parseListField(value)
+    .map((id) => (id === null || id === undefined ? "" : String(id)))
+    .filter(Boolean);
+
+/**
+ * Normalizes `boundElements` into `{ id, type }` records.
+ * @param {Array|string|undefined} value
+ * @returns {Array<{id: string, type: string}>}
+ */
+export const normalizeBoundElements = (value) =>
+  parseListField(value)
+    .filter((entry) => entry && typeof entry === "object" && entry.id)
+    .map((entry) => ({ id: String(entry.id), type: String(entry.type || "") }));
+
+/**
+ * Normalizes connector/freedraw `points` into `[x, y]` pairs relative to the element origin.
+ * @param {Array|string|undefined} value
+ * @returns {Array<Array<number>>}
+ */
+export const normalizePoints = (value) =>
+  parseListField(value)
+    .filter((p) => Array.isArray(p) && p.length >= 2)
+    .map((p) => [Number(p[0]) || 0, Number(p[1]) || 0]);
+
+/**
+ * Builds the structural part of an upsertElement/updateElementById parameter set.
+ * Accepts raw Excalidraw elements, cached elements or elements read back from Helix.
+ * @param {Object} el - Element
+ * @returns {Object} Structural Helix params (list fields JSON-encoded)
+ */
+export const toHelixStructureParams = (el) => ({
+  frameId: String(el?.frameId || ""),
+  containerId: String(el?.containerId || ""),
+  groupIds: JSON.stringify(normalizeGroupIds(el?.groupIds)),
+  boundElements: JSON.stringify(normalizeBoundElements(el?.boundElements)),
+  points: JSON.stringify(normalizePoints(el?.points)),
+  fileId: String(el?.fileId || ""),
+  fontSize: Number(el?.fontSize) || 0,
+  fontFamily: Number.isFinite(Number(el?.fontFamily)) ? Math.floor(Number(el.fontFamily)) : 0,
+});
+
+/**
+ * Human-readable label for cluster member lists. Falls back to a kind description
+ * for elements that carry no text (images, freehand sketches, unnamed frames).
+ * @param {Object} el - Element
+ * @returns {string}
+ */
+export const elementLabel = (el) => {
+  const text = typeof el?.text === "string" ? el.text.trim() : "";
+  if (text) return text;
+  switch (kindOf(el)) {
+    case "image":
+      return "image";
+    case "freedraw":
+      return "freehand sketch";
+    case "frame":
+    case "magicframe":
+      return "frame";
+    default:
+      return "";
+  }
+};
+
+/**
+ * Absolute start/end coordinates of a connector, from its `points`.
+ * @param {Object} el - Arrow or line element
+ * @returns {{start: {x: number, y: number}, end: {x: number, y: number}}|null}
+ */
+export const connectorEndpoints = (el) => {
+  const points = normalizePoints(el?.points);
+  if (points.length < 2) return null;
+  const ox = Number(el.x || 0);
+  const oy = Number(el.y || 0);
+  const first = points[0];
+  const last = points[points.length - 1];
+  return {
+    start: { x: ox + first[0], y: oy + first[1] },
+    end: { x: ox + last[0], y: oy + last[1] },
+  };
+};
+
+const shapeAt = (point, shapes) => {
+  let best = null;
+  let bestArea = Infinity;
+  for (const shape of shapes) {
+    const x = Number(shape.x || 0);
+    const y = Number(shape.y || 0);
+    const w = Number(shape.w ?? shape.width ?? 0);
+    const h = Number(shape.h ?? shape.height ?? 0);
+    if (
+      point.x >= x - ENDPOINT_SNAP_PX &&
+      point.x <= x + w + ENDPOINT_SNAP_PX &&
+      point.y >= y - ENDPOINT_SNAP_PX &&
+      point.y <= y + h + ENDPOINT_SNAP_PX
+    ) {
+      // Prefer the innermost shape when several overlap the tip
+      const area = Math.max(1, w * h);
+      if (area < bestArea) {
+        best = shape;
+        bestArea = area;
+      }
+    }
+  }
+  return best ? idOf(best) : "";
+};
+
+/**
+ * Resolves the elements a connector joins. Explicit bindings win; unbound ends are
+ * attached to the shape their routed tip lands on.
+ * @param {Object} conn - Arrow or line element
+ * @param {Array<Object>} elements - Candidate elements on the same board
+ * @returns {{start: string, end: string}} External IDs ("" when unresolved)
+ */
+export const resolveConnectorEnds = (conn, elements) => {
+  let start = String(conn?.startBindingId || "");
+  let end = String(conn?.endBindingId || "");
+  if (start && end) return { start, end };
+  const tips = connectorEndpoints(conn);
+  if (!tips) return { start, end };
+  const shapes = (Array.isArray(elements) ? elements : []).filter(
+    (el) => !NON_ENDPOINT_KINDS.has(kindOf(el)) && idOf(el) !== idOf(conn)
+  );
+  if (!start) start = shapeAt(tips.start, shapes);
+  if (!end) end = shapeAt(tips.end, shapes);
+  return { start, end };
+};
+
+/**
+ * Collects frames and outermost groups as first-class containers.
+ * Frames own every element whose `frameId` points at them; groups own every element
+ * sharing the outermost entry of `groupIds`. Results are sorted so repeated calls on
+ * the same board number containers identically.
+ * @param {Array<Object>} elements - Board elements
+ * @returns {Array<{kind: "frame"|"group", containerId: string, name: string, memberIds: Array<string>}>}
+ */
+export const collectContainers = (elements) => {
+  const list = Array.isArray(elements) ? elements : [];
+  const frames = new Map();
+  for (const el of list) {
+    const kind = kindOf(el);
+    if (kind === "frame" || kind === "magicframe") {
+      frames.set(idOf(el), { name: typeof el.text === "string" ? el.text.trim() : "", ids: [] });
+    }
+  }
+  const groups = new Map();
+  for (const el of list) {
+    const id = idOf(el);
+    if (!id || frames.has(id)) continue;
+    const frameId = String(el.frameId || "");
+    if (frameId && frames.has(frameId)) frames.get(frameId).ids.push(id);
+    const groupIds = normalizeGroupIds(el.groupIds);
+    const outermost = groupIds[groupIds.length - 1];
+    if (outermost) {
+      if (!groups.has(outermost)) groups.set(outermost, []);
+      groups.get(outermost).push(id);
+    }
+  }
+
+  const out = [];
+  for (const [containerId, frame] of frames.entries()) {
+    if (frame.ids.length > 0) {
+      out.push({ kind: "frame", containerId, name: frame.name, memberIds: frame.ids.sort() });
+    }
+  }
+  for (const [containerId, ids] of groups.entries()) {
+    if (ids.length > 1) out.push({ kind: "group", containerId, name: "", memberIds: ids.sort() });
+  }
+  return out.sort(
+    (a, b) => a.kind.localeCompare(b.kind) || a.containerId.localeCompare(b.containerId)
+  );
+};
+
+/**
+ * Derives frame/group edges from element properties:
+ * CONTAINS (frame -> child) and BELONGS_TO_GROUP (member -> group anchor, one edge per nesting level).
+ * The group anchor is the lowest external ID in the group, since groups have no element of their own.
+ * @param {Array<Object>} elements - Board elements
+ * @returns {Array<Object>} Edge records `{ type, from, to, ... }`
+ */
+export const containmentEdges = (elements) => {
+  const list = Array.isArray(elements) ? elements : [];
+  const edges = [];
+  const known = new Set(list.map(idOf));
+  const groupMembers = new Map();
+  for (const el of list) {
+    const id = idOf(el);
+    const frameId = String(el.frameId || "");
+    if (frameId && known.has(frameId)) edges.push({ type: "CONTAINS", from: frameId, to: id });
+    const groupIds = normalizeGroupIds(el.groupIds);
+    groupIds.forEach((groupId, depth) => {
+      if (!groupMembers.has(groupId)) groupMembers.set(groupId, { level: 0, ids: [] });
+      const entry = groupMembers.get(groupId);
+      // Level 0 is the outermost group
+      entry.level = groupIds.length - 1 - depth;
+      entry.ids.push(id);
+    });
+  }
+  for (const [groupId, entry] of groupMembers.entries()) {
+    if (entry.ids.length < 2) continue;
+    const [anchor, ...rest] = [...entry.ids].sort();
+    for (const member of rest) {
+      edges.push({
+        type: "BELONGS_TO_GROUP",
+        from: member,
+        to: anchor,
+        group: groupId,
+        level: entry.level,
+      });
+    }
+  }
+  return edges;
+};
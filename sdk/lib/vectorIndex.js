@@ -0,0 +1,214 @@
+// Approximate nearest-neighbour index for the in-memory Helix store (see helixClient.js).
+//
+// A hierarchical navigable small world graph (Malkov & Yashunin, 2016) over cosine distance.
+// Vectors are normalized on insert. Levels come from a seeded generator, so inserting the same
+// vectors in the same order (as WAL replay does) builds the same graph. Removals only mark a node;
+// the graph is rebuilt once removed nodes outnumber live ones.
+
+const DEFAULT_M = 16;
+const DEFAULT_EF_CONSTRUCTION = 100;
+const DEFAULT_EF_SEARCH = 64;
+
+// mulberry32: small, fast and good enough for level assignment
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const normalize = (vector) => {
+  const values = Array.from(vector, (v) => Number(v) || 0);
+  const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+  return norm ? values.map((v) => v / norm) : values;
+};
+
+const cosineDistance = (a, b) => {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * (b[i] || 0);
+  return 1 - dot;
+};
+
+// Inserts into an array kept sorted by ascending `dist`
+const insertSorted = (list, item) => {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (list[mid].dist < item.dist) lo = mid + 1;
+    else hi = mid;
+  }
+  list.splice(lo, 0, item);
+};
+
+/**
+ * Creates an empty HNSW index.
+ * @param {Object} [options]
+ * @param {number} [options.m=16] - Links per node on the upper layers (twice that on layer 0)
+ * @param {number} [options.efConstruction=100] - Candidate list size while inserting
+ * @param {number} [options.efSearch=64] - Candidate list size while searching (at least `k`)
+ * @param {number} [options.seed=1] - Seed for level assignment
+ * @returns {{add: Function, remove: Function, search: Function, has: Function, size: Function}}
+ */
+export const createHnswIndex = ({
+  m = DEFAULT_M,
+  efConstruction = DEFAULT_EF_CONSTRUCTION,
+  efSearch = DEFAULT_EF_SEARCH,
+  seed = 1,
+} = {}) => {
+  const levelFactor = 1 / Math.log(Math.max(2, m));
+  let random = seededRandom(seed);
+  // Nodes get their own sequence number, so a replaced vector can sit next to its removed one
+  let nodes = new Map(); // seq -> { key, vector, level, links: Array<Set<seq>>, deleted }
+  let live = new Map(); // key -> seq
+  let nextSeq = 0;
+  let entryId = null;
+  let maxLevel = -1;
+  let removed = 0;
+
+  const maxLinks = (level) => (level === 0 ? m * 2 : m);
+
+  const distanceTo = (vector, id) => cosineDistance(vector, nodes.get(id).vector);
+
+  // Best `ef` nodes reachable from `entryIds` on one layer, closest first
+  const searchLayer = (vector, entryIds, ef, level) => {
+    const visited = new Set(entryIds);
+    const candidates = [];
+    const found = [];
+    for (const id of entryIds) {
+      const item = { id, dist: distanceTo(vector, id) };
+      insertSorted(candidates, item);
+      insertSorted(found, item);
+    }
+    while (candidates.length) {
+      const closest = candidates.shift();
+      if (found.length >= ef && closest.dist > found[found.length - 1].dist) break;
+      for (const neighborId of nodes.get(closest.id).links[level] || []) {
+        if (visited.has(neighborId)) continue;
+        visited.add(neighborId);
+        const dist = distanceTo(vector, neighborId);
+        if (found.length < ef || dist < found[found.length - 1].dist) {
+          const item = { id: neighborId, dist };
+          insertSorted(candidates, item);
+          insertSorted(found, item);
+          if (found.length > ef) found.pop();
+        }
+      }
+    }
+    return found;
+  };
+
+  // Greedy walk from the entry point down to `level`
+  const descend = (vector, level) => {
+    let current = entryId;
+    for (let l = maxLevel; l > level; l--) {
+      current = searchLayer(vector, [current], 1, l)[0].id;
+    }
+    return current;
+  };
+
+  const shrinkLinks = (node, level) => {
+    const links = node.links[level];
+    if (links.size <= maxLinks(level)) return;
+    const keep = Array.from(links, (id) => ({ id, dist: distanceTo(node.vector, id) }))
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, maxLinks(level));
+    node.links[level] = new Set(keep.map((item) => item.id));
+  };
+
+  const insert = (key, vector) => {
+    const id = nextSeq++;
+    const level = Math.floor(-Math.log(1 - random()) * levelFactor);
+    const node = { key, vector, level, links: [], deleted: false };
+    for (let l = 0; l <= level; l++) node.links.push(new Set());
+    nodes.set(id, node);
+    live.set(key, id);
+    if (entryId === null) {
+      entryId = id;
+      maxLevel = level;
+      return;
+    }
+    let entryIds = [descend(vector, level)];
+    for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+      const found = searchLayer(vector, entryIds, efConstruction, l);
+      for (const { id: neighborId } of found.slice(0, maxLinks(l))) {
+        node.links[l].add(neighborId);
+        const neighbor = nodes.get(neighborId);
+        neighbor.links[l].add(id);
+        shrinkLinks(neighbor, l);
+      }
+      entryIds = found.map((item) => item.id);
+    }
+    if (level > maxLevel) {
+      entryId = id;
+      maxLevel = level;
+    }
+  };
+
+  const rebuild = () => {
+    const kept = Array.from(nodes.values()).filter((node) => !node.deleted);
+    nodes = new Map();
+    live = new Map();
+    nextSeq = 0;
+    entryId = null;
+    maxLevel = -1;
+    removed = 0;
+    random = seededRandom(seed);
+    for (const node of kept) insert(node.key, node.vector);
+  };
+
+  /**
+   * Marks an entry as removed.
+   * @param {string} id
+   * @returns {boolean} Whether a live entry was removed
+   */
+  const remove = (id) => {
+    const key = String(id);
+    if (!live.has(key)) return false;
+    nodes.get(live.get(key)).deleted = true;
+    live.delete(key);
+    removed += 1;
+    if (removed > nodes.size - removed) rebuild();
+    return true;
+  };
+
+  /**
+   * Adds an entry, replacing any previous vector stored under the same ID.
+   * @param {string} id
+   * @param {Array<number>} vector
+   */
+  const add = (id, vector) => {
+    const key = String(id);
+    remove(key);
+    insert(key, normalize(vector));
+  };
+
+  /**
+   * Approximate k nearest entries to `vector`.
+   * @param {Array<number>} vector - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} [options]
+   * @param {number} [options.ef] - Candidate list size (defaults to max(efSearch, k))
+   * @returns {Array<{id: string, score: number}>} Entries by descending cosine similarity
+   */
+  const search = (vector, k, { ef } = {}) => {
+    if (entryId === null || k <= 0) return [];
+    const query = normalize(vector);
+    const width = Math.max(Number(ef) || efSearch, k + removed);
+    return searchLayer(query, [descend(query, 0)], width, 0)
+      .filter((item) => !nodes.get(item.id).deleted)
+      .slice(0, k)
+      .map((item) => ({ id: nodes.get(item.id).key, score: 1 - item.dist }));
+  };
+
+  const has = (id) => live.has(String(id));
+  const size = () => live.size;
+
+  return { add, remove, search, has, size };
+};
+
+export default createHnswIndex;
@@ -1,6 +1,25 @@
 // Canvas routes (sync + context) extracted without behaviour changes
 
+import { createBoardWriter } from "../lib/boardWriter.js";
+import { importDocument, resolveImportFormat } from "../lib/importers/index.js";
+import { markClustersStale } from "../lib/incrementalClusters.js";
+import { buildExcalidrawScene } from "../lib/excalidraw.js";
 import { debug } from "../lib/logger.js";
+import {
+  compareElementVersions,
+  reconcileSnapshot,
+  serializeTombstones,
+} from "../lib/reconcile.js";
+import {
+  describeRevision,
+  diffBoardStates,
+  readRevisionEntries,
+  replayRevisions,
+} from "../lib/revisionLog.js";
+import { bumpBoardRevision, getBoardRevision } from "../lib/revisions.js";
+import { toHelixStructureParams } from "../lib/structure.js";
+
+const EVENT_HEARTBEAT_MS = 15_000; // SSE comment ping so proxies keep idle streams open
 
 export function mountCanvasRoutes(app, deps) {
   const {
@@ -12,104 +31,196 @@ export function mountCanvasRoutes(app, deps) {
     MAX_PAYLOAD_BYTES,
     MAX_ELEMENTS_PER_SYNC,
     HELIX_SAFE_MODE,
-    BOARDS_DIRS,
-    ensureDir,
-    fsp,
-    path,
+    storage,
     clusterCache,
     boardCache,
     textVecCache,
+    helixIdCache = new Map(),
     // prefer multi-dir aware wrappers if provided by index
     saveBoardToDiskMulti,
     saveBoardToDisk = async () => {},
+    schedulePersist,
     hydrateBoardCacheFromDiskMulti,
     normalizeElement,
-    getAllBoardElements,
+    toHelixElementParams,
     dedupeByExternalIdLatest,
     consolidateLabelsIntoShapes,
-    bboxOf,
-    cosineSim,
     toFiniteNumber,
     toFiniteInt,
     reconcileHelixToCache,
+    changeFeed,
   } = deps;
 
-  // Atomic JSON writer to prevent partial/corrupt files during concurrent saves
-  const writeJsonAtomic = async (filePath, obj) => {
+  // Shared write path (delta application, revision log, Helix writes, mutations)
+  const {
+    recordRevision,
+    isConnectorItem,
+    tombstonesOf,
+    buryElements,
+    rewireStructure,
+    applyDelta,
+    mutate,
+    listDeleted,
+    restore,
+  } = createBoardWriter({ ...deps, helixIdCache });
+
+  // Frame and group edges follow the board as left by the sync (after the Helix prune)
+  const rewireSyncedStructure = async (boardId, extIds, previousBoard) => {
+    if (HELIX_SAFE_MODE) return;
     try {
-      const dir = path.dirname(filePath);
-      const base = path.basename(filePath);
-      const tmp = path.join(dir, `.${base}.${Date.now()}.tmp`);
-      const text = JSON.stringify(obj, null, 2);
-      await fsp.writeFile(tmp, text, "utf8");
-      await fsp.rename(tmp, filePath);
-    } catch {}
+      await rewireStructure(boardId, extIds, Array.from(boardCache.get(boardId)?.values() || []), {
+        previous: Array.from(previousBoard.values()),
+      });
+    } catch (e) {
+      console.warn(`[Sync] Structure edges for ${boardId} failed: ${e?.message || e}`);
+    }
+  };
+
+  const applyDeltaSync = async (req, res, boardId, delta, extra = {}) => {
+    const { status, body } = await applyDelta(boardId, delta, { userId: req.user?.id, extra });
+    return res.status(status).json(body);
   };
 
   app.post("/api/canvas/sync", requireAuth, async (req, res) => {
     try {
-      const { boardId, elements, deletedIds = [], opts = {}, excalidrawData } = req.body;
+      const {
+        boardId,
+        elements: sentElements,
+        deletedIds = [],
+        opts = {},
+        excalidrawData,
+        delta,
+      } = req.body;
       if (!boardId) return res.status(400).json({ error: "Missing boardId" });
       const accessMeta = await ensureBoardEditor(req, res, boardId);
       if (!accessMeta) return;
 
+      if (delta && typeof delta === "object") {
+        const sizeBytes = Buffer.byteLength(JSON.stringify(req.body || {}));
+        if (sizeBytes > MAX_PAYLOAD_BYTES)
+          return res.status(413).json({ error: "Payload too large" });
+        return await applyDeltaSync(req, res, boardId, delta);
+      }
+
       if (excalidrawData) {
-        await withBoardLock(boardId, async () => {
-          // Treat incoming excalidrawData as authoritative full snapshot:
-          // normalize elements -> update cache -> persist to disk including raw excalidrawData for loaders
+        const result = await withBoardLock(boardId, async () => {
+          if (!boardCache.has(boardId) && typeof hydrateBoardCacheFromDiskMulti === "function") {
+            await hydrateBoardCacheFromDiskMulti(boardId);
+          }
+          // Merge the client's scene into the board (see lib/reconcile): per element the newer
+          // version wins, deletions travel as tombstones, and elements written after the
+          // client's baseRevision (by other clients) are kept. Without a baseRevision the scene
+          // is taken as covering the whole board.
           const incoming = Array.isArray(excalidrawData.elements) ? excalidrawData.elements : [];
-          const boardMap = new Map();
-          for (const element of incoming) {
-            if (element && element.id) {
-              // Skip deleted elements entirely
-              if (element.isDeleted === true) continue;
-              const normalized = normalizeElement({
-                ...element,
-                externalId: element.id,
-                boardId: String(boardId),
-                kind: element.type,
-              });
-              if (normalized) boardMap.set(String(element.id), normalized);
-            }
+          const current = boardCache.get(boardId) || new Map();
+          const requestedBase = Number(req.body.baseRevision);
+          const baseRevision = Number.isFinite(requestedBase)
+            ? requestedBase
+            : getBoardRevision(boardId);
+          const tombstones = tombstonesOf(boardId);
+          const { upserts, deletions, conflicts, preserved } = reconcileSnapshot({
+            boardMap: current,
+            tombstones,
+            incoming,
+            baseRevision,
+          });
+
+          const boardMap = new Map(current);
+          const accepted = new Map();
+          for (const element of upserts) {
+            const normalized = normalizeElement({
+              ...element,
+              externalId: element.id,
+              boardId: String(boardId),
+              kind: element.type,
+            });
+            if (!normalized) continue;
+            boardMap.set(String(element.id), normalized);
+            tombstones.delete(String(element.id));
+            accepted.set(String(element.id), element);
+          }
+          const removed = new Map();
+          for (const marker of deletions) {
+            if (boardMap.has(marker.id)) removed.set(marker.id, boardMap.get(marker.id));
+            boardMap.delete(marker.id);
           }
           boardCache.set(boardId, boardMap);
+          markClustersStale(clusterCache, boardId);
           const snapshotIds = new Set(boardMap.keys());
+          const revision = bumpBoardRevision(boardId, accepted.keys());
+          buryElements(boardId, deletions, removed, revision, { userId: req.user?.id });
 
-          // Persist to all known writable dirs; include both items and filtered excalidrawData (no isDeleted)
+          // Scene for loaders: accepted elements as sent, the rest from the previous snapshot,
+          // in the client's order
+          let previous = null;
           try {
-            const items = Array.from(boardMap.values());
-            const filteredExcalidraw = {
-              ...excalidrawData,
-              elements: incoming.filter((el) => el && el.id && el.isDeleted !== true),
-            };
-            const fileData = {
+            previous = await storage.getBoard(boardId);
+          } catch {}
+          const previousById = new Map(
+            (previous?.excalidrawData?.elements || []).map((el) => [String(el.id), el])
+          );
+          const inScene = new Set(incoming.map((el) => String(el?.id || "")));
+          const scene = buildExcalidrawScene(Array.from(boardMap.values()), {
+            ...(previous?.excalidrawData || {}),
+            ...excalidrawData,
+            elements: [
+              ...incoming.map(
+                (el) => accepted.get(String(el?.id)) || previousById.get(String(el?.id))
+              ),
+              ...Array.from(previousById.values()).filter((el) => !inScene.has(String(el.id))),
+            ].filter(Boolean),
+          });
+
+          await recordRevision(
+            boardId,
+            {
+              revision,
+              full: true,
+              upserts: Array.from(boardMap.values()),
+              deletedIds: Array.from(removed.keys()),
+              userId: req.user?.id,
+            },
+            { elements: scene.elements }
+          );
+
+          try {
+            await storage.putBoard(boardId, {
               id: String(boardId),
-              items,
+              items: Array.from(boardMap.values()),
+              revision,
               savedAt: Date.now(),
-              excalidrawData: filteredExcalidraw,
-            };
-            // Write to preferred dirs
-            for (const dir of BOARDS_DIRS) {
-              try {
-                await ensureDir(dir);
-                const filePath = path.join(dir, `${String(boardId)}.json`);
-                await writeJsonAtomic(filePath, fileData);
-              } catch {}
-            }
-          } catch {}
+              excalidrawData: scene,
+              tombstones: serializeTombstones(tombstones),
+            });
+          } catch (e) {
+            console.warn(`[Sync] Failed to persist snapshot for ${boardId}: ${e?.message || e}`);
+          }
 
-          // Prune old elements in Helix to match this authoritative snapshot
+          // Prune Helix to the merged board
           try {
             if (!HELIX_SAFE_MODE && typeof reconcileHelixToCache === "function") {
               await reconcileHelixToCache(String(boardId), { snapshotIds });
             }
           } catch {}
+
+          // Server copies the client is missing or lost a conflict against
+          const resend = new Set([...conflicts.map((c) => c.id), ...preserved]);
+          return {
+            success: true,
+            message: "Excalidraw data saved",
+            revision,
+            upserts: accepted.size,
+            deleted: removed.size,
+            conflicts,
+            preserved,
+            elements: scene.elements.filter((el) => resend.has(el.id)),
+          };
         });
 
-        return res.json({ success: true, message: "Excalidraw data saved" });
+        return res.json(result);
       }
 
-      if (!Array.isArray(elements))
+      if (!Array.isArray(sentElements))
         return res.status(400).json({ error: "Missing elements array" });
       try {
         await callHelix("ensureBoard", { boardExtId: String(boardId) });
@@ -117,12 +228,35 @@ export function mountCanvasRoutes(app, deps) {
       const sizeBytes = Buffer.byteLength(JSON.stringify(req.body || {}));
       if (sizeBytes > MAX_PAYLOAD_BYTES)
         return res.status(413).json({ error: "Payload too large" });
-      if (elements.length > MAX_ELEMENTS_PER_SYNC)
+      if (sentElements.length > MAX_ELEMENTS_PER_SYNC)
         return res.status(422).json({ error: `Too many elements. Max ${MAX_ELEMENTS_PER_SYNC}` });
 
       await withBoardLock(boardId, async () => {
+        // After a restart the saved board (and its revision) is the base; Helix only fills in
+        // below when nothing was saved
+        if (!boardCache.has(boardId) && typeof hydrateBoardCacheFromDiskMulti === "function") {
+          await hydrateBoardCacheFromDiskMulti(boardId);
+        }
+        // Copies of buried elements at or below the tombstone version come from a client that
+        // has not seen the deletion; they are skipped and reported instead of resurrected
+        const tombstones = tombstonesOf(boardId);
+        const conflicts = [];
+        const elements = sentElements.filter((el) => {
+          const tombstone = el?.id && el.isDeleted !== true && tombstones.get(String(el.id));
+          if (!tombstone || compareElementVersions(el, tombstone) > 0) return true;
+          conflicts.push({
+            id: String(el.id),
+            reason: "deleted_on_server",
+            server: { version: tombstone.version, versionNonce: tombstone.versionNonce },
+          });
+          return false;
+        });
+        const previousBoard = new Map(boardCache.get(boardId) || new Map());
         if ((elements && elements.length > 0) || (deletedIds && deletedIds.length > 0)) {
-          clusterCache.delete(String(boardId));
+          // The next analysis updates the clusters these changes reach (lib/incrementalClusters)
+          markClustersStale(clusterCache, boardId);
+          // Legacy writes may re-create Helix nodes; drop cached internal IDs for this board
+          helixIdCache.delete(String(boardId));
         }
         if (opts?.fullSnapshot) {
           boardCache.set(boardId, new Map());
@@ -139,11 +273,25 @@ export function mountCanvasRoutes(app, deps) {
         const boardMap = boardCache.get(boardId) || new Map();
         if (opts?.fullSnapshot) boardMap.clear();
         // Apply deletions immediately to cache and Helix
+        const removedItems = new Map();
+        const buryRemoved = (revision) =>
+          buryElements(
+            boardId,
+            Array.from(removedItems.keys(), (id) => ({ id })),
+            removedItems,
+            revision,
+            { userId: req.user?.id }
+          );
         if (Array.isArray(deletedIds) && deletedIds.length > 0) {
           for (const id of deletedIds) {
+            if (boardMap.has(String(id))) removedItems.set(String(id), boardMap.get(String(id)));
             boardMap.delete(String(id));
             try {
               if (!HELIX_SAFE_MODE) {
+                await callHelix("deleteStructureEdgesForElement", {
+                  boardExtId: String(boardId),
+                  elementExtId: String(id),
+                });
                 await callHelix("deleteElement", {
                   boardExtId: String(boardId),
                   elementExtId: String(id),
@@ -154,6 +302,13 @@ export function mountCanvasRoutes(app, deps) {
           boardCache.set(boardId, boardMap);
           // If deletions-only, persist to disk and exit
           if (!elements || elements.length === 0) {
+            const revision = bumpBoardRevision(boardId);
+            buryRemoved(revision);
+            await recordRevision(boardId, {
+              revision,
+              deletedIds: deletedIds.map(String),
+              userId: req.user?.id,
+            });
             try {
               if (typeof saveBoardToDiskMulti === "function") {
                 await saveBoardToDiskMulti(boardId);
@@ -167,10 +322,13 @@ export function mountCanvasRoutes(app, deps) {
                 await reconcileHelixToCache(String(boardId));
               }
             } catch {}
+            await rewireSyncedStructure(boardId, deletedIds.map(String), previousBoard);
             return res.json({
               success: true,
+              revision,
               upserts: 0,
               deleted: deletedIds.length,
+              conflicts,
               helixEmpty: false,
               requestFullSnapshot: false,
             });
@@ -205,7 +363,8 @@ export function mountCanvasRoutes(app, deps) {
             const helixElements = toElementsArray(currentInHelix);
             const tempCache = new Map();
             for (const el of helixElements)
-              if (el?.externalId) tempCache.set(String(el.externalId), el);
+              if (el?.externalId && !tombstones.has(String(el.externalId)))
+                tempCache.set(String(el.externalId), el);
             boardCache.set(boardId, tempCache);
           } else if (helixCount === 0) {
             helixWasEmpty = true;
@@ -232,7 +391,12 @@ export function mountCanvasRoutes(app, deps) {
             return Number.isFinite(n) ? Math.floor(n) : def;
           };
           for (const element of elements) {
-            const labelText = typeof element.text === "string" ? element.text : "";
+            const labelText =
+              typeof element.text === "string" && element.text
+                ? element.text
+                : element.type === "frame" && typeof element.name === "string"
+                  ? element.name
+                  : "";
             // Skip deleted elements entirely
             if (element && element.isDeleted === true) {
               continue;
@@ -270,6 +434,7 @@ export function mountCanvasRoutes(app, deps) {
               semanticClusterId: element.semanticClusterId || "",
               distanceClusterId: element.distanceClusterId || "",
               relationalClusterId: element.relationalClusterId || "",
+              ...toHelixStructureParams(element),
             };
             let result;
             try {
@@ -335,64 +500,6 @@ export function mountCanvasRoutes(app, deps) {
               );
             }
           }
-          try {
-            const cc = clusterCache.get(String(boardId));
-            if (cc && cc.byId && (elements?.length || 0) > 0) {
-              const all = await getAllBoardElements(String(boardId));
-              const tryAssignDistance = (el, entry) => {
-                const b = bboxOf(el);
-                const bb = entry.bbox;
-                const dx = Math.max(0, Math.max(bb.minX - b.maxX, b.minX - bb.maxX));
-                const dy = Math.max(0, Math.max(bb.minY - b.maxY, b.minY - bb.maxY));
-                return (dx === 0 && dy === 0) || Math.hypot(dx, dy) < 100;
-              };
-              const tryAssignSemantic = (el, entry) => {
-                if (!el || typeof el.text !== "string" || !el.text.trim()) return false;
-                const tv = textVecCache.get(String(boardId));
-                if (!tv) return false;
-                const vec = tv.get(String(el.externalId));
-                if (!vec) return false;
-                for (const mid of entry.memberIds) {
-                  const mv = tv.get(String(mid));
-                  if (Array.isArray(mv) && mv.length === vec.length) {
-                    if (cosineSim(vec, mv) >= 0.75) return true;
-                  }
-                }
-                return false;
-              };
-              const tryAssignRelational = (el, entry) => {
-                if (el.kind !== "arrow") return false;
-                return (
-                  entry.memberIds.includes(String(el.startBindingId)) ||
-                  entry.memberIds.includes(String(el.endBindingId))
-                );
-              };
-              for (const el of elements) {
-                const eid = String(el.id || "");
-                if (!eid) continue;
-                const norm = (boardCache.get(boardId) || new Map()).get(eid);
-                if (!norm) continue;
-                for (const [cid, entry] of cc.byId.entries()) {
-                  if (
-                    entry.type === "distance" &&
-                    tryAssignDistance(norm, {
-                      bbox: (() => {
-                        const b = entry.bbox;
-                        return { minX: b.x, minY: b.y, maxX: b.x + b.width, maxY: b.y + b.height };
-                      })(),
-                    })
-                  ) {
-                    if (!entry.memberIds.includes(eid)) entry.memberIds.push(eid);
-                  } else if (entry.type === "semantic" && tryAssignSemantic(norm, entry)) {
-                    if (!entry.memberIds.includes(eid)) entry.memberIds.push(eid);
-                  } else if (entry.type === "relational" && tryAssignRelational(norm, entry)) {
-                    if (!entry.memberIds.includes(eid)) entry.memberIds.push(eid);
-                  }
-                }
-              }
-              clusterCache.set(String(boardId), cc);
-            }
-          } catch {}
           helixOperationsSuccessful = true;
         } catch (helixError) {
           boardCache.set(boardId, cacheBackup);
@@ -419,6 +526,32 @@ export function mountCanvasRoutes(app, deps) {
           }
         }
         boardCache.set(boardId, boardMap);
+        const writtenIds = elements
+          .filter((el) => el?.id && el.isDeleted !== true)
+          .map((el) => String(el.id));
+        // A full snapshot soft-deletes whatever it no longer contains
+        if (targetSnapshot) {
+          for (const [extId, item] of previousBoard) {
+            if (!targetSnapshot.has(extId)) removedItems.set(extId, item);
+          }
+        }
+        const revision = bumpBoardRevision(boardId, writtenIds);
+        buryRemoved(revision);
+        for (const extId of writtenIds) tombstones.delete(extId);
+        await recordRevision(
+          boardId,
+          {
+            revision,
+            full: opts?.fullSnapshot === true,
+            upserts:
+              opts?.fullSnapshot === true
+                ? Array.from(boardMap.values())
+                : writtenIds.map((extId) => boardMap.get(extId)),
+            deletedIds: Array.isArray(deletedIds) ? deletedIds.map(String) : [],
+            userId: req.user?.id,
+          },
+          { elements: elements.filter((el) => el?.id && el.isDeleted !== true) }
+        );
 
         if (typeof saveBoardToDiskMulti === "function") {
           await saveBoardToDiskMulti(boardId);
@@ -435,11 +568,18 @@ export function mountCanvasRoutes(app, deps) {
             );
           }
         } catch {}
+        await rewireSyncedStructure(
+          boardId,
+          [...writtenIds, ...removedItems.keys()],
+          previousBoard
+        );
 
         res.json({
           success: true,
+          revision,
           upserts: elements.length,
           deleted: Array.isArray(deletedIds) ? deletedIds.length : 0,
+          conflicts,
           helixEmpty: helixWasEmpty,
           requestFullSnapshot: helixWasEmpty === true || needsFullSnapshot === true,
         });
@@ -469,6 +609,291 @@ export function mountCanvasRoutes(app, deps) {
       res.status(500).json({ error: error.message || "Internal error" });
     }
   });
+
+  // Revision 0 is the empty board before the first write
+  const stateAtRevision = (entries, revision) =>
+    Number(revision) === 0 ? new Map() : replayRevisions(entries, revision);
+
+  app.post("/api/canvas/revisions", requireAuth, async (req, res) => {
+    try {
+      const { boardId, limit = 50, before } = req.body;
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+      const entries = await readRevisionEntries(storage, boardId);
+      const cap = Math.max(1, Math.min(500, Number(limit) || 50));
+      const upper = Number.isFinite(Number(before)) ? Number(before) : Infinity;
+      const revisions = entries
+        .filter((e) => e.revision < upper)
+        .reverse()
+        .slice(0, cap)
+        .map(describeRevision);
+      res.json({ boardId: String(boardId), revision: getBoardRevision(boardId), revisions });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to list revisions", details: error.message });
+    }
+  });
+
+  app.post("/api/canvas/revisions/get", requireAuth, async (req, res) => {
+    try {
+      const { boardId, revision } = req.body;
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      if (!Number.isInteger(Number(revision)) || Number(revision) < 0)
+        return res.status(400).json({ error: "Missing or invalid revision" });
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+      const entries = await readRevisionEntries(storage, boardId);
+      const state = stateAtRevision(entries, revision);
+      if (!state) {
+        return res.status(404).json({
+          error: "Revision not found",
+          details: `Board ${boardId} has no history for revision ${revision}`,
+        });
+      }
+      const entry = entries.find((e) => e.revision === Number(revision));
+      res.json({
+        boardId: String(boardId),
+        revision: Number(revision),
+        savedAt: entry?.savedAt ?? null,
+        elements: Array.from(state.values()),
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to load revision", details: error.message });
+    }
+  });
+
+  app.post("/api/canvas/revisions/diff", requireAuth, async (req, res) => {
+    try {
+      const { boardId, from, to = getBoardRevision(boardId) } = req.body;
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      for (const value of [from, to]) {
+        if (!Number.isInteger(Number(value)) || Number(value) < 0)
+          return res.status(400).json({ error: "Missing or invalid from/to revision" });
+      }
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+      const entries = await readRevisionEntries(storage, boardId);
+      const before = stateAtRevision(entries, from);
+      const after = stateAtRevision(entries, to);
+      if (!before || !after) {
+        return res.status(404).json({
+          error: "Revision not found",
+          details: `Board ${boardId} has no history for revision ${!before ? from : to}`,
+        });
+      }
+      const { added, removed, changed } = diffBoardStates(before, after);
+      res.json({
+        boardId: String(boardId),
+        from: Number(from),
+        to: Number(to),
+        summary: { added: added.length, removed: removed.length, changed: changed.length },
+        added,
+        removed,
+        changed,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to diff revisions", details: error.message });
+    }
+  });
+
+  // Document import: Mermaid / draw.io / tldraw → Excalidraw-shaped elements → delta write.
+  // IDs are namespaced as `<source>:<id>` (source defaults to the format) so re-importing the
+  // same document updates it in place; `replace: true` also drops elements the new version lost.
+  app.post("/api/canvas/import", requireAuth, async (req, res) => {
+    try {
+      const { boardId, format, content, source, replace = false, dryRun = false } = req.body;
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      if (content === undefined || content === null || content === "")
+        return res.status(400).json({ error: "Missing content" });
+      const sizeBytes = Buffer.byteLength(JSON.stringify(req.body || {}));
+      if (sizeBytes > MAX_PAYLOAD_BYTES)
+        return res.status(413).json({ error: "Payload too large" });
+      const resolved = resolveImportFormat(format, content);
+      if (!resolved) {
+        return res.status(400).json({
+          error: "Unsupported import format",
+          details: `Unknown format "${format}"`,
+        });
+      }
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+
+      const prefix = `${String(source || resolved)}:`;
+      let elements;
+      let warnings;
+      try {
+        ({ elements, warnings } = importDocument({ format: resolved, content, idPrefix: prefix }));
+      } catch (e) {
+        return res.status(400).json({ error: "Import failed", details: e?.message || String(e) });
+      }
+      const imported = { nodes: 0, edges: 0, frames: 0 };
+      for (const el of elements) {
+        if (el.type === "frame") imported.frames++;
+        else if (isConnectorItem(el)) imported.edges++;
+        else imported.nodes++;
+      }
+      const summary = { format: resolved, imported, warnings };
+      if (dryRun) return res.json({ success: true, ...summary, elements });
+
+      const id = String(boardId);
+      if (!boardCache.has(id) && typeof hydrateBoardCacheFromDiskMulti === "function") {
+        await hydrateBoardCacheFromDiskMulti(id);
+      }
+      const boardMap = boardCache.get(id) || new Map();
+      // Imported elements supersede whatever the board holds under the same ID
+      const changed = elements.map((el) => ({
+        ...el,
+        version: Number(boardMap.get(el.id)?.version || 0) + 1,
+      }));
+      const incomingIds = new Set(elements.map((el) => el.id));
+      const deleted = replace
+        ? Array.from(boardMap.keys()).filter(
+            (key) => key.startsWith(prefix) && !incomingIds.has(key)
+          )
+        : [];
+      return await applyDeltaSync(
+        req,
+        res,
+        id,
+        { baseRevision: getBoardRevision(id), changed, deleted },
+        summary
+      );
+    } catch (error) {
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to import document", details: error.message });
+      }
+    }
+  });
+
+  // Server-side edits (create/update/move/delete/group/connect/bind). Written through the delta
+  // path; the response carries Excalidraw-ready `elements` and a delta-format `patch`.
+  app.post("/api/canvas/mutate", requireAuth, async (req, res) => {
+    try {
+      const { boardId, operations, baseRevision } = req.body;
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      if (!Array.isArray(operations) || operations.length === 0)
+        return res.status(400).json({ error: "Missing operations" });
+      if (operations.length > MAX_ELEMENTS_PER_SYNC)
+        return res.status(422).json({ error: `Too many operations. Max ${MAX_ELEMENTS_PER_SYNC}` });
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+      const { status, body } = await mutate(boardId, operations, {
+        baseRevision,
+        userId: req.user?.id,
+      });
+      res.status(status).json(body);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to apply mutations", details: error.message });
+      }
+    }
+  });
+
+  // Soft-deleted elements still inside the tombstone retention window
+  app.post("/api/canvas/deleted", requireAuth, async (req, res) => {
+    try {
+      const { boardId } = req.body;
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+      const deleted = await listDeleted(boardId);
+      res.json({ boardId: String(boardId), revision: getBoardRevision(boardId), deleted });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to list deleted elements", details: error.message });
+    }
+  });
+
+  app.post("/api/canvas/restore", requireAuth, async (req, res) => {
+    try {
+      const { boardId, elementIds } = req.body;
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      if (!Array.isArray(elementIds) || elementIds.length === 0)
+        return res.status(400).json({ error: "Missing elementIds" });
+      if (elementIds.length > MAX_ELEMENTS_PER_SYNC)
+        return res.status(422).json({ error: `Too many elements. Max ${MAX_ELEMENTS_PER_SYNC}` });
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+      const { status, body } = await restore(boardId, elementIds, { userId: req.user?.id });
+      res.status(status).json(body);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to restore elements", details: error.message });
+      }
+    }
+  });
+
+  // Live board events over SSE: element writes, cluster assignment changes and AI highlights.
+  // Reconnecting clients send `Last-Event-ID` (or `?since=`) to replay what they missed.
+  app.get("/api/canvas/events", requireAuth, async (req, res) => {
+    try {
+      const boardId = req.query?.boardId;
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+      if (!changeFeed) return res.status(503).json({ error: "Change feed unavailable" });
+
+      res.status(200);
+      res.setHeader("Content-Type", "text/event-stream");
+      res.setHeader("Cache-Control", "no-cache, no-transform");
+      res.setHeader("Connection", "keep-alive");
+      res.setHeader("X-Accel-Buffering", "no");
+      if (typeof res.flushHeaders === "function") res.flushHeaders();
+
+      const id = String(boardId);
+      const write = (type, data, eventId) => {
+        if (res.writableEnded) return;
+        if (eventId !== undefined) res.write(`id: ${eventId}\n`);
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+      write("ready", {
+        boardId: id,
+        revision: getBoardRevision(id),
+        lastEventId: changeFeed.lastEventId(id),
+      });
+      const since = req.get("last-event-id") ?? req.query?.since;
+      const unsubscribe = changeFeed.subscribe(
+        id,
+        (event) => write(event.type, { boardId: id, at: event.at, ...event.data }, event.id),
+        { since }
+      );
+      const heartbeat = setInterval(() => {
+        try {
+          res.write(":\n\n");
+        } catch {}
+      }, EVENT_HEARTBEAT_MS);
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to open event stream", details: error.message });
+      }
+    }
+  });
+
+  // Highlight control from the AI pipeline (`emitControl("highlight", ...)`), relayed to viewers
+  app.post("/api/canvas/highlight", requireAuth, async (req, res) => {
+    try {
+      const { boardId, elementIds, options = {} } = req.body || {};
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      if (!Array.isArray(elementIds)) return res.status(400).json({ error: "Missing elementIds" });
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+      const event = changeFeed?.publish(boardId, "highlight", {
+        elementIds: elementIds.map(String),
+        options: options && typeof options === "object" ? options : {},
+        userId: req.user?.id,
+      });
+      res.json({
+        success: true,
+        eventId: event?.id ?? null,
+        subscribers: changeFeed?.subscriberCount(boardId) || 0,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to publish highlight", details: error.message });
+    }
+  });
 }
 
 export default mountCanvasRoutes;
@@ -1,13 +1,55 @@
 // Clusters routes - EXACT copy from index.js before refactor
 
-import { generateTextEmbedding } from "../lib/embeddings.js";
+import { computeBoardEdges, toGraphElement } from "../lib/boardGraph.js";
+import { clusterAssignmentsOf, diffClusterAssignments } from "../lib/changeFeed.js";
+import { buildClusterDiagnostics, createPhaseTimer } from "../lib/clusterDiagnostics.js";
+import {
+  buildClusterHierarchy,
+  findHierarchyNode,
+  relabelHierarchy,
+} from "../lib/clusterHierarchy.js";
+import { createKeywordIndex } from "../lib/clusterKeywords.js";
+import { getClusterSummarizer, summarizeClusters } from "../lib/clusterSummaries.js";
+import {
+  assignClusterIds,
+  clusterStateFromElements,
+  hasLineageChanges,
+} from "../lib/clusterIdentity.js";
+import {
+  parseClusterOptions,
+  resolveClusterOptions,
+  sameClusterOptions,
+} from "../lib/clusterOptions.js";
+import { createEmbeddingCache } from "../lib/embeddingCache.js";
+import { embedTexts, embeddingModelId, getEmbeddingProvider } from "../lib/embeddings.js";
+import { EXPORT_CLUSTER_TYPES, exportGraph, resolveExportFormat } from "../lib/exporters/index.js";
 import { CLUSTER_CONSTANTS, SPATIAL_CONSTANTS } from "../lib/helpers.js";
 import { debug } from "../lib/logger.js";
+import {
+  changedClusterIds,
+  clusterSignature,
+  diffClusterSnapshot,
+  dirtyElements,
+  proportionalDistance,
+  spatialGrid,
+  updateComponents,
+  updateSemanticClusters,
+} from "../lib/incrementalClusters.js";
+import { getBoardRevision } from "../lib/revisions.js";
+import {
+  DEFAULT_SEMANTIC_ALGORITHM,
+  SEMANTIC_ALGORITHMS,
+  clusterEmbeddings,
+  similarityMatrix,
+} from "../lib/semanticClustering.js";
+import {
+  collectContainers,
+  elementLabel,
+  normalizeGroupIds,
+  resolveConnectorEnds,
+  toHelixStructureParams,
+} from "../lib/structure.js";
 import crypto from "node:crypto";
-import path from "path";
-import { promises as fsp } from "fs";
-
-const LOCAL_EMBEDDINGS_ENABLED = String(process.env.LOCAL_EMBEDDINGS || "").trim() === "1";
 
 export function mountClustersRoutes(app, deps) {
   const {
@@ -22,71 +64,351 @@ export function mountClustersRoutes(app, deps) {
     clusterCache,
     textVecCache,
     bboxOf,
-    cosineSim,
     isConnector,
+    storage,
+    changeFeed,
+    clusterAssignmentCache = new Map(),
+    embeddingCache = createEmbeddingCache({ storage }),
+    embeddingProvider = getEmbeddingProvider(),
+    clusterSummarizer = getClusterSummarizer(),
     fetchImpl = fetch,
   } = deps;
 
-  const cosineSimilarity = cosineSim;
-
-  // Persistent traversal cache helpers
-  const TRAVERSAL_CACHE_DIR = path.resolve(process.cwd(), "sdk/helix/data/traversals");
-  const ensureLocalDir = async (dir) => {
-    try {
-      await fsp.mkdir(dir, { recursive: true });
-    } catch {}
+  // Keeps the strongest candidate edges while every element stays under EDGE_NEIGHBORS edges
+  const pickStrongestEdges = (candidates) => {
+    const degree = new Map();
+    const picked = [];
+    for (const edge of [...candidates].sort((a, b) => b.weight - a.weight)) {
+      const a = degree.get(edge.from) || 0;
+      const b = degree.get(edge.to) || 0;
+      if (a >= CLUSTER_CONSTANTS.EDGE_NEIGHBORS || b >= CLUSTER_CONSTANTS.EDGE_NEIGHBORS) continue;
+      degree.set(edge.from, a + 1);
+      degree.set(edge.to, b + 1);
+      picked.push(edge);
+    }
+    return picked;
   };
+
+  // Persistent traversal cache helpers (one storage entry per board)
+  const TRAVERSAL_NAMESPACE = "traversals";
   const readTraversalCache = async (boardId) => {
     try {
-      const file = path.join(TRAVERSAL_CACHE_DIR, `${String(boardId)}.json`);
-      const txt = await fsp.readFile(file, "utf8");
-      return JSON.parse(txt);
+      return (await storage.getEntry(TRAVERSAL_NAMESPACE, String(boardId))) || {};
     } catch {
       return {};
     }
   };
   const writeTraversalCache = async (boardId, obj) => {
     try {
-      await ensureLocalDir(TRAVERSAL_CACHE_DIR);
-      const file = path.join(TRAVERSAL_CACHE_DIR, `${String(boardId)}.json`);
-      await fsp.writeFile(file, JSON.stringify(obj, null, 2), "utf8");
+      await storage.putEntry(TRAVERSAL_NAMESPACE, String(boardId), obj);
+    } catch {}
+  };
+  // Cluster identity state (lib/clusterIdentity.js): last run's clusters and id counters per board
+  const IDENTITY_NAMESPACE = "clusterIdentities";
+  const readClusterIdentity = async (boardId) => {
+    try {
+      return await storage.getEntry(IDENTITY_NAMESPACE, String(boardId));
+    } catch {
+      return null;
+    }
+  };
+  const writeClusterIdentity = async (boardId, state) => {
+    try {
+      await storage.putEntry(IDENTITY_NAMESPACE, String(boardId), state);
     } catch {}
   };
+  // Per-board default clustering options (lib/clusterOptions.js), validated when saved
+  const OPTIONS_NAMESPACE = "clusterOptions";
+  const readClusterOptions = async (boardId) => {
+    try {
+      return (await storage.getEntry(OPTIONS_NAMESPACE, String(boardId))) || {};
+    } catch {
+      return {};
+    }
+  };
   const sha256 = (s) =>
     crypto
       .createHash("sha256")
       .update(String(s || ""), "utf8")
       .digest("hex");
 
-  app.post("/api/clusters", requireAuth, async (req, res) => {
+  // Stored element embeddings by externalId; on failure every element is simply re-embedded
+  const loadStoredEmbeddings = async (boardId) => {
     try {
-      const { boardId, forceRecompute = false } = req.body;
-      if (!boardId) {
-        return res.status(400).json({ error: "Missing boardId" });
+      const { vecs } = await callHelix("getBoardEmbeddings", { boardExtId: String(boardId) });
+      return new Map((vecs || []).map((vec) => [String(vec.externalId), vec]));
+    } catch (e) {
+      debug(`[Clusters] Stored embeddings unavailable: ${e?.message || e}`);
+      return new Map();
+    }
+  };
+
+  // Writes new vectors and drops those of elements that no longer carry text
+  const persistEmbeddings = async (boardId, model, fresh, stored, textIds) => {
+    const boardExtId = String(boardId);
+    const stale = Array.from(stored.keys()).filter((id) => !textIds.has(id) && !fresh.has(id));
+    for (const elementExtId of [...fresh.keys(), ...stale]) {
+      try {
+        await callHelix("deleteTextEmbedding", { boardExtId, elementExtId });
+        const entry = fresh.get(elementExtId);
+        if (!entry) continue;
+        await callHelix("upsertTextEmbedding", {
+          boardExtId,
+          elementExtId,
+          model,
+          textHash: entry.textHash,
+          vector: entry.vector,
+        });
+      } catch (e) {
+        console.warn("[Clusters] Could not store embedding for", elementExtId, e?.message || e);
       }
-      // Skip all access checks for AI functionality
+    }
+  };
 
-      // Use Redis distributed lock to prevent race conditions across PM2 processes
-      const result = await withDistributedLock(`clusters:${boardId}`, async () => {
-        // Check if we have cached cluster results
-        const cachedClusters = clusterCache.get(String(boardId));
-        if (!forceRecompute && cachedClusters && cachedClusters.lastComputed) {
-          // Check if cache is still fresh (less than 5 minutes old)
-          const cacheAge = Date.now() - cachedClusters.lastComputed;
-          const CACHE_TTL = CLUSTER_CONSTANTS.CACHE_TTL;
-
-          if (cacheAge < CACHE_TTL) {
+  // Tell live viewers (GET /api/canvas/events) which elements changed cluster since the last run
+  const publishAssignments = (boardId, result) => {
+    if (!changeFeed) return;
+    const id = String(boardId);
+    const next = clusterAssignmentsOf(result);
+    const previous = clusterAssignmentCache.get(id) || new Map();
+    const { changed, removed } = diffClusterAssignments(previous, next);
+    clusterAssignmentCache.set(id, next);
+    if (changed.length === 0 && removed.length === 0) return;
+    changeFeed.publish(id, "clusters", {
+      revision: result.revision ?? getBoardRevision(id),
+      total_clusters: result.total_clusters,
+      changed,
+      removed,
+      ...(hasLineageChanges(result.cluster_lineage) ? { lineage: result.cluster_lineage } : {}),
+      ...(Object.values(result.changed_clusters || {}).some((ids) => ids.length)
+        ? { changed_clusters: result.changed_clusters }
+        : {}),
+    });
+  };
+
+  // LLM titles and summaries (lib/clusterSummaries.js) for a freshly computed cache entry, cached
+  // by cluster content. They run after the board's cluster lock is released, so a slow API does
+  // not hold up other analyses of the board. Clusters without one keep only their sample texts,
+  // and clients fall back to their own descriptions.
+  const summarizeEntry = async (entry, timer) => {
+    const { result } = entry;
+    const formatted = [
+      ...result.semantic_clusters,
+      ...result.distance_clusters,
+      ...result.relational_clusters,
+      ...result.group_clusters,
+    ];
+    let summaryStats = null;
+    if (clusterSummarizer && formatted.length) {
+      const { summaries, ...counts } = await summarizeClusters({
+        clusters: formatted,
+        summarizer: clusterSummarizer,
+        storage,
+      });
+      for (const cluster of formatted) {
+        const summary = summaries.get(String(cluster.id));
+        if (!summary) continue;
+        cluster.title = summary.title;
+        cluster.description = summary.description;
+        cluster.key_entities = summary.key_entities;
+      }
+      relabelHierarchy(result.hierarchy, formatted);
+      summaryStats = { summarizer: clusterSummarizer.id, ...counts };
+    }
+    timer.lap("summaries");
+    entry.trace.summaries = summaryStats;
+    entry.trace.timings = timer.timings();
+  };
+
+  // Cluster analysis for a board, cached in clusterCache for CLUSTER_CONSTANTS.CACHE_TTL.
+  // Without an `algorithm`, any cached result is reused; with one, only a result it produced.
+  // `options` (already validated) override the board's saved defaults, and a cached result is only
+  // reused for the options it was computed with.
+  // Once the board has changed (the cache entry is stale) or the TTL ran out, the cached result
+  // is updated incrementally; forceRecompute, a new algorithm or options, or a missing cache start
+  // over. With `diagnostics`, the result carries a report built from the run's trace
+  // (lib/clusterDiagnostics.js); cached results keep the trace of the run that produced them.
+  // Summaries are generated once the lock is released (see summarizeEntry).
+  // Use Redis distributed lock to prevent race conditions across PM2 processes
+  const computeClusters = async (
+    boardId,
+    forceRecompute = false,
+    { algorithm, options: requested, diagnostics = false } = {}
+  ) => {
+    const { entry, cached, timer } = await withDistributedLock(`clusters:${boardId}`, async () => {
+      const timer = createPhaseTimer();
+      const options = resolveClusterOptions(await readClusterOptions(boardId), requested);
+      const computes = new Set(options.clusterTypes);
+      // Check if we have cached cluster results
+      const cachedClusters = clusterCache.get(String(boardId));
+      const cachedAlgorithm = cachedClusters?.result?.semantic_algorithm;
+      const cacheReusable =
+        !forceRecompute &&
+        cachedClusters &&
+        cachedClusters.lastComputed &&
+        (!algorithm || cachedAlgorithm === algorithm) &&
+        sameClusterOptions(cachedClusters.result?.options, options);
+      const semanticAlgorithm =
+        algorithm || (cacheReusable && cachedAlgorithm) || DEFAULT_SEMANTIC_ALGORITHM;
+      if (cacheReusable && !cachedClusters.stale) {
+        // Check if cache is still fresh (less than 5 minutes old)
+        const cacheAge = Date.now() - cachedClusters.lastComputed;
+        const CACHE_TTL = CLUSTER_CONSTANTS.CACHE_TTL;
+
+        if (cacheAge < CACHE_TTL) {
+          debug(
+            `[Clusters] Returning cached results for board ${boardId} (cache age: ${(cacheAge / 1000).toFixed(1)}s)`
+          );
+          return { entry: cachedClusters, cached: true };
+        }
+      }
+
+      // STEP 1: FETCH AUTHORITATIVE ELEMENT DATA.
+      const allElementsRaw = await callHelix("getBoardElements", {
+        boardExtId: boardId,
+      });
+      const allElements = dedupeByExternalIdLatest(toElementsArray(allElementsRaw));
+      // debug("allElementsRaw", allElementsRaw);
+      // debug("allElements", allElements);
+      // Merge standalone text labels into their containing shapes so cluster members carry text
+      const boardElements = consolidateLabelsIntoShapes(allElements);
+      // Only the element kinds the options allow can be cluster members
+      const kindFiltered = [];
+      const mergedElements = options.elementKinds
+        ? boardElements.filter((el) => {
+            const kind = String(el.kind || el.type || "").toLowerCase();
+            if (options.elementKinds.includes(kind)) return true;
+            kindFiltered.push({ id: el.externalId, kind, reason: "kind_filtered" });
+            return false;
+          })
+        : boardElements;
+      // debug(" mergedElements", mergedElements);
+      debug(
+        `[Clusters] Counts: raw=${
+          Array.isArray(toElementsArray(allElementsRaw))
+            ? toElementsArray(allElementsRaw).length
+            : 0
+        }, deduped=${allElements.length}, merged=${mergedElements.length}`
+      );
+      const kindCounts = mergedElements.reduce((acc, e) => {
+        const k = String(e.kind || "");
+        acc[k] = (acc[k] || 0) + 1;
+        return acc;
+      }, {});
+
+      // Previous clusters to keep ids stable against; boards analysed before identity state was
+      // saved fall back to the ids stored on their elements
+      const identityState =
+        (await readClusterIdentity(boardId)) || clusterStateFromElements(allElements);
+
+      if (mergedElements.length === 0) {
+        const identity = assignClusterIds({
+          state: identityState,
+          next: Object.fromEntries(options.clusterTypes.map((type) => [type, []])),
+        });
+        await writeClusterIdentity(boardId, identity.state);
+        const emptyResult = {
+          semantic_clusters: [],
+          distance_clusters: [],
+          relational_clusters: [],
+          group_clusters: [],
+          hierarchy: buildClusterHierarchy({}),
+          semantic_algorithm: semanticAlgorithm,
+          options,
+          total_elements: 0,
+          total_clusters: 0,
+          persisted_edges: { semantic: 0, spatial: 0, relational: 0 },
+          cluster_lineage: identity.lineage,
+          changed_clusters: changedClusterIds(identityState, identity.state),
+          incremental: false,
+        };
+
+        // Cache empty result too
+        timer.lap("fetch");
+        const emptyEntry = {
+          result: emptyResult,
+          lastComputed: Date.now(),
+          trace: { timings: timer.timings(), excluded: kindFiltered },
+        };
+        clusterCache.set(String(boardId), emptyEntry);
+        publishAssignments(boardId, emptyResult);
+
+        return { entry: emptyEntry, cached: false };
+      }
+      const elementsByExternalId = new Map(mergedElements.map((el) => [el.externalId, el]));
+      const intToExt = new Map(
+        allElements.map((e) => [String(e.id || e.ID || ""), String(e.externalId || "")])
+      );
+      const normalizeToExt = (raw) => {
+        const id = String(raw || "");
+        if (!id) {
+          return "";
+        }
+        if (elementsByExternalId.has(id)) {
+          return id;
+        }
+        return intToExt.get(id) || "";
+      };
+      // Skip prefill - build adjacency only from arrows to avoid corrupted self-loops
+      debug("[Clusters] Building adjacency only from arrows (no prefill from HelixDB)");
+      const arrowMap = new Map();
+      for (const el of allElements) {
+        if (!el || !isConnector(el)) continue;
+        // Unbound ends are attached to the shape their routed points land on
+        const ends = resolveConnectorEnds(el, mergedElements);
+        if (ends.start && ends.end) {
+          const key = String(el.externalId || el.id || "");
+          if (!arrowMap.has(key)) {
             debug(
-              `[Clusters] Returning cached results for board ${boardId} (cache age: ${(cacheAge / 1000).toFixed(1)}s)`
+              `[Clusters] Arrow ${el.externalId} raw bindings: start=${el.startBindingId}, end=${el.endBindingId} (resolved ${ends.start} -> ${ends.end})`
             );
-            return cachedClusters.result;
+            arrowMap.set(key, { ...el, startBindingId: ends.start, endBindingId: ends.end });
           }
         }
+      }
+      // Shapes each connector joins, recorded in the snapshot so rewiring shows up as a change
+      const connectorLinks = new Map();
+      for (const [via, conn] of arrowMap) {
+        const a = normalizeToExt(conn.startBindingId);
+        const b = normalizeToExt(conn.endBindingId);
+        if (elementsByExternalId.has(a) && elementsByExternalId.has(b) && a !== b) {
+          connectorLinks.set(via, { a, b });
+        }
+      }
 
-        debug(`[Clusters] Starting full re-analysis and element update for board ${boardId}`);
-
-        // STEP 1: CLEAR ALL PREVIOUS CLUSTER ANALYSIS.
-        // This now relies on the corrected queries being deployed.
+      // Diff the board against the cached analysis (lib/incrementalClusters.js) and only revisit
+      // what changed. A full analysis runs without one, after an embedding model change, or when
+      // so much changed that starting over is cheaper.
+      const embeddingModel = embeddingModelId(embeddingProvider);
+      const snapshot = new Map(
+        mergedElements.map((el) => [
+          String(el.externalId),
+          clusterSignature(el, connectorLinks.get(String(el.externalId))),
+        ])
+      );
+      const baseSnapshot =
+        cacheReusable &&
+        cachedClusters.snapshot?.embeddingModel === embeddingModel &&
+        (!computes.has("semantic") || textVecCache.has(String(boardId)))
+          ? cachedClusters.snapshot.signatures
+          : null;
+      const delta = baseSnapshot ? diffClusterSnapshot(baseSnapshot, snapshot) : null;
+      const incremental =
+        Boolean(delta) &&
+        delta.size <= mergedElements.length * CLUSTER_CONSTANTS.INCREMENTAL_MAX_SHARE;
+      const previous = incremental ? cachedClusters.result : null;
+      const dirty = incremental ? dirtyElements(delta, baseSnapshot, snapshot) : null;
+      debug(
+        incremental
+          ? `[Clusters] Incremental update for board ${boardId} (${delta.size} changed elements)`
+          : `[Clusters] Starting full re-analysis and element update for board ${boardId}`
+      );
+
+      timer.lap("fetch");
+
+      // STEP 2: CLEAR ALL PREVIOUS CLUSTER ANALYSIS.
+      // An incremental update instead drops the edges of the elements it revisits (STEP 5).
+      if (!incremental) {
         try {
           debug(`[Clusters] Deleting old analysis edges (Semantic & Spatial)...`);
 
@@ -101,672 +423,796 @@ export function mountClustersRoutes(app, deps) {
             `[Clusters] Could not clear old analysis edges: ${e.message}. This may happen if the new queries are not deployed.`
           );
         }
-
-        // STEP 2: FETCH AUTHORITATIVE ELEMENT DATA.
-        const allElementsRaw = await callHelix("getBoardElements", {
-          boardExtId: boardId,
-        });
-        const allElements = dedupeByExternalIdLatest(toElementsArray(allElementsRaw));
-        // debug("allElementsRaw", allElementsRaw);
-        // debug("allElements", allElements);
-        // Merge standalone text labels into their containing shapes so cluster members carry text
-        const mergedElements = consolidateLabelsIntoShapes(allElements);
-        // debug(" mergedElements", mergedElements);
-        debug(
-          `[Clusters] Counts: raw=${
-            Array.isArray(toElementsArray(allElementsRaw))
-              ? toElementsArray(allElementsRaw).length
-              : 0
-          }, deduped=${allElements.length}, merged=${mergedElements.length}`
-        );
-        const kindCounts = mergedElements.reduce((acc, e) => {
-          const k = String(e.kind || "");
-          acc[k] = (acc[k] || 0) + 1;
-          return acc;
-        }, {});
-
-        if (mergedElements.length === 0) {
-          const emptyResult = {
-            semantic_clusters: [],
-            distance_clusters: [],
-            relational_clusters: [],
-            total_elements: 0,
-            total_clusters: 0,
-          };
-
-          // Cache empty result too
-          clusterCache.set(String(boardId), {
-            result: emptyResult,
-            lastComputed: Date.now(),
+      }
+      timer.lap("clear");
+      // STEP 3: PERFORM CLUSTERING ANALYSIS.
+      const semantic_clusters_calc = [];
+      const distance_clusters_calc = [];
+      // Weighted edges persisted as SEMANTICALLY_RELATED / SPATIALLY_ALIGNED ({ from, to, weight })
+      const semanticEdgeCandidates = [];
+      const spatialEdgeCandidates = [];
+      const relational_clusters_calc = [];
+      // Multigraph-aware adjacency: use a Set for BFS connectivity, and a count map for multiplicity
+      const adjSet = new Map(); // externalId -> Set<neighborExternalId>
+      const adjMulti = new Map(); // externalId -> Map<neighborExternalId, count>
+
+      // --- Semantic Clustering ---
+      // Only cluster substantive shapes with text (exclude standalone labels and connectors)
+      const countWithText = mergedElements.filter(
+        (e) => typeof e.text === "string" && e.text.trim()
+      ).length;
+      const sampleMerged = mergedElements.slice(0, 8).map((e) => ({
+        id: e.externalId,
+        kind: e.kind,
+        text: typeof e.text === "string" ? e.text.slice(0, 60) : "",
+      }));
+      // debug(`[Clusters] mergedElements=${mergedElements.length}, withText=${countWithText}, sample=`, sampleMerged);
+
+      const exclusionReasons = [];
+      const textElements = mergedElements.filter((el) => {
+        const hasText = typeof el.text === "string" && el.text.trim().length > 0;
+        const k = String(el.kind || el.type || "").toLowerCase();
+        const isConn = k === "arrow" || k === "line";
+        const keep = hasText && !isConn;
+        if (!keep) {
+          exclusionReasons.push({
+            id: el.externalId,
+            kind: k,
+            reason: isConn ? "connector" : "no_text",
           });
-
-          return emptyResult;
         }
-        const elementsByExternalId = new Map(mergedElements.map((el) => [el.externalId, el]));
-        // debug("Merged Elements", mergedElements);
-        // STEP 3: PERFORM CLUSTERING ANALYSIS.
-        const semantic_clusters_calc = [];
-        const distance_clusters_calc = [];
-        const relational_clusters_calc = [];
-        // Multigraph-aware adjacency: use a Set for BFS connectivity, and a count map for multiplicity
-        const adjSet = new Map(); // externalId -> Set<neighborExternalId>
-        const adjMulti = new Map(); // externalId -> Map<neighborExternalId, count>
-
-        // --- Semantic Clustering ---
-        // Only cluster substantive shapes with text (exclude standalone labels and connectors)
-        const countWithText = mergedElements.filter(
-          (e) => typeof e.text === "string" && e.text.trim()
-        ).length;
-        const sampleMerged = mergedElements.slice(0, 8).map((e) => ({
-          id: e.externalId,
-          kind: e.kind,
-          text: typeof e.text === "string" ? e.text.slice(0, 60) : "",
-        }));
-        // debug(`[Clusters] mergedElements=${mergedElements.length}, withText=${countWithText}, sample=`, sampleMerged);
-
-        const exclusionReasons = [];
-        const textElements = mergedElements.filter((el) => {
-          const hasText = typeof el.text === "string" && el.text.trim().length > 0;
-          const k = String(el.kind || el.type || "").toLowerCase();
-          const isConn = k === "arrow" || k === "line";
-          const keep = hasText && !isConn;
-          if (!keep) {
-            exclusionReasons.push({ id: el.externalId, kind: k, hasText });
+        return keep;
+      });
+      debug(
+        `[Clusters] textElements.count=${textElements.length}. First 10 exclusion reasons:`,
+        exclusionReasons.slice(0, 10)
+      );
+
+      // Reuse stored vectors while an element's text hash and the embedding model are unchanged
+      const storedEmbeddings = await loadStoredEmbeddings(boardId);
+      const freshEmbeddings = new Map(); // externalId -> { textHash, vector }
+      const storedVectorFor = (externalId, textHash) => {
+        const stored = storedEmbeddings.get(externalId);
+        const reusable =
+          stored &&
+          stored.textHash === textHash &&
+          stored.model === embeddingModel &&
+          Array.isArray(stored.vector) &&
+          stored.vector.length > 0;
+        return reusable ? stored.vector : null;
+      };
+      const textVectors = new Map(); // externalId -> vector
+      // Where each text element's vector came from, for diagnostics
+      const vectorSources = { reused: 0, stored: 0, cached: 0, embedded: 0 };
+
+      if (computes.has("semantic") && textElements.length > 1) {
+        // Vectors come from the graph store while the text is unchanged, then from the embedding
+        // cache; only the remaining distinct texts go to the provider, in batches. An incremental
+        // update keeps the last analysis's vectors for texts it does not revisit.
+        const knownVectors = incremental ? textVecCache.get(String(boardId)) : null;
+        const pending = [];
+        for (const el of textElements) {
+          const externalId = String(el.externalId);
+          if (knownVectors?.has(externalId) && !dirty.semantic.has(externalId)) {
+            textVectors.set(externalId, knownVectors.get(externalId));
+            vectorSources.reused++;
+            continue;
           }
-          return keep;
-        });
-        debug(
-          `[Clusters] textElements.count=${textElements.length}. First 10 exclusion reasons:`,
-          exclusionReasons.slice(0, 10)
+          const textHash = sha256(el.text);
+          const stored = storedVectorFor(externalId, textHash);
+          if (stored) {
+            textVectors.set(externalId, stored);
+            vectorSources.stored++;
+          } else pending.push({ externalId, textHash, text: el.text });
+        }
+        const textsByHash = new Map(pending.map((item) => [item.textHash, item.text]));
+        const vectorsByHash = new Map(); // textHash -> vector
+        try {
+          const found = await embeddingCache.getMany(
+            embeddingModel,
+            Array.from(textsByHash.values())
+          );
+          Array.from(textsByHash.keys()).forEach((textHash, i) => {
+            if (found[i]) vectorsByHash.set(textHash, found[i]);
+          });
+        } catch (e) {
+          debug(`[Clusters] Embedding cache lookup failed: ${e?.message || e}`);
+        }
+        const missing = Array.from(textsByHash).filter(
+          ([textHash]) => !vectorsByHash.has(textHash)
         );
-
-        if (textElements.length > 1) {
-          // Build embeddings. Limit concurrency for local backend to avoid OOM.
-          const embeddings = [];
-          if (LOCAL_EMBEDDINGS_ENABLED) {
-            const concurrency = Math.max(1, Number(process.env.LOCAL_EMBED_CONCURRENCY || 4));
-            for (let i = 0; i < textElements.length; i += concurrency) {
-              const chunk = textElements.slice(i, i + concurrency);
-              const chunkResults = await Promise.all(
-                chunk.map(async (el) => {
-                  try {
-                    const embedding = await generateTextEmbedding(el.text);
-                    return { element: el, embedding };
-                  } catch (e) {
-                    console.warn(
-                      "[Clusters] Embedding failed for element",
-                      el?.externalId,
-                      e?.message || e
-                    );
-                    return { element: el, embedding: [] };
-                  }
-                })
-              );
-              embeddings.push(...chunkResults);
-            }
-          } else {
-            for (const el of textElements) {
-              try {
-                embeddings.push({
-                  element: el,
-                  embedding: await generateTextEmbedding(el.text),
-                });
-              } catch (e) {
-                console.warn(
-                  "[Clusters] Embedding failed for element",
-                  el?.externalId,
-                  e?.message || e
-                );
-                embeddings.push({ element: el, embedding: [] });
-              }
-            }
-          }
-          const validEmbeddings = embeddings.filter(
-            (e) => Array.isArray(e.embedding) && e.embedding.length > 0
+        const cachedHashes = new Set(vectorsByHash.keys());
+        // Provider failures abort the analysis: clustering on partial vectors gives wrong clusters
+        const generated = await embedTexts(
+          missing.map(([, text]) => text),
+          embeddingProvider
+        );
+        missing.forEach(([textHash], i) => vectorsByHash.set(textHash, generated[i]));
+        try {
+          await embeddingCache.setMany(
+            embeddingModel,
+            missing.map(([, text], i) => ({ text, vector: generated[i] }))
           );
-
-          // Coarse bucketing: quantize first 16 dims to 0.25 steps to form a candidate bucket key
-          const bucketMap = new Map(); // key -> array of { element, embedding }
-          for (const item of validEmbeddings) {
-            const vec = item.embedding;
-            const key = vec
-              .slice(0, Math.min(16, vec.length))
-              .map((v) => Math.round(v * 4) / 4)
-              .join(",");
-            if (!bucketMap.has(key)) bucketMap.set(key, []);
-            bucketMap.get(key).push(item);
+        } catch (e) {
+          debug(`[Clusters] Embedding cache write failed: ${e?.message || e}`);
+        }
+        for (const { externalId, textHash } of pending) {
+          const vector = vectorsByHash.get(textHash);
+          vectorSources[cachedHashes.has(textHash) ? "cached" : "embedded"]++;
+          textVectors.set(externalId, vector);
+          freshEmbeddings.set(externalId, { textHash, vector });
+        }
+        timer.lap("embeddings");
+        if (incremental) {
+          const semantic = updateSemanticClusters({
+            previous: previous.semantic_clusters.map((c) => c.member_ids),
+            dirty: dirty.semantic,
+            vectors: textVectors,
+            algorithm: semanticAlgorithm,
+            threshold: options.similarityThreshold,
+            minClusterSize: options.minClusterSize,
+          });
+          semanticEdgeCandidates.push(...semantic.edges);
+          for (const memberIds of semantic.clusters) {
+            semantic_clusters_calc.push({
+              members: memberIds.map((id) => elementsByExternalId.get(id)),
+              memberIds,
+            });
           }
-
-          const clustered = new Set();
-          for (const bucket of bucketMap.values()) {
-            if (!Array.isArray(bucket) || bucket.length === 0) continue;
-            // Within each bucket, run pairwise comparisons (bucket sizes are small)
-            for (let i = 0; i < bucket.length; i++) {
-              const baseId = bucket[i].element.externalId;
-              if (clustered.has(baseId)) {
-                continue;
-              }
-              const clusterMembers = [bucket[i].element];
-              clustered.add(baseId);
-              for (let j = i + 1; j < bucket.length; j++) {
-                const candId = bucket[j].element.externalId;
-                if (clustered.has(candId)) {
-                  continue;
-                }
-                if (cosineSimilarity(bucket[i].embedding, bucket[j].embedding) >= CLUSTER_CONSTANTS.SEMANTIC_SIMILARITY_THRESHOLD) {
-                  clusterMembers.push(bucket[j].element);
-                  clustered.add(candId);
-                }
-              }
-              if (clusterMembers.length >= 2) {
-                semantic_clusters_calc.push({
-                  members: clusterMembers,
-                  memberIds: clusterMembers.map((el) => el.externalId),
+        } else {
+          // Sorted by element id so the same board always yields the same clusters
+          const validEmbeddings = textElements
+            .map((el) => ({ element: el, embedding: textVectors.get(String(el.externalId)) }))
+            .sort((a, b) =>
+              String(a.element.externalId).localeCompare(String(b.element.externalId))
+            );
+          const similarity = similarityMatrix(validEmbeddings.map((item) => item.embedding));
+
+          // Every similar pair becomes a candidate edge, clustered or not
+          for (let i = 0; i < validEmbeddings.length; i++) {
+            for (let j = i + 1; j < validEmbeddings.length; j++) {
+              const weight = similarity.at(i, j);
+              if (weight >= options.similarityThreshold) {
+                semanticEdgeCandidates.push({
+                  from: validEmbeddings[i].element.externalId,
+                  to: validEmbeddings[j].element.externalId,
+                  weight,
                 });
               }
             }
           }
-        }
-        // debug(`[Clusters] semantic_clusters_calc.count=${semantic_clusters_calc.length}`);
-        // --- Distance Clustering ---
-        // Proportional distance based on element sizes
-
-        const proportionalDistance = (a, b) => {
-          // Use element properties directly since bboxOf might not work with merged elements
-          const ax = Number(a.x || 0);
-          const ay = Number(a.y || 0);
-          const aw = Number(a.width || a.w || 0);
-          const ah = Number(a.height || a.h || 0);
-
-          const bx = Number(b.x || 0);
-          const by = Number(b.y || 0);
-          const bw = Number(b.width || b.w || 0);
-          const bh = Number(b.height || b.h || 0);
-
-          const acx = ax + aw / 2;
-          const acy = ay + ah / 2;
-          const bcx = bx + bw / 2;
-          const bcy = by + bh / 2;
-
-          const centerDist = Math.hypot(acx - bcx, acy - bcy);
-
-          // Calculate average element size for proportional threshold
-          const avgSize = (aw + ah + (bw + bh)) / 4;
-          const sizeBasedThreshold = Math.max(50, avgSize * 2);
-
-          return centerDist / sizeBasedThreshold;
-        };
 
-        debug(`[DEBUG] Starting distance clustering with ${mergedElements.length} elements`);
-
-        // Check some sample distances
-        if (mergedElements.length >= 2) {
-          const sampleDistances = [];
-          for (let i = 0; i < Math.min(5, mergedElements.length); i++) {
-            for (let j = i + 1; j < Math.min(i + 3, mergedElements.length); j++) {
-              const dist = proportionalDistance(mergedElements[i], mergedElements[j]);
-              sampleDistances.push({ i, j, dist });
-            }
+          for (const indices of clusterEmbeddings(similarity, {
+            algorithm: semanticAlgorithm,
+            threshold: options.similarityThreshold,
+            minClusterSize: options.minClusterSize,
+          })) {
+            const clusterMembers = indices.map((i) => validEmbeddings[i].element);
+            semantic_clusters_calc.push({
+              members: clusterMembers,
+              memberIds: clusterMembers.map((el) => el.externalId),
+            });
           }
-          debug(`[DEBUG] Sample distances:`, sampleDistances);
         }
-
-        // Build a simple uniform grid spatial index to avoid O(n^2) scans
-        const cellSize = CLUSTER_CONSTANTS.CELL_SIZE; // px; slightly larger grid to reduce candidate set and recursion
-        const cellKeyOf = (x, y) => `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)}`;
-        const grid = new Map(); // key -> array of element
-        for (const el of mergedElements) {
-          const cx = Number(el.x || 0);
-          const cy = Number(el.y || 0);
-          const key = cellKeyOf(cx, cy);
-          if (!grid.has(key)) grid.set(key, []);
-          grid.get(key).push(el);
+      }
+      if (computes.has("semantic")) {
+        await persistEmbeddings(
+          boardId,
+          embeddingModel,
+          freshEmbeddings,
+          storedEmbeddings,
+          new Set(textElements.map((el) => String(el.externalId)))
+        );
+        // The next incremental update starts from these vectors
+        textVecCache.set(String(boardId), textVectors);
+      }
+      timer.lap("semantic");
+      // debug(`[Clusters] semantic_clusters_calc.count=${semantic_clusters_calc.length}`);
+      // --- Distance Clustering ---
+      // Elements closer than the spatial tolerance (relative to their size) are linked; clusters
+      // are the connected components, found through a uniform grid to avoid O(n^2) scans. Cells
+      // grow with the tolerance so every neighbour is still in an adjacent cell.
+      const neighborsFromGrid = spatialGrid(
+        mergedElements,
+        CLUSTER_CONSTANTS.CELL_SIZE * Math.max(1, options.spatialTolerance)
+      );
+      const closeNeighbors = (id) => {
+        const element = elementsByExternalId.get(id);
+        return neighborsFromGrid(element)
+          .filter((neighbor) => proportionalDistance(element, neighbor) < options.spatialTolerance)
+          .map((neighbor) => neighbor.externalId);
+      };
+      debug(`[DEBUG] Starting distance clustering with ${mergedElements.length} elements`);
+      const distanceComponents = computes.has("distance")
+        ? updateComponents({
+            previous: incremental ? previous.distance_clusters.map((c) => c.member_ids) : [],
+            dirty: incremental ? dirty.distance : mergedElements.map((el) => el.externalId),
+            has: (id) => elementsByExternalId.has(id),
+            neighborsOf: closeNeighbors,
+            maxIterations: Number(process.env.CLUSTER_MAX_ITERS || CLUSTER_CONSTANTS.MAX_ITERS),
+          })
+        : { components: [], rebuilt: [] };
+      for (const memberIds of distanceComponents.components) {
+        if (memberIds.length < options.minClusterSize) continue;
+        distance_clusters_calc.push({
+          members: memberIds.map((id) => elementsByExternalId.get(id)),
+          memberIds,
+        });
+      }
+      debug(`[Clusters] distance_clusters_calc.count=${distance_clusters_calc.length}`);
+
+      // Spatial adjacency: every pair within the proportional threshold, weighted by proximity
+      const distanceClusterOf = new Map();
+      distance_clusters_calc.forEach((c, i) =>
+        c.memberIds.forEach((id) => distanceClusterOf.set(id, i))
+      );
+      // An incremental update only rewrites the edges of moved elements and rebuilt clusters
+      const spatialScope = !computes.has("distance")
+        ? []
+        : incremental
+          ? Array.from(new Set([...dirty.distance, ...distanceComponents.rebuilt.flat()]))
+              .map((id) => elementsByExternalId.get(id))
+              .filter(Boolean)
+          : mergedElements;
+      const seenSpatialPairs = new Set();
+      for (const element of spatialScope) {
+        if (isConnector(element)) continue;
+        for (const neighbor of neighborsFromGrid(element)) {
+          if (neighbor.externalId === element.externalId || isConnector(neighbor)) continue;
+          const [from, to] = [element.externalId, neighbor.externalId].sort();
+          const pairKey = `${from}\u0000${to}`;
+          if (seenSpatialPairs.has(pairKey)) continue;
+          seenSpatialPairs.add(pairKey);
+          const distance = proportionalDistance(element, neighbor);
+          if (distance >= options.spatialTolerance) continue;
+          const a = bboxOf(element);
+          const b = bboxOf(neighbor);
+          spatialEdgeCandidates.push({
+            from,
+            to,
+            weight: 1 - distance / options.spatialTolerance,
+            distance: Math.hypot(a.cx - b.cx, a.cy - b.cy),
+            clustered:
+              distanceClusterOf.has(from) &&
+              distanceClusterOf.get(from) === distanceClusterOf.get(to),
+          });
         }
+      }
 
-        const neighborsFromGrid = (el) => {
-          const cx = Math.floor(Number(el.x || 0) / cellSize);
-          const cy = Math.floor(Number(el.y || 0) / cellSize);
-          const out = [];
-          for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-              const arr = grid.get(`${cx + dx},${cy + dy}`);
-              if (Array.isArray(arr) && arr.length) {
-                for (const cand of arr) out.push(cand);
-              }
-            }
-          }
-          return out;
-        };
+      timer.lap("distance");
 
-        const visitedDistance = new Set();
-        for (const element of mergedElements) {
-          if (visitedDistance.has(element.externalId)) {
-            continue;
+      // --- Relational Clustering ---
+      // Build adjacency using arrow connectors (dedup + normalized IDs); persist RELATIONALLY_ALIGNED edges with labels from arrow.text/link
+      // debug("allElements", allElements);
+      const relationalEdgeWrites = [];
+      const clean = (s) =>
+        typeof s === "string"
+          ? s
+              .replace(/\r?\n|\t/g, " ")
+              .replace(/\s+/g, " ")
+              .trim()
+          : "";
+      // An incremental update rewrites the edges of added, edited and deleted connectors only
+      const connectors = computes.has("relational") ? Array.from(arrowMap.values()) : [];
+      const rewiredConnectors = new Set(
+        !computes.has("relational")
+          ? []
+          : incremental
+            ? [...delta.added, ...delta.edited, ...delta.deleted].filter(
+                (id) => arrowMap.has(id) || baseSnapshot.get(id)?.ends.length
+              )
+            : arrowMap.keys()
+      );
+      if (incremental) {
+        for (const viaExtId of rewiredConnectors) {
+          try {
+            await callHelix("deleteRelationalAlignmentsByVia", { viaExtId });
+          } catch (e) {
+            debug(`[Clusters] Could not drop relational edges of ${viaExtId}: ${e?.message || e}`);
           }
+        }
+      }
+      debug(`[Clusters] Processing ${connectors.length} arrows for adjacency building...`);
+      for (const conn of connectors) {
+        const a = normalizeToExt(conn.startBindingId);
+        const b = normalizeToExt(conn.endBindingId);
+        debug(
+          `[Clusters] Arrow ${conn.externalId}: startBinding=${conn.startBindingId} -> ${a}, endBinding=${conn.endBindingId} -> ${b}`
+        );
 
-          const clusterMembers = [element];
-          const queue = [element];
-          visitedDistance.add(element.externalId);
-
-          let iterations = 0;
-          const MAX_ITERS = Number(process.env.CLUSTER_MAX_ITERS || 20000);
-          while (queue.length > 0) {
-            iterations++;
-            if (iterations > MAX_ITERS) {
-              console.warn("[Clusters] Distance BFS early stop due to MAX_ITERS");
-              break;
-            }
-            const current = queue.shift();
-            // Only consider close-by candidates from grid
-            const candidates = neighborsFromGrid(current);
-            for (const neighbor of candidates) {
-              if (visitedDistance.has(neighbor.externalId)) {
-                continue;
-              }
-              // quick reject: bounding box centers further than 4*cellSize apart
-              const fastDx = Math.abs(
-                Number(current.x || 0) +
-                  Number(current.w || current.width || 0) / 2 -
-                  (Number(neighbor.x || 0) + Number(neighbor.w || neighbor.width || 0) / 2)
-              );
-              const fastDy = Math.abs(
-                Number(current.y || 0) +
-                  Number(current.h || current.height || 0) / 2 -
-                  (Number(neighbor.y || 0) + Number(neighbor.h || neighbor.height || 0) / 2)
-              );
-              if (fastDx > 4 * cellSize || fastDy > 4 * cellSize) {
-                continue;
-              }
-              const distance = proportionalDistance(current, neighbor);
-              if (distance < 1.0) {
-                // Proportional threshold of 1.0
-                clusterMembers.push(neighbor);
-                queue.push(neighbor);
-                visitedDistance.add(neighbor.externalId);
-              }
-            }
+        // Connector label only from connector.text (client is source of truth)
+        const label = (typeof conn.text === "string" ? conn.text : "").trim();
+        // Only connect if both endpoints exist as elements (use merged presence)
+        if (elementsByExternalId.has(a) && elementsByExternalId.has(b) && a !== b) {
+          debug(`[Clusters] Creating connection: ${a} <-> ${b}`);
+          // Update BFS adjacency (set-based)
+          if (!adjSet.has(a)) {
+            adjSet.set(a, new Set());
           }
-
-          if (clusterMembers.length > 1) {
-            debug(`[DEBUG] Found distance cluster with ${clusterMembers.length} members`);
-            distance_clusters_calc.push({
-              members: clusterMembers,
-              memberIds: clusterMembers.map((el) => el.externalId),
-            });
+          if (!adjSet.has(b)) {
+            adjSet.set(b, new Set());
           }
-        }
-        debug(`[Clusters] distance_clusters_calc.count=${distance_clusters_calc.length}`);
-
-        // --- Relational Clustering ---
-        // Build adjacency using arrow connectors (dedup + normalized IDs); persist RELATIONALLY_ALIGNED edges with labels from arrow.text/link
-        // debug("allElements", allElements);
-        const relationalEdgeWrites = [];
-        const clean = (s) =>
-          typeof s === "string"
-            ? s
-                .replace(/\r?\n|\t/g, " ")
-                .replace(/\s+/g, " ")
-                .trim()
-            : "";
-        const intToExt = new Map(
-          allElements.map((e) => [String(e.id || e.ID || ""), String(e.externalId || "")])
-        );
-        const normalizeToExt = (raw) => {
-          const id = String(raw || "");
-          if (!id) {
-            return "";
+          adjSet.get(a).add(b);
+          adjSet.get(b).add(a);
+          // Update multigraph counts for connectivity metric
+          if (!adjMulti.has(a)) {
+            adjMulti.set(a, new Map());
           }
-          if (elementsByExternalId.has(id)) {
-            return id;
+          if (!adjMulti.has(b)) {
+            adjMulti.set(b, new Map());
           }
-          return intToExt.get(id) || "";
-        };
-        // Skip prefill - build adjacency only from arrows to avoid corrupted self-loops
-        debug("[Clusters] Building adjacency only from arrows (no prefill from HelixDB)");
-        const arrowMap = new Map();
-        for (const el of allElements) {
-          if (el && isConnector(el) && el.startBindingId && el.endBindingId) {
-            const key = String(el.externalId || el.id || "");
-            if (!arrowMap.has(key)) {
-              debug(
-                `[Clusters] Arrow ${el.externalId} raw bindings: start=${el.startBindingId}, end=${el.endBindingId}`
-              );
-              arrowMap.set(key, el);
-            }
+          adjMulti.get(a).set(b, (adjMulti.get(a).get(b) || 0) + 1);
+          adjMulti.get(b).set(a, (adjMulti.get(b).get(a) || 0) + 1);
+          // Stage DB edges (RELATIONALLY_ALIGNED) between a and b
+          const aInt = mergedElements.find((e) => e.externalId === a)?.id;
+          const bInt = mergedElements.find((e) => e.externalId === b)?.id;
+          if (aInt && bInt && rewiredConnectors.has(String(conn.externalId || conn.id || ""))) {
+            // Queued and written one at a time below, after the adjacency is complete
+            relationalEdgeWrites.push(() =>
+              callHelix("addRelationalAlignment", {
+                sourceId: String(aInt),
+                targetId: String(bInt),
+                via: String(conn.externalId || conn.id || ""),
+                edgeLabel: String(label || ""),
+              })
+            );
           }
-        }
-        debug(`[Clusters] Processing ${arrowMap.size} arrows for adjacency building...`);
-        for (const conn of arrowMap.values()) {
-          const a = normalizeToExt(conn.startBindingId);
-          const b = normalizeToExt(conn.endBindingId);
+        } else {
           debug(
-            `[Clusters] Arrow ${conn.externalId}: startBinding=${conn.startBindingId} -> ${a}, endBinding=${conn.endBindingId} -> ${b}`
+            `[Clusters] Skipping arrow ${
+              conn.externalId
+            }: a=${a} (exists: ${elementsByExternalId.has(
+              a
+            )}), b=${b} (exists: ${elementsByExternalId.has(b)}), same: ${a === b}`
           );
-
-          // Connector label only from connector.text (client is source of truth)
-          const label = (typeof conn.text === "string" ? conn.text : "").trim();
-          // Only connect if both endpoints exist as elements (use merged presence)
-          if (elementsByExternalId.has(a) && elementsByExternalId.has(b) && a !== b) {
-            debug(`[Clusters] Creating connection: ${a} <-> ${b}`);
-            // Update BFS adjacency (set-based)
-            if (!adjSet.has(a)) {
-              adjSet.set(a, new Set());
-            }
-            if (!adjSet.has(b)) {
-              adjSet.set(b, new Set());
-            }
-            adjSet.get(a).add(b);
-            adjSet.get(b).add(a);
-            // Update multigraph counts for connectivity metric
-            if (!adjMulti.has(a)) {
-              adjMulti.set(a, new Map());
-            }
-            if (!adjMulti.has(b)) {
-              adjMulti.set(b, new Map());
-            }
-            adjMulti.get(a).set(b, (adjMulti.get(a).get(b) || 0) + 1);
-            adjMulti.get(b).set(a, (adjMulti.get(b).get(a) || 0) + 1);
-            // Stage DB edges (RELATIONALLY_ALIGNED) between a and b
-            const aInt = mergedElements.find((e) => e.externalId === a)?.id;
-            const bInt = mergedElements.find((e) => e.externalId === b)?.id;
-            if (aInt && bInt) {
-              relationalEdgeWrites.push(
-                callHelix("addRelationalAlignment", {
-                  sourceId: String(aInt),
-                  targetId: String(bInt),
-                  via: String(conn.externalId || conn.id || ""),
-                  edgeLabel: String(label || ""),
-                })
-              );
-            }
-          } else {
-            debug(
-              `[Clusters] Skipping arrow ${
-                conn.externalId
-              }: a=${a} (exists: ${elementsByExternalId.has(
-                a
-              )}), b=${b} (exists: ${elementsByExternalId.has(b)}), same: ${a === b}`
-            );
-          }
         }
+      }
 
-        // Debug: Log adjacency structure
-        debug("[Clusters] Adjacency debug - total nodes with connections:", adjSet.size);
-        for (const [nodeId, neighbors] of adjSet.entries()) {
-          if (neighbors.size > 0) {
-            const nodeEl = elementsByExternalId.get(nodeId);
-            debug(
-              `[Clusters] ${nodeId} (${nodeEl?.kind || "unknown"}) connects to:`,
-              Array.from(neighbors)
-            );
-          }
+      // Debug: Log adjacency structure
+      debug("[Clusters] Adjacency debug - total nodes with connections:", adjSet.size);
+      for (const [nodeId, neighbors] of adjSet.entries()) {
+        if (neighbors.size > 0) {
+          const nodeEl = elementsByExternalId.get(nodeId);
+          debug(
+            `[Clusters] ${nodeId} (${nodeEl?.kind || "unknown"}) connects to:`,
+            Array.from(neighbors)
+          );
         }
+      }
 
-        const visitedRelation = new Set();
-        // Seeds must include both adjacency keys and neighbor ids, or sinks get dropped
-        const seedNodes = new Set();
-        for (const [nodeId, neighbors] of adjSet.entries()) {
-          seedNodes.add(nodeId);
-          for (const n of neighbors) {
-            seedNodes.add(n);
-          }
+      // Seeds must include both adjacency keys and neighbor ids, or sinks get dropped
+      const seedNodes = new Set();
+      for (const [nodeId, neighbors] of adjSet.entries()) {
+        seedNodes.add(nodeId);
+        for (const n of neighbors) {
+          seedNodes.add(n);
         }
-        for (const elementId of seedNodes) {
-          const startElement = elementsByExternalId.get(elementId);
-          // Only start traversal from non-connector elements
-          if (
-            !visitedRelation.has(elementId) &&
-            startElement &&
-            startElement.kind !== "arrow" &&
-            startElement.kind !== "line"
-          ) {
-            // Collect connected component of ACTUAL elements only (no connectors)
-            const component = [];
-            const stack = [elementId];
-            debug(`[Clusters] Starting traversal from ${elementId} (${startElement.kind})`);
-
-            while (stack.length > 0) {
-              const nodeId = stack.pop();
-              if (visitedRelation.has(nodeId)) {
-                continue;
-              }
-              visitedRelation.add(nodeId);
-
-              const nodeEl = elementsByExternalId.get(nodeId);
-              if (nodeEl && nodeEl.kind !== "arrow" && nodeEl.kind !== "line") {
-                component.push(nodeEl);
-                debug(
-                  `[Clusters] Added to component: ${nodeId} (${nodeEl.kind}) - "${
-                    nodeEl.text || ""
-                  }"`
-                );
-              }
-
-              const neighborSet = adjSet.get(nodeId) || new Set();
-              for (const neighborId of neighborSet) {
-                if (!visitedRelation.has(neighborId)) {
-                  stack.push(neighborId);
-                }
-              }
-            }
-
-            if (component.length > 1) {
-              debug(
-                `[Clusters] Created relational cluster with ${component.length} members:`,
-                component.map((c) => `${c.externalId}(${c.kind})`)
-              );
-              relational_clusters_calc.push({
-                members: component,
-                memberIds: component.map((el) => el.externalId),
-              });
-            } else if (component.length === 1) {
-              debug(
-                `[Clusters] Skipped single-element cluster: ${component[0].externalId}(${component[0].kind})`
-              );
-            }
-          }
+      }
+      const relationalComponents = updateComponents({
+        previous: incremental ? previous.relational_clusters.map((c) => c.member_ids) : [],
+        dirty: incremental ? dirty.relational : seedNodes,
+        has: (id) => elementsByExternalId.has(id),
+        neighborsOf: (id) => adjSet.get(id) || [],
+      });
+      // Collect connected components of ACTUAL elements only (no connectors)
+      for (const memberIds of relationalComponents.components) {
+        const component = memberIds
+          .map((id) => elementsByExternalId.get(id))
+          .filter((el) => !isConnector(el));
+        if (component.length >= options.minClusterSize) {
+          debug(
+            `[Clusters] Relational cluster with ${component.length} members:`,
+            component.map((c) => `${c.externalId}(${c.kind})`)
+          );
+          relational_clusters_calc.push({
+            members: component,
+            memberIds: component.map((el) => el.externalId),
+          });
         }
-        debug(`[Clusters] relational_clusters_calc.count=${relational_clusters_calc.length}`);
-        // STEP 4: Create element-to-cluster assignment map.
-        const elementClusterAssignments = new Map();
-        // ... (This logic remains correct)
-        semantic_clusters_calc.forEach((c, i) =>
-          c.memberIds.forEach((id) => {
-            if (!elementClusterAssignments.has(id)) {
-              elementClusterAssignments.set(id, {});
-            }
-            elementClusterAssignments.get(id).semanticClusterId = `s_${i + 1}`;
-          })
-        );
-        distance_clusters_calc.forEach((c, i) =>
-          c.memberIds.forEach((id) => {
-            if (!elementClusterAssignments.has(id)) {
-              elementClusterAssignments.set(id, {});
-            }
-            elementClusterAssignments.get(id).distanceClusterId = `d_${i + 1}`;
-          })
-        );
-        relational_clusters_calc.forEach((c, i) =>
-          c.memberIds.forEach((id) => {
-            if (!elementClusterAssignments.has(id)) {
-              elementClusterAssignments.set(id, {});
-            }
-            elementClusterAssignments.get(id).relationalClusterId = `r_${i + 1}`;
-          })
-        );
-
-        debug(`[Clusters] Assignment map size=${elementClusterAssignments.size}`);
-        // STEP 5: UPDATE ONLY ELEMENTS WITH CHANGED CLUSTER ASSIGNMENTS
-        // Build a map of current cluster assignments to detect changes
-        const currentAssignments = new Map();
-        for (const element of allElements) {
-          if (element?.externalId) {
-            currentAssignments.set(String(element.externalId), {
-              semanticClusterId: element.semanticClusterId || "",
-              distanceClusterId: element.distanceClusterId || "",
-              relationalClusterId: element.relationalClusterId || "",
-            });
+      }
+      debug(`[Clusters] relational_clusters_calc.count=${relational_clusters_calc.length}`);
+      timer.lap("relational");
+
+      // --- Group Clustering ---
+      // Frames and outermost Excalidraw groups are explicit containers drawn by the user; they
+      // come from the whole board, so excluding frames as members still keeps frame clusters
+      const group_clusters_calc = (computes.has("group") ? collectContainers(boardElements) : [])
+        .map((container) => {
+          const members = container.memberIds
+            .map((id) => elementsByExternalId.get(id))
+            .filter(Boolean);
+          return { ...container, members, memberIds: members.map((el) => el.externalId) };
+        })
+        .filter((c) => c.members.length > 0);
+      debug(`[Clusters] group_clusters_calc.count=${group_clusters_calc.length}`);
+      timer.lap("group");
+
+      // Match clusters to the previous run by member overlap so ids survive edits; frames and
+      // groups keep theirs by container id. Families left out of the options keep their saved
+      // clusters, so their ids come back when they are computed again.
+      const calculated = {
+        semantic: semantic_clusters_calc,
+        distance: distance_clusters_calc,
+        relational: relational_clusters_calc,
+        group: group_clusters_calc,
+      };
+      const identity = assignClusterIds({
+        state: identityState,
+        next: Object.fromEntries(
+          options.clusterTypes.map((type) => [type, calculated[type].map((c) => c.memberIds)])
+        ),
+        keys: { group: group_clusters_calc.map((c) => `${c.kind}:${c.containerId}`) },
+      });
+      const clusterIds = identity.ids;
+      // STEP 4: Create element-to-cluster assignment map.
+      const elementClusterAssignments = new Map();
+      // ... (This logic remains correct)
+      semantic_clusters_calc.forEach((c, i) =>
+        c.memberIds.forEach((id) => {
+          if (!elementClusterAssignments.has(id)) {
+            elementClusterAssignments.set(id, {});
           }
+          elementClusterAssignments.get(id).semanticClusterId = clusterIds.semantic[i];
+        })
+      );
+      distance_clusters_calc.forEach((c, i) =>
+        c.memberIds.forEach((id) => {
+          if (!elementClusterAssignments.has(id)) {
+            elementClusterAssignments.set(id, {});
+          }
+          elementClusterAssignments.get(id).distanceClusterId = clusterIds.distance[i];
+        })
+      );
+      relational_clusters_calc.forEach((c, i) =>
+        c.memberIds.forEach((id) => {
+          if (!elementClusterAssignments.has(id)) {
+            elementClusterAssignments.set(id, {});
+          }
+          elementClusterAssignments.get(id).relationalClusterId = clusterIds.relational[i];
+        })
+      );
+
+      debug(`[Clusters] Assignment map size=${elementClusterAssignments.size}`);
+      timer.lap("identity");
+      // STEP 5: UPDATE ONLY ELEMENTS WITH CHANGED CLUSTER ASSIGNMENTS
+      // Build a map of current cluster assignments to detect changes
+      const currentAssignments = new Map();
+      for (const element of allElements) {
+        if (element?.externalId) {
+          currentAssignments.set(String(element.externalId), {
+            semanticClusterId: element.semanticClusterId || "",
+            distanceClusterId: element.distanceClusterId || "",
+            relationalClusterId: element.relationalClusterId || "",
+          });
         }
+      }
 
-        const updatePromises = [];
-        let unchangedCount = 0;
+      const updatePromises = [];
+      let unchangedCount = 0;
 
-        for (const [externalId, element] of elementsByExternalId.entries()) {
-          const newAssignments = elementClusterAssignments.get(externalId) || {};
-          const currentClusterIds = currentAssignments.get(externalId) || {};
+      for (const [externalId, element] of elementsByExternalId.entries()) {
+        const newAssignments = elementClusterAssignments.get(externalId) || {};
+        const currentClusterIds = currentAssignments.get(externalId) || {};
 
-          const newSemanticId = newAssignments.semanticClusterId || "";
-          const newDistanceId = newAssignments.distanceClusterId || "";
-          const newRelationalId = newAssignments.relationalClusterId || "";
+        const newSemanticId = newAssignments.semanticClusterId || "";
+        const newDistanceId = newAssignments.distanceClusterId || "";
+        const newRelationalId = newAssignments.relationalClusterId || "";
 
-          // Only update if cluster assignments have changed
-          const hasChanged =
-            currentClusterIds.semanticClusterId !== newSemanticId ||
-            currentClusterIds.distanceClusterId !== newDistanceId ||
-            currentClusterIds.relationalClusterId !== newRelationalId;
+        // Only update if cluster assignments have changed
+        const hasChanged =
+          currentClusterIds.semanticClusterId !== newSemanticId ||
+          currentClusterIds.distanceClusterId !== newDistanceId ||
+          currentClusterIds.relationalClusterId !== newRelationalId;
 
-          if (!hasChanged) {
-            unchangedCount++;
-            continue;
-          }
+        if (!hasChanged) {
+          unchangedCount++;
+          continue;
+        }
 
-          // Element has changed - update with ALL required fields (HelixDB requires complete data)
-          if (element.id) {
-            // Ensure kind is never empty - HelixDB requires this field
-            const elemKind =
-              element.kind && String(element.kind).trim() ? String(element.kind) : "text";
-
-            updatePromises.push(
-              callHelix("updateElementById", {
-                elementId: String(element.id),
-                kind: elemKind,
-                short_id: String(element.short_id || ""),
-                x: Number(element.x || 0),
-                y: Number(element.y || 0),
-                w: Number(element.w || 0),
-                h: Number(element.h || 0),
-                angle: Number(element.angle || 0),
-                strokeColor: String(element.strokeColor || ""),
-                backgroundColor: String(element.backgroundColor || ""),
-                strokeWidth: Number(element.strokeWidth || 1),
-                fillStyle: String(element.fillStyle || ""),
-                roughness: Number(element.roughness || 0),
-                opacity: Number(element.opacity || 100),
-                text: String(element.text || ""),
-                link: String(element.link || ""),
-                locked: Boolean(element.locked),
-                version: Number(element.version || 0),
-                updated: Number(element.updated || 0),
-                index: Number(element.index || 0),
-                startBindingId: String(element.startBindingId || ""),
-                endBindingId: String(element.endBindingId || ""),
-                semanticClusterId: newSemanticId,
-                distanceClusterId: newDistanceId,
-                relationalClusterId: newRelationalId,
-              })
-            );
-          }
+        // Element has changed - update with ALL required fields (HelixDB requires complete data)
+        if (element.id) {
+          // Ensure kind is never empty - HelixDB requires this field
+          const elemKind =
+            element.kind && String(element.kind).trim() ? String(element.kind) : "text";
+
+          updatePromises.push(
+            callHelix("updateElementById", {
+              elementId: String(element.id),
+              kind: elemKind,
+              short_id: String(element.short_id || ""),
+              x: Number(element.x || 0),
+              y: Number(element.y || 0),
+              w: Number(element.w || 0),
+              h: Number(element.h || 0),
+              angle: Number(element.angle || 0),
+              strokeColor: String(element.strokeColor || ""),
+              backgroundColor: String(element.backgroundColor || ""),
+              strokeWidth: Number(element.strokeWidth || 1),
+              fillStyle: String(element.fillStyle || ""),
+              roughness: Number(element.roughness || 0),
+              opacity: Number(element.opacity || 100),
+              text: String(element.text || ""),
+              link: String(element.link || ""),
+              locked: Boolean(element.locked),
+              version: Number(element.version || 0),
+              updated: Number(element.updated || 0),
+              index: Number(element.index || 0),
+              startBindingId: String(element.startBindingId || ""),
+              endBindingId: String(element.endBindingId || ""),
+              semanticClusterId: newSemanticId,
+              distanceClusterId: newDistanceId,
+              relationalClusterId: newRelationalId,
+              ...toHelixStructureParams(element),
+            })
+          );
         }
+      }
 
-        debug(
-          `[Clusters] Elements to update: ${updatePromises.length}, unchanged: ${unchangedCount}`
-        );
+      debug(
+        `[Clusters] Elements to update: ${updatePromises.length}, unchanged: ${unchangedCount}`
+      );
 
-        // PRODUCTION FIX: Sequential writes to prevent race conditions in HelixDB
-        debug(
-          `[Clusters] Starting sequential update of ${updatePromises.length} changed elements...`
-        );
-        for (const p of updatePromises) {
-          await p;
+      // PRODUCTION FIX: Sequential writes to prevent race conditions in HelixDB
+      debug(
+        `[Clusters] Starting sequential update of ${updatePromises.length} changed elements...`
+      );
+      for (const p of updatePromises) {
+        await p;
+      }
+
+      debug(
+        `[Clusters] Starting sequential write of ${relationalEdgeWrites.length} relational edges...`
+      );
+      let relationalWritten = 0;
+      for (const write of relationalEdgeWrites) {
+        try {
+          await write();
+          relationalWritten += 1;
+        } catch (e) {
+          console.warn(`[Clusters] addRelationalAlignment failed: ${e.message}`);
         }
+      }
 
-        debug(
-          `[Clusters] Starting sequential write of ${relationalEdgeWrites.length} relational edges...`
-        );
-        for (const p of relationalEdgeWrites) {
-          await p;
+      // Similarity and adjacency edges, so traversals and Helix queries can walk them directly.
+      // STEP 2 dropped the previous run's edges; an incremental update drops only those of the
+      // elements it rewrites them for. Both endpoints need a Helix internal ID.
+      if (incremental) {
+        const boardExtId = String(boardId);
+        for (const elementExtId of dirty.semantic) {
+          if (!elementsByExternalId.has(elementExtId)) continue;
+          await callHelix("deleteSemanticRelationsForElement", { boardExtId, elementExtId });
+        }
+        for (const element of spatialScope) {
+          await callHelix("deleteSpatialAlignmentsForElement", {
+            boardExtId,
+            elementExtId: String(element.externalId),
+          });
         }
+      }
+      const internalIdOf = (externalId) => {
+        const id = elementsByExternalId.get(externalId)?.id;
+        return id ? String(id) : "";
+      };
+      const analysisEdgeWrites = [
+        ...pickStrongestEdges(semanticEdgeCandidates).map((edge) => [
+          "addSemanticRelation",
+          edge,
+          { relationship: "similar", confidence: edge.weight },
+        ]),
+        ...pickStrongestEdges(spatialEdgeCandidates).map((edge) => [
+          "addSpatialAlignment",
+          edge,
+          { distance: edge.distance, proximity: edge.weight, clustered: edge.clustered },
+        ]),
+      ];
+      const persisted_edges = {
+        semantic: 0,
+        spatial: 0,
+        relational: relationalWritten,
+      };
+      for (const [query, edge, props] of analysisEdgeWrites) {
+        const fromElementId = internalIdOf(edge.from);
+        const toElementId = internalIdOf(edge.to);
+        if (!fromElementId || !toElementId) continue;
+        try {
+          await callHelix(query, { fromElementId, toElementId, ...props });
+          persisted_edges[query === "addSemanticRelation" ? "semantic" : "spatial"] += 1;
+        } catch (e) {
+          console.warn(`[Clusters] ${query} ${edge.from} -> ${edge.to} failed: ${e.message}`);
+        }
+      }
 
-        debug(
-          `[Clusters] DB Update Complete: ${updatePromises.length} elements + ${relationalEdgeWrites.length} edges updated.`
+      debug(
+        `[Clusters] DB Update Complete: ${updatePromises.length} elements + ${persisted_edges.relational} relational, ${persisted_edges.semantic} semantic and ${persisted_edges.spatial} spatial edges written.`
+      );
+
+      timer.lap("persist");
+
+      // STEP 6: FORMAT AND RETURN THE RESPONSE.
+      // Offline keywords (lib/clusterKeywords.js), weighed against the board's other semantic,
+      // distance and relational clusters
+      const memberTexts = (cluster) =>
+        cluster.members.map((m) => m.text).filter((t) => typeof t === "string" && t.trim());
+      const keywordIndex = createKeywordIndex(
+        [...semantic_clusters_calc, ...distance_clusters_calc, ...relational_clusters_calc].map(
+          memberTexts
+        )
+      );
+      const formatClusterResponse = (cluster, id, type) => {
+        const minX = Math.min(...cluster.members.map((e) => e.x));
+        const minY = Math.min(...cluster.members.map((e) => e.y));
+        const maxX = Math.max(...cluster.members.map((e) => e.x + (e.w || 0)));
+        const maxY = Math.max(...cluster.members.map((e) => e.y + (e.h || 0)));
+        const boundingBox = {
+          x: minX,
+          y: minY,
+          width: maxX - minX,
+          height: maxY - minY,
+        };
+        const element_type_counts = cluster.members.reduce(
+          (acc, m) => ({ ...acc, [m.kind]: (acc[m.kind] || 0) + 1 }),
+          {}
         );
-
-        // STEP 6: FORMAT AND RETURN THE RESPONSE.
-        const formatClusterResponse = (cluster, id, type) => {
-          const minX = Math.min(...cluster.members.map((e) => e.x));
-          const minY = Math.min(...cluster.members.map((e) => e.y));
-          const maxX = Math.max(...cluster.members.map((e) => e.x + (e.w || 0)));
-          const maxY = Math.max(...cluster.members.map((e) => e.y + (e.h || 0)));
-          const boundingBox = {
-            x: minX,
-            y: minY,
-            width: maxX - minX,
-            height: maxY - minY,
-          };
-          const element_type_counts = cluster.members.reduce(
-            (acc, m) => ({ ...acc, [m.kind]: (acc[m.kind] || 0) + 1 }),
-            {}
-          );
-          const cleanText = (s) =>
-            typeof s === "string"
-              ? s
-                  .replace(/\r?\n|\t/g, " ")
-                  .replace(/\s+/g, " ")
-                  .trim()
-              : "";
-          const texts = cluster.members.map((m) => cleanText(m.text)).filter((t) => t);
-          const colors = [
-            ...new Set(
-              cluster.members.map((m) => m.strokeColor || m.backgroundColor).filter(Boolean)
-            ),
-          ];
-
-          return {
-            id,
-            type,
-            member_count: cluster.members.length,
-            member_ids: cluster.memberIds,
-            members: cluster.members.map((m) => ({
-              id: m.externalId,
-              kind: m.kind,
-              text: typeof m.text === "string" ? m.text : "",
-            })),
-            bounding_box: boundingBox,
-            element_type_counts,
-            sample_texts: texts.slice(0, 5),
-            colors_present: colors.slice(0, 10),
-          };
+        const cleanText = (s) =>
+          typeof s === "string"
+            ? s
+                .replace(/\r?\n|\t/g, " ")
+                .replace(/\s+/g, " ")
+                .trim()
+            : "";
+        const texts = cluster.members.map((m) => cleanText(m.text)).filter((t) => t);
+        const colors = [
+          ...new Set(
+            cluster.members.map((m) => m.strokeColor || m.backgroundColor).filter(Boolean)
+          ),
+        ];
+
+        return {
+          id,
+          type,
+          member_count: cluster.members.length,
+          member_ids: cluster.memberIds,
+          members: cluster.members.map((m) => ({
+            id: m.externalId,
+            kind: m.kind,
+            text: typeof m.text === "string" ? m.text : "",
+            label: elementLabel(m),
+            frame_id: String(m.frameId || ""),
+            group_ids: normalizeGroupIds(m.groupIds),
+          })),
+          bounding_box: boundingBox,
+          element_type_counts,
+          sample_texts: texts.slice(0, 5),
+          ...(type === "group" ? {} : { keywords: keywordIndex.keywordsFor(memberTexts(cluster)) }),
+          colors_present: colors.slice(0, 10),
         };
+      };
 
-        const semantic_clusters = semantic_clusters_calc.map((c, i) =>
-          formatClusterResponse(c, `s_${i + 1}`, "semantic")
-        );
-        const distance_clusters = distance_clusters_calc.map((c, i) =>
-          formatClusterResponse(c, `d_${i + 1}`, "distance")
-        );
-        const relational_clusters = relational_clusters_calc.map((c, i) =>
-          formatClusterResponse(c, `r_${i + 1}`, "relational")
-        );
+      const semantic_clusters = semantic_clusters_calc.map((c, i) =>
+        formatClusterResponse(c, clusterIds.semantic[i], "semantic")
+      );
+      const distance_clusters = distance_clusters_calc.map((c, i) =>
+        formatClusterResponse(c, clusterIds.distance[i], "distance")
+      );
+      const relational_clusters = relational_clusters_calc.map((c, i) =>
+        formatClusterResponse(c, clusterIds.relational[i], "relational")
+      );
+      const group_clusters = group_clusters_calc.map((c, i) => ({
+        ...formatClusterResponse(c, clusterIds.group[i], "group"),
+        container_kind: c.kind,
+        container_id: c.containerId,
+        name: c.name,
+      }));
+
+      const totalClusters =
+        semantic_clusters.length +
+        distance_clusters.length +
+        relational_clusters.length +
+        group_clusters.length;
+
+      // Same clusters as one tree, so callers can pick a granularity instead of reading every list
+      const hierarchy = buildClusterHierarchy({
+        clusters: {
+          group: group_clusters,
+          relational: relational_clusters,
+          distance: distance_clusters,
+          semantic: semantic_clusters,
+        },
+        adjacency: adjSet,
+        totalElements: mergedElements.length,
+        elementTypeCounts: kindCounts,
+      });
 
-        const totalClusters =
-          semantic_clusters.length + distance_clusters.length + relational_clusters.length;
+      const result = {
+        semantic_clusters,
+        distance_clusters,
+        relational_clusters,
+        group_clusters,
+        hierarchy,
+        // Algorithm behind semantic_clusters (see lib/semanticClustering.js)
+        semantic_algorithm: semanticAlgorithm,
+        // Options the analysis ran with, after board defaults (see lib/clusterOptions.js)
+        options,
+        total_elements: mergedElements.length,
+        total_clusters: totalClusters,
+        // Edges written to the graph store by this run
+        persisted_edges,
+        // Clusters created, retired, merged and split since the previous run, by family
+        cluster_lineage: identity.lineage,
+        // Clusters that are new or whose members changed in this run, by family
+        changed_clusters: changedClusterIds(identityState, identity.state),
+        // True when only the clusters the board's changes could reach were re-derived
+        incremental,
+        // Board revision the analysis reflects, so answers can be replayed via /api/canvas/revisions/get
+        revision: getBoardRevision(boardId),
+      };
 
-        const result = {
-          semantic_clusters,
-          distance_clusters,
-          relational_clusters,
-          total_elements: mergedElements.length,
-          total_clusters: totalClusters,
-        };
+      await writeClusterIdentity(boardId, identity.state);
+
+      // Cache the result, with the snapshot the next incremental update diffs against and the
+      // trace diagnostics are built from
+      timer.lap("format");
+      const firstVector = textVectors.values().next().value;
+      const entry = {
+        result,
+        lastComputed: Date.now(),
+        snapshot: { signatures: snapshot, embeddingModel },
+        trace: {
+          timings: timer.timings(),
+          embedding: {
+            provider: String(embeddingProvider.name || ""),
+            model: embeddingModel,
+            dimensions: firstVector ? firstVector.length : null,
+            texts: textVectors.size,
+            ...vectorSources,
+          },
+          excluded: [...kindFiltered, ...exclusionReasons],
+          elements: elementsByExternalId,
+          vectors: textVectors,
+          elementTypeCounts: kindCounts,
+        },
+      };
+      clusterCache.set(String(boardId), entry);
+      publishAssignments(boardId, result);
+
+      return { entry, cached: false, timer };
+    });
+
+    // Only a run that computed clusters hands back its timer; requests that find the entry
+    // while its summaries are still being generated wait for them
+    if (timer) entry.summarized = summarizeEntry(entry, timer);
+    await entry.summarized;
+    return diagnostics
+      ? {
+          ...entry.result,
+          diagnostics: buildClusterDiagnostics(entry.result, entry.trace, { cached }),
+        }
+      : entry.result;
+  };
 
-        // Cache the result
-        clusterCache.set(String(boardId), {
-          result,
-          lastComputed: Date.now(),
+  app.post("/api/clusters", requireAuth, async (req, res) => {
+    try {
+      const { boardId, forceRecompute = false, algorithm, diagnostics = false } = req.body;
+      if (!boardId) {
+        return res.status(400).json({ error: "Missing boardId" });
+      }
+      if (algorithm && !SEMANTIC_ALGORITHMS.includes(algorithm)) {
+        return res.status(400).json({
+          error: "Unsupported clustering algorithm",
+          details: `Expected one of: ${SEMANTIC_ALGORITHMS.join(", ")}`,
         });
-
-        return result;
+      }
+      let options;
+      try {
+        options = parseClusterOptions(req.body.options);
+      } catch (err) {
+        return res.status(400).json({ error: err.message, details: err.details });
+      }
+      // Skip all access checks for AI functionality
+      const result = await computeClusters(boardId, forceRecompute, {
+        algorithm,
+        options,
+        diagnostics: diagnostics === true,
       });
 
       if (!res.headersSent) {
@@ -775,7 +1221,8 @@ export function mountClustersRoutes(app, deps) {
     } catch (err) {
       console.error("[Clusters] Error:", err);
       if (!res.headersSent) {
-        return res.status(500).json({
+        // Embedding provider outages carry 503 so callers can retry later
+        return res.status(err.status || 500).json({
           error: "Cluster analysis failed",
           details: err.message,
         });
@@ -785,7 +1232,7 @@ export function mountClustersRoutes(app, deps) {
 
   app.post("/api/clusters/refresh", requireAuth, async (req, res) => {
     try {
-      const { boardId } = req.body;
+      const { boardId, algorithm, options } = req.body;
       if (!boardId) {
         return res.status(400).json({ error: "Missing boardId" });
       }
@@ -795,15 +1242,102 @@ export function mountClustersRoutes(app, deps) {
       const response = await fetchImpl(`${req.protocol}://${req.get("host")}/api/clusters`, {
         method: "POST",
         headers: { "Content-Type": "application/json", Authorization: req.headers.authorization },
-        body: JSON.stringify({ boardId, forceRecompute: true }),
+        body: JSON.stringify({ boardId, forceRecompute: true, algorithm, options }),
       });
       const result = await response.json();
-      res.json(result);
+      res.status(response.status).json(result);
     } catch (error) {
       res.status(500).json({ error: "Failed to refresh clusters", details: error.message });
     }
   });
 
+  // Per-board default clustering options. Without `options` the saved defaults are returned;
+  // `options` replaces them and `null` clears them. Either way the response also carries the
+  // resolved set a request without options would run with.
+  app.post("/api/clusters/options", requireAuth, async (req, res) => {
+    try {
+      const { boardId } = req.body;
+      if (!boardId) {
+        return res.status(400).json({ error: "Missing boardId" });
+      }
+      const accessMeta = await ensureBoardEditor(req, res, boardId);
+      if (!accessMeta) return;
+
+      let defaults;
+      if (req.body.options === undefined) {
+        defaults = await readClusterOptions(boardId);
+      } else if (req.body.options === null) {
+        await storage.deleteEntry(OPTIONS_NAMESPACE, String(boardId));
+        defaults = {};
+      } else {
+        try {
+          defaults = parseClusterOptions(req.body.options);
+        } catch (err) {
+          return res.status(400).json({ error: err.message, details: err.details });
+        }
+        await storage.putEntry(OPTIONS_NAMESPACE, String(boardId), defaults);
+      }
+      res.json({
+        boardId: String(boardId),
+        defaults,
+        options: resolveClusterOptions(defaults),
+      });
+    } catch (error) {
+      console.error("[Clusters] Options error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update clustering options", details: error.message });
+    }
+  });
+
+  // Board export: the element graph (and optionally one cluster family as subgraphs)
+  // serialized as Mermaid, GraphML or DOT.
+  app.post("/api/clusters/export", requireAuth, async (req, res) => {
+    try {
+      const { boardId, format, clusters, edgeTypes, direction, forceRecompute = false } = req.body;
+      if (!boardId) {
+        return res.status(400).json({ error: "Missing boardId" });
+      }
+      if (!resolveExportFormat(format)) {
+        return res.status(400).json({
+          error: "Unsupported export format",
+          details: `Unknown format "${format}"`,
+        });
+      }
+      if (clusters && !EXPORT_CLUSTER_TYPES.includes(clusters)) {
+        return res.status(400).json({
+          error: "Unsupported cluster type",
+          details: `Expected one of: ${EXPORT_CLUSTER_TYPES.join(", ")}`,
+        });
+      }
+
+      const raw = await callHelix("getBoardElements", { boardExtId: String(boardId) });
+      const elements = dedupeByExternalIdLatest(toElementsArray(raw));
+      const edges = computeBoardEdges(elements.map(toGraphElement).filter(Boolean));
+      const clusterResult = clusters
+        ? await computeClusters(String(boardId), forceRecompute)
+        : null;
+      const result = exportGraph({
+        format,
+        elements: consolidateLabelsIntoShapes(elements).map(toGraphElement).filter(Boolean),
+        edges,
+        clusters: clusterResult,
+        clusterType: clusters,
+        edgeTypes,
+        direction,
+        name: String(boardId),
+      });
+      res.json({
+        boardId: String(boardId),
+        revision: clusterResult?.revision ?? getBoardRevision(boardId),
+        ...result,
+      });
+    } catch (error) {
+      console.error("[Clusters] Export error:", error);
+      res.status(500).json({ error: "Failed to export board", details: error.message });
+    }
+  });
+
   app.post("/api/clusters/traverse", requireAuth, async (req, res) => {
     try {
       const { boardId, cluster_id } = req.body;
@@ -852,14 +1386,50 @@ export function mountClustersRoutes(app, deps) {
 
         // STEP 2: USE EXISTING CLUSTER ASSIGNMENTS TO DETERMINE MEMBERS
         const [type] = String(cluster_id).split("_");
+        // Group clusters are not stored on elements; find their container through the identity state
+        if (type === "g") {
+          const identityState = await readClusterIdentity(boardId);
+          const key = identityState?.clusters?.group?.find((c) => c.id === String(cluster_id))?.key;
+          const container = collectContainers(mergedElements).find(
+            (c) => `${c.kind}:${c.containerId}` === key
+          );
+          const groupMembers = container
+            ? container.memberIds.map((id) => elementsByExternalId.get(id)).filter(Boolean)
+            : [];
+          return {
+            cluster_id,
+            cluster_type: "group",
+            container_kind: container?.kind || "",
+            container_id: container?.containerId || "",
+            name: container?.name || "",
+            counts: { members: groupMembers.length },
+            element_type_counts: groupMembers.reduce((acc, m) => {
+              const k = String(m?.kind || "unknown");
+              acc[k] = (acc[k] || 0) + 1;
+              return acc;
+            }, {}),
+            members: groupMembers,
+            connections: [],
+          };
+        }
         const clusterProp =
           type === "r"
             ? "relationalClusterId"
             : type === "s"
               ? "semanticClusterId"
               : "distanceClusterId";
+        // Sub-clusters ("r_3.1") are not stored on elements; take their members from the last analysis
+        const subcluster = String(cluster_id).includes(".")
+          ? findHierarchyNode(clusterCache.get(String(boardId))?.result?.hierarchy, cluster_id)
+          : null;
+        const subclusterMembers = subcluster ? new Set(subcluster.member_ids) : null;
+        const storedClusterId = subcluster ? subcluster.parent_id : cluster_id;
         const members = mergedElements.filter(
-          (el) => el && el.kind !== "arrow" && String(el[clusterProp] || "") === String(cluster_id)
+          (el) =>
+            el &&
+            el.kind !== "arrow" &&
+            String(el[clusterProp] || "") === String(storedClusterId) &&
+            (!subclusterMembers || subclusterMembers.has(String(el.externalId)))
         );
         if (members.length === 0) {
           return {
@@ -925,9 +1495,13 @@ export function mountClustersRoutes(app, deps) {
         const connections = [];
         const arrowMap = new Map();
         for (const el of mergedElements) {
-          if (el && isConnector(el) && el.startBindingId && el.endBindingId) {
+          if (!el || !isConnector(el)) continue;
+          const ends = resolveConnectorEnds(el, mergedElements);
+          if (ends.start && ends.end) {
             const key = String(el.externalId || el.id || "");
-            if (!arrowMap.has(key)) arrowMap.set(key, el);
+            if (!arrowMap.has(key)) {
+              arrowMap.set(key, { ...el, startBindingId: ends.start, endBindingId: ends.end });
+            }
           }
         }
         const arrows = Array.from(arrowMap.values());
@@ -1,16 +1,46 @@
 // MCP routes extracted; keep behaviour by passing required helpers via deps
 
 import { SPATIAL_CONSTANTS } from "../lib/helpers.js";
+import { centerOf, computeBoardEdges, toGraphElement } from "../lib/boardGraph.js";
+import { createBoardWriter } from "../lib/boardWriter.js";
+import { generateTextEmbedding, getEmbeddingProvider } from "../lib/embeddings.js";
+import {
+  articulationPointsAndBridges,
+  betweennessCentrality,
+  createDirectedGraph,
+  degreeCentrality,
+  detectCycles,
+  pageRank,
+  stronglyConnectedComponents,
+  topologicalOrder,
+  weaklyConnectedComponents,
+} from "../lib/graphAnalytics.js";
+
+const EDGE_TYPES = [
+  "FLOWS_TO",
+  "NEAR",
+  "DIRECTIONAL",
+  "BINDS_TO",
+  "CONTAINS",
+  "TEXT_OF",
+  "BELONGS_TO_GROUP",
+  "SEMANTICALLY_RELATED",
+  "SPATIALLY_ALIGNED",
+];
+const CENTRALITY_METRICS = ["betweenness", "pagerank", "degree"];
+
+// Thrown from analytics handlers for a 400 response
+const invalid = (message, details) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.details = details;
+  return err;
+};
 
 export function mountMcpRoutes(app, deps) {
-  const {
-    requireAuth,
-    crypto,
-    callHelix,
-    toElementsArray,
-    dedupeByExternalIdLatest,
-    withDistributedLock,
-  } = deps;
+  const { requireAuth, crypto, callHelix, toElementsArray, dedupeByExternalIdLatest } = deps;
+  const embeddingProvider = deps.embeddingProvider || getEmbeddingProvider();
+  const writer = createBoardWriter(deps);
 
   const mcpSessions = new Map();
   const newConnectionId = () =>
@@ -30,157 +60,55 @@ export function mountMcpRoutes(app, deps) {
     return s;
   };
 
-  // Lightweight helpers for element/edge operations
-  const normalizeElement = (el) => {
-    if (!el || typeof el !== "object") return null;
-    const kindLower = String(el.kind || el.type || "").toLowerCase();
-    const isConn = kindLower === "arrow" || kindLower === "line";
-    return {
-      externalId: String(el.externalId || el.id || ""),
-      boardId: String(el.boardId || ""),
-      kind: String(el.kind || el.type || ""),
-      x: Number(el.x || 0),
-      y: Number(el.y || 0),
-      w: Number(el.w ?? el.width ?? 0),
-      h: Number(el.h ?? el.height ?? 0),
-      angle: Number(el.angle || 0),
-      strokeColor: String(el.strokeColor || ""),
-      backgroundColor: String(el.backgroundColor || ""),
-      strokeWidth: Number(el.strokeWidth || 1),
-      fillStyle: String(el.fillStyle || "solid"),
-      roughness: Number(el.roughness || 0),
-      opacity: Number(el.opacity || 100),
-      text: String(el.text || ""),
-      link: String(el.link || ""),
-      locked: Boolean(el.locked),
-      version: Number(el.version || 1),
-      updated: Number(el.updated || 0),
-      index: Number(el.index ?? el.idx ?? 0),
-      startBindingId: isConn
-        ? String(el.startBindingId || (el.startBinding && el.startBinding.elementId) || "")
-        : String(el.startBindingId || ""),
-      endBindingId: isConn
-        ? String(el.endBindingId || (el.endBinding && el.endBinding.elementId) || "")
-        : String(el.endBindingId || ""),
-      frameId: el.frameId ? String(el.frameId) : "",
-      containerId: el.containerId ? String(el.containerId) : "",
-    };
-  };
-
-  const isConnectorKind = (el) => {
-    const k = String(el?.kind || el?.type || "").toLowerCase();
-    return k === "arrow" || k === "line";
-  };
-
-  const centerOf = (e) => ({
-    x: Number(e.x || 0) + Number(e.w || 0) / 2,
-    y: Number(e.y || 0) + Number(e.h || 0) / 2,
-  });
-
-  const loadBoardElements = async (boardId) => {
+  // Lightweight helpers for element/edge operations (graph derivation lives in lib/boardGraph.js)
+  const loadHelixElements = async (boardId) => {
     const raw = await callHelix("getBoardElements", { boardExtId: String(boardId) });
-    const arr = dedupeByExternalIdLatest(toElementsArray(raw));
-    return arr.map(normalizeElement).filter(Boolean);
+    return dedupeByExternalIdLatest(toElementsArray(raw));
   };
+  const loadBoardElements = async (boardId) =>
+    (await loadHelixElements(boardId)).map(toGraphElement).filter(Boolean);
 
-  const listEdgesForBoard = async (boardId) => {
-    const elements = await loadBoardElements(boardId);
-    if (!elements.length) return [];
-    const edges = [];
-    const items = [...elements].sort((a, b) => a.index - b.index);
-    for (let i = 0; i < items.length; i++) {
-      for (let j = i + 1; j < items.length; j++) {
-        const a = items[i];
-        const b = items[j];
-        const ac = centerOf(a);
-        const bc = centerOf(b);
-        const dx = bc.x - ac.x;
-        const dy = bc.y - ac.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < SPATIAL_CONSTANTS.NEAR_DISTANCE) {
-          edges.push({ type: "NEAR", from: a.externalId, to: b.externalId, distance: dist });
-        }
-        const overlapX = Math.max(0, Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x));
-        const overlapY = Math.max(0, Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y));
-        const isAlignedH = overlapY > 0;
-        const isAlignedV = overlapX > 0;
-        if (isAlignedH) {
-          const gap = b.x - (a.x + a.w);
-          if (gap > 0 && gap < SPATIAL_CONSTANTS.DIRECTIONAL_GAP)
-            edges.push({
-              type: "DIRECTIONAL",
-              from: a.externalId,
-              to: b.externalId,
-              dir: "E",
-              gap,
-              overlap: overlapY,
-            });
-          const gapL = a.x - (b.x + b.w);
-          if (gapL > 0 && gapL < SPATIAL_CONSTANTS.DIRECTIONAL_GAP)
-            edges.push({
-              type: "DIRECTIONAL",
-              from: b.externalId,
-              to: a.externalId,
-              dir: "E",
-              gap: gapL,
-              overlap: overlapY,
-            });
-        }
-        if (isAlignedV) {
-          const gap = b.y - (a.y + a.h);
-          if (gap > 0 && gap < SPATIAL_CONSTANTS.DIRECTIONAL_GAP)
-            edges.push({
-              type: "DIRECTIONAL",
-              from: a.externalId,
-              to: b.externalId,
-              dir: "S",
-              gap,
-              overlap: overlapX,
-            });
-          const gapT = a.y - (b.y + b.h);
-          if (gapT > 0 && gapT < SPATIAL_CONSTANTS.DIRECTIONAL_GAP)
-            edges.push({
-              type: "DIRECTIONAL",
-              from: b.externalId,
-              to: a.externalId,
-              dir: "S",
-              gap: gapT,
-              overlap: overlapX,
-            });
-        }
-      }
+  // Edges written by cluster analysis (/api/clusters). Helix returns them by internal ID.
+  const STORED_EDGE_TYPES = {
+    semantic: ["SEMANTICALLY_RELATED", ["relationship", "confidence"]],
+    spatial: ["SPATIALLY_ALIGNED", ["distance", "proximity", "clustered"]],
+  };
+  const listStoredEdges = async (boardId, helixElements) => {
+    let relations;
+    try {
+      relations = await callHelix("getBoardRelations", { boardExtId: String(boardId) });
+    } catch {
+      return [];
     }
-    for (const el of elements) {
-      if (isConnectorKind(el) && el.startBindingId && el.endBindingId)
-        edges.push({
-          type: "FLOWS_TO",
-          from: el.startBindingId,
-          to: el.endBindingId,
-          via: el.externalId,
-        });
-      if (el.startBindingId)
-        edges.push({
-          type: "BINDS_TO",
-          from: el.externalId,
-          to: el.startBindingId,
-          kind: "arrow_start",
-        });
-      if (el.endBindingId)
-        edges.push({
-          type: "BINDS_TO",
-          from: el.externalId,
-          to: el.endBindingId,
-          kind: "arrow_end",
-        });
-      if (el.containerId) {
-        if (String(el.kind || "").toLowerCase() === "text")
-          edges.push({ type: "TEXT_OF", from: el.externalId, to: el.containerId });
-        else edges.push({ type: "CONTAINS", from: el.containerId, to: el.externalId });
+    const externalOf = new Map(
+      helixElements.map((el) => [String(el.id), String(el.externalId || "")])
+    );
+    // In-memory edges carry external IDs; HelixDB edges only `from_node` / `to_node`
+    const endpoint = (edge, side) => {
+      if (edge[`${side}ExternalId`]) return String(edge[`${side}ExternalId`]);
+      const internal = edge[`${side}Id`] ?? edge[side === "source" ? "from_node" : "to_node"];
+      return externalOf.get(String(internal)) || "";
+    };
+    const edges = [];
+    for (const [key, [type, fields]] of Object.entries(STORED_EDGE_TYPES)) {
+      for (const edge of Array.isArray(relations?.[key]) ? relations[key] : []) {
+        const from = endpoint(edge, "source");
+        const to = endpoint(edge, "target");
+        if (!from || !to) continue;
+        const props = edge.properties || edge;
+        const extra = Object.fromEntries(fields.map((field) => [field, props[field]]));
+        edges.push({ type, from, to, ...extra });
       }
     }
     return edges;
   };
 
+  const listEdgesForBoard = async (boardId) => {
+    const helixElements = await loadHelixElements(boardId);
+    const elements = helixElements.map(toGraphElement).filter(Boolean);
+    return [...computeBoardEdges(elements), ...(await listStoredEdges(boardId, helixElements))];
+  };
+
   app.post("/api/mcp/init", requireAuth, async (req, res) => {
     try {
       const userId = req.user?.id;
@@ -214,18 +142,15 @@ export function mountMcpRoutes(app, deps) {
               w: "F64",
               h: "F64",
               text: "String",
+              frameId: "String",
+              containerId: "String",
+              groupIds: "[String]",
+              points: "[[F64, F64]]",
             },
           },
           { name: "Board", properties: { externalId: "String", name: "String" } },
         ],
-        edges: [
-          { name: "FLOWS_TO" },
-          { name: "NEAR" },
-          { name: "DIRECTIONAL" },
-          { name: "BINDS_TO" },
-          { name: "CONTAINS" },
-          { name: "TEXT_OF" },
-        ],
+        edges: EDGE_TYPES.map((name) => ({ name })),
       };
       const mcp_tools = [
         { name: "mcp:init", method: "POST", path: "/api/mcp/init" },
@@ -261,7 +186,13 @@ export function mountMcpRoutes(app, deps) {
         },
         { name: "mcp:flow_extract", method: "POST", path: "/api/mcp/flow_extract" },
         { name: "mcp:pattern_detect", method: "POST", path: "/api/mcp/pattern_detect" },
+        { name: "mcp:centrality", method: "POST", path: "/api/mcp/centrality" },
+        { name: "mcp:critical_points", method: "POST", path: "/api/mcp/critical_points" },
+        { name: "mcp:cycles", method: "POST", path: "/api/mcp/cycles" },
+        { name: "mcp:components", method: "POST", path: "/api/mcp/components" },
+        { name: "mcp:flow_order", method: "POST", path: "/api/mcp/flow_order" },
         { name: "mcp:canvas_understanding", method: "POST", path: "/api/mcp/canvas_understanding" },
+        { name: "mcp:mutate", method: "POST", path: "/api/mcp/mutate" },
         { name: "mcp:create-element", method: "POST", path: "/api/mcp/create-element" },
         { name: "mcp:connect-elements", method: "POST", path: "/api/mcp/connect-elements" },
       ];
@@ -293,25 +224,53 @@ export function mountMcpRoutes(app, deps) {
     }
   });
 
+  const cosine = (a, b) => {
+    const dot = a.reduce((acc, v, i) => acc + v * (b[i] || 0), 0);
+    const na = Math.sqrt(a.reduce((acc, v) => acc + v * v, 0)) || 1;
+    const nb = Math.sqrt(b.reduce((acc, v) => acc + v * v, 0)) || 1;
+    return dot / (na * nb);
+  };
+
+  // Nearest elements by stored text embedding (written by cluster analysis), scored by cosine
+  const searchBoardVectors = async (boardId, qVec, k) => {
+    const { vecs } = await callHelix("vectorSearchText", {
+      boardExtId: boardId,
+      embedding: qVec,
+      k,
+    });
+    const byId = new Map((await loadBoardElements(boardId)).map((el) => [el.externalId, el]));
+    const results = [];
+    for (const vec of Array.isArray(vecs) ? vecs : []) {
+      const element = byId.get(String(vec.externalId));
+      if (!element) continue;
+      const score = Array.isArray(vec.vector) ? cosine(vec.vector, qVec) : Number(vec.score);
+      results.push({ ...element, score });
+    }
+    return results;
+  };
+
   app.post("/api/mcp/search_vector", requireAuth, async (req, res) => {
     try {
       const { connection_id, data } = req.body || {};
       const s = ensureSession(req, res, connection_id);
       if (!s) return;
-      const qVec = Array.isArray(data?.vector) ? data.vector.map((v) => Number(v)) : null;
+      let qVec = Array.isArray(data?.vector) ? data.vector.map((v) => Number(v)) : null;
+      if (!qVec?.length && typeof data?.text === "string" && data.text.trim()) {
+        qVec = await generateTextEmbedding(data.text, embeddingProvider);
+      }
       const k = Math.max(1, Math.min(50, Number(data?.k || 10)));
       const minScore = Number(data?.min_score || -1);
       if (!Array.isArray(qVec) || !qVec.length)
         return res.status(400).json({ error: "Missing vector" });
+      const boardId = String(data?.boardId || s.boardId || "");
       let results = [];
-      if (Array.isArray(s.items)) {
+      if (boardId && data?.scope !== "items") {
+        s.boardId = boardId;
+        results = await searchBoardVectors(boardId, qVec, k);
+      } else if (Array.isArray(s.items)) {
         for (const it of s.items) {
           if (Array.isArray(it?.vector)) {
-            const dot = it.vector.reduce((acc, v, i) => acc + v * (qVec[i] || 0), 0);
-            const na = Math.sqrt(it.vector.reduce((a, v) => a + v * v, 0)) || 1;
-            const nb = Math.sqrt(qVec.reduce((a, v) => a + v * v, 0)) || 1;
-            const score = dot / (na * nb);
-            results.push({ ...it, score });
+            results.push({ ...it, score: cosine(it.vector, qVec) });
           }
         }
       }
@@ -321,7 +280,7 @@ export function mountMcpRoutes(app, deps) {
         .slice(0, k);
       res.json({ ok: true, results, count: results.length });
     } catch (e) {
-      res.status(500).json({ error: e.message || "Search failed" });
+      res.status(e.status || 500).json({ error: e.message || "Search failed" });
     }
   });
 
@@ -961,6 +920,140 @@ export function mountMcpRoutes(app, deps) {
     }
   });
 
+  // Graph analytics (lib/graphAnalytics.js) over the board's FLOWS_TO edges, or the `edge_types`
+  // given. Responses list element ids, with `labels` giving the text (or kind) of each one.
+  const analyticsRoute = (name, analyze) =>
+    app.post(`/api/mcp/${name}`, requireAuth, async (req, res) => {
+      try {
+        const { connection_id, data } = req.body || {};
+        const s = ensureSession(req, res, connection_id);
+        if (!s) return;
+        const boardId = String(data?.boardId || s.boardId || "");
+        if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+        // One type may be given as a string
+        const requested = data?.edge_types ?? ["FLOWS_TO"];
+        const edgeTypes = [
+          ...new Set(
+            (Array.isArray(requested) ? requested : [requested]).map((t) => String(t).toUpperCase())
+          ),
+        ];
+        if (!edgeTypes.length || edgeTypes.some((t) => !EDGE_TYPES.includes(t))) {
+          return res.status(400).json({
+            error: "Unsupported edge_types",
+            details: `Expected any of: ${EDGE_TYPES.join(", ")}`,
+          });
+        }
+        s.boardId = boardId;
+
+        const helixElements = await loadHelixElements(boardId);
+        const elements = helixElements.map(toGraphElement).filter(Boolean);
+        const stored = Object.values(STORED_EDGE_TYPES).some(([type]) => edgeTypes.includes(type))
+          ? await listStoredEdges(boardId, helixElements)
+          : [];
+        const edges = [...computeBoardEdges(elements), ...stored].filter((e) =>
+          edgeTypes.includes(String(e.type || "").toUpperCase())
+        );
+        const graph = createDirectedGraph(edges);
+
+        // Shapes are labelled by their bound text
+        const labelOf = new Map(elements.map((el) => [el.externalId, el.text || el.kind]));
+        for (const el of elements) {
+          if (String(el.kind).toLowerCase() === "text" && el.containerId && el.text) {
+            labelOf.set(el.containerId, el.text);
+          }
+        }
+        const result = analyze(graph, { data, edges });
+        const labels = {};
+        const collect = (value) => {
+          if (typeof value === "string") {
+            if (graph.out.has(value)) labels[value] = labelOf.get(value) || "";
+          } else if (Array.isArray(value)) value.forEach(collect);
+          else if (value && typeof value === "object") {
+            for (const [key, inner] of Object.entries(value)) if (key !== "via") collect(inner);
+          }
+        };
+        collect(result);
+        res.json({
+          ok: true,
+          edge_types: edgeTypes,
+          node_count: graph.nodes.length,
+          edge_count: graph.edgeCount,
+          ...result,
+          labels,
+        });
+      } catch (e) {
+        res.status(e.status || 500).json({
+          error: e.message || `${name} failed`,
+          ...(e.details ? { details: e.details } : {}),
+        });
+      }
+    });
+
+  // Most central elements by `metric` (betweenness by default), with every metric for each
+  analyticsRoute("centrality", (graph, { data }) => {
+    const metric = data?.metric ?? "betweenness";
+    if (!CENTRALITY_METRICS.includes(metric)) {
+      throw invalid("Unsupported metric", `Expected one of: ${CENTRALITY_METRICS.join(", ")}`);
+    }
+    const topK = Number(data?.top_k ?? 10);
+    if (!Number.isInteger(topK) || topK < 1 || topK > 100) {
+      throw invalid("Invalid top_k", "Expected an integer from 1 to 100");
+    }
+    const degree = degreeCentrality(graph);
+    const betweenness = betweennessCentrality(graph);
+    const pagerank = pageRank(graph);
+    const nodes = graph.nodes
+      .map((id) => ({
+        id,
+        ...degree.get(id),
+        betweenness: betweenness.get(id),
+        pagerank: pagerank.get(id),
+      }))
+      .sort((a, b) => b[metric] - a[metric] || (a.id < b.id ? -1 : 1))
+      .slice(0, topK);
+    return { metric, nodes };
+  });
+
+  // Single points of failure: elements and connections whose removal disconnects the diagram
+  analyticsRoute("critical_points", (graph, { edges }) => {
+    // Arrows behind each connection; a bidirectional bridge lists the arrows of both directions
+    const via = new Map();
+    for (const e of edges) {
+      if (!e.via) continue;
+      const key = `${e.from}\u0000${e.to}`;
+      if (!via.has(key)) via.set(key, []);
+      via.get(key).push(String(e.via));
+    }
+    const { articulation_points, bridges } = articulationPointsAndBridges(graph);
+    return {
+      articulation_points,
+      bridges: bridges.map((bridge) => ({
+        ...bridge,
+        via: [
+          ...(via.get(`${bridge.from}\u0000${bridge.to}`) || []),
+          ...(bridge.bidirectional ? via.get(`${bridge.to}\u0000${bridge.from}`) || [] : []),
+        ],
+      })),
+    };
+  });
+
+  // Circular dependencies
+  analyticsRoute("cycles", (graph) => detectCycles(graph));
+
+  // Weakly connected parts, and strongly connected groups of more than one element
+  analyticsRoute("components", (graph) => ({
+    weak: weaklyConnectedComponents(graph),
+    strong: stronglyConnectedComponents(graph).filter((component) => component.length > 1),
+  }));
+
+  // Execution order and critical path; cyclic graphs report the cycles in their way instead
+  analyticsRoute("flow_order", (graph) => {
+    const result = topologicalOrder(graph);
+    return result.acyclic
+      ? result
+      : { ...result, cyclic_components: detectCycles(graph).cyclic_components };
+  });
+
   app.post("/api/mcp/canvas_understanding", requireAuth, async (req, res) => {
     try {
       const { connection_id, boardId, selected_ids } = req.body || {};
@@ -995,24 +1088,41 @@ export function mountMcpRoutes(app, deps) {
     }
   });
 
+  // Edits go through the shared board writer so Helix, the board cache and the persisted
+  // snapshot stay in step; responses carry Excalidraw-ready elements and a delta patch.
+  const runMutation = async (req, res, boardId, operations, pick) => {
+    const { status, body } = await writer.mutate(boardId, operations, {
+      baseRevision: req.body?.baseRevision,
+      userId: req.user?.id,
+    });
+    if (status !== 200) return res.status(status).json(body);
+    res.json({ ...body, ...(pick ? pick(body) : {}) });
+  };
+
+  app.post("/api/mcp/mutate", requireAuth, async (req, res) => {
+    try {
+      const { boardId, operations } = req.body || {};
+      if (!boardId || !Array.isArray(operations) || operations.length === 0)
+        return res.status(400).json({ error: "Missing boardId or operations" });
+      await runMutation(req, res, boardId, operations);
+    } catch (e) {
+      res.status(500).json({ error: e.message || "mutate failed" });
+    }
+  });
+
   app.post("/api/mcp/create-element", requireAuth, async (req, res) => {
     try {
-      const { boardId, elementType } = req.body || {};
+      const { boardId, elementType, ...props } = req.body || {};
       if (!boardId || !elementType)
         return res.status(400).json({ error: "Missing boardId or elementType" });
-      const exec = async () => {
-        const element = await callHelix("createElement", {
-          boardId,
-          elementType,
-          externalId: `el_${Date.now()}`,
-        });
-        return element;
-      };
-      const element =
-        typeof withDistributedLock === "function"
-          ? await withDistributedLock(`mcp-create:${boardId}`, exec, 15000)
-          : await exec();
-      res.json({ success: true, element });
+      const { baseRevision, ...element } = props;
+      await runMutation(
+        req,
+        res,
+        boardId,
+        [{ op: "create", element: { ...element, type: elementType } }],
+        (body) => ({ element: body.elements.find((el) => el.id === body.results[0].id) })
+      );
     } catch (e) {
       res.status(500).json({ error: e.message || "create-element failed" });
     }
@@ -1020,24 +1130,16 @@ export function mountMcpRoutes(app, deps) {
 
   app.post("/api/mcp/connect-elements", requireAuth, async (req, res) => {
     try {
-      const { boardId, fromId, toId } = req.body || {};
+      const { boardId, fromId, toId, label, type, props } = req.body || {};
       if (!boardId || !fromId || !toId)
         return res.status(400).json({ error: "Missing boardId, fromId or toId" });
-      const exec = async () => {
-        const arrow = await callHelix("createArrow", {
-          boardId,
-          startElementId: fromId,
-          endElementId: toId,
-          strokeColor: "#1e1e1e",
-          arrowExternalId: `ar_${Date.now()}`,
-        });
-        return arrow;
-      };
-      const arrow =
-        typeof withDistributedLock === "function"
-          ? await withDistributedLock(`mcp-connect:${boardId}`, exec, 15000)
-          : await exec();
-      res.json({ success: true, arrow });
+      await runMutation(
+        req,
+        res,
+        boardId,
+        [{ op: "connect", from: fromId, to: toId, label, type, props }],
+        (body) => ({ arrow: body.elements.find((el) => el.id === body.results[0].id) })
+      );
     } catch (e) {
       res.status(500).json({ error: e.message || "connect-elements failed" });
     }
@@ -15,12 +15,29 @@ import {
   boardCache,
   textVecCache,
   clusterCache,
+  helixIdCache,
+  clusterAssignmentCache,
+  tombstoneCache,
   ensureDir,
-  saveBoardToDisk,
-  loadBoardFromDisk,
-  hydrateBoardCacheFromDisk,
 } from "./lib/cache.js";
+import { changeFeed } from "./lib/changeFeed.js";
+import {
+  DEFAULT_TOMBSTONE_RETENTION_MS,
+  compareElementVersions,
+  deserializeTombstones,
+  pruneTombstones,
+  serializeTombstones,
+} from "./lib/reconcile.js";
 import { createHelix } from "./lib/helixClient.js";
+import { getBoardRevision, setBoardRevision } from "./lib/revisions.js";
+import {
+  normalizeBoundElements,
+  normalizeGroupIds,
+  normalizePoints,
+  toHelixStructureParams,
+} from "./lib/structure.js";
+import { createStorage } from "./lib/storage/index.js";
+import { buildExcalidrawScene } from "./lib/excalidraw.js";
 import { createLockUtils } from "./lib/locks.js";
 import { mountHealthRoutes } from "./routes/health.js";
 import { mountClustersRoutes } from "./routes/clusters.js";
@@ -225,6 +242,13 @@ const consolidateLabelsIntoShapes = (elements) => {
   }
   const shapeByExt = new Map(shapes.map((s) => [String(s.externalId || ""), s]));
   const shapeByInt = new Map(shapes.map((s) => [String(s.id || s.ID || ""), s]));
+  // Containers also list their label in boundElements (covers labels whose containerId was lost)
+  const shapeByBoundText = new Map();
+  for (const shape of shapes) {
+    for (const bound of normalizeBoundElements(shape.boundElements)) {
+      if (bound.type === "text") shapeByBoundText.set(bound.id, shape);
+    }
+  }
   const assigned = new Set();
 
   const mergeText = (a, b) => {
@@ -260,6 +284,8 @@ const consolidateLabelsIntoShapes = (elements) => {
       best = shapeByExt.get(containerKeyExt);
     } else if (containerKeyExt && shapeByInt.has(containerKeyExt)) {
       best = shapeByInt.get(containerKeyExt);
+    } else {
+      best = shapeByBoundText.get(String(label.externalId || label.id || "")) || null;
     }
     if (best) {
       best.text = mergeText(best.text, text);
@@ -318,43 +344,49 @@ const AI_PROXY_URL =
 const MAX_ELEMENTS_PER_SYNC = Number(process.env.MAX_ELEMENTS_PER_SYNC || 1500);
 const MAX_PAYLOAD_BYTES = Number(process.env.MAX_SYNC_PAYLOAD_BYTES || 10 * 1024 * 1024);
 const HELIX_SAFE_MODE = String(process.env.HELIX_SAFE_MODE ?? "false").toLowerCase() === "true";
+// How long deleted elements stay restorable and protected from resurrection by stale clients
+const TOMBSTONE_RETENTION_MS = Number(
+  process.env.TOMBSTONE_RETENTION_MS || DEFAULT_TOMBSTONE_RETENTION_MS
+);
 
 // ---------------------------------------------------------------------------
-// Durable canvas persistence to disk (single known-writable path inside image)
+// Durable canvas persistence (STORAGE_BACKEND=fs|sqlite|memory, see lib/storage)
 // ---------------------------------------------------------------------------
-const BOARDS_DIRS = [
-  // Use the same helix directory structure as HelixDB deployment
-  path.join(__dirname, "helix", "data"),
-  // Legacy duplicate path from old canvas writes (for reading existing boards)
-  path.resolve(process.cwd(), "sdk/helix/data"),
-];
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, "helix", "data");
+const storage = createStorage({
+  dir: STORAGE_DIR,
+  // Boards written by older versions to the cwd-relative duplicate path stay readable
+  readDirs: [path.resolve(process.cwd(), "sdk/helix/data")],
+});
+debug(`[Persist] Storage backend: ${storage.kind}`);
 const persistTimers = new Map(); // boardId -> Timeout
 
-// ensureDir/saveBoardFromCache/hydrateBoardCacheFromDisk are imported from lib/cache.js
-// Create wrappers that use BOARDS_DIRS to ensure consistent read/write paths
 const saveBoardToDiskMulti = async (boardId) => {
   try {
     const items = Array.from((boardCache.get(boardId) || new Map()).values());
-    const data = { id: String(boardId), items, savedAt: Date.now() };
-    for (const dir of BOARDS_DIRS) {
-      try {
-        await ensureDir(dir);
-        const filePath = path.join(dir, `${String(boardId)}.json`);
-        await fsp.writeFile(filePath, JSON.stringify(data, null, 2), "utf8");
-      } catch {}
-    }
-  } catch {}
+    const previous = await storage.getBoard(boardId).catch(() => null);
+    const tombstones = tombstoneCache.get(String(boardId));
+    if (tombstones) pruneTombstones(tombstones, TOMBSTONE_RETENTION_MS);
+    await storage.putBoard(boardId, {
+      id: String(boardId),
+      items,
+      revision: getBoardRevision(boardId),
+      savedAt: Date.now(),
+      // Regenerated from the cache so delta syncs and mutations keep the scene current
+      excalidrawData: buildExcalidrawScene(items, previous?.excalidrawData),
+      tombstones: tombstones ? serializeTombstones(tombstones) : previous?.tombstones || [],
+    });
+  } catch (e) {
+    console.warn(`[Persist] Failed to save board ${boardId}: ${e?.message || e}`);
+  }
 };
 
 const loadBoardFromDiskMulti = async (boardId) => {
-  for (const dir of BOARDS_DIRS) {
-    try {
-      const file = path.join(dir, `${String(boardId)}.json`);
-      const text = await fsp.readFile(file, "utf8");
-      return JSON.parse(text);
-    } catch {}
+  try {
+    return await storage.getBoard(boardId);
+  } catch {
+    return null;
   }
-  return null;
 };
 
 const hydrateBoardCacheFromDiskMulti = async (boardId) => {
@@ -364,6 +396,8 @@ const hydrateBoardCacheFromDiskMulti = async (boardId) => {
     const map = new Map();
     for (const el of items) if (el?.externalId) map.set(String(el.externalId), el);
     boardCache.set(boardId, map);
+    setBoardRevision(boardId, json?.revision || 0);
+    tombstoneCache.set(String(boardId), deserializeTombstones(json?.tombstones));
   } catch {}
 };
 
@@ -379,7 +413,7 @@ const schedulePersist = (boardId) => {
     }
     const t = setTimeout(() => {
       persistTimers.delete(id);
-      saveBoardToDisk(id);
+      saveBoardToDiskMulti(id);
     }, 400);
     persistTimers.set(id, t);
   } catch {}
@@ -390,23 +424,17 @@ const ensureBoardSnapshotExists = async (boardId) => {
   if (!id) {
     return;
   }
-  const payload = { boardId: id, updatedAt: Date.now(), items: [] };
-  const dir = path.join(__dirname, "helix", "data");
+  const payload = { id, items: [], revision: 0, savedAt: Date.now() };
   try {
-    // Ensure directory exists with proper permissions
-    await fsp.mkdir(dir, { recursive: true, mode: 0o755 });
-    const file = path.join(dir, `${id}.json`);
-    try {
-      await fsp.access(file);
-      debug(`[Persist] Board file exists → ${file}`);
-      return; // File already exists
-    } catch {}
-    await fsp.writeFile(file, JSON.stringify(payload), "utf8");
-    debug(`[Persist] Initialized board file → ${file}`);
+    if (await storage.getBoard(id)) {
+      debug(`[Persist] Board snapshot exists → ${id}`);
+      return;
+    }
+    await storage.putBoard(id, payload);
+    debug(`[Persist] Initialized board snapshot → ${id} (${storage.kind})`);
   } catch (e) {
-    console.error(`[Persist] Failed to create board file: ${e.message}`);
-    console.error(`[Persist] Directory: ${dir}`);
-    console.error(`[Persist] Process UID: ${process.getuid()}, GID: ${process.getgid()}`);
+    console.error(`[Persist] Failed to create board snapshot: ${e.message}`);
+    console.error(`[Persist] Storage backend: ${storage.kind}`);
     throw e; // Re-throw so the API returns proper error
   }
 };
@@ -440,7 +468,38 @@ const toElementsArray = (queryResult) => {
   return [];
 };
 
-// Deduplicate Helix elements by externalId keeping the most recent/versioned
+// Build the full upsertElement/updateElementById parameter set from a cached element
+// (HelixDB requires every property on writes)
+const toHelixElementParams = (local) => ({
+  // Ensure kind is never empty - HelixDB requires this field
+  kind: local.kind && String(local.kind).trim() ? String(local.kind) : "text",
+  short_id: String(local.externalId || "").slice(0, 8),
+  x: Number(local.x || 0),
+  y: Number(local.y || 0),
+  w: Number(local.w || 0),
+  h: Number(local.h || 0),
+  angle: Number(local.angle || 0),
+  strokeColor: String(local.strokeColor || ""),
+  backgroundColor: String(local.backgroundColor || ""),
+  strokeWidth: toFiniteInt(local.strokeWidth, 1),
+  fillStyle: String(local.fillStyle || "solid"),
+  roughness: toFiniteInt(local.roughness, 0),
+  opacity: toFiniteInt(local.opacity, 100),
+  text: String(local.text || ""),
+  link: String(local.link || ""),
+  locked: Boolean(local.locked),
+  version: toFiniteInt(local.version, 0),
+  updated: toFiniteInt(local.updated, Date.now()),
+  index: toFiniteInt(local.index, 0),
+  startBindingId: String(local.startBindingId || ""),
+  endBindingId: String(local.endBindingId || ""),
+  semanticClusterId: String(local.semanticClusterId || ""),
+  distanceClusterId: String(local.distanceClusterId || ""),
+  relationalClusterId: String(local.relationalClusterId || ""),
+  ...toHelixStructureParams(local),
+});
+
+// Deduplicate Helix elements by externalId keeping the winning version (see lib/reconcile)
 const dedupeByExternalIdLatest = (arr) => {
   if (!Array.isArray(arr)) {
     return [];
@@ -459,11 +518,9 @@ const dedupeByExternalIdLatest = (arr) => {
       map.set(id, el);
       continue;
     }
-    const prevUpdated = Number(prev.updated || 0);
-    const currUpdated = Number(el.updated || 0);
-    const prevVersion = Number(prev.version || 0);
-    const currVersion = Number(el.version || 0);
-    if (currUpdated > prevUpdated || (currUpdated === prevUpdated && currVersion >= prevVersion)) {
+    // Same ordering as sync reconciliation; `updated` only breaks exact ties
+    const order = compareElementVersions(el, prev);
+    if (order > 0 || (order === 0 && Number(el.updated || 0) >= Number(prev.updated || 0))) {
       map.set(id, el);
     }
   }
@@ -492,11 +549,14 @@ const reconcileHelixToCache = async (boardId, options = {}) => {
     const helixAll = dedupeByExternalIdLatest(toElementsArray(helixRes));
     const helixByExt = new Map(helixAll.map((el) => [String(el.externalId), el]));
     const cache = boardCache.get(id) || new Map();
+    const tombstones = tombstoneCache.get(id) || new Map();
 
-    // Delete extra Helix rows not in cache (drop incident edges first, then node)
+    // Delete extra Helix rows not in cache (drop incident edges first, then node). Buried
+    // elements are never kept, even when a stale snapshot still lists them.
     const deletes = [];
     for (const [extId, helixEl] of helixByExt.entries()) {
-      const shouldKeep = expectedSet ? expectedSet.has(extId) : cache.has(extId);
+      const buried = tombstones.has(extId) && !cache.has(extId);
+      const shouldKeep = !buried && (expectedSet ? expectedSet.has(extId) : cache.has(extId));
       if (!shouldKeep) {
         const elementExtId = String(extId);
         // Drop incident edges of all types to avoid constraint/parse errors
@@ -518,6 +578,12 @@ const reconcileHelixToCache = async (boardId, options = {}) => {
             elementExtId,
           })
         );
+        deletes.push(
+          callHelix("deleteStructureEdgesForElement", {
+            boardExtId: id,
+            elementExtId,
+          })
+        );
         // Finally, drop the node (by id if available for precision)
         if (helixEl?.id) {
           deletes.push(callHelix("deleteElementById", { elementId: String(helixEl.id) }));
@@ -536,34 +602,7 @@ const reconcileHelixToCache = async (boardId, options = {}) => {
       : Array.from(cache.entries());
     for (const [extId, local] of upsertEntries) {
       const remote = helixByExt.get(extId);
-      // Ensure kind is never empty - HelixDB requires this field
-      const localKind = local.kind && String(local.kind).trim() ? String(local.kind) : "text";
-      const params = {
-        kind: localKind,
-        short_id: String(extId).slice(0, 8),
-        x: Number(local.x || 0),
-        y: Number(local.y || 0),
-        w: Number(local.w || 0),
-        h: Number(local.h || 0),
-        angle: Number(local.angle || 0),
-        strokeColor: String(local.strokeColor || ""),
-        backgroundColor: String(local.backgroundColor || ""),
-        strokeWidth: toFiniteInt(local.strokeWidth, 1),
-        fillStyle: String(local.fillStyle || "solid"),
-        roughness: toFiniteInt(local.roughness, 0),
-        opacity: toFiniteInt(local.opacity, 100),
-        text: String(local.text || ""),
-        link: String(local.link || ""),
-        locked: Boolean(local.locked),
-        version: toFiniteInt(local.version, 0),
-        updated: toFiniteInt(local.updated, Date.now()),
-        index: toFiniteInt(local.index, 0),
-        startBindingId: String(local.startBindingId || ""),
-        endBindingId: String(local.endBindingId || ""),
-        semanticClusterId: String(local.semanticClusterId || ""),
-        distanceClusterId: String(local.distanceClusterId || ""),
-        relationalClusterId: String(local.relationalClusterId || ""),
-      };
+      const params = toHelixElementParams({ ...local, externalId: extId });
       if (!remote) {
         upserts.push(
           callHelix("upsertElement", {
@@ -606,6 +645,8 @@ const reconcileHelixToCache = async (boardId, options = {}) => {
     for (const p of upserts) {
       await p;
     }
+    // Internal IDs may have changed; the delta sync path re-seeds them on demand
+    helixIdCache.delete(id);
     debug(`[Reconcile] Board ${id}: deleted ${deletes.length}, upserts ${upserts.length}`);
   } catch (e) {
     console.warn(`[Reconcile] Failed for board ${id}:`, e?.message || e);
@@ -649,6 +690,8 @@ const normalizeElement = (el) => {
   const kind = String(el.kind || el.type || "");
   const lowerKind = kind.toLowerCase();
   const isConnectorKind = lowerKind === "arrow" || lowerKind === "line";
+  // Frames carry their title in `name` rather than `text`
+  const text = el.text || (lowerKind === "frame" || lowerKind === "magicframe" ? el.name : "");
   return {
     externalId: String(el.externalId || el.id || ""),
     boardId: String(el.boardId || ""),
@@ -664,10 +707,11 @@ const normalizeElement = (el) => {
     fillStyle: String(el.fillStyle || "solid"),
     roughness: Number(el.roughness || 0),
     opacity: Number(el.opacity || 100),
-    text: String(el.text || ""),
+    text: String(text || ""),
     link: String(el.link || ""),
     locked: Boolean(el.locked),
     version: Number(el.version || 1),
+    versionNonce: Number(el.versionNonce || 0),
     updated: Number(el.updated || Date.now()),
     index: Number(el.index ?? el.idx ?? 0),
     startBindingId: isConnectorKind
@@ -678,6 +722,12 @@ const normalizeElement = (el) => {
       : String(el.endBindingId || ""),
     frameId: el.frameId ? String(el.frameId) : "",
     containerId: el.containerId ? String(el.containerId) : "",
+    groupIds: normalizeGroupIds(el.groupIds),
+    boundElements: normalizeBoundElements(el.boundElements),
+    points: normalizePoints(el.points),
+    fileId: el.fileId ? String(el.fileId) : "",
+    fontSize: Number(el.fontSize || 0),
+    fontFamily: Number(el.fontFamily || 0),
   };
 };
 
@@ -708,9 +758,12 @@ mountClustersRoutes(app, {
   getAllBoardElements,
   hydrateBoardCacheFromDiskMulti,
   textVecCache,
+  storage,
   bboxOf,
   cosineSim,
   isConnector,
+  changeFeed,
+  clusterAssignmentCache,
 });
 
 // Mounted MCP routes
@@ -720,7 +773,21 @@ mountMcpRoutes(app, {
   callHelix,
   toElementsArray,
   dedupeByExternalIdLatest,
-  withDistributedLock,
+  withBoardLock,
+  MAX_ELEMENTS_PER_SYNC,
+  HELIX_SAFE_MODE,
+  storage,
+  clusterCache,
+  boardCache,
+  helixIdCache,
+  saveBoardToDiskMulti,
+  schedulePersist,
+  hydrateBoardCacheFromDiskMulti,
+  normalizeElement,
+  toHelixElementParams,
+  changeFeed,
+  tombstoneCache,
+  TOMBSTONE_RETENTION_MS,
 });
 
 // ---------------------------------------------------------------------------
@@ -790,17 +857,16 @@ mountCanvasRoutes(app, {
   MAX_PAYLOAD_BYTES,
   MAX_ELEMENTS_PER_SYNC,
   HELIX_SAFE_MODE,
-  BOARDS_DIRS,
-  ensureDir,
-  fsp,
-  path,
+  storage,
   clusterCache,
   boardCache,
   textVecCache,
+  helixIdCache,
   saveBoardToDiskMulti,
-  saveBoardToDisk,
+  schedulePersist,
   hydrateBoardCacheFromDiskMulti,
   normalizeElement,
+  toHelixElementParams,
   getAllBoardElements,
   dedupeByExternalIdLatest,
   consolidateLabelsIntoShapes,
@@ -810,6 +876,9 @@ mountCanvasRoutes(app, {
   toFiniteInt,
   // Provide reconciler so routes can prune old elements safely
   reconcileHelixToCache,
+  changeFeed,
+  tombstoneCache,
+  TOMBSTONE_RETENTION_MS,
 });
 
 export const runtimeDependencies = {
@@ -827,10 +896,16 @@ export const runtimeDependencies = {
   clusterCache,
   boardCache,
   textVecCache,
-  saveBoardToDisk,
+  helixIdCache,
+  clusterAssignmentCache,
+  tombstoneCache,
+  changeFeed,
+  storage,
   hydrateBoardCacheFromDiskMulti,
   saveBoardToDiskMulti,
+  schedulePersist,
   normalizeElement,
+  toHelixElementParams,
   getAllBoardElements,
   bboxOf,
   cosineSim,
@@ -840,7 +915,7 @@ export const runtimeDependencies = {
   MAX_ELEMENTS_PER_SYNC,
   MAX_PAYLOAD_BYTES,
   HELIX_SAFE_MODE,
-  BOARDS_DIRS,
+  TOMBSTONE_RETENTION_MS,
   ensureDir,
   fsp,
   path,
@@ -137,7 +137,7 @@ export class BackendAIEngine {
    * @param clusterData - Cluster data object
    * @returns true if clusters exist
    *
-   * Checks all three cluster types: relational, semantic, distance.
+   * Checks all cluster types: relational, semantic, distance, group.
    */
   private hasClusters(clusterData: any) {
     try {
@@ -146,7 +146,9 @@ export class BackendAIEngine {
           clusterData.relational_clusters.length > 0) ||
         (Array.isArray(clusterData?.distance_clusters) &&
           clusterData.distance_clusters.length > 0) ||
-        (Array.isArray(clusterData?.semantic_clusters) && clusterData.semantic_clusters.length > 0)
+        (Array.isArray(clusterData?.semantic_clusters) &&
+          clusterData.semantic_clusters.length > 0) ||
+        (Array.isArray(clusterData?.group_clusters) && clusterData.group_clusters.length > 0)
       );
     } catch {
       return false;
@@ -239,6 +241,7 @@ export class BackendAIEngine {
           ...(clusterData?.relational_clusters || []),
           ...(clusterData?.semantic_clusters || []),
           ...(clusterData?.distance_clusters || []),
+          ...(clusterData?.group_clusters || []),
         ];
         const toolCluster = toolResult as any;
         const clusterId = extractClusterId(toolCluster);
@@ -276,7 +279,7 @@ export class BackendAIEngine {
           });
         }
 
-        if (clusterType === "distance" || clusterType === "semantic") {
+        if (clusterType === "distance" || clusterType === "semantic" || clusterType === "group") {
           toolResultsContext = `\n=== RAW ${clusterType.toUpperCase()} CLUSTER RESULT ===\n${JSON.stringify(
             toolCluster,
             null,
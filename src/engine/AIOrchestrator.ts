@@ -8,6 +8,11 @@
  * semantic clusters to provide as context for the final response.
  */
 
+import {
+  MAX_SUMMARY_CLUSTERS,
+  selectClusterGranularity,
+  type ClusterHierarchy,
+} from "./ClusterService.js";
 import { BackendMCPTraversalManager } from "./MCPTraversalManager.js";
 import { buildAuthHeadersFromReq, getProxyBaseFromReq, type RequestLike } from "./util.js";
 
@@ -24,6 +29,8 @@ interface ClusterData {
   relational_clusters?: any[];
   semantic_clusters?: any[];
   distance_clusters?: any[];
+  group_clusters?: any[];
+  hierarchy?: ClusterHierarchy;
 }
 
 /**
@@ -63,10 +70,22 @@ export class BackendAIOrchestrator {
       ...(clusterData.relational_clusters || []).map((c: any) => ({ ...c, type: "relational" })),
       ...(clusterData.semantic_clusters || []).map((c: any) => ({ ...c, type: "semantic" })),
       ...(clusterData.distance_clusters || []).map((c: any) => ({ ...c, type: "distance" })),
+      ...(clusterData.group_clusters || []).map((c: any) => ({ ...c, type: "group" })),
     ];
     if (clusters.length === 0) {
       return "No relevant groups of elements available";
     }
+    // Large boards: offer the coarsest levels of the hierarchy rather than every cluster
+    if (clusters.length > MAX_SUMMARY_CLUSTERS && clusterData.hierarchy) {
+      const byId = new Map(clusters.map((c: any) => [String(c.id || c.cluster_id || ""), c]));
+      const selected = selectClusterGranularity(clusterData.hierarchy, MAX_SUMMARY_CLUSTERS);
+      return `Available groups of elements (nested groups are indented):\n${selected
+        .map((node) => {
+          const description = byId.get(node.id)?.description || node.label || "No description";
+          return `${"  ".repeat(node.level - 1)}- ${node.id}: ${description} (${node.member_count} elements)`;
+        })
+        .join("\n")}`;
+    }
     return `Available groups of elements:\n${clusters
       .map((cluster: any) => {
         const actualId = String(cluster.id || cluster.cluster_id || "").replace(
@@ -120,7 +139,7 @@ export class BackendAIOrchestrator {
     *   You **MUST** call \`mcp_cluster_traverse\` if the user's question is about the diagram's content, structure, or relationships. For general questions like "explain the diagram," choose the largest or most relevant group of elements to traverse.
     *   You should **ONLY** call \`no_tools_needed\` for questions that are not about the diagram at all (e.g., "hello", "who are you?").
 
-IMPORTANT: When calling mcp_cluster_traverse, use the cluster_id exactly as shown in the available groups list (e.g., "r_1", "s_1", "d_1"). Do NOT reveal these IDs to the user.
+IMPORTANT: When calling mcp_cluster_traverse, use the cluster_id exactly as shown in the available groups list (e.g., "r_1", "s_1", "d_1", "g_1"). Do NOT reveal these IDs to the user.
 
 You must call one of the provided functions.
 
@@ -2,12 +2,15 @@
  * Cluster Service - Semantic Cluster Management
  *
  * Handles retrieval and description generation for canvas semantic clusters.
- * Clusters are organized by Helix into three types:
+ * Clusters are organized by Helix into four types:
  * - Relational: Connected components in the graph
  * - Semantic: Semantically similar elements
  * - Distance: Spatially proximate elements
+ * - Group: Excalidraw frames and groups drawn by the user
  *
- * Generates human-readable descriptions using LLM and caches them for performance.
+ * Descriptions come from the SDK's LLM summaries (title, description, key entities) when
+ * `/api/clusters` returns them; other clusters get a short description built from their offline
+ * keywords and member texts, cached in memory.
  */
 
 import crypto from "node:crypto";
@@ -20,24 +23,51 @@ const CACHE_TTL_MS = 10 * 60_000; // 10 minutes
 const MAX_TEXT_PREVIEW = 100;
 const MAX_MEMBER_PREVIEW = 60;
 const MAX_PREVIEW_MEMBERS = 2;
+// Above this many clusters, summaries follow the cluster hierarchy instead of listing every cluster
+export const MAX_SUMMARY_CLUSTERS = 40;
 
-type ClusterKind = "relational" | "semantic" | "distance";
+type ClusterKind = "relational" | "semantic" | "distance" | "group";
 
 interface BaseCluster {
   id?: string;
   cluster_id?: string;
   member_count?: number;
-  members?: Array<{ externalId?: string; kind?: string; text?: string }>;
+  members?: Array<{ externalId?: string; kind?: string; text?: string; label?: string }>;
   memberIds?: string[];
   description?: string;
+  /** LLM-generated title, returned with `description` and `key_entities` by the SDK */
+  title?: string;
+  key_entities?: string[];
+  /** Offline TF-IDF keywords of semantic, distance and relational clusters */
+  keywords?: string[];
+  /** Frame title for group clusters */
+  name?: string;
   element_type_counts?: Record<string, number>;
   all_text_content?: string;
 }
 
+export interface ClusterHierarchyNode {
+  id: string;
+  type: string;
+  level: number;
+  parent_id: string | null;
+  child_ids: string[];
+  member_count: number;
+  label?: string;
+}
+
+export interface ClusterHierarchy {
+  root: string;
+  depth: number;
+  nodes: ClusterHierarchyNode[];
+}
+
 interface ClusterData {
   relational_clusters?: BaseCluster[];
   semantic_clusters?: BaseCluster[];
   distance_clusters?: BaseCluster[];
+  group_clusters?: BaseCluster[];
+  hierarchy?: ClusterHierarchy;
   [key: string]: unknown;
 }
 
@@ -83,14 +113,15 @@ const hash = (value: string) => crypto.createHash("sha256").update(value, "utf8"
  * Infers cluster type from its ID prefix
  *
  * @param cluster - Cluster object
- * @returns Cluster type (relational, semantic, or distance)
+ * @returns Cluster type (relational, semantic, distance, or group)
  *
- * Cluster IDs use prefixes: r_ (relational), s_ (semantic), d_ (distance)
+ * Cluster IDs use prefixes: r_ (relational), s_ (semantic), d_ (distance), g_ (group)
  */
 const inferKind = (cluster: BaseCluster): ClusterKind => {
   const id = cluster.id || cluster.cluster_id || "";
   if (id.startsWith("r_")) return "relational";
   if (id.startsWith("s_")) return "semantic";
+  if (id.startsWith("g_")) return "group";
   return "distance";
 };
 
@@ -109,6 +140,54 @@ const memberCount = (cluster: BaseCluster): number => {
   return 0;
 };
 
+/**
+ * Picks the hierarchy nodes to show within a budget
+ *
+ * @param hierarchy - Cluster tree returned by /api/clusters
+ * @param maxNodes - Maximum number of nodes to return
+ * @returns Nodes in tree order (each parent before its children), root excluded
+ *
+ * Whole levels are added top-down while they fit; if even the first level is too large,
+ * its largest clusters are kept.
+ */
+export const selectClusterGranularity = (
+  hierarchy: ClusterHierarchy | undefined,
+  maxNodes: number
+): ClusterHierarchyNode[] => {
+  const nodes = Array.isArray(hierarchy?.nodes) ? hierarchy.nodes : [];
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const root = byId.get(hierarchy?.root ?? "");
+  if (!root) return [];
+
+  let maxLevel = 0;
+  let count = 0;
+  for (let level = 1; level <= (hierarchy?.depth ?? 0); level++) {
+    const atLevel = nodes.filter((node) => node.level === level).length;
+    if (count + atLevel > maxNodes) break;
+    count += atLevel;
+    maxLevel = level;
+  }
+
+  const ordered: ClusterHierarchyNode[] = [];
+  const visit = (node: ClusterHierarchyNode) => {
+    for (const childId of node.child_ids) {
+      const child = byId.get(childId);
+      if (!child || child.level > maxLevel) continue;
+      ordered.push(child);
+      visit(child);
+    }
+  };
+  if (maxLevel > 0) {
+    visit(root);
+    return ordered;
+  }
+  return root.child_ids
+    .map((id) => byId.get(id))
+    .filter((node): node is ClusterHierarchyNode => Boolean(node))
+    .sort((a, b) => b.member_count - a.member_count)
+    .slice(0, maxNodes);
+};
+
 /**
  * Backend Cluster Service
  *
@@ -165,8 +244,9 @@ export class BackendClusterService {
    * @param onEvent - Optional status callback
    * @returns Cluster data with description fields populated
    *
-   * Uses caching to avoid regenerating descriptions.
-   * Creates descriptions from element text content and metadata.
+   * Clusters the SDK summarized get their title, description and key entities as one line.
+   * The rest get a description built from their type, name, keywords and first member texts, cached
+   * in memory; existing descriptions are kept.
    */
   async generateClusterDescriptions(clusterData: ClusterData, onEvent?: (status: string) => void) {
     const relational = Array.isArray(clusterData?.relational_clusters)
@@ -178,14 +258,21 @@ export class BackendClusterService {
     const distance = Array.isArray(clusterData?.distance_clusters)
       ? clusterData.distance_clusters
       : [];
-    const total = relational.length + semantic.length + distance.length;
+    const group = Array.isArray(clusterData?.group_clusters) ? clusterData.group_clusters : [];
+    const total = relational.length + semantic.length + distance.length + group.length;
     if (total === 0) return clusterData;
 
     const describe = (cluster: BaseCluster) => {
       const type = inferKind(cluster);
       const count = memberCount(cluster);
       const signature = hash(
-        JSON.stringify({ type, count, text: cluster.all_text_content || cluster.members })
+        JSON.stringify({
+          type,
+          count,
+          name: cluster.name,
+          keywords: cluster.keywords,
+          text: cluster.all_text_content || cluster.members,
+        })
       );
       const cached = getCache(signature);
       if (cached) return cached.desc;
@@ -196,7 +283,9 @@ export class BackendClusterService {
       } else if (Array.isArray(cluster.members)) {
         const snippets: string[] = [];
         for (const member of cluster.members) {
-          const snippet = typeof member?.text === "string" ? member.text.trim() : "";
+          // Images and sketches have no text but carry a descriptive label
+          const raw = member?.text || member?.label;
+          const snippet = typeof raw === "string" ? raw.trim() : "";
           if (snippet) snippets.push(snippet.slice(0, MAX_MEMBER_PREVIEW));
           if (snippets.length >= MAX_PREVIEW_MEMBERS) break;
         }
@@ -204,15 +293,31 @@ export class BackendClusterService {
       }
 
       let desc = `${type} cluster`;
+      if (cluster.name) desc += ` "${cluster.name}"`;
       if (count > 1) desc += ` (${count} elements)`;
+      const keywords = (cluster.keywords || []).filter(Boolean);
+      if (keywords.length) desc += ` about ${keywords.join(", ")}`;
       if (text) desc += `: ${text}${text.length >= MAX_TEXT_PREVIEW ? "..." : ""}`;
       setCache(signature, { desc, ts: Date.now() });
       return desc;
     };
 
+    // "Title: description Key entities: a, b." Composed once, so repeated calls leave it as is
+    const summarize = (cluster: BaseCluster) => {
+      const title = String(cluster.title).trim();
+      const current = cluster.description?.trim() || "";
+      if (current.startsWith(`${title}:`)) return current;
+      let desc = current ? `${title}: ${current}` : title;
+      const entities = (cluster.key_entities || []).filter(Boolean);
+      if (entities.length) desc += ` Key entities: ${entities.join(", ")}.`;
+      return desc;
+    };
+
     const fillDescriptions = (clusters: BaseCluster[]) => {
       for (const cluster of clusters) {
-        if (!cluster.description) {
+        if (cluster.title?.trim()) {
+          cluster.description = summarize(cluster);
+        } else if (!cluster.description) {
           cluster.description = describe(cluster);
         }
       }
@@ -222,11 +327,12 @@ export class BackendClusterService {
       fillDescriptions(relational);
       fillDescriptions(semantic);
       fillDescriptions(distance);
+      fillDescriptions(group);
       onEvent?.("Analyzing canvas content...");
       return clusterData;
     } catch (error) {
       console.error("[BackendClusterService] Description generation error", error);
-      [...relational, ...semantic, ...distance].forEach((cluster) => {
+      [...relational, ...semantic, ...distance, ...group].forEach((cluster) => {
         cluster.description = `Cluster with ${memberCount(cluster)} elements`;
       });
       return clusterData;
@@ -242,24 +348,51 @@ export class BackendClusterService {
    * Generates a text summary showing:
    * - Total element count
    * - Cluster counts by type
-   * - Individual cluster details with IDs, descriptions, and element types
+   * - Individual cluster details with IDs, descriptions, keywords, and element types
+   *
+   * Boards with more than `maxClusters` clusters are summarized from the cluster hierarchy,
+   * as deep as the budget allows, instead of listing every cluster.
    */
-  summarizeCluster(clusterData: ClusterData) {
+  summarizeCluster(
+    clusterData: ClusterData,
+    { maxClusters = MAX_SUMMARY_CLUSTERS }: { maxClusters?: number } = {}
+  ) {
     try {
       const sections: string[] = [];
       const allClusters = [
         ...(clusterData?.relational_clusters || []),
         ...(clusterData?.semantic_clusters || []),
         ...(clusterData?.distance_clusters || []),
+        ...(clusterData?.group_clusters || []),
       ];
       const totalElements = allClusters.reduce((sum, cluster) => sum + memberCount(cluster), 0);
       sections.push("CANVAS OVERVIEW:");
       sections.push(`Total Elements: ${totalElements}`);
       sections.push(
-        `Total Clusters: ${allClusters.length} (${clusterData?.relational_clusters?.length || 0} relational, ${clusterData?.semantic_clusters?.length || 0} semantic, ${clusterData?.distance_clusters?.length || 0} spatial)`
+        `Total Clusters: ${allClusters.length} (${clusterData?.relational_clusters?.length || 0} relational, ${clusterData?.semantic_clusters?.length || 0} semantic, ${clusterData?.distance_clusters?.length || 0} spatial, ${clusterData?.group_clusters?.length || 0} group)`
       );
       sections.push("");
 
+      if (allClusters.length > maxClusters && clusterData.hierarchy) {
+        const byId = new Map(
+          allClusters.map((cluster) => [cluster.id || cluster.cluster_id || "", cluster])
+        );
+        const selected = selectClusterGranularity(clusterData.hierarchy, maxClusters);
+        sections.push(`CLUSTER HIERARCHY (${selected.length} of ${allClusters.length} shown):`);
+        selected.forEach((node) => {
+          const indent = "  ".repeat(node.level);
+          const label = node.label ? ` "${node.label}"` : "";
+          sections.push(
+            `${indent}- ID: ${node.id} [${node.type}]${label} (${node.member_count} elements)`
+          );
+          const description = byId.get(node.id)?.description;
+          if (description) sections.push(`${indent}  Description: ${description}`);
+          const keywords = byId.get(node.id)?.keywords;
+          if (keywords?.length) sections.push(`${indent}  Keywords: ${keywords.join(", ")}`);
+        });
+        return sections.join("\n");
+      }
+
       const renderClusterSection = (label: string, clusters: BaseCluster[]) => {
         if (!clusters.length) return;
         sections.push(`${label.toUpperCase()} (${clusters.length}):`);
@@ -267,6 +400,9 @@ export class BackendClusterService {
           const id = cluster.id || cluster.cluster_id || `cluster_${index + 1}`;
           sections.push(`  ${index + 1}. ID: ${id} (${memberCount(cluster)} elements)`);
           if (cluster.description) sections.push(`     Description: ${cluster.description}`);
+          if (cluster.keywords?.length) {
+            sections.push(`     Keywords: ${cluster.keywords.join(", ")}`);
+          }
           const counts = cluster.element_type_counts;
           if (counts && Object.keys(counts).length > 0) {
             const detail = Object.entries(counts)
@@ -282,6 +418,7 @@ export class BackendClusterService {
       renderClusterSection("Relational clusters", clusterData.relational_clusters || []);
       renderClusterSection("Semantic clusters", clusterData.semantic_clusters || []);
       renderClusterSection("Distance clusters", clusterData.distance_clusters || []);
+      renderClusterSection("Group clusters", clusterData.group_clusters || []);
 
       return sections.join("\n");
     } catch (error) {
@@ -613,6 +613,22 @@ const server = http.createServer(async (req, res) => {
         }
       };
 
+      // Highlights also go to the board's change feed so every viewer sees them, not just the asker
+      const relayHighlight = (data) => {
+        if (!boardId) return;
+        const helixBaseUrl = process.env.HELIX_RAG_URL || "http://localhost:3001";
+        const helixHeaders = {
+          "Content-Type": "application/json",
+          Origin: process.env.HELIX_INTERNAL_ORIGIN,
+        };
+        if (req.headers.authorization) helixHeaders.Authorization = req.headers.authorization;
+        fetch(`${helixBaseUrl}/api/canvas/highlight`, {
+          method: "POST",
+          headers: helixHeaders,
+          body: JSON.stringify({ boardId, ...data }),
+        }).catch((e) => debug(`Highlight relay failed: ${e?.message || e}`));
+      };
+
       try {
         await engine.pipeline({
           userMessage,
@@ -621,7 +637,10 @@ const server = http.createServer(async (req, res) => {
           userSelectedContext: userSelectedContext || null,
           onEvent: (s) => emit("status", { message: s }),
           onText: (t) => emit("text", { text: t }),
-          emitControl: (name, payload) => emit(name, payload || {}),
+          emitControl: (name, payload) => {
+            emit(name, payload || {});
+            if (name === "highlight") relayHighlight(payload || {});
+          },
         });
       } catch (e) {
         emit("error", { message: String(e?.message || e) });
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { parseXml, findXmlNodes } from "../sdk/lib/importers/shared.js";
+import { arrow, box, createTestSdk } from "./helpers/runtime.mjs";
+
+const BOARD_ID = "board-export-board";
+
+const sdk = createTestSdk();
+
+const ELEMENTS = [
+  { id: "frame-api", type: "frame", name: "API", x: 0, y: 0, width: 500, height: 200 },
+  box("auth", 20, 40, { frameId: "frame-api", text: 'Auth "v2"' }),
+  box("users", 300, 40, { frameId: "frame-api", text: "Users" }),
+  box("billing", 0, 900, { type: "ellipse", text: "Billing" }),
+  box("ledger", 400, 900, { type: "diamond", text: "Ledger" }),
+  arrow("a1", "auth", "users", { text: "checks" }),
+  arrow("a2", "billing", "ledger"),
+];
+
+async function checkExports() {
+  await sdk.syncCanvas({ boardId: BOARD_ID, elements: ELEMENTS, opts: { fullSnapshot: true } });
+
+  const mermaid = await sdk.exportBoard({
+    boardId: BOARD_ID,
+    format: "mermaid",
+    clusters: "relational",
+    direction: "TB",
+  });
+  assert.equal(mermaid.format, "mermaid");
+  assert.deepEqual(mermaid.stats, { nodes: 5, edges: 4, clusters: 2 });
+  const lines = mermaid.content.split("\n").map((line) => line.trim());
+  assert.equal(lines[0], "flowchart TB");
+  assert.ok(lines.some((line) => /^subgraph r_\d+ \["r_\d+"\]$/.test(line)));
+  assert.ok(lines.includes('n2["Auth #quot;v2#quot;"]'), "quotes are escaped");
+  assert.ok(lines.includes('n4(["Billing"])'));
+  assert.ok(lines.includes('n5{"Ledger"}'));
+  assert.ok(lines.includes('n2 -->|"checks"| n3'), "arrow text labels the edge");
+  assert.ok(lines.includes('n1 -.->|"CONTAINS"| n2'), "frame membership is exported");
+
+  const dot = await sdk.exportBoard({ boardId: BOARD_ID, format: "graphviz", clusters: "group" });
+  assert.equal(dot.format, "dot");
+  assert.match(dot.content, /^digraph "board-export-board" \{/);
+  assert.match(dot.content, /subgraph "cluster_g_1" \{\n {4}label="API";/);
+  assert.match(dot.content, /"auth" \[label="Auth \\"v2\\""\];/);
+  assert.match(dot.content, /"billing" -> "ledger";/);
+  assert.match(dot.content, /"frame-api" -> "auth" \[label="CONTAINS", style=dashed\];/);
+
+  const graphml = await sdk.exportBoard({
+    boardId: BOARD_ID,
+    format: "graphml",
+    clusters: "relational",
+    edgeTypes: ["FLOWS_TO"],
+  });
+  assert.equal(graphml.contentType, "application/graphml+xml");
+  const doc = parseXml(graphml.content);
+  const nodes = findXmlNodes(doc, "node");
+  const edges = findXmlNodes(doc, "edge");
+  assert.equal(nodes.length, 5);
+  assert.equal(edges.length, 2, "edgeTypes filters derived edges");
+  const auth = nodes.find((n) => n.attrs.id === "auth");
+  const field = (node, key) => node.children.find((c) => c.attrs.key === key)?.text;
+  assert.equal(field(auth, "label"), 'Auth "v2"');
+  assert.equal(field(auth, "frame_id"), "frame-api");
+  assert.match(field(auth, "cluster"), /^r_\d+$/);
+
+  const all = await sdk.exportBoard({ boardId: BOARD_ID, format: "dot", edgeTypes: "all" });
+  assert.match(all.content, /label="NEAR", style=dashed/, "spatial edges are opt-in");
+  assert.equal(all.stats.clusters, 0);
+
+  await assert.rejects(
+    sdk.exportBoard({ boardId: BOARD_ID, format: "svg" }),
+    (err) => err.status === 400 && err.message === "Unsupported export format"
+  );
+  await assert.rejects(
+    sdk.exportBoard({ boardId: BOARD_ID, clusters: "k-means" }),
+    (err) => err.status === 400 && err.message === "Unsupported cluster type"
+  );
+}
+
+await checkExports();
+
+console.log("✅ Boards export to Mermaid, GraphML and DOT with cluster subgraphs");
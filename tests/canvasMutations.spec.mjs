@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../sdk/lib/storage/index.js";
+import { applyMutations } from "../sdk/lib/mutations.js";
+import { createTestSdk, runtimeDependencies } from "./helpers/runtime.mjs";
+
+const BOARD_ID = "canvas-mutations-board";
+
+const storage = createMemoryStorage();
+const sdk = createTestSdk({ storage });
+const { callHelix, boardCache } = runtimeDependencies;
+
+const byId = (elements) => new Map(elements.map((el) => [el.id, el]));
+
+const helixElements = async () => {
+  const { elements } = await callHelix("getBoardElements", { boardExtId: BOARD_ID });
+  return new Map(elements.map((el) => [el.externalId, el]));
+};
+
+function checkOperationRules() {
+  let n = 0;
+  const newId = () => `id${++n}`;
+  const { changed, created } = applyMutations(
+    new Map(),
+    [
+      { op: "create", element: { id: "a", type: "rectangle", x: 0, y: 0, text: "A" } },
+      { op: "create", element: { id: "b", type: "ellipse", x: 400, y: 0 } },
+      { op: "connect", from: "a", to: "b" },
+    ],
+    { newId }
+  );
+  const els = byId(changed);
+  assert.deepEqual(created, ["a", "id1", "b", "id2"]);
+  const label = els.get("id1");
+  assert.equal(label.containerId, "a");
+  assert.equal(label.x + label.width / 2, 80, "label is centered in its container");
+  const arrow = els.get("id2");
+  assert.equal(arrow.startBinding.elementId, "a");
+  assert.equal(arrow.endBinding.elementId, "b");
+  assert.deepEqual([arrow.x, arrow.y], [160, 40], "arrow starts on the source's edge");
+  assert.deepEqual(arrow.points[1], [240, 0]);
+  assert.deepEqual(
+    els.get("a").boundElements.map((b) => b.id),
+    ["id1", "id2"]
+  );
+  assert.ok(changed.every((el) => el.version === 1));
+
+  assert.throws(
+    () => applyMutations(els, [{ op: "move", id: "a", dx: 1 }, { op: "explode" }]),
+    (err) => err.status === 400 && err.details.index === 1
+  );
+  assert.throws(
+    () => applyMutations(els, [{ op: "connect", from: "a", to: "missing" }]),
+    (err) => err.status === 400 && /Unknown element "missing"/.test(err.message)
+  );
+}
+
+async function checkMutationEndpoint() {
+  const first = await sdk.mutateCanvas({
+    boardId: BOARD_ID,
+    operations: [
+      { op: "create", element: { id: "api", type: "rectangle", x: 0, y: 0, text: "API" } },
+      { op: "create", element: { id: "db", type: "rectangle", x: 0, y: 300, text: "DB" } },
+      { op: "connect", id: "link", from: "api", to: "db", label: "reads" },
+    ],
+  });
+  assert.equal(first.success, true);
+  assert.equal(first.patch.baseRevision, 0);
+  assert.equal(first.patch.revision, first.revision);
+  assert.deepEqual(first.patch.deleted, []);
+  const link = byId(first.elements).get("link");
+  assert.equal(link.type, "arrow");
+  assert.equal(link.endArrowhead, "arrow", "elements carry full Excalidraw defaults");
+  assert.ok(Number.isFinite(link.seed));
+
+  const cached = boardCache.get(BOARD_ID);
+  assert.equal(cached.get("link").startBindingId, "api");
+  assert.equal(cached.get("link").endBindingId, "db");
+  const helix = await helixElements();
+  assert.ok(helix.has("api") && helix.has("db") && helix.has("link"));
+
+  const moved = await sdk.mutateCanvas({
+    boardId: BOARD_ID,
+    baseRevision: first.revision,
+    operations: [{ op: "move", id: "db", dx: 200, dy: 0 }],
+  });
+  const movedEls = byId(moved.elements);
+  assert.equal(movedEls.get("db").x, 200);
+  assert.ok(movedEls.has("link"), "bound arrows are re-routed");
+  assert.equal(movedEls.get("link").version, link.version + 1);
+  assert.ok(movedEls.get("link").points.at(-1)[0] > 0);
+  assert.equal(cached.get("db").x, 200);
+
+  const stale = sdk.mutateCanvas({
+    boardId: BOARD_ID,
+    baseRevision: first.revision,
+    operations: [{ op: "move", id: "db", dx: 10 }],
+  });
+  await assert.rejects(stale, (err) => err.status === 409);
+
+  const grouped = await sdk.mutateCanvas({
+    boardId: BOARD_ID,
+    operations: [{ op: "group", ids: ["api", "db"], groupId: "g1" }],
+  });
+  assert.equal(grouped.results[0].groupId, "g1");
+  assert.deepEqual(cached.get("api").groupIds, ["g1"]);
+
+  const removed = await sdk.mutateCanvas({
+    boardId: BOARD_ID,
+    operations: [{ op: "delete", id: "db" }],
+  });
+  assert.ok(removed.patch.deleted.includes("db"));
+  assert.equal(cached.has("db"), false);
+  assert.equal(cached.get("link").endBindingId, "", "connector is unbound, not deleted");
+  assert.equal((await helixElements()).has("db"), false);
+
+  const { excalidrawData } = await storage.getBoard(BOARD_ID);
+  const persisted = byId(excalidrawData.elements);
+  assert.equal(persisted.has("db"), false);
+  assert.deepEqual(persisted.get("link"), byId(removed.patch.changed).get("link"));
+  assert.equal(persisted.get("api").groupIds[0], "g1");
+
+  await assert.rejects(
+    sdk.mutateCanvas({ boardId: BOARD_ID, operations: [{ op: "update", id: "nope" }] }),
+    (err) => err.status === 400 && err.message === "Invalid mutation" && err.details.index === 0
+  );
+}
+
+async function checkMcpRoutes() {
+  const created = await sdk.callMcp("create-element", {
+    boardId: BOARD_ID,
+    elementType: "diamond",
+    x: 600,
+    y: 0,
+    text: "Cache",
+    strokeColor: "#e03131",
+  });
+  assert.equal(created.element.type, "diamond");
+  assert.equal(created.element.strokeColor, "#e03131");
+  const connected = await sdk.callMcp("connect-elements", {
+    boardId: BOARD_ID,
+    fromId: "api",
+    toId: created.element.id,
+  });
+  assert.equal(connected.arrow.endBinding.elementId, created.element.id);
+  assert.equal(boardCache.get(BOARD_ID).get(connected.arrow.id).endBindingId, created.element.id);
+}
+
+checkOperationRules();
+await checkMutationEndpoint();
+await checkMcpRoutes();
+
+console.log("✅ Canvas mutations update Helix, the cache and the persisted Excalidraw scene");
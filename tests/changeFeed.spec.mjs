@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import {
+  createHelixRagSDK,
+  startHelixFacadeServer,
+  stopHelixFacadeServer,
+} from "../sdk/core/index.js";
+import {
+  clusterAssignmentsOf,
+  createChangeFeed,
+  diffClusterAssignments,
+} from "../sdk/lib/changeFeed.js";
+import { box, createTestRuntime } from "./helpers/runtime.mjs";
+
+const BOARD_ID = "change-feed-board";
+
+const runtime = createTestRuntime();
+const sdk = createHelixRagSDK({ runtime });
+
+function checkFeedReplay() {
+  const feed = createChangeFeed({ backlog: 2 });
+  const seen = [];
+  const stop = feed.subscribe("b", (event) => seen.push(event));
+  feed.publish("b", "elements", { n: 1 });
+  feed.publish("other", "elements", { n: 0 });
+  feed.publish("b", "highlight", { n: 2 });
+  feed.publish("b", "elements", { n: 3 });
+  stop();
+  feed.publish("b", "elements", { n: 4 });
+  assert.deepEqual(
+    seen.map((e) => [e.id, e.type, e.data.n]),
+    [
+      [1, "elements", 1],
+      [2, "highlight", 2],
+      [3, "elements", 3],
+    ]
+  );
+  assert.equal(feed.subscriberCount("b"), 0);
+
+  const replayed = [];
+  feed.subscribe("b", (event) => replayed.push(event.id), { since: 2 });
+  assert.deepEqual(replayed, [3, 4], "missed events are replayed");
+
+  const late = [];
+  feed.subscribe("b", (event) => late.push(event.type), { since: 0 });
+  assert.deepEqual(late, ["resync"], "gaps older than the backlog ask for a resync");
+}
+
+function checkAssignmentDiff() {
+  const before = clusterAssignmentsOf({
+    relational_clusters: [{ id: "r_1", member_ids: ["a", "b"] }],
+    group_clusters: [{ id: "g_1", member_ids: ["a"] }],
+  });
+  const after = clusterAssignmentsOf({
+    relational_clusters: [
+      { id: "r_1", member_ids: ["a"] },
+      { id: "r_2", member_ids: ["c"] },
+    ],
+    group_clusters: [{ id: "g_1", member_ids: ["a"] }],
+  });
+  assert.deepEqual(before.get("a"), {
+    semantic: null,
+    distance: null,
+    relational: "r_1",
+    group: "g_1",
+  });
+  const { changed, removed } = diffClusterAssignments(before, after);
+  assert.deepEqual(changed, [
+    { id: "c", semantic: null, distance: null, relational: "r_2", group: null },
+  ]);
+  assert.deepEqual(removed, ["b"]);
+}
+
+async function checkSdkEvents() {
+  const events = [];
+  const stop = sdk.subscribeBoard(BOARD_ID, (event) => events.push(event));
+
+  await sdk.syncCanvas({
+    boardId: BOARD_ID,
+    elements: [box("a", 0, 0), box("b", 160, 0)],
+    opts: { fullSnapshot: true },
+  });
+  const full = events.find((e) => e.type === "elements");
+  assert.equal(full.data.full, true);
+  assert.deepEqual(full.data.changed.map((el) => el.id).sort(), ["a", "b"]);
+
+  const { revision } = await sdk.mutateCanvas({
+    boardId: BOARD_ID,
+    operations: [
+      { op: "connect", id: "ab", from: "a", to: "b" },
+      { op: "delete", id: "b" },
+    ],
+  });
+  const mutation = events.at(-1);
+  assert.equal(mutation.type, "elements");
+  assert.equal(mutation.data.revision, revision);
+  assert.deepEqual(mutation.data.deleted, ["b"]);
+  assert.equal(mutation.data.changed.find((el) => el.id === "ab").type, "arrow");
+
+  await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+  const clusters = events.filter((e) => e.type === "clusters");
+  assert.equal(clusters.length, 1, "first analysis publishes every assignment");
+  assert.ok(clusters[0].data.changed.some((entry) => entry.id === "a"));
+  await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+  assert.equal(events.filter((e) => e.type === "clusters").length, 1, "unchanged runs are quiet");
+
+  const highlighted = await sdk.publishHighlight({
+    boardId: BOARD_ID,
+    elementIds: ["a"],
+    options: { color: "#ff6b35" },
+  });
+  assert.equal(highlighted.subscribers, 1);
+  assert.deepEqual(events.at(-1).data.elementIds, ["a"]);
+  stop();
+
+  await assert.rejects(
+    sdk.publishHighlight({ boardId: BOARD_ID }),
+    (err) => err.status === 400 && err.message === "Missing elementIds"
+  );
+}
+
+// Reads SSE frames until `count` events have arrived
+const readEvents = async (response, count) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const frames = [];
+  let buffer = "";
+  while (frames.length < count) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let cut;
+    while ((cut = buffer.indexOf("\n\n")) >= 0) {
+      const raw = buffer.slice(0, cut);
+      buffer = buffer.slice(cut + 2);
+      const frame = {};
+      for (const line of raw.split("\n")) {
+        const [field, ...rest] = line.split(": ");
+        if (field) frame[field] = rest.join(": ");
+      }
+      if (frame.event) frames.push({ ...frame, data: JSON.parse(frame.data) });
+    }
+  }
+  return frames;
+};
+
+async function checkEventStream() {
+  const { port } = await startHelixFacadeServer({ runtime });
+  const controller = new AbortController();
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    const missing = await fetch(`${base}/api/canvas/events`);
+    assert.equal(missing.status, 400);
+
+    const since = runtime.changeFeed.lastEventId(BOARD_ID);
+    const stream = await fetch(`${base}/api/canvas/events?boardId=${BOARD_ID}`, {
+      headers: { "Last-Event-ID": String(since - 1) },
+      signal: controller.signal,
+    });
+    assert.equal(stream.headers.get("content-type"), "text/event-stream");
+    const pending = readEvents(stream, 3);
+    await fetch(`${base}/api/canvas/highlight`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ boardId: BOARD_ID, elementIds: ["a"] }),
+    });
+    const [ready, replayed, live] = await pending;
+    assert.equal(ready.event, "ready");
+    assert.equal(ready.data.lastEventId, since);
+    assert.equal(Number(replayed.id), since, "the event after Last-Event-ID is replayed");
+    assert.equal(live.event, "highlight");
+    assert.equal(Number(live.id), since + 1);
+    assert.deepEqual(live.data.elementIds, ["a"]);
+    assert.equal(live.data.boardId, BOARD_ID);
+  } finally {
+    controller.abort();
+    await stopHelixFacadeServer();
+  }
+}
+
+checkFeedReplay();
+checkAssignmentDiff();
+await checkSdkEvents();
+await checkEventStream();
+
+console.log("✅ Board changes, cluster assignments and highlights stream to subscribers");
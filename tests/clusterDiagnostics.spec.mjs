@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import {
+  clusterCohesion,
+  createPhaseTimer,
+  silhouetteScores,
+} from "../sdk/lib/clusterDiagnostics.js";
+import {
+  arrow,
+  asUser,
+  box,
+  createFixedEmbeddingProvider,
+  createTestSdk,
+  label,
+} from "./helpers/runtime.mjs";
+
+function checkMetrics() {
+  let clock = 0;
+  const timer = createPhaseTimer(() => clock);
+  clock = 5;
+  timer.lap("fetch");
+  clock = 12.5;
+  timer.lap("semantic");
+  assert.deepEqual(timer.timings(), { fetch: 5, semantic: 7.5, total: 12.5 });
+
+  // Points on a line: two tight groups far apart score close to 1, a straddling point lowers it
+  const position = { a: 0, b: 1, c: 10, d: 11, e: 5 };
+  const distance = (x, y) => Math.abs(position[x] - position[y]);
+  const separated = silhouetteScores(
+    [
+      ["a", "b"],
+      ["c", "d"],
+    ],
+    distance
+  );
+  assert.equal(separated.score, 0.9);
+  assert.deepEqual(separated.clusters, [0.9, 0.9]);
+  const straddling = silhouetteScores(
+    [
+      ["a", "b", "e"],
+      ["c", "d"],
+    ],
+    distance
+  );
+  assert.ok(straddling.score < separated.score);
+  assert.equal(silhouetteScores([["a", "b"]], distance).score, null, "one cluster has no score");
+  assert.equal(silhouetteScores([["a"], ["c"]], distance, { maxMembers: 1 }).score, null);
+
+  const cohesion = clusterCohesion(["a", "b", "c"], {
+    vectors: new Map([
+      ["a", [1, 0]],
+      ["b", [0, 1]],
+    ]),
+    elements: new Map([
+      ["a", { x: 0, y: 0, w: 0, h: 0 }],
+      ["b", { x: 6, y: 0, w: 0, h: 0 }],
+      ["c", { x: 0, y: 8, w: 0, h: 0 }],
+    ]),
+  });
+  assert.equal(cohesion.mean_similarity, 0, "only members with text are compared");
+  assert.equal(cohesion.spatial_spread, 4.6);
+}
+
+const BOARD_ID = "cluster-diagnostics-board";
+const VECTORS = {
+  Login: [1, 0, 0],
+  Intake: [0, 1, 0],
+  Archive: [0, 0, 1],
+};
+
+async function checkRoute() {
+  const sdk = createTestSdk({ embeddingProvider: createFixedEmbeddingProvider(VECTORS) });
+  await sdk.syncCanvas(
+    {
+      boardId: BOARD_ID,
+      elements: [
+        label("a", "Login", 0),
+        label("b", "Login", 100),
+        label("c", "Intake", 3000),
+        label("d", "Intake", 3100),
+        label("z", "Archive", 6000),
+        box("box", 9000, 0, { width: 80 }),
+        arrow("link", "a", "box", { x: 9000, y: 500 }),
+      ],
+    },
+    asUser()
+  );
+
+  const plain = await sdk.refreshClusters({ boardId: BOARD_ID });
+  assert.equal(plain.diagnostics, undefined, "diagnostics are opt-in");
+
+  const { diagnostics } = await sdk.refreshClusters({ boardId: BOARD_ID, diagnostics: true });
+  assert.equal(diagnostics.cached, true);
+  assert.deepEqual(diagnostics.embedding, {
+    provider: "fixed",
+    model: "fixed:fixed-3",
+    dimensions: 3,
+    texts: 5,
+    reused: 0,
+    stored: 0,
+    cached: 0,
+    embedded: 5,
+  });
+  for (const phase of ["fetch", "embeddings", "semantic", "distance", "relational", "total"]) {
+    assert.equal(typeof diagnostics.timings_ms[phase], "number", phase);
+  }
+  assert.deepEqual(diagnostics.excluded.map(({ id, reason }) => `${id}:${reason}`).sort(), [
+    "box:no_text",
+    "link:connector",
+    "z:unclustered",
+  ]);
+  assert.deepEqual(diagnostics.excluded_counts, { no_text: 1, connector: 1, unclustered: 1 });
+  assert.equal(diagnostics.element_type_counts.text, 5);
+
+  // Identical texts side by side: fully cohesive and well separated from the other clusters
+  assert.deepEqual(
+    diagnostics.clusters.semantic.map((c) => [c.member_count, c.mean_similarity, c.silhouette]),
+    [
+      [2, 1, 1],
+      [2, 1, 1],
+    ]
+  );
+  assert.equal(diagnostics.silhouette.semantic, 1);
+  assert.deepEqual(
+    diagnostics.clusters.distance.map((c) => c.spatial_spread),
+    [50, 50]
+  );
+  assert.ok(diagnostics.silhouette.distance > 0.9);
+  assert.equal(diagnostics.clusters.relational[0].silhouette, null);
+
+  const fresh = await sdk.refreshClusters({
+    boardId: BOARD_ID,
+    forceRecompute: true,
+    diagnostics: true,
+  });
+  assert.equal(fresh.diagnostics.cached, false);
+  assert.equal(fresh.diagnostics.embedding.stored, 5, "stored vectors are reused");
+}
+
+checkMetrics();
+await checkRoute();
+
+console.log("✅ Cluster diagnostics report cohesion, silhouettes, exclusions and timings");
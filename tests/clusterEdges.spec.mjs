@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import {
+  arrow,
+  asUser,
+  box,
+  createTestSdk,
+  label,
+  runtimeDependencies,
+} from "./helpers/runtime.mjs";
+
+const BOARD_ID = "cluster-edges-board";
+
+const sdk = createTestSdk();
+const { callHelix } = runtimeDependencies;
+
+// `a` and `b` share their text but sit far apart; `c` is next to `a`; `d` is alone
+const scene = [
+  label("a", "Payment gateway", 0, 0),
+  label("b", "Payment gateway", 2000, 0),
+  label("c", "Ledger", 150, 0),
+  label("d", "Audit log", 4000, 4000),
+];
+
+const storedRelations = () => callHelix("getBoardRelations", { boardExtId: BOARD_ID });
+
+const pairs = (edges) => edges.map((e) => [e.sourceExternalId, e.targetExternalId].sort());
+
+async function checkPersistedEdges() {
+  await sdk.syncCanvas({ boardId: BOARD_ID, elements: scene }, asUser());
+  const clusters = await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+  assert.deepEqual(clusters.persisted_edges, { semantic: 1, spatial: 1, relational: 0 });
+
+  const { semantic, spatial } = await storedRelations();
+  assert.deepEqual(pairs(semantic), [["a", "b"]]);
+  assert.equal(semantic[0].relationship, "similar");
+  assert.ok(semantic[0].confidence > 0.99, "confidence is the cosine similarity");
+  assert.deepEqual(pairs(spatial), [["a", "c"]]);
+  assert.equal(spatial[0].distance, 150, "distance between centres in canvas units");
+  assert.ok(spatial[0].proximity > 0 && spatial[0].proximity < 1);
+  assert.equal(spatial[0].clustered, true, "both ends share a distance cluster");
+
+  const { els } = await callHelix("getBoardElements", { boardExtId: BOARD_ID });
+  const a = els.find((el) => el.externalId === "a");
+  const { outs, ins } = await callHelix("getSemanticallyRelatedNeighbors", { elementId: a.id });
+  assert.deepEqual(
+    [...outs, ...ins].map((el) => el.externalId),
+    ["b"]
+  );
+
+  // A new run replaces the previous edges instead of adding to them
+  await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+  const again = await storedRelations();
+  assert.equal(again.semantic.length, 1);
+  assert.equal(again.spatial.length, 1);
+}
+
+async function checkMcpTraversal() {
+  const { connection_id } = await sdk.callMcp("init", {}, asUser());
+  const { count } = await sdk.callMcp(
+    "e_from_type",
+    { connection_id, data: { boardId: BOARD_ID, edge_type: "semantically_related" } },
+    asUser()
+  );
+  assert.equal(count, 1);
+  const [edge] = await sdk.callMcp("collect", { connection_id }, asUser());
+  assert.deepEqual([edge.from, edge.to].sort(), ["a", "b"]);
+  assert.ok(edge.confidence > 0.99);
+
+  const traversal = await sdk.callMcp(
+    "multi_hop_traversal",
+    {
+      connection_id,
+      data: { boardId: BOARD_ID, start_ids: ["a"], edge_types: ["SPATIALLY_ALIGNED"] },
+    },
+    asUser()
+  );
+  assert.deepEqual(traversal.traversal.nodes.sort(), ["a", "c"]);
+}
+
+// Arrow edges are written one at a time; only the writes that succeed are counted
+async function checkRelationalWrites() {
+  const boardId = `${BOARD_ID}-arrows`;
+  const attempted = [];
+  const flaky = createTestSdk({
+    callHelix: async (query, params) => {
+      if (query === "addRelationalAlignment") {
+        attempted.push(params.via);
+        if (params.via === "q-r") throw new Error("write rejected");
+      }
+      return callHelix(query, params);
+    },
+  });
+  await flaky.syncCanvas(
+    {
+      boardId,
+      elements: [
+        box("p", 0, 0),
+        box("q", 300, 0),
+        box("r", 600, 0),
+        arrow("p-q", "p", "q"),
+        arrow("q-r", "q", "r"),
+      ],
+    },
+    asUser()
+  );
+  attempted.length = 0;
+  const clusters = await flaky.refreshClusters({ boardId, forceRecompute: true });
+  assert.deepEqual(attempted.sort(), ["p-q", "q-r"]);
+  assert.equal(clusters.persisted_edges.relational, 1);
+}
+
+await checkPersistedEdges();
+await checkMcpTraversal();
+await checkRelationalWrites();
+
+console.log("✅ Cluster analysis persists weighted semantic and spatial edges");
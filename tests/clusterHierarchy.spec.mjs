@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { splitCommunities } from "../sdk/lib/clusterHierarchy.js";
+import { arrow, asUser, box, createTestSdk } from "./helpers/runtime.mjs";
+
+const BOARD_ID = "cluster-hierarchy-board";
+
+const sdk = createTestSdk();
+
+const step = (id, x, y, extra = {}) => box(id, x, y, { text: `Step ${id}`, ...extra });
+
+// Connectors are laid out on their own row, spaced beyond the distance threshold
+let arrows = 0;
+const link = (from, to) => arrow(`${from}-${to}`, from, to, { x: 500 * arrows++, y: -3000 });
+
+// Two tightly knit rings of seven steps joined by a single arrow: one relational component
+// of fourteen, far enough apart that no distance clusters form
+const ring = (prefix, y) => {
+  const ids = Array.from({ length: 7 }, (_, i) => `${prefix}${i}`);
+  return [
+    ...ids.map((id, i) => step(id, i * 1000, y)),
+    ...ids.flatMap((id, i) => [link(id, ids[(i + 1) % 7]), link(id, ids[(i + 2) % 7])]),
+  ];
+};
+
+const scene = [
+  ...ring("p", 0),
+  ...ring("q", 3000),
+  link("p0", "q0"),
+  // A frame holding three adjacent boxes, which form a distance cluster with it, and one further away
+  { id: "checkout", type: "frame", name: "Checkout", x: 0, y: 6000, width: 3000, height: 400 },
+  step("f1", 0, 6000, { frameId: "checkout" }),
+  step("f2", 150, 6000, { frameId: "checkout" }),
+  step("f3", 300, 6000, { frameId: "checkout" }),
+  step("f4", 2500, 6000, { frameId: "checkout" }),
+];
+
+function checkSplit() {
+  const adjacency = new Map();
+  const link = (a, b) => {
+    for (const [x, y] of [
+      [a, b],
+      [b, a],
+    ]) {
+      if (!adjacency.has(x)) adjacency.set(x, new Set());
+      adjacency.get(x).add(y);
+    }
+  };
+  ["a", "b", "c"].forEach((x, i, all) => link(x, all[(i + 1) % 3]));
+  ["x", "y", "z"].forEach((x, i, all) => link(x, all[(i + 1) % 3]));
+  link("c", "x");
+  const ids = ["z", "y", "x", "c", "b", "a"];
+  assert.deepEqual(splitCommunities(ids, adjacency), [
+    ["a", "b", "c"],
+    ["x", "y", "z"],
+  ]);
+  assert.deepEqual(splitCommunities(ids, adjacency), splitCommunities(ids.reverse(), adjacency));
+}
+
+async function checkHierarchy() {
+  await sdk.syncCanvas({ boardId: BOARD_ID, elements: scene }, asUser());
+  const result = await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+  const { hierarchy } = result;
+  const node = (id) => hierarchy.nodes.find((n) => n.id === id);
+
+  const root = node("board");
+  assert.equal(hierarchy.root, "board");
+  assert.equal(root.level, 0);
+  assert.equal(root.member_count, result.total_elements);
+  assert.deepEqual(root.summary.clusters, {
+    semantic: 0,
+    distance: 1,
+    relational: 1,
+    group: 1,
+    subcluster: 2,
+  });
+
+  // The fourteen-step component splits along the single bridging arrow
+  assert.equal(result.relational_clusters[0].member_count, 14);
+  assert.deepEqual(node("r_1").child_ids, ["r_1.1", "r_1.2"]);
+  assert.deepEqual(node("r_1.1").member_ids, ["p0", "p1", "p2", "p3", "p4", "p5", "p6"]);
+  assert.deepEqual(node("r_1.2").member_ids, ["q0", "q1", "q2", "q3", "q4", "q5", "q6"]);
+  assert.equal(node("r_1.1").level, 2);
+
+  // Boxes close together inside the frame nest under it
+  assert.deepEqual(result.distance_clusters[0].member_ids.sort(), ["checkout", "f1", "f2", "f3"]);
+  assert.equal(node("d_1").parent_id, "g_1");
+  assert.equal(node("g_1").label, "Checkout");
+  assert.deepEqual(root.child_ids.sort(), ["g_1", "r_1"]);
+  assert.equal(hierarchy.depth, 2);
+
+  // Sub-cluster ids can be traversed like any other cluster
+  const traversed = await sdk.traverseCluster(
+    { boardId: BOARD_ID, cluster_id: "r_1.2", include_members: true },
+    asUser()
+  );
+  assert.equal(traversed.cluster_type, "relational");
+  assert.deepEqual(traversed.members.map((m) => m.externalId).sort(), node("r_1.2").member_ids);
+  assert.equal(traversed.connections.length, 14, "the bridge to the other ring is left out");
+}
+
+checkSplit();
+await checkHierarchy();
+
+console.log("✅ Clusters are nested into a board hierarchy with sub-clusters for large components");
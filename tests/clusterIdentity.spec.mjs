@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { matchClusterIds } from "../sdk/lib/clusterIdentity.js";
+import { asUser, createTestSdk, label } from "./helpers/runtime.mjs";
+
+function checkMatching() {
+  const previous = [
+    { id: "s_1", member_ids: ["a", "b", "c"] },
+    { id: "s_2", member_ids: ["d", "e"] },
+    { id: "s_4", member_ids: ["x", "y"] },
+  ];
+  // s_2 gained a member, s_1 lost one and moved to the end, s_4 disappeared, one cluster is new
+  const kept = matchClusterIds({
+    prefix: "s",
+    previous,
+    next: [
+      ["d", "e", "f"],
+      ["p", "q"],
+      ["a", "b"],
+    ],
+    counter: 5,
+  });
+  assert.deepEqual(kept.ids, ["s_2", "s_6", "s_1"], "new ids continue after the counter");
+  assert.equal(kept.counter, 6);
+  assert.deepEqual(kept.lineage, { created: ["s_6"], retired: ["s_4"], merged: [], split: [] });
+
+  const merged = matchClusterIds({
+    prefix: "s",
+    previous,
+    next: [["a", "b", "c", "d", "e"]],
+  });
+  assert.deepEqual(merged.ids, ["s_1"]);
+  assert.deepEqual(merged.lineage.merged, [{ id: "s_1", from: ["s_1", "s_2"] }]);
+  assert.deepEqual(merged.lineage.retired, ["s_2", "s_4"]);
+
+  const split = matchClusterIds({
+    prefix: "r",
+    previous: [{ id: "r_1", member_ids: ["a", "b", "c", "d"] }],
+    next: [
+      ["c", "d"],
+      ["a", "b"],
+    ],
+  });
+  assert.deepEqual(split.ids, ["r_1", "r_2"]);
+  assert.deepEqual(split.lineage.split, [{ id: "r_1", into: ["r_1", "r_2"] }]);
+
+  // A natural key keeps the id even when the members change completely
+  const keyed = matchClusterIds({
+    prefix: "g",
+    previous: [{ id: "g_3", member_ids: ["a", "b"], key: "frame:f1" }],
+    next: [["m", "n"]],
+    keys: ["frame:f1"],
+  });
+  assert.deepEqual(keyed.ids, ["g_3"]);
+}
+
+const BOARD_ID = "cluster-identity-board";
+const frame = (id, x) => ({ id, type: "frame", name: id, x, y: 3000, width: 400, height: 200 });
+
+async function checkRecomputes() {
+  const sdk = createTestSdk();
+  const analyse = async (elements) => {
+    await sdk.syncCanvas({ boardId: BOARD_ID, elements, opts: { fullSnapshot: true } }, asUser());
+    const result = await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+    const ids = (family) =>
+      Object.fromEntries(
+        result[`${family}_clusters`].map((c) => [c.id, [...c.member_ids].sort().join(",")])
+      );
+    return { result, semantic: ids("semantic"), group: ids("group") };
+  };
+
+  const ledger = [label("c", "Ledger", 2000), label("d", "Ledger", 3000)];
+  const audit = [label("e", "Audit log", 4000), label("f", "Audit log", 5000)];
+  const frames = [
+    frame("frame-a", 0),
+    label("fa", "Intake", 0, 3000, { frameId: "frame-a" }),
+    frame("frame-b", 2000),
+    label("fb", "Review", 2000, 3000, { frameId: "frame-b" }),
+  ];
+  const first = await analyse([
+    label("a", "Payment gateway", 0),
+    label("b", "Payment gateway", 1000),
+    ...ledger,
+    ...audit,
+    ...frames,
+  ]);
+  assert.deepEqual(first.semantic, { s_1: "a,b", s_2: "c,d", s_3: "e,f" });
+  assert.deepEqual(first.group, { g_1: "fa", g_2: "fb" });
+
+  // Dropping the first cluster and growing another keeps every surviving id
+  const second = await analyse([
+    ...ledger,
+    label("g", "Ledger", 6000),
+    ...audit,
+    label("h", "Invoice", 7000),
+    label("i", "Invoice", 8000),
+    ...frames.slice(2),
+  ]);
+  assert.deepEqual(second.semantic, { s_2: "c,d,g", s_3: "e,f", s_4: "h,i" });
+  assert.deepEqual(second.group, { g_2: "fb" });
+  assert.deepEqual(second.result.cluster_lineage.semantic, {
+    created: ["s_4"],
+    retired: ["s_1"],
+    merged: [],
+    split: [],
+  });
+  assert.deepEqual(second.result.cluster_lineage.group.retired, ["g_1"]);
+
+  // Elements and traversals follow the stable ids
+  const semantic = await sdk.traverseCluster({ boardId: BOARD_ID, cluster_id: "s_2" }, asUser());
+  assert.deepEqual(semantic.members.map((m) => m.externalId).sort(), ["c", "d", "g"]);
+  const group = await sdk.traverseCluster({ boardId: BOARD_ID, cluster_id: "g_2" }, asUser());
+  assert.equal(group.container_id, "frame-b");
+  assert.deepEqual(
+    group.members.map((m) => m.externalId),
+    ["fb"]
+  );
+}
+
+checkMatching();
+await checkRecomputes();
+
+console.log("✅ Cluster ids stay stable across recomputes and report merges and splits");
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { createKeywordIndex, tokenizeRuns } from "../sdk/lib/clusterKeywords.js";
+import { asUser, createFixedEmbeddingProvider, createTestSdk, label } from "./helpers/runtime.mjs";
+
+function checkExtraction() {
+  // Stop words, numbers and punctuation end a phrase
+  assert.deepEqual(
+    tokenizeRuns("Reset the password (step 2): send the reset-link e.g. by e-mail"),
+    [["reset"], ["password"], ["step"], ["send"], ["reset-link"], ["e-mail"]]
+  );
+  assert.deepEqual(tokenizeRuns("Don’t cache API Gateway responses"), [
+    ["don't", "cache", "api", "gateway", "responses"],
+  ]);
+
+  const login = ["Login form", "Forgot password", "Reset password link", "Login with SSO"];
+  const billing = ["Invoice list", "Payment form", "Refund invoice"];
+  const shared = ["Login form", "Payment form"];
+  const index = createKeywordIndex([login, billing, shared]);
+
+  // Phrases and terms other clusters lack rank first; "password" is already in a picked phrase,
+  // and "form" ranks last because the shared cluster has it too
+  assert.deepEqual(index.keywordsFor(login), [
+    "reset password link",
+    "forgot password",
+    "login",
+    "sso",
+    "form",
+  ]);
+  assert.deepEqual(index.keywordsFor(billing, 3), ["invoice", "payment form", "list"]);
+  assert.deepEqual(index.keywordsFor(["the and of", "42"]), [], "nothing to label");
+  assert.deepEqual(createKeywordIndex([]).keywordsFor(["Login form"]), ["login form"]);
+}
+
+const BOARD_ID = "cluster-keywords-board";
+const VECTORS = {
+  "Login form": [1, 0],
+  "Login with SSO": [1, 0],
+  "Invoice list": [0, 1],
+  "Refund invoice": [0, 1],
+  Billing: [-1, 0],
+};
+
+async function checkRoute() {
+  const sdk = createTestSdk({
+    embeddingProvider: createFixedEmbeddingProvider(VECTORS),
+    clusterSummarizer: null,
+  });
+  await sdk.syncCanvas(
+    {
+      boardId: BOARD_ID,
+      elements: [
+        label("a", "Login form", 0, 0),
+        label("b", "Login with SSO", 3000, 0),
+        label("c", "Invoice list", 0, 3000, { frameId: "frame" }),
+        label("d", "Refund invoice", 3000, 3000, { frameId: "frame" }),
+        { id: "frame", type: "frame", name: "Billing", x: -50, y: 2950, width: 3300, height: 200 },
+      ],
+    },
+    asUser()
+  );
+
+  const result = await sdk.refreshClusters({ boardId: BOARD_ID });
+  assert.deepEqual(result.semantic_clusters.map((c) => c.keywords).sort(), [
+    ["login", "form", "sso"],
+    ["refund invoice", "invoice list"],
+  ]);
+  assert.ok(
+    result.semantic_clusters.every((c) => c.title === undefined),
+    "no LLM configured"
+  );
+  assert.equal(result.group_clusters[0].name, "Billing");
+  assert.ok(
+    result.group_clusters.every((c) => c.keywords === undefined),
+    "groups keep their frame name"
+  );
+}
+
+checkExtraction();
+await checkRoute();
+
+console.log("✅ Clusters are labelled with TF-IDF keywords without an LLM");
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import {
+  DEFAULT_CLUSTER_OPTIONS,
+  parseClusterOptions,
+  resolveClusterOptions,
+} from "../sdk/lib/clusterOptions.js";
+import {
+  asUser,
+  box,
+  createFixedEmbeddingProvider,
+  createTestSdk,
+  label,
+} from "./helpers/runtime.mjs";
+
+function checkParsing() {
+  assert.deepEqual(parseClusterOptions(undefined), {});
+  assert.deepEqual(parseClusterOptions({ minClusterSize: 3 }), { minClusterSize: 3 });
+  assert.throws(
+    () => parseClusterOptions({ similarityThreshold: 1.5, clusterTypes: ["tags"], colour: 1 }),
+    (err) =>
+      err.status === 400 &&
+      err.code === "INVALID_CLUSTER_OPTIONS" &&
+      err.details.length === 3 &&
+      err.details.some((d) => d.startsWith("similarityThreshold:")) &&
+      err.details.some((d) => d.startsWith("clusterTypes.0:"))
+  );
+  assert.throws(() => parseClusterOptions({ minClusterSize: 1 }), /Invalid clustering options/);
+
+  // Requests override board defaults; equal settings resolve to the same value
+  assert.deepEqual(
+    resolveClusterOptions(
+      { spatialTolerance: 2, elementKinds: ["Text", "rectangle", "text"] },
+      { spatialTolerance: 0.5, clusterTypes: ["group", "semantic"] }
+    ),
+    {
+      ...DEFAULT_CLUSTER_OPTIONS,
+      spatialTolerance: 0.5,
+      clusterTypes: ["semantic", "group"],
+      elementKinds: ["rectangle", "text"],
+    }
+  );
+}
+
+const BOARD_ID = "cluster-options-board";
+// "Sign in" is 0.6 similar to "Login", below the default threshold
+const VECTORS = {
+  Login: [1, 0, 0, 0],
+  "Sign in": [0.6, 0.8, 0, 0],
+  Intake: [0, 0, 1, 0],
+  Review: [0, 0, 0, 1],
+};
+
+async function checkRoute() {
+  const sdk = createTestSdk({ embeddingProvider: createFixedEmbeddingProvider(VECTORS) });
+  await sdk.syncCanvas(
+    {
+      boardId: BOARD_ID,
+      elements: [
+        label("a", "Login", 0),
+        label("c", "Login", 1000),
+        label("b", "Sign in", 2000),
+        // 250px apart: 1.56 times their size, outside the default spatial tolerance
+        label("e", "Intake", 0, 2000),
+        label("f", "Review", 250, 2000),
+        box("r1", 5000, 5000, { width: 80 }),
+        box("r2", 5100, 5000, { width: 80 }),
+      ],
+    },
+    asUser()
+  );
+  const analyse = (options) => sdk.refreshClusters({ boardId: BOARD_ID, options });
+  const members = (result) =>
+    Object.fromEntries(
+      ["semantic", "distance", "relational", "group"].map((family) => [
+        family,
+        result[`${family}_clusters`].map((c) => [...c.member_ids].sort().join(",")).sort(),
+      ])
+    );
+
+  const defaults = await analyse();
+  assert.deepEqual(defaults.options, DEFAULT_CLUSTER_OPTIONS);
+  assert.deepEqual(members(defaults), {
+    semantic: ["a,c"],
+    distance: ["r1,r2"],
+    relational: [],
+    group: [],
+  });
+  assert.equal(await analyse(), defaults, "same options reuse the cached result");
+
+  const loose = await analyse({ similarityThreshold: 0.5, spatialTolerance: 2 });
+  assert.equal(loose.incremental, false);
+  assert.deepEqual(members(loose).semantic, ["a,b,c"]);
+  assert.deepEqual(members(loose).distance, ["e,f", "r1,r2"]);
+  assert.equal(loose.semantic_clusters[0].id, "s_1");
+
+  const large = await analyse({ similarityThreshold: 0.5, spatialTolerance: 2, minClusterSize: 3 });
+  assert.deepEqual(members(large), {
+    semantic: ["a,b,c"],
+    distance: [],
+    relational: [],
+    group: [],
+  });
+
+  // Skipped families come back empty and keep their ids for the next run that computes them
+  const distanceOnly = await analyse({ clusterTypes: ["distance"] });
+  assert.deepEqual(members(distanceOnly).semantic, []);
+  assert.deepEqual(distanceOnly.cluster_lineage.semantic.retired, []);
+  assert.equal((await analyse()).semantic_clusters[0].id, "s_1");
+
+  const boxes = await analyse({ elementKinds: ["Rectangle"] });
+  assert.equal(boxes.total_elements, 2);
+  assert.deepEqual(members(boxes), {
+    semantic: [],
+    distance: ["r1,r2"],
+    relational: [],
+    group: [],
+  });
+
+  // Board defaults apply to requests without options, and request options override them
+  const saved = await sdk.clusterOptions(
+    { boardId: BOARD_ID, options: { spatialTolerance: 2 } },
+    asUser()
+  );
+  assert.deepEqual(saved.defaults, { spatialTolerance: 2 });
+  assert.equal(saved.options.spatialTolerance, 2);
+  assert.deepEqual(
+    (await sdk.clusterOptions({ boardId: BOARD_ID }, asUser())).defaults,
+    saved.defaults
+  );
+  assert.deepEqual(members(await analyse()).distance, ["e,f", "r1,r2"]);
+  assert.deepEqual(members(await analyse({ spatialTolerance: 1 })).distance, ["r1,r2"]);
+  await sdk.clusterOptions({ boardId: BOARD_ID, options: null }, asUser());
+  assert.deepEqual((await analyse()).options, DEFAULT_CLUSTER_OPTIONS);
+
+  const rejected = (err) =>
+    err.status === 400 && err.details.some((d) => d.startsWith("similarityThreshold:"));
+  await assert.rejects(analyse({ similarityThreshold: 1.5 }), rejected);
+  await assert.rejects(
+    sdk.clusterOptions({ boardId: BOARD_ID, options: { similarityThreshold: "high" } }, asUser()),
+    rejected
+  );
+}
+
+checkParsing();
+await checkRoute();
+
+console.log("✅ Clustering options are validated, applied and saved per board");
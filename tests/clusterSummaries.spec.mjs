@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import {
+  clusterSummarySignature,
+  createResponsesSummarizer,
+  getClusterSummarizer,
+  summarizeClusters,
+} from "../sdk/lib/clusterSummaries.js";
+import { createMemoryStorage } from "../sdk/lib/storage/index.js";
+import { asUser, createFixedEmbeddingProvider, createTestSdk, label } from "./helpers/runtime.mjs";
+
+const cluster = (id, ...texts) => ({
+  id,
+  type: "semantic",
+  member_count: texts.length,
+  members: texts.map((text, i) => ({ id: `${id}-${i}`, kind: "text", text, label: text })),
+});
+
+async function checkResponsesSummarizer() {
+  assert.equal(getClusterSummarizer({}), null, "no key, no summarizer");
+  assert.equal(getClusterSummarizer({ OPENAI_API_KEY: "k", CLUSTER_SUMMARIES: "off" }), null);
+  assert.equal(getClusterSummarizer({ OPENAI_API_KEY: "k" }), null, "summaries are opt-in");
+  assert.equal(
+    getClusterSummarizer({ OPENAI_API_KEY: "k", CLUSTER_SUMMARIES: "on" }).id,
+    "api.openai.com:gpt-5-mini"
+  );
+
+  const requests = [];
+  const responses = [
+    { ok: false, status: 429, headers: new Headers() },
+    {
+      ok: true,
+      json: async () => ({
+        output: [
+          { type: "reasoning", summary: [] },
+          {
+            type: "message",
+            content: [
+              {
+                type: "output_text",
+                text: JSON.stringify({
+                  summaries: [
+                    {
+                      index: 1,
+                      title: "Checkout",
+                      description: "Paying for an order.",
+                      key_entities: ["Cart", "Payment", ""],
+                    },
+                    {
+                      index: 0,
+                      title: "Sign-in",
+                      description: "How users log in.",
+                      key_entities: [],
+                    },
+                  ],
+                }),
+              },
+            ],
+          },
+        ],
+      }),
+    },
+  ];
+  const summarizer = createResponsesSummarizer({
+    baseUrl: "http://localhost:8787/v1/",
+    model: "summary-model",
+    apiKey: "secret",
+    fetchImpl: async (url, init) => {
+      requests.push({ url, init });
+      return responses.shift();
+    },
+    wait: async () => {},
+  });
+  assert.equal(summarizer.id, "localhost:8787:summary-model");
+
+  const summaries = await summarizer.summarize([
+    cluster("s_1", "Login", "Sign in"),
+    cluster("s_2", "Cart", "Payment"),
+  ]);
+  assert.equal(requests.length, 2, "a rate-limited request is retried");
+  assert.equal(requests[0].url, "http://localhost:8787/v1/responses");
+  assert.equal(requests[0].init.headers.Authorization, "Bearer secret");
+  assert.ok(requests[0].init.signal instanceof AbortSignal, "requests carry a timeout signal");
+  const body = JSON.parse(requests[0].init.body);
+  assert.equal(body.model, "summary-model");
+  assert.equal(body.text.format.type, "json_schema");
+  assert.deepEqual(JSON.parse(body.input).groups[1].members, [
+    { kind: "text", text: "Cart" },
+    { kind: "text", text: "Payment" },
+  ]);
+  assert.deepEqual(summaries, [
+    { title: "Sign-in", description: "How users log in.", key_entities: [] },
+    { title: "Checkout", description: "Paying for an order.", key_entities: ["Cart", "Payment"] },
+  ]);
+
+  const failing = createResponsesSummarizer({
+    fetchImpl: async () => ({ ok: false, status: 400, headers: new Headers() }),
+    wait: async () => {},
+  });
+  await assert.rejects(failing.summarize([cluster("s_1", "Login")]), {
+    code: "SUMMARY_FAILED",
+    details: { summarizer: "api.openai.com:gpt-5-mini", upstreamStatus: 400 },
+  });
+
+  // A request that does not answer in time is aborted instead of waiting for the slow reply
+  const slow = createResponsesSummarizer({
+    timeoutMs: 10,
+    maxRetries: 0,
+    fetchImpl: (url, init) =>
+      new Promise((resolve, reject) => {
+        const reply = setTimeout(
+          () => resolve({ ok: false, status: 500, headers: new Headers() }),
+          1000
+        );
+        init.signal.addEventListener("abort", () => {
+          clearTimeout(reply);
+          reject(init.signal.reason);
+        });
+      }),
+  });
+  await assert.rejects(slow.summarize([cluster("s_1", "Login")]), {
+    code: "SUMMARY_FAILED",
+    details: { summarizer: "api.openai.com:gpt-5-mini", upstreamStatus: null },
+  });
+}
+
+// Titles each cluster after its first text; "Broken" fails its whole batch
+const createFakeSummarizer = () => {
+  const fake = { id: "fake:summary", batches: [], inFlight: 0, maxInFlight: 0 };
+  fake.summarize = async (clusters) => {
+    fake.batches.push(clusters.map((c) => c.id));
+    fake.inFlight++;
+    fake.maxInFlight = Math.max(fake.maxInFlight, fake.inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    fake.inFlight--;
+    if (clusters.some((c) => c.members[0].text === "Broken")) throw new Error("upstream down");
+    return clusters.map((c) => ({
+      title: `About ${c.members[0].text}`,
+      description: `${c.member_count} related notes.`,
+      key_entities: [c.members[0].text],
+    }));
+  };
+  return fake;
+};
+
+async function checkBatching() {
+  // Ids and positions do not change what a summary says
+  assert.equal(
+    clusterSummarySignature(cluster("s_1", "Login", "Sign in")),
+    clusterSummarySignature(cluster("s_9", "Sign in", "Login"))
+  );
+  assert.notEqual(
+    clusterSummarySignature(cluster("s_1", "Login")),
+    clusterSummarySignature({ ...cluster("s_1", "Login"), type: "distance" })
+  );
+
+  const storage = createMemoryStorage();
+  const summarizer = createFakeSummarizer();
+  const clusters = [
+    cluster("s_1", "Login"),
+    cluster("s_2", "Cart"),
+    cluster("s_3", "Broken"),
+    cluster("s_4", "Search"),
+    cluster("s_5", "Profile"),
+    cluster("s_6", "Login"),
+  ];
+  const first = await summarizeClusters({
+    clusters,
+    summarizer,
+    storage,
+    batchSize: 2,
+    concurrency: 2,
+  });
+  assert.deepEqual(summarizer.batches, [["s_1", "s_2"], ["s_3", "s_4"], ["s_5"]]);
+  assert.equal(summarizer.maxInFlight, 2, "batches run at most `concurrency` at a time");
+  assert.deepEqual([first.cached, first.generated, first.failed], [0, 4, 2]);
+  assert.equal(first.summaries.get("s_6").title, "About Login", "same content, same summary");
+  assert.equal(first.summaries.has("s_3"), false, "a failed batch leaves its clusters out");
+
+  // Stored summaries are reused; only the clusters that failed are requested again
+  summarizer.batches = [];
+  const second = await summarizeClusters({ clusters, summarizer, storage, batchSize: 2 });
+  assert.deepEqual(summarizer.batches, [["s_3", "s_4"]]);
+  assert.deepEqual([second.cached, second.generated, second.failed], [4, 0, 2]);
+}
+
+const BOARD_ID = "cluster-summaries-board";
+const VECTORS = { Login: [1, 0], Checkout: [0, 1] };
+
+async function checkRoute() {
+  const storage = createMemoryStorage();
+  const summarizer = createFakeSummarizer();
+  // Records whether the board's cluster lock was held while each batch was summarized
+  const locksHeld = new Set();
+  const lockedDuringSummaries = [];
+  const summarize = summarizer.summarize;
+  summarizer.summarize = (clusters) => {
+    lockedDuringSummaries.push(locksHeld.has(`clusters:${BOARD_ID}`));
+    return summarize(clusters);
+  };
+  const withDistributedLock = async (key, operation) => {
+    locksHeld.add(key);
+    try {
+      return await operation();
+    } finally {
+      locksHeld.delete(key);
+    }
+  };
+  const createSdk = () =>
+    createTestSdk({
+      embeddingProvider: createFixedEmbeddingProvider(VECTORS),
+      clusterSummarizer: summarizer,
+      storage,
+      withDistributedLock,
+    });
+  const sdk = createSdk();
+  await sdk.syncCanvas(
+    {
+      boardId: BOARD_ID,
+      elements: [
+        label("a", "Login", 0),
+        label("b", "Login", 3000),
+        label("c", "Checkout", 0, 3000),
+        label("d", "Checkout", 3000, 3000),
+      ],
+    },
+    asUser()
+  );
+
+  const result = await sdk.refreshClusters({ boardId: BOARD_ID, diagnostics: true });
+  assert.deepEqual(
+    result.semantic_clusters.map((c) => [c.title, c.description, c.key_entities]).sort(),
+    [
+      ["About Checkout", "2 related notes.", ["Checkout"]],
+      ["About Login", "2 related notes.", ["Login"]],
+    ]
+  );
+  assert.deepEqual(result.diagnostics.summaries, {
+    summarizer: "fake:summary",
+    cached: 0,
+    generated: 2,
+    failed: 0,
+  });
+  assert.equal(typeof result.diagnostics.timings_ms.summaries, "number");
+  assert.deepEqual(lockedDuringSummaries, [false], "summaries run after the lock is released");
+  assert.ok(
+    result.hierarchy.nodes.some((node) => node.label === "About Login"),
+    "hierarchy labels use the titles"
+  );
+
+  // A new process with the same storage (a restart) reuses the summaries
+  summarizer.batches = [];
+  const restarted = createSdk();
+  const again = await restarted.refreshClusters({
+    boardId: BOARD_ID,
+    forceRecompute: true,
+    diagnostics: true,
+  });
+  assert.deepEqual(summarizer.batches, []);
+  assert.equal(again.diagnostics.summaries.cached, 2);
+  assert.equal(again.semantic_clusters[0].title, result.semantic_clusters[0].title);
+}
+
+await checkResponsesSummarizer();
+await checkBatching();
+await checkRoute();
+
+console.log("✅ Cluster summaries are generated in batches, cached by content and returned");
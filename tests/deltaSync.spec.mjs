@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { findDeltaConflicts, normalizeDeletions } from "../sdk/lib/deltaSync.js";
+import {
+  box,
+  createMapPersistence,
+  createTestSdk,
+  forgetBoard,
+  runtimeDependencies,
+} from "./helpers/runtime.mjs";
+
+const BOARD_ID = "delta-sync-board";
+
+// Keep the test off the repo data dir: persistence is exercised in storage.spec
+const sdk = createTestSdk();
+const { callHelix, boardCache } = runtimeDependencies;
+
+const rect = (id, x, version, extra = {}) =>
+  box(id, x, 0, { width: 100, text: id, version, versionNonce: version * 10, ...extra });
+
+const helixElements = async () => {
+  const { elements } = await callHelix("getBoardElements", { boardExtId: BOARD_ID });
+  return new Map(elements.map((el) => [el.externalId, el]));
+};
+
+function checkConflictRules() {
+  const boardMap = new Map([["a", { externalId: "a", version: 3, versionNonce: 7, revision: 5 }]]);
+  const none = findDeltaConflicts({
+    boardMap,
+    baseRevision: 5,
+    changed: [{ id: "a", version: 4 }],
+    deleted: [],
+  });
+  assert.deepEqual(none, []);
+
+  const [older] = findDeltaConflicts({
+    boardMap,
+    baseRevision: 5,
+    changed: [{ id: "a", version: 2 }],
+    deleted: [],
+  });
+  assert.equal(older.reason, "older_version");
+
+  const [concurrent] = findDeltaConflicts({
+    boardMap,
+    baseRevision: 4,
+    changed: [{ id: "a", version: 3, versionNonce: 8 }],
+    deleted: [],
+  });
+  assert.equal(concurrent.reason, "concurrent_edit");
+
+  const [blindDelete] = findDeltaConflicts({
+    boardMap,
+    baseRevision: 4,
+    changed: [],
+    deleted: normalizeDeletions(["a"]),
+  });
+  assert.equal(blindDelete.op, "delete");
+  assert.equal(blindDelete.reason, "changed_since_base");
+}
+
+async function runDeltaFlow() {
+  const first = await sdk.syncCanvas({
+    boardId: BOARD_ID,
+    delta: {
+      baseRevision: 0,
+      changed: [
+        rect("a", 0, 1),
+        rect("b", 200, 1),
+        {
+          id: "ab",
+          type: "arrow",
+          x: 100,
+          y: 30,
+          version: 1,
+          startBinding: { elementId: "a" },
+          endBinding: { elementId: "b" },
+        },
+      ],
+    },
+  });
+  assert.equal(first.success, true);
+  assert.equal(first.revision, 1);
+  assert.equal(first.upserts, 3);
+
+  const before = await helixElements();
+  assert.equal(before.size, 3);
+  const bInternalId = before.get("b").id;
+
+  // Touch only "a": "b" keeps its Helix node and the arrow edge survives
+  const second = await sdk.syncCanvas({
+    boardId: BOARD_ID,
+    delta: { baseRevision: 1, changed: [rect("a", 40, 2)] },
+  });
+  assert.equal(second.revision, 2);
+  assert.equal(second.upserts, 1);
+  const after = await helixElements();
+  assert.equal(after.get("a").x, 40);
+  assert.equal(after.get("b").id, bInternalId);
+  const structure = await callHelix("analyzeCanvasStructure", { boardId: BOARD_ID });
+  assert.equal(structure.relations.relational, 1);
+
+  // A client still on revision 1 re-sending an older copy of "a" is rejected as a whole
+  await assert.rejects(
+    sdk.syncCanvas({
+      boardId: BOARD_ID,
+      delta: { baseRevision: 1, changed: [rect("a", 999, 1), rect("b", 999, 2)] },
+    }),
+    (err) => {
+      assert.equal(err.status, 409);
+      assert.equal(err.details.revision, 2);
+      assert.deepEqual(
+        err.details.conflicts.map((c) => [c.id, c.reason]),
+        [["a", "older_version"]]
+      );
+      return true;
+    }
+  );
+  assert.equal(boardCache.get(BOARD_ID).get("b").x, 200, "rejected delta must not apply");
+
+  const third = await sdk.syncCanvas({
+    boardId: BOARD_ID,
+    delta: { baseRevision: 2, deleted: ["ab", { id: "b", version: 1 }] },
+  });
+  assert.equal(third.revision, 3);
+  assert.equal(third.deleted, 2);
+  const remaining = await helixElements();
+  assert.deepEqual([...remaining.keys()], ["a"]);
+  const pruned = await callHelix("analyzeCanvasStructure", { boardId: BOARD_ID });
+  assert.equal(pruned.relations.relational, 0);
+
+  await assert.rejects(
+    sdk.syncCanvas({ boardId: BOARD_ID, delta: { baseRevision: 10, changed: [] } }),
+    (err) => err.status === 409 && err.details.requestFullSnapshot === true
+  );
+}
+
+// After a restart the caches are empty while Helix still holds the board; a snapshot sync must
+// continue from the saved revision instead of starting over at 1
+async function checkColdCache() {
+  const boardId = "delta-sync-restart";
+  const persistence = createMapPersistence();
+  const restartable = createTestSdk(persistence);
+  await restartable.syncCanvas({ boardId, elements: [rect("a", 0, 1), rect("b", 200, 1)] });
+  const deleted = await restartable.syncCanvas({ boardId, elements: [], deletedIds: ["b"] });
+  assert.equal(deleted.revision, 2);
+
+  forgetBoard(boardId);
+  const resumed = await restartable.syncCanvas({ boardId, elements: [rect("a", 40, 2)] });
+  assert.equal(resumed.revision, 3);
+  assert.deepEqual([...boardCache.get(boardId).keys()], ["a"]);
+}
+
+checkConflictRules();
+await runDeltaFlow();
+await checkColdCache();
+
+console.log("✅ Delta sync applies incremental writes and rejects stale ones");
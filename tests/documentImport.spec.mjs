@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { importDocument, resolveImportFormat } from "../sdk/lib/importers/index.js";
+import { createTestSdk } from "./helpers/runtime.mjs";
+
+const BOARD_ID = "document-import-board";
+
+const sdk = createTestSdk();
+
+const MERMAID = `flowchart LR
+  %% ingestion pipeline
+  A[Ingest] -->|raw docs| B(Embed)
+  B --> C[(Vector index)] & D{Rerank}
+  subgraph serving [Serving]
+    D -.-> E((Answer))
+  end
+  classDef hot fill:#f00
+`;
+
+const DRAWIO_MODEL = `<mxGraphModel><root>
+  <mxCell id="0"/>
+  <mxCell id="1" parent="0"/>
+  <mxCell id="lane" value="Backend" style="swimlane;" vertex="1" parent="1">
+    <mxGeometry x="100" y="100" width="400" height="200" as="geometry"/>
+  </mxCell>
+  <mxCell id="api" value="&lt;b&gt;API&lt;/b&gt;" style="rounded=1;" vertex="1" parent="lane">
+    <mxGeometry x="20" y="40" width="120" height="60" as="geometry"/>
+  </mxCell>
+  <object id="db" label="Database">
+    <mxCell style="ellipse;" vertex="1" parent="lane">
+      <mxGeometry x="220" y="40" width="120" height="60" as="geometry"/>
+    </mxCell>
+  </object>
+  <mxCell id="e1" value="" style="endArrow=classic;" edge="1" parent="1" source="api" target="db">
+    <mxGeometry relative="1" as="geometry"/>
+  </mxCell>
+  <mxCell id="e1-label" value="reads" style="edgeLabel;" vertex="1" connectable="0" parent="e1">
+    <mxGeometry x="-0.2" relative="1" as="geometry"/>
+  </mxCell>
+</root></mxGraphModel>`;
+
+const TLDRAW = {
+  records: [
+    { typeName: "page", id: "page:main", name: "Main", index: "a1" },
+    {
+      typeName: "shape",
+      id: "shape:frame",
+      type: "frame",
+      parentId: "page:main",
+      x: 0,
+      y: 0,
+      props: { w: 600, h: 300, name: "Checkout" },
+    },
+    {
+      typeName: "shape",
+      id: "shape:cart",
+      type: "geo",
+      parentId: "shape:frame",
+      x: 40,
+      y: 40,
+      props: { geo: "rectangle", w: 120, h: 80, text: "Cart" },
+    },
+    {
+      typeName: "shape",
+      id: "shape:pay",
+      type: "geo",
+      parentId: "shape:frame",
+      x: 300,
+      y: 40,
+      props: {
+        geo: "ellipse",
+        w: 120,
+        h: 80,
+        richText: { type: "doc", content: [{ type: "paragraph", content: [{ text: "Pay" }] }] },
+      },
+    },
+    {
+      typeName: "shape",
+      id: "shape:arrow",
+      type: "arrow",
+      parentId: "page:main",
+      x: 0,
+      y: 0,
+      props: { start: { x: 0, y: 0 }, end: { x: 10, y: 10 }, arrowheadEnd: "arrow" },
+    },
+    {
+      typeName: "binding",
+      id: "binding:a",
+      type: "arrow",
+      fromId: "shape:arrow",
+      toId: "shape:cart",
+      props: { terminal: "start" },
+    },
+    {
+      typeName: "binding",
+      id: "binding:b",
+      type: "arrow",
+      fromId: "shape:arrow",
+      toId: "shape:pay",
+      props: { terminal: "end" },
+    },
+  ],
+};
+
+const byId = (elements) => new Map(elements.map((el) => [el.id, el]));
+
+function checkFormatResolution() {
+  assert.equal(resolveImportFormat("draw.io", ""), "drawio");
+  assert.equal(resolveImportFormat("auto", "<mxfile/>"), "drawio");
+  assert.equal(resolveImportFormat(undefined, TLDRAW), "tldraw");
+  assert.equal(resolveImportFormat(undefined, "graph TD\n A-->B"), "mermaid");
+  assert.equal(resolveImportFormat("visio", ""), "");
+  assert.throws(
+    () => importDocument({ format: "visio", content: "x" }),
+    (err) => err.code === "UNSUPPORTED_FORMAT"
+  );
+  assert.throws(() =>
+    importDocument({ format: "mermaid", content: "sequenceDiagram\n A->>B: hi" })
+  );
+}
+
+function checkMermaid() {
+  const { elements, warnings } = importDocument({ format: "mermaid", content: MERMAID });
+  assert.deepEqual(warnings, []);
+  const els = byId(elements);
+  assert.equal(els.get("A").text, "Ingest");
+  assert.equal(els.get("C").text, "Vector index");
+  assert.equal(els.get("D").type, "diamond");
+  assert.equal(els.get("E").type, "ellipse");
+  assert.ok(els.get("B").x > els.get("A").x, "LR layout places successors to the right");
+
+  const edge = els.get("A->B");
+  assert.equal(edge.type, "arrow");
+  assert.equal(edge.text, "raw docs");
+  assert.equal(edge.startBinding.elementId, "A");
+  assert.equal(edge.endBinding.elementId, "B");
+  assert.ok(els.get("A").boundElements.some((b) => b.id === "A->B"));
+  assert.ok(els.has("B->C") && els.has("B->D"), "`&` fans out to every target");
+
+  const frame = els.get("serving");
+  assert.equal(frame.type, "frame");
+  assert.equal(frame.name, "Serving");
+  assert.equal(els.get("E").frameId, "serving");
+}
+
+function checkDrawio() {
+  const plain = importDocument({ format: "drawio", content: DRAWIO_MODEL });
+  const els = byId(plain.elements);
+  assert.equal(els.get("lane").type, "frame");
+  assert.equal(els.get("lane").name, "Backend");
+  assert.equal(els.get("api").text, "API", "HTML labels are flattened");
+  assert.equal(els.get("api").frameId, "lane");
+  assert.deepEqual([els.get("api").x, els.get("api").y], [120, 140], "child geometry is absolute");
+  assert.equal(els.get("db").type, "ellipse");
+  assert.equal(els.get("db").text, "Database", "<object> labels are read");
+  assert.equal(els.get("e1").text, "reads", "edge label children are merged");
+  assert.equal(els.get("e1").endBinding.elementId, "db");
+
+  // Compressed pages: base64(deflateRaw(encodeURIComponent(xml)))
+  const packed = zlib
+    .deflateRawSync(Buffer.from(encodeURIComponent(DRAWIO_MODEL)))
+    .toString("base64");
+  const file = `<mxfile><diagram id="p1" name="Backend">${packed}</diagram><diagram id="p2" name="Empty"/></mxfile>`;
+  const compressed = importDocument({ content: file });
+  assert.equal(compressed.format, "drawio");
+  assert.deepEqual(
+    compressed.elements.map((el) => el.id).sort(),
+    plain.elements.map((el) => el.id).sort(),
+    "empty pages are dropped and a single page is not wrapped"
+  );
+}
+
+function checkTldraw() {
+  const { elements } = importDocument({ format: "tldraw", content: JSON.stringify(TLDRAW) });
+  const els = byId(elements);
+  assert.equal(els.get("shape:frame").name, "Checkout");
+  assert.equal(els.get("shape:pay").text, "Pay", "rich text labels are flattened");
+  assert.equal(els.get("shape:pay").frameId, "shape:frame");
+  const arrow = els.get("shape:arrow");
+  assert.equal(arrow.startBinding.elementId, "shape:cart");
+  assert.equal(arrow.endBinding.elementId, "shape:pay");
+}
+
+async function checkSdkImport() {
+  const first = await sdk.importDocument({
+    boardId: BOARD_ID,
+    format: "mermaid",
+    content: MERMAID,
+    source: "pipeline",
+  });
+  assert.equal(first.success, true);
+  assert.equal(first.format, "mermaid");
+  assert.deepEqual(first.imported, { nodes: 5, edges: 4, frames: 1 });
+  assert.equal(first.upserts, 10);
+
+  const clusters = await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+  const relational = clusters.relational_clusters.find((c) => c.member_ids.includes("pipeline:A"));
+  assert.ok(relational?.member_ids.includes("pipeline:B"), "imported arrows form relations");
+  const frame = clusters.group_clusters.find((c) => c.container_id === "pipeline:serving");
+  assert.equal(frame?.name, "Serving");
+
+  // Re-import with a node removed: same IDs update in place, `replace` drops the rest
+  const second = await sdk.importDocument({
+    boardId: BOARD_ID,
+    format: "mermaid",
+    content: "flowchart LR\n  A[Ingest v2] --> B(Embed)",
+    source: "pipeline",
+    replace: true,
+  });
+  assert.equal(second.revision, first.revision + 1);
+  assert.equal(second.upserts, 3);
+  assert.equal(second.deleted, 7);
+
+  const revision = await sdk.getRevision({ boardId: BOARD_ID, revision: second.revision });
+  const texts = revision.elements.map((el) => el.text).sort();
+  assert.deepEqual(texts, ["", "Embed", "Ingest v2"]);
+
+  const preview = await sdk.importDocument({
+    boardId: BOARD_ID,
+    content: TLDRAW,
+    dryRun: true,
+  });
+  assert.equal(preview.format, "tldraw");
+  assert.ok(preview.elements.every((el) => el.id.startsWith("tldraw:")));
+  assert.equal(preview.revision, undefined, "dry runs do not write");
+
+  await assert.rejects(
+    sdk.importDocument({ boardId: BOARD_ID, format: "visio", content: "x" }),
+    (err) => err.status === 400 && err.message === "Unsupported import format"
+  );
+  await assert.rejects(
+    sdk.importDocument({ boardId: BOARD_ID, format: "drawio", content: "<svg/>" }),
+    (err) => err.status === 400 && err.message === "Import failed"
+  );
+}
+
+checkFormatResolution();
+checkMermaid();
+checkDrawio();
+checkTldraw();
+await checkSdkImport();
+
+console.log("✅ Mermaid, draw.io and tldraw documents import as bound canvas elements");
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { containmentEdges, normalizeGroupIds } from "../sdk/lib/structure.js";
+import { box, createTestSdk, runtimeDependencies } from "./helpers/runtime.mjs";
+
+const BOARD_ID = "element-structure-board";
+
+const sdk = createTestSdk();
+const { callHelix } = runtimeDependencies;
+
+const ELEMENTS = [
+  { id: "frame-auth", type: "frame", name: "Auth flow", x: 0, y: 0, width: 600, height: 400 },
+  box("login", 20, 20, {
+    frameId: "frame-auth",
+    groupIds: ["inner", "outer"],
+    boundElements: [{ id: "login-label", type: "text" }],
+  }),
+  // Bound label without containerId: only the container's boundElements links it
+  { id: "login-label", type: "text", x: 30, y: 30, width: 80, height: 20, text: "Login" },
+  box("session", 300, 20, { frameId: "frame-auth", groupIds: ["outer"], text: "Session" }),
+  { id: "logo", type: "image", fileId: "file-1", x: 20, y: 200, width: 80, height: 80 },
+  {
+    id: "sketch",
+    type: "freedraw",
+    x: 140,
+    y: 220,
+    width: 40,
+    height: 20,
+    points: [
+      [0, 0],
+      [40, 20],
+    ],
+  },
+  // Unbound arrow whose routed points land on "login" and "session"
+  {
+    id: "flow",
+    type: "arrow",
+    x: 120,
+    y: 50,
+    width: 180,
+    height: 0,
+    points: [
+      [0, 0],
+      [90, 30],
+      [182, 0],
+    ],
+  },
+];
+
+function checkContainmentEdges() {
+  const edges = containmentEdges([
+    { externalId: "f", kind: "frame" },
+    { externalId: "a", frameId: "f", groupIds: JSON.stringify(["g1", "g0"]) },
+    { externalId: "b", groupIds: ["g1", "g0"] },
+    { externalId: "c", groupIds: ["g0"] },
+  ]);
+  assert.deepEqual(
+    edges.find((e) => e.type === "CONTAINS"),
+    { type: "CONTAINS", from: "f", to: "a" }
+  );
+  const membership = edges
+    .filter((e) => e.type === "BELONGS_TO_GROUP")
+    .map((e) => [e.group, e.from, e.to, e.level]);
+  assert.deepEqual(membership, [
+    ["g1", "b", "a", 1],
+    ["g0", "b", "a", 0],
+    ["g0", "c", "a", 0],
+  ]);
+}
+
+async function checkClusters() {
+  await sdk.syncCanvas({ boardId: BOARD_ID, elements: ELEMENTS, opts: { fullSnapshot: true } });
+
+  const { elements } = await callHelix("getBoardElements", { boardExtId: BOARD_ID });
+  const stored = new Map(elements.map((el) => [el.externalId, el]));
+  assert.deepEqual(normalizeGroupIds(stored.get("login").groupIds), ["inner", "outer"]);
+  assert.equal(stored.get("login").frameId, "frame-auth");
+  assert.equal(stored.get("logo").fileId, "file-1");
+  assert.equal(JSON.parse(stored.get("flow").points).length, 3, "arrow routing is kept");
+  assert.equal(stored.get("frame-auth").text, "Auth flow", "frame name is stored as text");
+
+  const clusters = await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+
+  const frame = clusters.group_clusters.find((c) => c.container_kind === "frame");
+  assert.equal(frame.name, "Auth flow");
+  assert.deepEqual([...frame.member_ids].sort(), ["login", "session"]);
+  const group = clusters.group_clusters.find((c) => c.container_kind === "group");
+  assert.equal(group.container_id, "outer", "groups are keyed by their outermost id");
+  const login = group.members.find((m) => m.id === "login");
+  assert.equal(login.text, "Login", "bound text merges through boundElements");
+  assert.equal(login.frame_id, "frame-auth");
+  assert.deepEqual(login.group_ids, ["inner", "outer"]);
+
+  const relational = clusters.relational_clusters.find((c) => c.member_ids.includes("login"));
+  assert.ok(relational?.member_ids.includes("session"), "unbound arrow resolves via its points");
+
+  const spatialMembers = clusters.distance_clusters.flatMap((c) => c.members);
+  assert.equal(spatialMembers.find((m) => m.id === "logo")?.label, "image");
+  assert.equal(spatialMembers.find((m) => m.id === "sketch")?.label, "freehand sketch");
+
+  const traversed = await sdk.traverseCluster({ boardId: BOARD_ID, cluster_id: frame.id });
+  assert.equal(traversed.cluster_type, "group");
+  assert.equal(traversed.container_id, "frame-auth");
+  assert.deepEqual(traversed.members.map((m) => m.externalId).sort(), ["login", "session"]);
+}
+
+// Frame and group edges are stored in Helix and follow moves, new members and deletions
+async function checkStoredEdges() {
+  const storedEdges = async () => {
+    const { contains, groups } = await callHelix("getBoardRelations", { boardExtId: BOARD_ID });
+    return {
+      contains: contains.map((e) => `${e.sourceExternalId}>${e.targetExternalId}`).sort(),
+      groups: groups.map((e) => `${e.sourceExternalId}>${e.targetExternalId}@${e.level}`).sort(),
+    };
+  };
+  assert.deepEqual(await storedEdges(), {
+    contains: ["frame-auth>login", "frame-auth>session"],
+    groups: ["session>login@0"],
+  });
+
+  // Moved out of the frame and the group
+  const { revision } = await sdk.syncCanvas({
+    boardId: BOARD_ID,
+    elements: [box("session", 700, 20, { text: "Session", version: 2 })],
+  });
+  assert.deepEqual(await storedEdges(), { contains: ["frame-auth>login"], groups: [] });
+
+  // Back in, with a new member whose id becomes the group's anchor
+  const inFrame = { frameId: "frame-auth", groupIds: ["outer"] };
+  const moved = await sdk.syncCanvas({
+    boardId: BOARD_ID,
+    delta: {
+      baseRevision: revision,
+      changed: [
+        box("session", 300, 20, { ...inFrame, text: "Session", version: 3 }),
+        box("audit", 20, 120, inFrame),
+      ],
+    },
+  });
+  assert.deepEqual(await storedEdges(), {
+    contains: ["frame-auth>audit", "frame-auth>login", "frame-auth>session"],
+    groups: ["login>audit@0", "session>audit@0"],
+  });
+
+  await sdk.syncCanvas({
+    boardId: BOARD_ID,
+    delta: { baseRevision: moved.revision, deleted: ["audit"] },
+  });
+  assert.deepEqual(await storedEdges(), {
+    contains: ["frame-auth>login", "frame-auth>session"],
+    groups: ["session>login@0"],
+  });
+}
+
+checkContainmentEdges();
+await checkClusters();
+await checkStoredEdges();
+
+console.log(
+  "✅ Frames, groups, bound text, images and freedraw survive sync and clustering, and are stored as edges"
+);
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import os from "node:os";
+import path from "node:path";
+import { promises as fsp } from "node:fs";
+import { createEmbeddingCache } from "../sdk/lib/embeddingCache.js";
+import { createFsStorage, createMemoryStorage } from "../sdk/lib/storage/index.js";
+import { asUser, createTestSdk, label } from "./helpers/runtime.mjs";
+
+async function checkLru() {
+  const storage = createMemoryStorage();
+  const cache = createEmbeddingCache({ storage, maxEntries: 2 });
+  await cache.setMany("m", [
+    { text: "alpha", vector: [1, 0] },
+    { text: "beta", vector: [0, 1] },
+  ]);
+  // Reading alpha makes beta the least recently used entry
+  assert.deepEqual(await cache.getMany("m", ["alpha", "gamma"]), [[1, 0], null]);
+  await cache.setMany("m", [{ text: "gamma", vector: [1, 1] }]);
+
+  assert.deepEqual(await cache.getMany("m", ["beta", "alpha", "gamma"]), [null, [1, 0], [1, 1]]);
+  assert.equal(await storage.getEntry("embeddings", cache.keyFor("m", "beta")), null);
+  assert.deepEqual(await cache.getMany("other-model", ["alpha"]), [null], "keyed by model too");
+  assert.deepEqual(cache.stats(), { hits: 3, misses: 3, evictions: 1, size: 2, maxEntries: 2 });
+}
+
+async function checkPersistence() {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "embedding-cache-"));
+  try {
+    const first = createEmbeddingCache({ storage: createFsStorage({ dir }) });
+    await first.setMany("m", [{ text: "persisted", vector: [0.5, 0.5] }]);
+
+    // A new process reads the index and loads vectors from disk on demand
+    const second = createEmbeddingCache({ storage: createFsStorage({ dir }) });
+    assert.equal(second.stats().size, 0);
+    assert.deepEqual(await second.getMany("m", ["persisted"]), [[0.5, 0.5]]);
+    assert.equal(second.stats().hits, 1);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const scene = [
+  label("a", "Payment gateway", 0, 0),
+  label("b", "Payment gateway", 2000, 0),
+  label("c", "Ledger", 150, 0),
+  label("d", "Audit log", 4000, 4000),
+];
+
+async function checkClusterRuns() {
+  const embeddingCache = createEmbeddingCache({ storage: createMemoryStorage() });
+  const sdk = createTestSdk({ embeddingCache });
+
+  await sdk.syncCanvas({ boardId: "embedding-cache-1", elements: scene }, asUser());
+  await sdk.refreshClusters({ boardId: "embedding-cache-1", forceRecompute: true });
+  assert.equal(embeddingCache.stats().size, 3, "identical texts share one entry");
+
+  // Another board with the same texts is served from the cache, one lookup per distinct text
+  await sdk.syncCanvas({ boardId: "embedding-cache-2", elements: scene }, asUser());
+  const before = embeddingCache.stats();
+  await sdk.refreshClusters({ boardId: "embedding-cache-2", forceRecompute: true });
+  assert.equal(embeddingCache.stats().hits - before.hits, 3);
+  assert.equal(embeddingCache.stats().misses, before.misses);
+
+  // Moving a box changes no text, so nothing is looked up or embedded again
+  const moved = { ...scene[3], x: 3000, version: 2 };
+  await sdk.syncCanvas({ boardId: "embedding-cache-2", elements: [moved] }, asUser());
+  const settled = embeddingCache.stats();
+  await sdk.refreshClusters({ boardId: "embedding-cache-2", forceRecompute: true });
+  assert.deepEqual(embeddingCache.stats(), settled);
+}
+
+await checkLru();
+await checkPersistence();
+await checkClusterRuns();
+
+console.log("✅ Embeddings are cached by model and text hash, persisted and LRU-bounded");
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { embedTexts } from "../sdk/lib/embeddings.js";
+import {
+  createEmbeddingProvider,
+  createHttpEmbeddingProvider,
+  createTestEmbeddingProvider,
+} from "../sdk/lib/embeddingProviders.js";
+import { asUser, createTestSdk, label } from "./helpers/runtime.mjs";
+
+// OpenAI-compatible endpoint answering with rows in reverse order, after `failures` 429s
+const fakeEndpoint = ({ failures = 0 } = {}) => {
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push({ url, body, auth: init.headers.Authorization });
+    if (requests.length <= failures) {
+      return { ok: false, status: 429, headers: new Map([["retry-after", "0"]]) };
+    }
+    const data = body.input.map((text, index) => ({ index, embedding: [text.length, index + 1] }));
+    return { ok: true, status: 200, json: async () => ({ data: data.reverse() }) };
+  };
+  return { requests, fetchImpl };
+};
+
+async function checkBatching() {
+  const endpoint = fakeEndpoint();
+  const provider = createHttpEmbeddingProvider({
+    baseUrl: "http://localhost:11434/v1/",
+    model: "nomic-embed-text",
+    maxBatch: 2,
+    fetchImpl: endpoint.fetchImpl,
+  });
+  assert.equal(provider.id, "http:localhost:11434:nomic-embed-text");
+
+  const vectors = await embedTexts(["a", "bb", "ccc", "dddd", "eeeee"], provider);
+  assert.deepEqual(
+    endpoint.requests.map((r) => r.body.input),
+    [["a", "bb"], ["ccc", "dddd"], ["eeeee"]]
+  );
+  assert.equal(endpoint.requests[0].url, "http://localhost:11434/v1/embeddings");
+  assert.equal(endpoint.requests[0].auth, undefined, "no key, no Authorization header");
+  assert.deepEqual(vectors[1], [2, 2], "rows are matched to inputs by index");
+}
+
+async function checkRetriesAndFailures() {
+  const flaky = fakeEndpoint({ failures: 2 });
+  const provider = createHttpEmbeddingProvider({
+    baseUrl: "https://api.example.com/v1",
+    model: "m",
+    apiKey: "secret",
+    fetchImpl: flaky.fetchImpl,
+    wait: async () => {},
+  });
+  assert.deepEqual(await embedTexts(["x"], provider), [[1, 1]]);
+  assert.equal(flaky.requests.length, 3);
+  assert.equal(flaky.requests[0].auth, "Bearer secret");
+
+  const down = createHttpEmbeddingProvider({
+    baseUrl: "https://api.example.com/v1",
+    model: "m",
+    maxRetries: 1,
+    fetchImpl: fakeEndpoint({ failures: 5 }).fetchImpl,
+    wait: async () => {},
+  });
+  await assert.rejects(embedTexts(["x"], down), (err) => {
+    assert.equal(err.code, "EMBEDDING_FAILED");
+    assert.equal(err.status, 503);
+    assert.equal(err.details.upstreamStatus, 429);
+    return true;
+  });
+
+  // A provider that changes dimension mid-stream is rejected rather than mixed
+  let dims = 3;
+  const drifting = {
+    id: "drift:m",
+    maxBatch: 1,
+    embed: async (texts) => texts.map(() => Array(dims++).fill(1)),
+  };
+  await assert.rejects(embedTexts(["a", "b"], drifting), /returned 4 dimensions, expected 3/);
+}
+
+async function checkSelection() {
+  // Nothing configured: no silent fallback to made-up vectors
+  const unconfigured = createEmbeddingProvider({ env: {} });
+  assert.equal(unconfigured.id, "none");
+  await assert.rejects(
+    embedTexts(["a"], unconfigured),
+    (err) => err.code === "EMBEDDING_FAILED" && err.status === 503
+  );
+  assert.equal(
+    createEmbeddingProvider({ env: { EMBEDDING_PROVIDER: "test" } }).id,
+    "test:sha256-32"
+  );
+  assert.equal(
+    createEmbeddingProvider({ env: { OPENAI_API_KEY: "k" } }).id,
+    "openai:text-embedding-3-small"
+  );
+  assert.equal(
+    createEmbeddingProvider({ env: { OPENAI_API_KEY: "k", LOCAL_EMBEDDINGS: "1" } }).id,
+    "local:Xenova/all-mpnet-base-v2"
+  );
+  assert.throws(
+    () => createEmbeddingProvider({ env: { EMBEDDING_PROVIDER: "http", EMBEDDING_MODEL: "m" } }),
+    /needs a base URL/
+  );
+  assert.throws(
+    () => createEmbeddingProvider({ env: { EMBEDDING_PROVIDER: "word2vec" } }),
+    (err) => err.code === "UNSUPPORTED_PROVIDER"
+  );
+}
+
+const scene = [
+  label("a", "Payment gateway", 0),
+  label("b", "Payment gateway", 2000),
+  label("c", "Ledger", 4000),
+];
+
+const sdkWith = (embeddingProvider) => createTestSdk({ embeddingProvider });
+
+async function checkClusterRuns() {
+  const base = createTestEmbeddingProvider({ dimensions: 8 });
+  const batches = [];
+  const counting = { ...base, embed: async (texts) => (batches.push(texts), base.embed(texts)) };
+  const sdk = sdkWith(counting);
+  await sdk.syncCanvas({ boardId: "providers-ok", elements: scene }, asUser());
+  const result = await sdk.refreshClusters({ boardId: "providers-ok", forceRecompute: true });
+  assert.deepEqual(batches, [["Payment gateway", "Ledger"]], "one batch of distinct texts");
+  assert.deepEqual(result.semantic_clusters[0].member_ids.sort(), ["a", "b"]);
+
+  // An unavailable provider fails the analysis instead of clustering on substitute vectors
+  const failing = {
+    ...base,
+    id: "test:failing",
+    embed: async () => {
+      throw Object.assign(new Error("rate limited"), { status: 503 });
+    },
+  };
+  const broken = sdkWith(failing);
+  await broken.syncCanvas({ boardId: "providers-down", elements: scene }, asUser());
+  await assert.rejects(
+    broken.refreshClusters({ boardId: "providers-down", forceRecompute: true }),
+    (err) => err.status === 503 && /rate limited/.test(err.details)
+  );
+}
+
+await checkBatching();
+await checkRetriesAndFailures();
+await checkSelection();
+await checkClusterRuns();
+
+console.log("✅ Embedding providers batch requests, retry rate limits and never mix dimensions");
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import {
+  articulationPointsAndBridges,
+  betweennessCentrality,
+  createDirectedGraph,
+  detectCycles,
+  pageRank,
+  stronglyConnectedComponents,
+  topologicalOrder,
+  weaklyConnectedComponents,
+} from "../sdk/lib/graphAnalytics.js";
+import { arrow, asUser, box, boundText, createTestSdk } from "./helpers/runtime.mjs";
+
+const graphOf = (...pairs) =>
+  createDirectedGraph(pairs.map((pair) => pair.split(">")).map(([from, to]) => ({ from, to })));
+
+const top = (scores) => [...scores].sort((a, b) => b[1] - a[1])[0][0];
+
+function checkPipeline() {
+  // web -> api fans out; queue -> worker -> db closes a loop with api -> db when undirected
+  const graph = graphOf(
+    "web>api",
+    "api>auth",
+    "api>db",
+    "api>queue",
+    "queue>worker",
+    "worker>db",
+    "api>db"
+  );
+  assert.equal(graph.edgeCount, 6, "parallel edges count once");
+
+  assert.equal(top(betweennessCentrality(graph)), "api");
+  assert.equal(top(pageRank(graph)), "db");
+  const ranks = [...pageRank(graph).values()];
+  assert.ok(Math.abs(ranks.reduce((a, b) => a + b, 0) - 1) < 1e-3);
+
+  assert.deepEqual(articulationPointsAndBridges(graph), {
+    articulation_points: [{ id: "api", components: 3 }],
+    bridges: [
+      { from: "api", to: "auth", sides: [5, 1], bidirectional: false },
+      { from: "web", to: "api", sides: [1, 5], bidirectional: false },
+    ],
+  });
+
+  // Arrows both ways are still one connection between the sides, and say so
+  assert.deepEqual(articulationPointsAndBridges(graphOf("a>b", "b>a", "b>c")).bridges, [
+    { from: "a", to: "b", sides: [1, 2], bidirectional: true },
+    { from: "b", to: "c", sides: [2, 1], bidirectional: false },
+  ]);
+
+  assert.deepEqual(topologicalOrder(graph), {
+    acyclic: true,
+    order: ["web", "api", "auth", "queue", "worker", "db"],
+    longest_path: ["web", "api", "queue", "worker", "db"],
+  });
+  assert.equal(detectCycles(graph).has_cycle, false);
+}
+
+function checkCycles() {
+  const graph = graphOf("a>b", "b>c", "c>a", "c>d", "d>d", "e>f");
+  assert.deepEqual(stronglyConnectedComponents(graph), [["a", "b", "c"], ["d"], ["e"], ["f"]]);
+  assert.deepEqual(weaklyConnectedComponents(graph), [
+    ["a", "b", "c", "d"],
+    ["e", "f"],
+  ]);
+  assert.deepEqual(detectCycles(graph), {
+    has_cycle: true,
+    cyclic_components: [["a", "b", "c"], ["d"]],
+    cycles: [
+      ["a", "b", "c", "a"],
+      ["d", "d"],
+    ],
+  });
+  assert.deepEqual(topologicalOrder(graph), { acyclic: false, order: null, longest_path: null });
+}
+
+const BOARD_ID = "graph-analytics-board";
+
+async function checkRoutes() {
+  const sdk = createTestSdk();
+  const elements = [
+    box("web", 0),
+    box("api", 1000),
+    box("auth", 2000),
+    box("db", 3000, 1000),
+    boundText("api", "API gateway"),
+    arrow("w-a", "web", "api"),
+    arrow("a-au", "api", "auth"),
+    arrow("a-db", "api", "db"),
+  ];
+  await sdk.syncCanvas({ boardId: BOARD_ID, elements }, asUser());
+  const { connection_id } = await sdk.callMcp("init", {}, asUser());
+  const call = (tool, data = {}) =>
+    sdk.callMcp(tool, { connection_id, data: { boardId: BOARD_ID, ...data } }, asUser());
+
+  const centrality = await call("centrality", { top_k: 1 });
+  assert.equal(centrality.metric, "betweenness");
+  assert.deepEqual([centrality.node_count, centrality.edge_count], [4, 3]);
+  assert.deepEqual(centrality.nodes, [
+    { id: "api", in_degree: 1, out_degree: 2, degree: 1, betweenness: 0.3333, pagerank: 0.288 },
+  ]);
+  assert.equal(centrality.labels.api, "API gateway");
+  await assert.rejects(call("centrality", { top_k: "many" }), (err) => err.status === 400);
+  // top_k outside 1-100 is rejected rather than clamped, as is an unknown metric
+  for (const top_k of [0, 1000, 2.5]) {
+    await assert.rejects(call("centrality", { top_k }), { status: 400, message: "Invalid top_k" });
+  }
+  await assert.rejects(call("centrality", { metric: "closeness" }), {
+    status: 400,
+    message: "Unsupported metric",
+    details: "Expected one of: betweenness, pagerank, degree",
+  });
+  assert.equal((await call("centrality", { metric: "degree", top_k: 100 })).nodes.length, 4);
+
+  const critical = await call("critical_points");
+  assert.deepEqual(critical.articulation_points, [{ id: "api", components: 3 }]);
+  assert.deepEqual(
+    critical.bridges.map((bridge) => bridge.via),
+    [["a-au"], ["a-db"], ["w-a"]]
+  );
+  assert.equal(
+    (await call("critical_points", { edge_types: "flows_to" })).bridges.length,
+    3,
+    "a single edge type may be a string"
+  );
+
+  assert.deepEqual((await call("flow_order")).longest_path, ["web", "api", "auth"]);
+  assert.equal((await call("cycles")).has_cycle, false);
+
+  // An arrow back from the database closes a circular dependency
+  await sdk.syncCanvas(
+    { boardId: BOARD_ID, elements: [...elements, arrow("db-w", "db", "web")] },
+    asUser()
+  );
+  const cycles = await call("cycles");
+  assert.deepEqual(cycles.cycles, [["api", "db", "web", "api"]]);
+  assert.deepEqual((await call("components")).strong, [["api", "db", "web"]]);
+  const order = await call("flow_order");
+  assert.equal(order.acyclic, false);
+  assert.deepEqual(order.cyclic_components, [["api", "db", "web"]]);
+
+  await assert.rejects(call("cycles", { edge_types: ["CALLS"] }), (err) => err.status === 400);
+  await assert.rejects(call("cycles", { edge_types: "CALLS" }), (err) => err.status === 400);
+
+  // A reply arrow makes auth a bidirectional bridge; both arrows keep it connected
+  await sdk.syncCanvas(
+    { boardId: BOARD_ID, elements: [...elements, arrow("au-a", "auth", "api")] },
+    asUser()
+  );
+  const reply = (await call("critical_points")).bridges.find((bridge) => bridge.to === "auth");
+  assert.deepEqual(reply, {
+    from: "api",
+    to: "auth",
+    sides: [3, 1],
+    bidirectional: true,
+    via: ["a-au", "au-a"],
+  });
+}
+
+checkPipeline();
+checkCycles();
+await checkRoutes();
+
+console.log("✅ Graph analytics report centrality, critical points, cycles and flow order");
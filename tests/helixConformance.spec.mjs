@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// Runs the same query scenarios against the in-memory store and, when HELIX_CONFORMANCE_ENDPOINT
+// points at a HelixDB instance with sdk/helix/db deployed, against HelixDB as well.
+import assert from "node:assert/strict";
+import path from "node:path";
+import { promises as fsp } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { createHelix } from "../sdk/lib/helixClient.js";
+import { HELIX_QUERIES, detectLayoutPatterns } from "../sdk/lib/helixQueries.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const primitives = Object.keys(HELIX_QUERIES).filter((name) => !HELIX_QUERIES[name].derived);
+
+const parseHxQueries = (source) => {
+  const queries = new Map();
+  for (const match of source.matchAll(/QUERY\s+(\w+)\s*\(([^)]*)\)/g)) {
+    const params = {};
+    for (const line of match[2].split(",")) {
+      const [name, type] = line.split(":").map((part) => part?.trim());
+      if (name) params[name] = type;
+    }
+    queries.set(match[1], params);
+  }
+  return queries;
+};
+
+async function checkCatalogue() {
+  const hx = parseHxQueries(await fsp.readFile(path.join(ROOT, "sdk/helix/db/queries.hx"), "utf8"));
+  assert.deepEqual(primitives.slice().sort(), Array.from(hx.keys()).sort());
+  for (const name of primitives) {
+    assert.deepEqual(HELIX_QUERIES[name].params, hx.get(name), `${name} parameters`);
+  }
+
+  // Every query the server calls by name is catalogued
+  const files = ["sdk/server.js", "sdk/core/index.js"];
+  for (const dir of ["sdk/routes", "sdk/lib"]) {
+    for (const file of await fsp.readdir(path.join(ROOT, dir))) {
+      if (file.endsWith(".js")) files.push(path.join(dir, file));
+    }
+  }
+  for (const file of files) {
+    const source = await fsp.readFile(path.join(ROOT, file), "utf8");
+    for (const [, name] of source.matchAll(/callHelix\(\s*"(\w+)"/g)) {
+      assert.ok(HELIX_QUERIES[name], `${file} calls uncatalogued query ${name}`);
+    }
+  }
+
+  // ...and every primitive has an in-memory implementation
+  const { callHelix } = createHelix("http://unused");
+  for (const name of primitives) {
+    await callHelix(name, {}).catch((err) => {
+      assert.doesNotMatch(err.message, /unsupported query/, name);
+    });
+  }
+  await assert.rejects(callHelix("noSuchQuery", {}), /unsupported query/);
+}
+
+const box = (externalId, x, y, extra = {}) => ({
+  externalId,
+  x,
+  y,
+  w: 100,
+  h: 60,
+  kind: "rectangle",
+  ...extra,
+});
+
+// Result keys must match the catalogue on every backend
+const expectShape = (name, result) => {
+  for (const key of HELIX_QUERIES[name].returns || []) {
+    assert.ok(result && key in result, `${name} returns ${key}`);
+  }
+  return result;
+};
+
+const externalIds = (list) => list.map((el) => el.externalId).sort();
+
+async function runScenarios(label, callHelix) {
+  const boardId = `conformance-${label}-${Date.now()}`;
+  const run = async (name, params) => expectShape(name, await callHelix(name, params));
+  const elements = async () => (await run("getBoardElements", { boardExtId: boardId })).els;
+
+  try {
+    await run("ensureBoard", { boardExtId: boardId });
+    const ids = {};
+    for (const el of [box("a", 0, 0), box("b", 150, 0), box("c", 300, 0), box("d", 0, 120)]) {
+      const { element } = await run("createElement", { boardExtId: boardId, ...el });
+      ids[el.externalId] = String(element.id);
+    }
+    const { arrow } = await run("createArrow", {
+      boardExtId: boardId,
+      arrowExternalId: "ab",
+      startElementId: ids.a,
+      endElementId: ids.b,
+    });
+    assert.deepEqual([arrow.startBindingId, arrow.endBindingId], ["a", "b"]);
+    assert.deepEqual(externalIds(await elements()), ["a", "ab", "b", "c", "d"]);
+
+    const { updated_node } = await run("updateElementById", {
+      ...box("a", 0, 0, { text: "API" }),
+      elementId: ids.a,
+    });
+    assert.equal(updated_node.text, "API");
+    const listed = await callHelix("getAllElementsForBoard", { boardExtId: boardId });
+    assert.equal(listed.find((el) => el.externalId === "a").text, "API");
+
+    // Edges and neighbours
+    await run("addRelationalAlignment", {
+      sourceId: ids.a,
+      targetId: ids.b,
+      via: "ab",
+      edgeLabel: "",
+    });
+    await run("addSemanticRelation", {
+      fromElementId: ids.a,
+      toElementId: ids.c,
+      relationship: "similar",
+      confidence: 0.9,
+    });
+    await run("addSpatialAlignment", {
+      fromElementId: ids.d,
+      toElementId: ids.a,
+      distance: 120,
+      proximity: 0.5,
+      clustered: true,
+    });
+    await run("createFlowEdge", { sourceId: ids.a, targetId: ids.b });
+    await run("createBinds_TOEdge", { sourceId: ids.a, targetId: ids.b });
+    await run("addContains", { sourceId: ids.a, targetId: ids.c });
+    await run("addGroupMembership", { sourceId: ids.d, targetId: ids.c, level: 0 });
+
+    const relational = await run("getRelationallyAlignedNeighbors", { elementId: ids.a });
+    assert.deepEqual([externalIds(relational.outs), externalIds(relational.ins)], [["b"], []]);
+    const semantic = await run("getSemanticallyRelatedNeighbors", { elementId: ids.c });
+    assert.deepEqual([externalIds(semantic.outs), externalIds(semantic.ins)], [[], ["a"]]);
+    const spatial = await run("getSpatiallyAlignedNeighbors", { elementId: ids.a });
+    assert.deepEqual(externalIds(spatial.ins), ["d"]);
+
+    const structure = await run("analyzeCanvasStructure", { boardExtId: boardId });
+    assert.equal(structure.nodes, 5);
+    assert.deepEqual(structure.byKind, { rectangle: 4, arrow: 1 });
+    assert.deepEqual(structure.relations, {
+      relational: 1,
+      semantic: 1,
+      spatial: 1,
+      flows: 1,
+      binds: 1,
+      contains: 1,
+      groups: 1,
+    });
+    assert.deepEqual(structure.patterns.rows, [["a", "b", "c"]]);
+    assert.deepEqual(structure.patterns.columns, [["a", "d"]]);
+
+    await run("deleteRelationalAlignmentsByVia", { viaExtId: "ab" });
+    await run("deleteSemanticRelationsForElement", { boardExtId: boardId, elementExtId: "c" });
+    await run("deleteSpatialAlignmentsForBoard", { boardExtId: boardId });
+    await run("deleteStructureEdgesForElement", { boardExtId: boardId, elementExtId: "c" });
+    const cleared = await run("analyzeCanvasStructure", { boardExtId: boardId });
+    assert.deepEqual(
+      [
+        cleared.relations.relational,
+        cleared.relations.semantic,
+        cleared.relations.spatial,
+        cleared.relations.contains,
+        cleared.relations.groups,
+      ],
+      [0, 0, 0, 0, 0]
+    );
+
+    // Vector search ranks by similarity to the query embedding
+    const vectors = { a: [1, 0, 0], b: [0.8, 0.6, 0], c: [0, 0, 1] };
+    for (const [elementExtId, vector] of Object.entries(vectors)) {
+      await run("upsertTextEmbedding", {
+        boardExtId: boardId,
+        elementExtId,
+        model: "t",
+        textHash: `hash-${elementExtId}`,
+        vector,
+      });
+    }
+    const { vecs } = await run("vectorSearchText", {
+      boardExtId: boardId,
+      embedding: [1, 0.1, 0],
+      k: 2,
+    });
+    assert.deepEqual(
+      vecs.map((vec) => vec.externalId),
+      ["a", "b"]
+    );
+    const stored = await run("getBoardEmbeddings", { boardExtId: boardId });
+    assert.deepEqual(stored.vecs.map((vec) => vec.textHash).sort(), ["hash-a", "hash-b", "hash-c"]);
+    await run("deleteTextEmbedding", { boardExtId: boardId, elementExtId: "a" });
+    const afterDelete = await run("vectorSearchText", {
+      boardExtId: boardId,
+      embedding: [1, 0.1, 0],
+      k: 1,
+    });
+    assert.deepEqual(
+      afterDelete.vecs.map((vec) => vec.externalId),
+      ["b"]
+    );
+
+    // Deletes
+    await run("deleteElement", { boardExtId: boardId, elementExtId: "c" });
+    await run("deleteElementById", { elementId: ids.d });
+    assert.deepEqual(externalIds(await elements()), ["a", "ab", "b"]);
+    const remaining = await run("analyzeCanvasStructure", { boardExtId: boardId });
+    assert.equal(remaining.relations.flows, 1);
+    await run("deleteAllBoardRelations", { boardExtId: boardId });
+    assert.equal((await run("analyzeCanvasStructure", { boardExtId: boardId })).edges, 0);
+  } finally {
+    await callHelix("deleteAllBoardRelations", { boardExtId: boardId });
+    await callHelix("deleteBoardElements", { boardExtId: boardId });
+  }
+  assert.deepEqual(await elements(), []);
+}
+
+function checkPatterns() {
+  const hub = box("hub", 0, 0);
+  const spokes = ["p", "q", "r"].map((id, i) => box(id, 400, i * 200));
+  const arrows = spokes.map((spoke) => ({
+    externalId: `to-${spoke.externalId}`,
+    kind: "arrow",
+    startBindingId: "hub",
+    endBindingId: spoke.externalId,
+  }));
+  const patterns = detectLayoutPatterns([hub, ...spokes, ...arrows]);
+  assert.deepEqual(patterns.hubs, [{ id: "hub", degree: 3 }]);
+  assert.equal(patterns.row_like, false);
+  assert.equal(patterns.grid_like, false);
+
+  const grid = [];
+  for (const row of [0, 1]) {
+    for (const col of [0, 1]) grid.push(box(`g${row}${col}`, col * 150, row * 100));
+  }
+  assert.equal(detectLayoutPatterns(grid).grid_like, true);
+}
+
+await checkCatalogue();
+checkPatterns();
+await runScenarios("memory", createHelix("http://unused").callHelix);
+
+const endpoint = process.env.HELIX_CONFORMANCE_ENDPOINT;
+if (endpoint) {
+  const { callHelix } = createHelix(endpoint, { tags: "helix_enabled" });
+  await runScenarios("helixdb", callHelix);
+} else {
+  console.log("⏭️  HELIX_CONFORMANCE_ENDPOINT not set; skipping the HelixDB run");
+}
+
+console.log("✅ In-memory store and HelixDB answer the query catalogue alike");
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import os from "node:os";
+import path from "node:path";
+import { promises as fsp } from "node:fs";
+import { createHelix } from "../sdk/lib/helixClient.js";
+
+const BOARD_ID = "wal-board";
+
+// Each call stands in for a process restart: the store is rebuilt from the directory
+const boot = (dir, options = {}) =>
+  createHelix("http://unused", { persistDir: dir, compactIntervalMs: 0, ...options });
+
+const dump = async (callHelix) => {
+  const { elements } = await callHelix("getBoardElements", { boardId: BOARD_ID });
+  const structure = await callHelix("analyzeCanvasStructure", { boardId: BOARD_ID });
+  return { elements: elements.sort((a, b) => a.id.localeCompare(b.id)), structure };
+};
+
+async function checkReplay(dir) {
+  const { helix, callHelix } = boot(dir);
+  assert.equal(helix.persistDir, path.resolve(dir));
+
+  await callHelix("ensureBoard", { boardId: BOARD_ID });
+  const { el: api } = await callHelix("upsertElement", {
+    boardId: BOARD_ID,
+    externalId: "api",
+    kind: "rectangle",
+    x: 10,
+    text: "API",
+  });
+  // No externalId: the generated one must survive replay
+  const { element: db } = await callHelix("createElement", { boardId: BOARD_ID, text: "DB" });
+  await callHelix("addRelationalAlignment", { sourceId: api.id, targetId: db.id, via: "link" });
+  await callHelix("addContains", { sourceId: api.id, targetId: db.id });
+  await callHelix("upsertElement", { boardId: BOARD_ID, externalId: "tmp", kind: "text" });
+  await callHelix("deleteElement", { boardId: BOARD_ID, elementExtId: "tmp" });
+  await callHelix("updateElementById", { elementId: api.id, x: 42 });
+  await assert.rejects(callHelix("updateElementById", { elementId: "nope", x: 1 }));
+  const before = await dump(callHelix);
+  helix.close();
+
+  const wal = await fsp.readFile(path.join(dir, "helix-wal.jsonl"), "utf8");
+  assert.equal(wal.trim().split("\n").length, 8, "failed writes and reads are not logged");
+
+  const restarted = boot(dir);
+  assert.deepEqual(await dump(restarted.callHelix), before);
+  assert.equal(before.structure.relations.relational, 1);
+  assert.equal(before.structure.relations.contains, 1);
+  assert.equal(before.elements.find((el) => el.externalId === "api").x, 42);
+  restarted.helix.close();
+  return before;
+}
+
+async function checkCompaction(dir, before) {
+  // Eight records are still pending from the first run; three more reach the threshold
+  const { helix, callHelix } = boot(dir, { compactEvery: 11 });
+  for (const x of [1, 2, 3]) {
+    await callHelix("upsertElement", { boardId: BOARD_ID, externalId: `n${x}`, x });
+  }
+  const snapshot = JSON.parse(await fsp.readFile(path.join(dir, "helix-snapshot.json"), "utf8"));
+  assert.equal(snapshot.seq, 11);
+  assert.equal(await fsp.readFile(path.join(dir, "helix-wal.jsonl"), "utf8"), "");
+
+  await callHelix("deleteElement", { boardId: BOARD_ID, elementExtId: "n1" });
+  const expected = await dump(callHelix);
+  assert.equal(expected.elements.length, before.elements.length + 2);
+  helix.close();
+
+  // A crash between snapshot and truncation leaves covered records behind; a crash mid-append
+  // leaves a torn line. Neither may change the restored state.
+  const walFile = path.join(dir, "helix-wal.jsonl");
+  const stale = JSON.stringify({
+    seq: 4,
+    at: 1,
+    op: "deleteBoardElements",
+    params: { boardId: BOARD_ID },
+  });
+  const current = await fsp.readFile(walFile, "utf8");
+  await fsp.writeFile(walFile, `${stale}\n${current}{"seq":13,"op":"upsertEl`);
+
+  const restarted = boot(dir);
+  assert.deepEqual(await dump(restarted.callHelix), expected);
+  await restarted.callHelix("upsertElement", { boardId: BOARD_ID, externalId: "late", x: 5 });
+  const withLate = await dump(restarted.callHelix);
+  restarted.helix.close();
+
+  const recovered = boot(dir);
+  assert.deepEqual(await dump(recovered.callHelix), withLate, "writes after a torn tail survive");
+  recovered.helix.compact();
+  recovered.helix.close();
+  assert.deepEqual(await dump(boot(dir).callHelix), withLate);
+}
+
+async function checkVolatileDefault() {
+  const { helix } = createHelix("http://unused");
+  assert.equal(helix.persistDir, null, "persistence is opt-in");
+  assert.equal(helix.compact(), false);
+}
+
+const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "helix-wal-"));
+try {
+  const before = await checkReplay(dir);
+  await checkCompaction(dir, before);
+  await checkVolatileDefault();
+} finally {
+  await fsp.rm(dir, { recursive: true, force: true });
+}
+
+console.log("✅ In-memory Helix survives restarts through its write-ahead log");
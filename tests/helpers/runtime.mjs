@@ -0,0 +1,139 @@
+// Shared spec fixtures: an SDK over the process-wide server runtime with in-memory storage, the
+// deterministic test embedding provider and no disk persistence, plus Excalidraw element factories.
+import { runtimeDependencies } from "../../sdk/server.js";
+import { createHelixRagSDK } from "../../sdk/core/index.js";
+import { boardCache, boardRevisions, tombstoneCache } from "../../sdk/lib/cache.js";
+import { deserializeTombstones, serializeTombstones } from "../../sdk/lib/reconcile.js";
+import { getBoardRevision, setBoardRevision } from "../../sdk/lib/revisions.js";
+import { createTestEmbeddingProvider } from "../../sdk/lib/embeddingProviders.js";
+import { createMemoryStorage } from "../../sdk/lib/storage/index.js";
+
+export { runtimeDependencies };
+
+/**
+ * Runtime dependencies for createHelixRagSDK that never touch the disk.
+ * @param {Object} [overrides] - Replaces any dependency (e.g. `storage`, `embeddingProvider`)
+ * @returns {Object}
+ */
+export const createTestRuntime = (overrides = {}) => ({
+  ...runtimeDependencies,
+  storage: createMemoryStorage(),
+  embeddingProvider: createTestEmbeddingProvider(),
+  schedulePersist: () => {},
+  saveBoardToDiskMulti: async () => {},
+  hydrateBoardCacheFromDiskMulti: async () => {},
+  ...overrides,
+});
+
+/**
+ * SDK façade over createTestRuntime.
+ * @param {Object} [overrides] - Runtime dependency overrides
+ */
+export const createTestSdk = (overrides) =>
+  createHelixRagSDK({ runtime: createTestRuntime(overrides) });
+
+// Request context of an authenticated user
+export const asUser = (user = "alice") => ({ headers: { "x-user-id": user } });
+
+/**
+ * Embedding provider that returns a fixed vector per text.
+ * @param {Object<string, Array<number>>} vectors - Text -> vector, all of one dimension
+ */
+export const createFixedEmbeddingProvider = (vectors) => {
+  const model = `fixed-${Object.values(vectors)[0]?.length || 0}`;
+  return {
+    name: "fixed",
+    model,
+    id: `fixed:${model}`,
+    maxBatch: 16,
+    embed: async (texts) => texts.map((text) => vectors[text]),
+  };
+};
+
+/**
+ * Board persistence kept in a Map, for runtime overrides: boards saved through it can be
+ * hydrated again after forgetBoard, as after a restart.
+ * @returns {{boards: Map<string, Object>, saveBoardToDiskMulti: Function, hydrateBoardCacheFromDiskMulti: Function}}
+ */
+export const createMapPersistence = () => {
+  const boards = new Map();
+  return {
+    boards,
+    saveBoardToDiskMulti: async (boardId) => {
+      const tombstones = tombstoneCache.get(String(boardId));
+      boards.set(String(boardId), {
+        items: Array.from((boardCache.get(boardId) || new Map()).values()),
+        revision: getBoardRevision(boardId),
+        tombstones: tombstones
+          ? serializeTombstones(tombstones)
+          : boards.get(String(boardId))?.tombstones || [],
+      });
+    },
+    hydrateBoardCacheFromDiskMulti: async (boardId) => {
+      const saved = boards.get(String(boardId));
+      boardCache.set(
+        boardId,
+        new Map((saved?.items || []).map((item) => [String(item.externalId), item]))
+      );
+      setBoardRevision(boardId, saved?.revision || 0);
+      tombstoneCache.set(String(boardId), deserializeTombstones(saved?.tombstones));
+    },
+  };
+};
+
+// Drops a board from the process caches, as a restart does; Helix keeps its copy
+export const forgetBoard = (boardId) => {
+  boardCache.delete(boardId);
+  boardRevisions.delete(String(boardId));
+  tombstoneCache.delete(String(boardId));
+};
+
+export const box = (id, x = 0, y = 0, extra = {}) => ({
+  id,
+  type: "rectangle",
+  x,
+  y,
+  width: 120,
+  height: 60,
+  version: 1,
+  ...extra,
+});
+
+export const label = (id, text, x = 0, y = 0, extra = {}) => ({
+  id,
+  type: "text",
+  text,
+  x,
+  y,
+  width: 120,
+  height: 40,
+  version: 1,
+  ...extra,
+});
+
+// Text bound inside a container shape, with id `<containerId>-label`
+export const boundText = (containerId, text, extra = {}) => ({
+  id: `${containerId}-label`,
+  type: "text",
+  text,
+  containerId,
+  x: 0,
+  y: 0,
+  width: 60,
+  height: 20,
+  version: 1,
+  ...extra,
+});
+
+export const arrow = (id, from, to, extra = {}) => ({
+  id,
+  type: "arrow",
+  x: 0,
+  y: 0,
+  width: 10,
+  height: 0,
+  version: 1,
+  startBinding: { elementId: from },
+  endBinding: { elementId: to },
+  ...extra,
+});
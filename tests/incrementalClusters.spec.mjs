@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { createTestEmbeddingProvider } from "../sdk/lib/embeddingProviders.js";
+import { diffClusterSnapshot, updateComponents } from "../sdk/lib/incrementalClusters.js";
+import { asUser, createTestSdk, label, runtimeDependencies } from "./helpers/runtime.mjs";
+
+function checkComponents() {
+  const edges = { a: ["b"], b: ["a"], c: ["d"], d: ["c", "e"], e: ["d"], x: ["y"], y: ["x"] };
+  const update = (dirty) =>
+    updateComponents({
+      previous: [
+        ["a", "b"],
+        ["c", "d"],
+        ["x", "y"],
+      ],
+      dirty,
+      has: (id) => id in edges,
+      neighborsOf: (id) => edges[id],
+    });
+
+  // `e` was linked to `d`: only the component it reaches is rebuilt
+  const grown = update(["e"]);
+  assert.deepEqual(grown.components, [
+    ["a", "b"],
+    ["x", "y"],
+    ["e", "d", "c"],
+  ]);
+  assert.deepEqual(grown.rebuilt, [["e", "d", "c"]]);
+
+  // `b` was deleted: its component falls apart and the others are kept as they were
+  delete edges.b;
+  edges.a = [];
+  assert.deepEqual(update(["b"]).components, [
+    ["c", "d"],
+    ["x", "y"],
+  ]);
+
+  const previous = new Map([
+    ["a", { geometry: "0,0,10,10", content: "[]", ends: [] }],
+    ["b", { geometry: "0,0,10,10", content: "[]", ends: [] }],
+    ["arrow", { geometry: "0,0,10,10", content: "[]", ends: ["a", "b"] }],
+  ]);
+  const next = new Map([
+    ["a", { geometry: "5,0,10,10", content: "[]", ends: [] }],
+    ["arrow", { geometry: "0,0,10,10", content: "[]", ends: ["a", "c"] }],
+    ["c", { geometry: "0,0,10,10", content: "[]", ends: [] }],
+  ]);
+  assert.deepEqual(diffClusterSnapshot(previous, next), {
+    added: ["c"],
+    deleted: ["b"],
+    moved: ["a"],
+    edited: ["arrow"],
+    size: 4,
+  });
+}
+
+const BOARD_ID = "incremental-clusters-board";
+
+async function checkUpdates() {
+  const provider = createTestEmbeddingProvider();
+  const embedded = [];
+  const { callHelix } = runtimeDependencies;
+  const sdk = createTestSdk({
+    embeddingProvider: {
+      ...provider,
+      embed: async (texts) => {
+        embedded.push(...texts);
+        return provider.embed(texts);
+      },
+    },
+  });
+  const sync = (payload) =>
+    sdk.syncCanvas({ boardId: BOARD_ID, elements: [], ...payload }, asUser());
+  const analyse = () => sdk.refreshClusters({ boardId: BOARD_ID });
+  const members = (result) =>
+    Object.fromEntries(
+      ["semantic", "distance", "relational", "group"].map((family) => [
+        family,
+        result[`${family}_clusters`].map((c) => [...c.member_ids].sort().join(",")).sort(),
+      ])
+    );
+  const edges = async () => {
+    const relations = await callHelix("getBoardRelations", { boardExtId: BOARD_ID });
+    const pairs = (list) =>
+      list.map((e) => [e.sourceExternalId, e.targetExternalId].sort().join("-")).sort();
+    return { semantic: pairs(relations.semantic), spatial: pairs(relations.spatial) };
+  };
+  // An incremental result has the clusters, and leaves the edges, a full analysis would
+  const sameAsFullAnalysis = async (result) => {
+    const stored = await edges();
+    const full = await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+    assert.equal(full.incremental, false);
+    assert.deepEqual(members(result), members(full));
+    assert.deepEqual(stored, await edges());
+  };
+
+  await sync({
+    elements: [
+      label("a", "Payment gateway", 0),
+      label("b", "Payment gateway", 1000),
+      label("c", "Ledger", 2000),
+      label("d", "Ledger", 3000),
+      label("e", "Intake", 0, 2000),
+      label("f", "Review", 150, 2000),
+      label("g", "Archive", 5000, 2000),
+      {
+        id: "h",
+        type: "arrow",
+        x: 8000,
+        y: 8000,
+        width: 10,
+        height: 0,
+        startBinding: { elementId: "e" },
+        endBinding: { elementId: "g" },
+      },
+    ],
+  });
+  const first = await analyse();
+  assert.equal(first.incremental, false);
+  assert.deepEqual(members(first), {
+    semantic: ["a,b", "c,d"],
+    distance: ["e,f"],
+    relational: ["e,g"],
+    group: [],
+  });
+
+  // Moving an element only touches the distance cluster it joins
+  await sync({ elements: [label("g", "Archive", 300, 2000)] });
+  const moved = await analyse();
+  assert.equal(moved.incremental, true);
+  assert.deepEqual(moved.changed_clusters, {
+    semantic: [],
+    distance: ["d_1"],
+    relational: [],
+    group: [],
+  });
+  assert.deepEqual(moved.distance_clusters[0].member_ids.sort(), ["e", "f", "g"]);
+  assert.deepEqual(embedded.sort(), ["Archive", "Intake", "Ledger", "Payment gateway", "Review"]);
+  await sameAsFullAnalysis(moved);
+
+  // Only the new text is embedded; the cluster it leaves and the one it forms change
+  embedded.length = 0;
+  await sync({ elements: [label("d", "Audit log", 3000), label("i", "Audit log", 4000)] });
+  const edited = await analyse();
+  assert.equal(edited.incremental, true);
+  assert.deepEqual(embedded, ["Audit log"]);
+  assert.deepEqual(edited.changed_clusters.semantic, ["s_3"]);
+  assert.deepEqual(edited.cluster_lineage.semantic.retired, ["s_2"]);
+  assert.deepEqual(members(edited).semantic, ["a,b", "d,i"]);
+  await sameAsFullAnalysis(edited);
+
+  // Deleting the connector dissolves its relational cluster
+  await sync({ deletedIds: ["h"] });
+  const unlinked = await analyse();
+  assert.equal(unlinked.incremental, true);
+  assert.deepEqual(unlinked.relational_clusters, []);
+  assert.deepEqual(unlinked.cluster_lineage.relational.retired, ["r_1"]);
+  await sameAsFullAnalysis(unlinked);
+
+  // Without changes the cached result is returned as is
+  assert.equal(await analyse(), await analyse());
+}
+
+checkComponents();
+await checkUpdates();
+
+console.log("✅ Clusters are updated incrementally from the elements that changed");
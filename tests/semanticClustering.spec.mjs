@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import {
+  SEMANTIC_ALGORITHMS,
+  clusterEmbeddings,
+  similarityMatrix,
+} from "../sdk/lib/semanticClustering.js";
+import { asUser, createTestSdk, label } from "./helpers/runtime.mjs";
+
+const basis = (d) => Array.from({ length: 16 }, (_, i) => (i === d ? 1 : 0));
+// Small deterministic perturbations so members of a topic are close but not identical
+const jitter = (v, k) => v.map((x, i) => x + (((i * 7 + k * 3) % 5) - 2) * 0.03);
+
+function checkTopics() {
+  const vectors = [
+    ...[0, 1, 2, 3].map((k) => jitter(basis(0), k)),
+    ...[0, 1, 2].map((k) => jitter(basis(1), k)),
+    ...[0, 1, 2].map((k) => jitter(basis(2), k)),
+    basis(5),
+    basis(9),
+  ];
+  const matrix = similarityMatrix(vectors);
+  for (const algorithm of SEMANTIC_ALGORITHMS) {
+    const clusters = clusterEmbeddings(matrix, { algorithm });
+    assert.deepEqual(
+      clusters,
+      [
+        [0, 1, 2, 3],
+        [4, 5, 6],
+        [7, 8, 9],
+      ],
+      `${algorithm} finds the three topics and leaves the outliers out`
+    );
+    assert.deepEqual(clusterEmbeddings(matrix, { algorithm }), clusters, "deterministic");
+  }
+
+  // Near-identical vectors on either side of a 0.25 quantization step still cluster
+  const edge = (value) => basis(0).map((x, i) => (i === 1 ? value : x));
+  const boundary = similarityMatrix([edge(0.124), edge(0.126), basis(3)]);
+  for (const algorithm of SEMANTIC_ALGORITHMS) {
+    assert.deepEqual(clusterEmbeddings(boundary, { algorithm }), [[0, 1]], algorithm);
+  }
+
+  // Two tight groups that are also similar to each other: average linkage joins them,
+  // density and k-means keep them apart
+  const pair = (a, b, k) => [a, b, 0.01 * k, 0.01 * (2 - k)];
+  const bridged = similarityMatrix([0, 1, 2].flatMap((k) => [pair(1, 0.5, k), pair(0.5, 1, k)]));
+  assert.deepEqual(clusterEmbeddings(bridged, { algorithm: "agglomerative" }), [
+    [0, 1, 2, 3, 4, 5],
+  ]);
+  for (const algorithm of ["density", "kmeans"]) {
+    assert.deepEqual(clusterEmbeddings(bridged, { algorithm }), [
+      [0, 2, 4],
+      [1, 3, 5],
+    ]);
+  }
+
+  assert.throws(
+    () => clusterEmbeddings(matrix, { algorithm: "spectral" }),
+    (err) => err.code === "UNSUPPORTED_ALGORITHM"
+  );
+}
+
+const BOARD_ID = "semantic-clustering-board";
+
+async function checkRoute() {
+  const sdk = createTestSdk();
+  await sdk.syncCanvas(
+    {
+      boardId: BOARD_ID,
+      elements: [
+        label("e", "Ledger", 0),
+        label("a", "Payment gateway", 2000),
+        label("c", "Ledger", 4000),
+        label("b", "Payment gateway", 6000),
+        label("z", "Audit log", 8000),
+      ],
+    },
+    asUser()
+  );
+
+  for (const algorithm of SEMANTIC_ALGORITHMS) {
+    const result = await sdk.refreshClusters({ boardId: BOARD_ID, algorithm });
+    assert.equal(result.semantic_algorithm, algorithm);
+    assert.deepEqual(
+      result.semantic_clusters.map((c) => c.member_ids),
+      [
+        ["a", "b"],
+        ["c", "e"],
+      ],
+      algorithm
+    );
+  }
+
+  // Without an algorithm the cached result is reused; asking for another one recomputes
+  const cached = await sdk.refreshClusters({ boardId: BOARD_ID });
+  assert.equal(cached.semantic_algorithm, "kmeans");
+  const recomputed = await sdk.refreshClusters({ boardId: BOARD_ID, algorithm: "density" });
+  assert.equal(recomputed.semantic_algorithm, "density");
+
+  await assert.rejects(
+    sdk.refreshClusters({ boardId: BOARD_ID, algorithm: "spectral" }),
+    (err) => err.status === 400
+  );
+}
+
+checkTopics();
+await checkRoute();
+
+console.log("✅ Semantic clustering supports agglomerative, density and k-means algorithms");
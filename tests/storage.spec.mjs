@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import os from "node:os";
+import path from "node:path";
+import { promises as fsp } from "node:fs";
+import { createStorage } from "../sdk/lib/storage/index.js";
+
+const board = (id, revision) => ({
+  id,
+  items: [{ externalId: `${id}-el`, kind: "rectangle", text: "Node" }],
+  revision,
+  savedAt: Date.now(),
+});
+
+// Every backend must satisfy the same contract
+async function checkContract(storage) {
+  assert.equal(await storage.getBoard("missing"), null);
+
+  await storage.putBoard("board/a", board("board/a", 1));
+  await storage.putBoard("board-b", board("board-b", 3));
+  await storage.putBoard("board-b", board("board-b", 4));
+  assert.equal((await storage.getBoard("board-b")).revision, 4, "putBoard overwrites");
+  assert.equal((await storage.getBoard("board/a")).items[0].externalId, "board/a-el");
+  assert.deepEqual(await storage.listBoards(), ["board-b", "board/a"]);
+
+  await storage.putEntry("traversals", "board-b", { k1: { summary: "cached" } });
+  assert.deepEqual(await storage.getEntry("traversals", "board-b"), { k1: { summary: "cached" } });
+  assert.equal(await storage.getEntry("traversals", "board/a"), null);
+  await storage.deleteEntry("traversals", "board-b");
+  assert.equal(await storage.getEntry("traversals", "board-b"), null);
+
+  await storage.appendRevision("board-b", { revision: 1, upserts: [], deletedIds: [] });
+  await storage.appendRevision("board-b", { revision: 2, upserts: [], deletedIds: ["x"] });
+  assert.deepEqual(
+    (await storage.readRevisions("board-b")).map((r) => r.revision),
+    [1, 2]
+  );
+  assert.deepEqual(await storage.readRevisions("board/a"), []);
+
+  await storage.deleteBoard("board-b");
+  assert.equal(await storage.getBoard("board-b"), null);
+  assert.deepEqual(await storage.readRevisions("board-b"), []);
+  assert.deepEqual(await storage.listBoards(), ["board/a"]);
+}
+
+async function checkFsLegacyReads(dir) {
+  const legacyDir = path.join(dir, "legacy");
+  await fsp.mkdir(legacyDir, { recursive: true });
+  await fsp.writeFile(
+    path.join(legacyDir, "old-board.json"),
+    JSON.stringify(board("old-board", 7))
+  );
+  const storage = createStorage({
+    backend: "fs",
+    dir: path.join(dir, "data"),
+    readDirs: [legacyDir],
+  });
+  assert.equal((await storage.getBoard("old-board")).revision, 7);
+
+  // Writes only go to the primary directory
+  await storage.putBoard("old-board", board("old-board", 8));
+  const legacy = JSON.parse(await fsp.readFile(path.join(legacyDir, "old-board.json"), "utf8"));
+  assert.equal(legacy.revision, 7);
+  assert.equal((await storage.getBoard("old-board")).revision, 8);
+}
+
+// better-sqlite3 stand-in that runs the adapter's statements against in-memory tables. It
+// understands only the SQL the adapter uses, and checks tables and columns against the schema, so
+// statement text and row mapping are exercised without the native module
+class FakeSqliteDatabase {
+  static opened = [];
+
+  constructor(file) {
+    this.file = file;
+    this.tables = new Map();
+    this.pragmas = [];
+    FakeSqliteDatabase.opened.push(this);
+  }
+
+  pragma(statement) {
+    this.pragmas.push(statement);
+  }
+
+  exec(sql) {
+    for (const [, name, body] of sql.matchAll(/CREATE TABLE IF NOT EXISTS (\w+) \(([^;]+)\);/g)) {
+      const columns = [...body.matchAll(/^\s*(\w+) (?:TEXT|INTEGER)/gm)].map((m) => m[1]);
+      const key =
+        body.match(/PRIMARY KEY \(([^)]+)\)/)?.[1].split(/,\s*/) ||
+        body.match(/(\w+) \w+ PRIMARY KEY/).slice(1);
+      const autoincrement = body.match(/(\w+) INTEGER PRIMARY KEY AUTOINCREMENT/)?.[1];
+      this.tables.set(name, { columns, key, autoincrement, rows: [], nextId: 1 });
+    }
+  }
+
+  table(name, columns) {
+    const table = this.tables.get(name);
+    assert.ok(table, `unknown table ${name}`);
+    for (const column of columns)
+      assert.ok(table.columns.includes(column), `unknown column ${column}`);
+    return table;
+  }
+
+  prepare(sql) {
+    const list = (text) => text.split(/,\s*/);
+    let m;
+    if (
+      (m = sql.match(
+        /^INSERT INTO (\w+) \(([^)]+)\) VALUES \(([?, ]+)\)(?: ON CONFLICT\(([^)]+)\) DO UPDATE SET (.+))?$/
+      ))
+    ) {
+      const columns = list(m[2]);
+      const table = this.table(m[1], columns);
+      assert.equal(list(m[3]).length, columns.length, "one placeholder per column");
+      const target = m[4] && list(m[4]);
+      if (target) assert.deepEqual(target, table.key, "ON CONFLICT names the primary key");
+      const updates = m[5] ? list(m[5]).map((set) => set.match(/^(\w+) = excluded\.(\w+)$/)) : [];
+      return {
+        run: (...params) => {
+          const row = Object.fromEntries(columns.map((c, i) => [c, params[i]]));
+          if (table.autoincrement) row[table.autoincrement] = table.nextId++;
+          const existing = table.rows.find((r) => table.key.every((k) => r[k] === row[k]));
+          if (!existing) return void table.rows.push(row);
+          assert.ok(target, `UNIQUE constraint failed: ${m[1]}`);
+          for (const [, column, source] of updates) existing[column] = row[source];
+        },
+      };
+    }
+    if ((m = sql.match(/^SELECT (\w+) FROM (\w+)(?: WHERE (.+?))?(?: ORDER BY (\w+))?$/))) {
+      const where = m[3] ? m[3].split(" AND ").map((c) => c.match(/^(\w+) = \?$/)[1]) : [];
+      const table = this.table(m[2], [m[1], ...where, ...(m[4] ? [m[4]] : [])]);
+      const all = (...params) => {
+        const rows = table.rows.filter((r) => where.every((c, i) => r[c] === params[i]));
+        if (m[4]) rows.sort((a, b) => (a[m[4]] < b[m[4]] ? -1 : a[m[4]] > b[m[4]] ? 1 : 0));
+        return rows.map((r) => ({ [m[1]]: r[m[1]] }));
+      };
+      return { all, get: (...params) => all(...params)[0] };
+    }
+    if ((m = sql.match(/^DELETE FROM (\w+) WHERE (.+)$/))) {
+      const where = m[2].split(" AND ").map((c) => c.match(/^(\w+) = \?$/)[1]);
+      const table = this.table(m[1], where);
+      return {
+        run: (...params) => {
+          table.rows = table.rows.filter((r) => !where.every((c, i) => r[c] === params[i]));
+        },
+      };
+    }
+    throw new Error(`Unsupported statement: ${sql}`);
+  }
+}
+
+async function sqliteAvailable() {
+  try {
+    await import("better-sqlite3");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const tmp = await fsp.mkdtemp(path.join(os.tmpdir(), "treyspace-storage-"));
+try {
+  await checkContract(createStorage({ backend: "memory" }));
+  await checkContract(createStorage({ backend: "fs", dir: path.join(tmp, "fs") }));
+  await checkFsLegacyReads(tmp);
+
+  const sqlitePath = path.join(tmp, "fake-sqlite", "store.db");
+  await checkContract(createStorage({ backend: "sqlite", sqlitePath, driver: FakeSqliteDatabase }));
+  assert.equal(FakeSqliteDatabase.opened.length, 1, "the database is opened once");
+  assert.equal(FakeSqliteDatabase.opened[0].file, sqlitePath);
+  assert.deepEqual(FakeSqliteDatabase.opened[0].pragmas, ["journal_mode = WAL"]);
+  if (await sqliteAvailable()) {
+    await checkContract(
+      createStorage({ backend: "sqlite", sqlitePath: path.join(tmp, "sqlite", "store.db") })
+    );
+  } else {
+    console.warn("⚠️  Skipping SQLite storage checks - better-sqlite3 is not installed.");
+  }
+  assert.throws(() => createStorage({ backend: "s3" }), /Unknown STORAGE_BACKEND/);
+} finally {
+  await fsp.rm(tmp, { recursive: true, force: true });
+}
+
+console.log("✅ Storage backends share the board/entry/revision contract");
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../sdk/lib/storage/index.js";
+import { compareElementVersions } from "../sdk/lib/reconcile.js";
+import { box, createTestSdk, runtimeDependencies } from "./helpers/runtime.mjs";
+
+const BOARD_ID = "sync-reconcile-board";
+
+const storage = createMemoryStorage();
+const sdk = createTestSdk({ storage });
+const { boardCache, dedupeByExternalIdLatest } = runtimeDependencies;
+
+const rect = (id, version, versionNonce, extra = {}) =>
+  box(id, 0, 0, { version, versionNonce, ...extra });
+
+const push = (elements, baseRevision) =>
+  sdk.syncCanvas({
+    boardId: BOARD_ID,
+    excalidrawData: { type: "excalidraw", elements },
+    ...(baseRevision === undefined ? {} : { baseRevision }),
+  });
+
+const cached = (id) => boardCache.get(BOARD_ID).get(id);
+
+function checkOrdering() {
+  assert.ok(compareElementVersions({ version: 3, versionNonce: 9 }, { version: 2 }) > 0);
+  assert.ok(
+    compareElementVersions({ version: 2, versionNonce: 1 }, { version: 2, versionNonce: 7 }) > 0
+  );
+  assert.equal(
+    compareElementVersions({ version: 2, versionNonce: 7 }, { version: 2, versionNonce: 7 }),
+    0
+  );
+
+  const [winner] = dedupeByExternalIdLatest([
+    { externalId: "x", version: 2, updated: 10 },
+    { externalId: "x", version: 1, updated: 99 },
+  ]);
+  assert.equal(winner.version, 2, "a later `updated` does not beat a newer version");
+}
+
+async function checkConcurrentSnapshots() {
+  const { revision: base } = await push([rect("a", 1, 10), rect("b", 1, 10)]);
+
+  // Client A edits `a` and adds `c`
+  const fromA = await push([rect("a", 2, 5, { x: 50 }), rect("b", 1, 10), rect("c", 1, 1)], base);
+  assert.deepEqual(fromA.conflicts, []);
+
+  // Client B, still on `base`, edits `b`, adds `d` and sends its stale copy of `a`
+  const fromB = await push([rect("a", 1, 10), rect("b", 2, 4, { x: 90 }), rect("d", 1, 2)], base);
+  assert.deepEqual(
+    fromB.conflicts.map((c) => [c.id, c.reason]),
+    [["a", "server_newer"]]
+  );
+  assert.deepEqual(fromB.preserved, ["c"], "elements B never saw are kept");
+  assert.deepEqual(fromB.elements.map((el) => el.id).sort(), ["a", "c"]);
+  assert.equal(fromB.elements.find((el) => el.id === "a").x, 50, "B receives A's edit back");
+  assert.equal(cached("a").x, 50);
+  assert.equal(cached("b").x, 90);
+  assert.ok(cached("c") && cached("d"));
+
+  const { excalidrawData } = await storage.getBoard(BOARD_ID);
+  assert.deepEqual(
+    excalidrawData.elements.map((el) => [el.id, el.version]),
+    [
+      ["a", 2],
+      ["b", 2],
+      ["d", 1],
+      ["c", 1],
+    ],
+    "the persisted scene is the merged board"
+  );
+
+  // Same version on both sides: the lower versionNonce wins, whatever the arrival order
+  const rev = fromB.revision;
+  await push([rect("a", 2, 5), rect("b", 3, 9, { x: 1 }), rect("c", 1, 1), rect("d", 1, 2)], rev);
+  const tie = await push(
+    [rect("a", 2, 5), rect("b", 3, 3, { x: 2 }), rect("c", 1, 1), rect("d", 1, 2)],
+    rev
+  );
+  assert.equal(cached("b").x, 2);
+  const lost = await push(
+    [rect("a", 2, 5), rect("b", 3, 9, { x: 1 }), rect("c", 1, 1), rect("d", 1, 2)],
+    tie.revision
+  );
+  assert.equal(lost.conflicts[0].reason, "server_newer");
+  assert.equal(cached("b").x, 2);
+}
+
+async function checkTombstones() {
+  const before = (await push([rect("a", 2, 5), rect("b", 3, 3), rect("c", 1, 1), rect("d", 1, 2)]))
+    .revision;
+  const deleted = await push(
+    [rect("a", 2, 5), rect("b", 3, 3), rect("c", 2, 8, { isDeleted: true }), rect("d", 1, 2)],
+    before
+  );
+  assert.equal(deleted.deleted, 1);
+  assert.equal(cached("c"), undefined);
+
+  // A stale tab still holding `c` cannot resurrect it, by snapshot or by delta
+  const stale = await push(
+    [rect("a", 2, 5), rect("b", 3, 3), rect("c", 1, 1), rect("d", 1, 2)],
+    before
+  );
+  assert.deepEqual(
+    stale.conflicts.map((c) => [c.id, c.reason]),
+    [["c", "deleted_on_server"]]
+  );
+  assert.equal(cached("c"), undefined);
+  assert.deepEqual(
+    stale.elements.map((el) => el.id),
+    [],
+    "no server copy to send back for a deleted element"
+  );
+
+  await assert.rejects(
+    sdk.syncCanvas({
+      boardId: BOARD_ID,
+      delta: { baseRevision: stale.revision, changed: [rect("c", 2, 8)] },
+    }),
+    (err) => err.status === 409 && err.details.conflicts[0].reason === "deleted_on_server"
+  );
+
+  // An edit made after the deletion (higher version) does bring it back
+  await push([rect("a", 2, 5), rect("b", 3, 3), rect("c", 3, 1), rect("d", 1, 2)], stale.revision);
+  assert.ok(cached("c"));
+
+  // Without a baseRevision the scene covers the whole board
+  await push([rect("a", 2, 5), rect("b", 3, 3), rect("c", 3, 1)]);
+  assert.equal(cached("d"), undefined);
+}
+
+checkOrdering();
+await checkConcurrentSnapshots();
+await checkTombstones();
+
+console.log("✅ Concurrent snapshots merge per element with version/nonce tie-breaking");
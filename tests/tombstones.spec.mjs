@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../sdk/lib/storage/index.js";
+import {
+  deserializeTombstones,
+  pruneTombstones,
+  serializeTombstones,
+  toTombstone,
+} from "../sdk/lib/reconcile.js";
+import {
+  asUser,
+  box,
+  createMapPersistence,
+  createTestSdk,
+  forgetBoard,
+  runtimeDependencies,
+} from "./helpers/runtime.mjs";
+
+const BOARD_ID = "tombstone-board";
+
+const storage = createMemoryStorage();
+const sdk = createTestSdk({ storage });
+const { callHelix, boardCache, tombstoneCache } = runtimeDependencies;
+
+const rect = (id, extra = {}) => box(id, 0, 0, { versionNonce: 7, ...extra });
+const label = (id, containerId, text) =>
+  rect(id, { type: "text", text, containerId, width: 40, height: 20 });
+
+const scene = [
+  rect("a"),
+  rect("b", { boundElements: [{ id: "bt", type: "text" }] }),
+  label("bt", "b", "Beta"),
+  label("c", null, "Gamma"),
+];
+
+const helixIds = async () => {
+  const { elements } = await callHelix("getBoardElements", { boardExtId: BOARD_ID });
+  return new Set(elements.map((el) => el.externalId));
+};
+
+function checkRetention() {
+  const tombstones = new Map([
+    ["old", toTombstone({ version: 2 }, 1, { deletedAt: 1_000 })],
+    ["new", toTombstone({ version: 3 }, 2, { deletedAt: 9_000, deletedBy: "bob" })],
+  ]);
+  assert.equal(pruneTombstones(tombstones, 5_000, 10_000), 1);
+  assert.deepEqual(Array.from(tombstones.keys()), ["new"]);
+  assert.equal(pruneTombstones(tombstones, Infinity, 1e15), 0, "Infinity keeps tombstones");
+
+  const restored = deserializeTombstones(serializeTombstones(tombstones));
+  assert.deepEqual(restored.get("new"), tombstones.get("new"));
+}
+
+async function checkStaleTabs() {
+  await sdk.syncCanvas({ boardId: BOARD_ID, elements: scene }, asUser("alice"));
+  await sdk.syncCanvas(
+    { boardId: BOARD_ID, elements: [], deletedIds: ["b", "bt"] },
+    asUser("alice")
+  );
+
+  const { deleted } = await sdk.listDeletedElements({ boardId: BOARD_ID });
+  const byId = new Map(deleted.map((entry) => [entry.id, entry]));
+  assert.deepEqual(Array.from(byId.keys()).sort(), ["b", "bt"]);
+  assert.equal(byId.get("b").deletedBy, "alice");
+  assert.equal(byId.get("b").type, "rectangle");
+  assert.equal(byId.get("bt").text, "Beta");
+  assert.equal(byId.get("b").restorable, true);
+  assert.ok(byId.get("b").expiresAt > byId.get("b").deletedAt);
+
+  // A tab that never saw the deletion re-syncs its copy of `b`
+  const stale = await sdk.syncCanvas(
+    { boardId: BOARD_ID, elements: scene.slice(0, 3) },
+    asUser("bob")
+  );
+  assert.deepEqual(
+    stale.conflicts.map((c) => [c.id, c.reason]),
+    [
+      ["b", "deleted_on_server"],
+      ["bt", "deleted_on_server"],
+    ]
+  );
+  assert.equal(boardCache.get(BOARD_ID).has("b"), false);
+  assert.equal((await helixIds()).has("b"), false);
+
+  // A full snapshot soft-deletes what it omits; replaying the old scene cannot undo that
+  await sdk.syncCanvas(
+    { boardId: BOARD_ID, elements: [rect("a")], opts: { fullSnapshot: true } },
+    asUser("carol")
+  );
+  assert.equal(tombstoneCache.get(BOARD_ID).get("c").deletedBy, "carol");
+  await sdk.syncCanvas(
+    {
+      boardId: BOARD_ID,
+      elements: [rect("a"), label("c", null, "Gamma")],
+      opts: { fullSnapshot: true },
+    },
+    asUser("bob")
+  );
+  assert.equal(boardCache.get(BOARD_ID).has("c"), false);
+  assert.deepEqual(Array.from(await helixIds()), ["a"], "Helix reconciliation skips buried IDs");
+}
+
+async function checkRestore() {
+  const buried = tombstoneCache.get(BOARD_ID).get("b");
+  const result = await sdk.restoreElements(
+    { boardId: BOARD_ID, elementIds: ["b", "a", "zzz"] },
+    asUser("alice")
+  );
+  assert.deepEqual(result.restored, ["b", "bt"], "the container's label comes back with it");
+  assert.deepEqual(result.missing, ["a", "zzz"], "live and unknown IDs are not restored");
+  assert.equal(result.elements[0].version, buried.version + 1);
+  assert.equal(result.elements[0].isDeleted, false);
+  assert.equal(boardCache.get(BOARD_ID).get("bt").text, "Beta");
+  assert.equal(boardCache.get(BOARD_ID).get("bt").containerId, "b");
+  assert.equal(tombstoneCache.get(BOARD_ID).has("b"), false);
+  const inHelix = await helixIds();
+  assert.ok(inHelix.has("b") && inHelix.has("bt"));
+
+  const { excalidrawData, tombstones } = await storage.getBoard(BOARD_ID);
+  assert.ok(excalidrawData.elements.some((el) => el.id === "b"));
+  assert.deepEqual(
+    tombstones.map((t) => t.id),
+    ["c"],
+    "tombstones are persisted with the board snapshot"
+  );
+
+  await assert.rejects(
+    sdk.restoreElements({ boardId: BOARD_ID, elementIds: ["b"] }),
+    (err) => err.status === 404 && err.details.missing[0] === "b"
+  );
+}
+
+async function checkExpiry() {
+  // Past the retention window the tombstone is gone and the element can come back
+  tombstoneCache.get(BOARD_ID).get("c").deletedAt = 0;
+  const { deleted } = await sdk.listDeletedElements({ boardId: BOARD_ID });
+  assert.deepEqual(deleted, []);
+  const revived = await sdk.syncCanvas({ boardId: BOARD_ID, elements: [scene[3]] });
+  assert.deepEqual(revived.conflicts, []);
+  assert.ok(boardCache.get(BOARD_ID).has("c"));
+}
+
+// After a restart the saved tombstones still hold off a stale tab and survive the next save
+async function checkColdCache() {
+  const boardId = `${BOARD_ID}-restart`;
+  const persistence = createMapPersistence();
+  const restartable = createTestSdk({ storage, ...persistence });
+  await restartable.syncCanvas({ boardId, elements: [rect("a"), rect("b")] }, asUser("alice"));
+  await restartable.syncCanvas({ boardId, elements: [], deletedIds: ["b"] }, asUser("alice"));
+  forgetBoard(boardId);
+
+  const stale = await restartable.syncCanvas(
+    { boardId, elements: [rect("a"), rect("b")] },
+    asUser("bob")
+  );
+  assert.deepEqual(
+    stale.conflicts.map((c) => [c.id, c.reason]),
+    [["b", "deleted_on_server"]]
+  );
+  assert.equal(boardCache.get(boardId).has("b"), false);
+  assert.deepEqual(
+    persistence.boards.get(boardId).tombstones.map((t) => t.id),
+    ["b"]
+  );
+}
+
+checkRetention();
+await checkStaleTabs();
+await checkRestore();
+await checkExpiry();
+await checkColdCache();
+
+console.log("✅ Deleted elements are tombstoned, restorable and safe from stale resurrection");
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { createHnswIndex } from "../sdk/lib/vectorIndex.js";
+import { asUser, createTestSdk, label, runtimeDependencies } from "./helpers/runtime.mjs";
+
+const BOARD_ID = "vector-index-board";
+
+const calls = [];
+const callHelix = (name, params) => {
+  calls.push(name);
+  return runtimeDependencies.callHelix(name, params);
+};
+
+const sdk = createTestSdk({ callHelix });
+
+// Deterministic vectors so recall does not depend on the run
+const randomVectors = (count, dims, seed) => {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: dims }, next));
+};
+
+const cosine = (a, b) => {
+  const dot = a.reduce((acc, v, i) => acc + v * b[i], 0);
+  const norm = (v) => Math.sqrt(v.reduce((acc, x) => acc + x * x, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+function checkRecall() {
+  const vectors = randomVectors(300, 16, 7);
+  const index = createHnswIndex({ m: 8, efConstruction: 64 });
+  vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+  assert.equal(index.size(), 300);
+
+  let hits = 0;
+  const queries = randomVectors(20, 16, 99);
+  for (const query of queries) {
+    const exact = vectors
+      .map((vector, i) => ({ id: `v${i}`, score: cosine(query, vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10)
+      .map((item) => item.id);
+    const found = index.search(query, 10);
+    assert.ok(found[0].score >= found[found.length - 1].score, "results by descending score");
+    hits += found.filter((item) => exact.includes(item.id)).length;
+  }
+  assert.ok(hits / (queries.length * 10) >= 0.9, `recall@10 was ${hits / 200}`);
+}
+
+function checkRemoveAndReplace() {
+  const index = createHnswIndex();
+  index.add("x", [1, 0]);
+  index.add("y", [0, 1]);
+  index.add("x", [0, 1]);
+  assert.equal(index.size(), 2);
+  const [first, second] = index.search([0, 1], 2);
+  assert.ok(first.score > 0.99 && second.score > 0.99, "x now points along y");
+
+  assert.equal(index.remove("y"), true);
+  assert.equal(index.remove("y"), false);
+  assert.deepEqual(
+    index.search([0, 1], 5).map((item) => item.id),
+    ["x"]
+  );
+  assert.equal(index.has("y"), false);
+}
+
+const scene = [
+  label("a", "Payment gateway", 0, 0),
+  label("b", "Payment gateway", 2000, 0),
+  label("c", "Ledger", 150, 0),
+  label("d", "Audit log", 4000, 4000),
+];
+
+const upserts = () => calls.filter((name) => name === "upsertTextEmbedding").length;
+
+async function checkStoredEmbeddings() {
+  await sdk.syncCanvas({ boardId: BOARD_ID, elements: scene }, asUser());
+  await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+  assert.equal(upserts(), 4);
+  const { vecs } = await runtimeDependencies.callHelix("getBoardEmbeddings", {
+    boardExtId: BOARD_ID,
+  });
+  assert.deepEqual(vecs.map((vec) => vec.externalId).sort(), ["a", "b", "c", "d"]);
+  assert.ok(
+    vecs.every((vec) => /^[0-9a-f]{64}$/.test(vec.textHash)),
+    "keyed by text hash"
+  );
+  assert.ok(runtimeDependencies.textVecCache.get(BOARD_ID).has("a"), "sync cache is filled");
+
+  // Unchanged text reuses the stored vectors; edited text is embedded again
+  await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+  assert.equal(upserts(), 4);
+  const edited = { ...scene[2], text: "General ledger", version: 2 };
+  await sdk.syncCanvas({ boardId: BOARD_ID, elements: [edited] }, asUser());
+  await sdk.refreshClusters({ boardId: BOARD_ID, forceRecompute: true });
+  assert.equal(upserts(), 5);
+}
+
+async function checkBoardSearch() {
+  const { connection_id } = await sdk.callMcp("init", {}, asUser());
+  const search = (data) => sdk.callMcp("search_vector", { connection_id, data }, asUser());
+
+  // No session items: the whole board is searched
+  const { results, count } = await search({ boardId: BOARD_ID, text: "Payment gateway", k: 2 });
+  assert.equal(count, 2);
+  assert.deepEqual(results.map((r) => r.externalId).sort(), ["a", "b"]);
+  assert.ok(results.every((r) => r.score > 0.99 && r.text === "Payment gateway"));
+
+  const filtered = await search({ text: "Audit log", min_score: 0.99 });
+  assert.deepEqual(
+    filtered.results.map((r) => r.externalId),
+    ["d"]
+  );
+
+  // Session items are still searchable on request
+  const items = await search({ vector: [1, 0], scope: "items" });
+  assert.equal(items.count, 0);
+}
+
+checkRecall();
+checkRemoveAndReplace();
+await checkStoredEmbeddings();
+await checkBoardSearch();
+
+console.log("✅ Element embeddings are stored by text hash and searchable board-wide");